@@ -29,6 +29,8 @@ class App {
             // 設定を読み込み
             const settings = StorageManager.loadSettings();
             this.audioEngine.setVolume(settings.volume / 100);
+            this.audioEngine.setCalibration(StorageManager.getActiveCalibration());
+            this.audioEngine.setPersonalLoudnessCurve(StorageManager.getLoudnessContour());
 
             // QuizManagerを初期化
             this.quizManager = new QuizManager(this.audioEngine);
@@ -39,6 +41,16 @@ class App {
             // 設定をUIに適用
             this.applySettings(settings);
 
+            // ライブラリに保存された音声ファイルを読み込み
+            await this.audioEngine.sampleLibrary.loadPersisted();
+            this.ui.refreshSampleList();
+            this.ui.refreshTimbreLists();
+            this.ui.refreshMixerScenes();
+            this.ui.renderQuizPresetButtons();
+
+            // 共有URLで開いた場合はチャレンジコードを入力しておく
+            this.ui.loadChallengeFromUrl();
+
             this.initialized = true;
             console.log('アプリケーションの初期化が完了しました');
 
@@ -72,39 +84,61 @@ class App {
      * @param {Object} settings - 設定オブジェクト
      */
     applySettings(settings) {
-        // 音量
-        const volumeSlider = document.getElementById('volumeSlider');
-        const volumeValue = document.getElementById('volumeValue');
-        if (volumeSlider && volumeValue) {
-            volumeSlider.value = settings.volume;
-            volumeValue.textContent = settings.volume + '%';
-        }
+        // 音量 (スライダーは dB 表示，保存値は従来どおり%)
+        this.ui.refreshCalibrationProfiles();
+        this.ui.syncVolumeSlider();
+
+        // 聴取量の上限
+        this.ui.doseLimit.value = settings.doseLimit;
+        this.ui.doseAction.value = settings.doseAction;
+        this.ui.applyDoseLimit();
 
         // 波形
         const waveformInput = document.getElementById(settings.defaultWaveform);
         if (waveformInput) {
             waveformInput.checked = true;
+            this.ui.updateSourceOptions();
         }
 
+        // 基準ピッチ (A4)
+        MathUtils.setA4Frequency(settings.a4Frequency);
+        this.ui.a4Tuning.value = settings.a4Frequency;
+        this.ui.updateNoteDisplay();
+
+        // スペクトラム表示
+        this.ui.analyserFftSize.value = settings.analyserFftSize;
+        this.ui.analyserSmoothing.value = settings.analyserSmoothing;
+        this.ui.applyAnalyserOptions();
+
         // 等ラウドネス
-        const equalLoudnessSelect = document.getElementById('equalLoudness');
-        if (equalLoudnessSelect) {
-            equalLoudnessSelect.value = settings.equalLoudnessMode;
-        }
+        this.ui.updatePersonalLoudnessOption();
+        this.ui.setEqualLoudnessMode(settings.equalLoudnessMode);
+        this.ui.equalLoudnessStandard.value = settings.equalLoudnessStandard;
+        this.audioEngine.setEqualLoudnessStandard(settings.equalLoudnessStandard);
+
+        // クイズ前のヘッドホンチェック
+        this.ui.quizHeadphoneCheck.checked = settings.headphoneCheck;
+        this.ui.challengePlayer.value = settings.playerName;
     }
 
     /**
      * 設定を保存
      */
     saveSettings() {
-        const volumeSlider = document.getElementById('volumeSlider');
         const waveformInput = document.querySelector('input[name="waveform"]:checked');
-        const equalLoudnessSelect = document.getElementById('equalLoudness');
 
         const settings = {
-            volume: parseInt(volumeSlider?.value || 30),
+            volume: Math.round(this.audioEngine.volume * 1000) / 10,
             defaultWaveform: waveformInput?.value || 'sine',
-            equalLoudnessMode: equalLoudnessSelect?.value || 'off'
+            equalLoudnessMode: this.ui.getEqualLoudnessMode(),
+            equalLoudnessStandard: this.ui.equalLoudnessStandard.value,
+            a4Frequency: MathUtils.a4Frequency,
+            analyserFftSize: parseInt(this.ui.analyserFftSize.value),
+            analyserSmoothing: parseFloat(this.ui.analyserSmoothing.value),
+            headphoneCheck: this.ui.quizHeadphoneCheck.checked,
+            playerName: this.ui.challengePlayer.value.trim(),
+            doseLimit: parseInt(this.ui.doseLimit.value),
+            doseAction: this.ui.doseAction.value
         };
 
         StorageManager.saveSettings(settings);
@@ -127,6 +161,13 @@ window.addEventListener('beforeunload', () => {
     }
 });
 
+// ページを離れるときに聴取量を保存 (beforeunload が来ないモバイルでも pagehide は来る)
+window.addEventListener('pagehide', () => {
+    if (app && app.audioEngine) {
+        app.audioEngine.listeningDose.save();
+    }
+});
+
 // キーボードショートカット
 document.addEventListener('keydown', (e) => {
     // スペースキー: 再生/停止
@@ -142,6 +183,11 @@ document.addEventListener('keydown', (e) => {
         }
     }
 
+    // 1/2キー: 周波数弁別テストの解答
+    if ((e.code === 'Digit1' || e.code === 'Digit2') && e.target.tagName !== 'INPUT' && app) {
+        app.ui.respondDiscrimination(e.code === 'Digit1');
+    }
+
     // Enterキー: 解答送信
     if (e.code === 'Enter') {
         const submitBtn = document.getElementById('submitAnswer');
@@ -1,17 +1,40 @@
 /**
  * AudioEngine - Web Audio API制御エンジン
- * オシレーター，アナライザー，等ラウドネス補正を統合管理
+ * オシレーター，ノイズ，音声ファイル，アナライザー，等ラウドネス補正を統合管理
  */
 class AudioEngine {
+    // 出力段のリミッター (0dBFS を超えないよう，-1dBFS を上限にほぼ無限大の比で抑える)
+    static LIMITER = {
+        threshold: -1, // dBFS
+        knee: 0,
+        ratio: 20,
+        attack: 0.001, // 秒
+        release: 0.1 // 秒
+    };
+
+    static DOSE_INTERVAL = 0.5; // 聴取量を計測する間隔 (秒)
+    static DOSE_SAFE_LEVEL = 75; // 上限を超えた後に自動で下げる目標レベル (dB SPL)
+
     constructor() {
         this.audioContext = null;
         this.masterGain = null;
+        this.limiter = null;
+        this.outputMeter = null; // 最終出力のピーク・実効値
+        this.listeningDose = new ListeningDose();
+        this.doseLimit = 1; // 1日の聴取量の上限 (1で100%)
+        this.doseAction = 'warn'; // 上限を超えたとき ('warn' または 'reduce')
+        this.doseTimer = null; // 聴取量の計測タイマー (scheduler のID)
         this.analyser = null;
+        this.scopeAnalyser = null; // 波形表示用 (スペクトラムのFFTサイズに依存しないよう別に持つ)
         this.oscillator = null;
         this.equalLoudness = new EqualLoudness();
+        this.sampleLibrary = null;
         this.volume = 0.3;
         this.initialized = false;
-        this.autoStopTimer = null; // 自動停止用タイマー
+        this.scheduler = null; // 音声クロック基準のタイマー・再生イベント
+        this.toneGenerator = null; // トーン列用の AudioWorklet 生成器 (読み込めなければnull)
+        this.autoStopTimer = null; // 自動停止用タイマー (scheduler のID)
+        this.calibration = null; // 出力プロファイルの校正データ ({ name, offset })
     }
 
     /**
@@ -32,25 +55,175 @@ class AudioEngine {
             this.analyser.fftSize = 2048;
             this.analyser.smoothingTimeConstant = 0.8;
 
+            // 波形表示用アナライザー (10ms/div でもトリガー位置を探せる長さ)
+            this.scopeAnalyser = this.audioContext.createAnalyser();
+            this.scopeAnalyser.fftSize = 16384;
+
+            // 聴覚保護のリミッター (表示・計測はリミッター後の実際の出力で行う)
+            this.limiter = AudioEngine.createLimiter(this.audioContext);
+
             // 接続
-            this.masterGain.connect(this.analyser);
-            this.analyser.connect(this.audioContext.destination);
+            this.masterGain.connect(this.limiter);
+            this.limiter.connect(this.analyser);
+            this.analyser.connect(this.scopeAnalyser);
+            this.scopeAnalyser.connect(this.audioContext.destination);
+            this.outputMeter = new OutputMeter(this.audioContext, this.limiter);
+
+            // 読み込んだ音声ファイルの管理
+            this.sampleLibrary = new SampleLibrary(this.audioContext);
+
+            // 再生の予約と開始・終了の通知
+            this.scheduler = new AudioScheduler(this.audioContext);
+            await this.loadToneGenerator();
 
             this.initialized = true;
+            this.trackListeningDose(this.scheduler.now());
         } catch (error) {
             console.error('Audio Contextの初期化に失敗:', error);
             throw error;
         }
     }
 
+    /**
+     * 出力段のリミッターを作成
+     * @param {BaseAudioContext} context - AudioContext または OfflineAudioContext
+     * @returns {DynamicsCompressorNode} リミッター
+     */
+    static createLimiter(context) {
+        const limiter = context.createDynamicsCompressor();
+        const { threshold, knee, ratio, attack, release } = AudioEngine.LIMITER;
+        limiter.threshold.value = threshold;
+        limiter.knee.value = knee;
+        limiter.ratio.value = ratio;
+        limiter.attack.value = attack;
+        limiter.release.value = release;
+        return limiter;
+    }
+
+    /**
+     * 出力レベルを一定間隔で測り，聴取量を積算する
+     * @param {number} lastTime - 前回計測した時刻 (秒)
+     */
+    trackListeningDose(lastTime) {
+        this.doseTimer = this.scheduler.after(AudioEngine.DOSE_INTERVAL, (time) => {
+            this.updateListeningDose(time - lastTime);
+            this.trackListeningDose(time);
+        });
+    }
+
+    /**
+     * 直近の出力を聴取量に加え，上限を超えていれば警告・音量の自動調整を行う
+     * @param {number} seconds - 前回の計測からの経過時間 (秒)
+     */
+    updateListeningDose(seconds) {
+        const level = ListeningDose.estimateSpl(this.outputMeter.read().rms, this.calibration);
+        if (!this.listeningDose.add(level, seconds)) {
+            return;
+        }
+
+        const dose = this.listeningDose.getDose();
+        if (dose < this.doseLimit) {
+            return;
+        }
+
+        // 上限を超えた後は目標レベルまで音量を下げる
+        let reduced = false;
+        if (this.doseAction === 'reduce' && level > AudioEngine.DOSE_SAFE_LEVEL) {
+            // 出力は音量の2乗に比例するため，dB で差分を引く
+            this.setVolumeDb(this.getVolumeDb() + (AudioEngine.DOSE_SAFE_LEVEL - level));
+            reduced = true;
+        }
+        // 警告は1日1回 (音量を下げたときは毎回通知する)
+        const first = !this.listeningDose.isWarned();
+        if (first || reduced) {
+            this.listeningDose.markWarned();
+            this.scheduler.emit('doseexceeded', { dose, limit: this.doseLimit, level, reduced, first });
+        }
+    }
+
+    /**
+     * 1日の聴取量の上限と，超えたときの動作を設定
+     * @param {number} limit - 上限 (1で100%)
+     * @param {string} action - 'warn': 警告のみ，'reduce': 音量を自動で下げる
+     */
+    setDoseLimit(limit, action) {
+        this.doseLimit = limit;
+        this.doseAction = action;
+    }
+
+    /**
+     * 最終出力のレベルを取得 (メーター表示用)
+     * @returns {Object} { peak, rms (dBFS，直近0.1秒), reduction (リミッターの抑圧量 dB，0以下) }
+     */
+    getOutputLevel() {
+        if (!this.outputMeter) {
+            return { peak: OutputMeter.SILENCE, rms: OutputMeter.SILENCE, reduction: 0 };
+        }
+        return { ...this.outputMeter.read(0.1), reduction: this.limiter.reduction };
+    }
+
+    /**
+     * トーン列用の AudioWorklet 生成器を読み込む
+     * 読み込めない環境 (file:// で開いた場合など) では OscillatorNode で再生する
+     */
+    async loadToneGenerator() {
+        if (!this.audioContext.audioWorklet) {
+            return;
+        }
+
+        try {
+            await this.audioContext.audioWorklet.addModule('js/audio/worklets/ToneGeneratorProcessor.js');
+            this.toneGenerator = new AudioWorkletNode(this.audioContext, 'tone-generator', {
+                numberOfInputs: 0,
+                outputChannelCount: [2]
+            });
+            this.toneGenerator.connect(this.masterGain);
+        } catch (error) {
+            console.warn('AudioWorkletを読み込めないため，OscillatorNodeで再生します:', error);
+            this.toneGenerator = null;
+        }
+    }
+
+    /**
+     * 再生の終了時刻を計算
+     * @param {number} startTime - 開始時刻 (秒)
+     * @param {number} duration - 再生時間 (秒，0で無限)
+     * @param {Object|null} envelope - ADSR・トーンバースト設定 (バーストは duration によらず終わる)
+     * @returns {number|null} 終了時刻．停止するまで鳴らす場合はnull
+     */
+    static getPlaybackEndTime(startTime, duration, envelope = null) {
+        const env = Envelope.normalize(envelope);
+        if (!env.burst && duration <= 0) {
+            return null;
+        }
+        return startTime + Envelope.getTotalDuration(env, duration);
+    }
+
+    /**
+     * 持続時間が指定されていれば音声クロック上で停止を予約
+     * (自分で停止時刻を予約できないノイズ・音声ファイル用)
+     * @param {number} duration - 再生時間 (秒，0で無限)
+     */
+    scheduleAutoStop(duration) {
+        if (duration > 0) {
+            this.autoStopTimer = this.scheduler.after(duration, () => {
+                this.autoStopTimer = null;
+                this.stop();
+            });
+        }
+    }
+
     /**
      * 周波数を再生
      * @param {number} frequency - 周波数 (Hz)
-     * @param {string} waveform - 波形タイプ
+     * @param {string|Object} waveform - 波形タイプ (独自の音色は Timbre を参照)
      * @param {number} duration - 再生時間 (秒，0で無限)
      * @param {string} equalLoudnessMode - 等ラウドネスモード
+     * @param {Object|null} modulation - ビブラート・トレモロ設定
+     * @param {Object|null} envelope - ADSR・トーンバースト設定 (バーストの場合 duration は無視)
+     * @param {Function|null} onEnded - 鳴り終わったときのコールバック (stop() で止めた場合は呼ばれない)
      */
-    playFrequency(frequency, waveform = 'sine', duration = 0, equalLoudnessMode = 'off') {
+    playFrequency(frequency, waveform = 'sine', duration = 0, equalLoudnessMode = 'off', modulation = null, envelope = null, onEnded = null) {
         if (!this.initialized) {
             console.error('AudioEngineが初期化されていません');
             return;
@@ -61,25 +234,28 @@ class AudioEngine {
 
         // 新しいオシレーター作成（masterGainに接続）
         this.oscillator = new Oscillator(this.audioContext, this.equalLoudness, this.masterGain);
-        this.oscillator.start(frequency, waveform, this.volume, equalLoudnessMode);
+        this.oscillator.onEnded = onEnded;
+        this.oscillator.start(frequency, waveform, this.volume, this.resolveEqualLoudnessMode(equalLoudnessMode), modulation, envelope);
 
-        // 持続時間が指定されている場合は自動停止
+        // 持続時間が指定されている場合は音声クロック上で停止を予約
+        const now = this.audioContext.currentTime;
         if (duration > 0) {
-            this.autoStopTimer = setTimeout(() => {
-                this.stop();
-            }, duration * 1000);
+            this.oscillator.scheduleStop(now + duration);
         }
+        this.scheduler.beginPlayback('tone', now, AudioEngine.getPlaybackEndTime(now, duration, envelope));
     }
 
     /**
      * 複数周波数を再生（クイズ用）
      * @param {Array<number>} frequencies - 周波数の配列
      * @param {boolean} stereo - ステレオ配置
-     * @param {string} waveform - 波形タイプ
+     * @param {string|Object} waveform - 波形タイプ (独自の音色は Timbre を参照)
      * @param {number} duration - 再生時間 (秒，0で無限)
      * @param {string} equalLoudnessMode - 等ラウドネスモード
+     * @param {Object|null} modulation - ビブラート・トレモロ設定
+     * @param {Object|null} envelope - ADSR・トーンバースト設定 (バーストの場合 duration は無視)
      */
-    playMultiFrequency(frequencies, stereo = false, waveform = 'sine', duration = 0, equalLoudnessMode = 'off') {
+    playMultiFrequency(frequencies, stereo = false, waveform = 'sine', duration = 0, equalLoudnessMode = 'off', modulation = null, envelope = null) {
         if (!this.initialized) {
             console.error('AudioEngineが初期化されていません');
             return;
@@ -90,14 +266,291 @@ class AudioEngine {
 
         // 新しいマルチオシレーター作成
         this.oscillator = new MultiOscillator(this.audioContext, this.equalLoudness, this.masterGain);
-        this.oscillator.start(frequencies, stereo, waveform, this.volume, equalLoudnessMode);
+        this.oscillator.start(frequencies, stereo, waveform, this.volume, this.resolveEqualLoudnessMode(equalLoudnessMode), modulation, envelope);
 
-        // 持続時間が指定されている場合は自動停止
+        // 持続時間が指定されている場合は音声クロック上で停止を予約
+        const now = this.audioContext.currentTime;
         if (duration > 0) {
-            this.autoStopTimer = setTimeout(() => {
-                this.stop();
-            }, duration * 1000);
+            this.oscillator.scheduleStop(now + duration);
         }
+        this.scheduler.beginPlayback('tone', now, AudioEngine.getPlaybackEndTime(now, duration, envelope));
+    }
+
+    /**
+     * 複数トーンのミキサーを再生（フリープレイ用）
+     * @param {Array<Object>} channels - チャンネル設定の配列 (ToneMixer を参照)
+     * @param {string} equalLoudnessMode - 等ラウドネスモード
+     */
+    playMixer(channels, equalLoudnessMode = 'off') {
+        if (!this.initialized) {
+            console.error('AudioEngineが初期化されていません');
+            return;
+        }
+
+        // 既存のオシレーターを停止
+        this.stop();
+
+        // 新しいミキサー作成（masterGainに接続）
+        this.oscillator = new ToneMixer(this.audioContext, this.equalLoudness, this.masterGain);
+        this.oscillator.start(channels, this.volume, this.resolveEqualLoudnessMode(equalLoudnessMode));
+        this.scheduler.beginPlayback('mixer', this.audioContext.currentTime);
+    }
+
+    /**
+     * 再生中のミキサーのチャンネル設定を変更
+     * @param {Array<Object>} channels - チャンネル設定の配列
+     */
+    setMixerChannels(channels) {
+        if (this.oscillator instanceof ToneMixer) {
+            this.oscillator.setChannels(channels);
+        }
+    }
+
+    /**
+     * ノイズを再生
+     * @param {string} type - ノイズタイプ ('white', 'pink', 'brown', 'band')
+     * @param {number} duration - 再生時間 (秒，0で無限)
+     * @param {Object} options - 帯域ノイズ用オプション (centerFrequency, bandwidth, equalLoudnessMode)
+     */
+    playNoise(type = 'white', duration = 0, options = {}) {
+        if (!this.initialized) {
+            console.error('AudioEngineが初期化されていません');
+            return;
+        }
+
+        // 既存のオシレーターを停止
+        this.stop();
+
+        // 新しいノイズジェネレーター作成（masterGainに接続）
+        this.oscillator = new NoiseGenerator(this.audioContext, this.equalLoudness, this.masterGain);
+        this.oscillator.start(type, this.volume, {
+            ...options,
+            equalLoudnessMode: this.resolveEqualLoudnessMode(options.equalLoudnessMode || 'off')
+        });
+
+        const now = this.audioContext.currentTime;
+        this.scheduleAutoStop(duration);
+        this.scheduler.beginPlayback('noise', now, AudioEngine.getPlaybackEndTime(now, duration));
+    }
+
+    /**
+     * 検査音を再生（聴覚閾値チェック用）
+     * @param {Object} options - 検査音設定 (frequency, level, pan, pulses, pulseDuration, gap)
+     * @returns {number} 再生終了時刻 (AudioContextの時間軸)
+     */
+    playTestTone(options) {
+        if (!this.initialized) {
+            console.error('AudioEngineが初期化されていません');
+            return 0;
+        }
+
+        // 既存のオシレーターを停止
+        this.stop();
+
+        // 新しい検査音作成（masterGainに接続）
+        this.oscillator = new TestTone(this.audioContext, this.masterGain);
+        const endTime = this.oscillator.start(options);
+        this.scheduler.beginPlayback('testTone', this.audioContext.currentTime, endTime);
+        return endTime;
+    }
+
+    /**
+     * トーンと無音の列を再生 (A/B比較・上下法の刺激用)
+     * 各トーンの開始・終了は scheduler の 'tonestart'/'toneend' イベントで通知される
+     * @param {Array<Object>} steps - トーン ({ frequency, duration, level, pan, waveform }) または無音 ({ gap })
+     * @returns {Object|null} { sequenceId, tones, startTime, endTime } (時刻はAudioContextの時間軸)
+     */
+    playSequence(steps) {
+        if (!this.initialized) {
+            console.error('AudioEngineが初期化されていません');
+            return null;
+        }
+
+        // 既存のオシレーターを停止
+        this.stop();
+
+        // 新しいトーン列作成（masterGainに接続）
+        this.oscillator = new ToneSequence(this.audioContext, this.scheduler, this.masterGain, this.toneGenerator);
+        const timing = this.oscillator.start(steps);
+        this.scheduler.beginPlayback('sequence', timing.startTime, timing.endTime);
+        return timing;
+    }
+
+    /**
+     * 周波数スイープを再生
+     * @param {Object} options - スイープ設定 (startFrequency, endFrequency, duration, scale, repeat, waveform)
+     * @param {Function} onEnded - 1回のみのスイープが終わったときのコールバック
+     */
+    playSweep(options, onEnded = null) {
+        if (!this.initialized) {
+            console.error('AudioEngineが初期化されていません');
+            return;
+        }
+
+        // 既存のオシレーターを停止
+        this.stop();
+
+        // 新しいスイープジェネレーター作成（masterGainに接続）
+        this.oscillator = new SweepGenerator(this.audioContext, this.equalLoudness, this.masterGain, this.scheduler);
+        this.oscillator.onEnded = onEnded;
+        this.oscillator.start(options, this.volume);
+
+        // 1回のみのスイープはフェードアウトの後に終わる
+        const now = this.audioContext.currentTime;
+        const once = (options.repeat || 'once') === 'once';
+        this.scheduler.beginPlayback('sweep', now, once ? now + options.duration + 0.05 : null);
+    }
+
+    /**
+     * スイープ中の現在の周波数を取得
+     * @returns {number|null} 現在の周波数 (Hz)，スイープ中でなければnull
+     */
+    getSweepFrequency() {
+        if (this.oscillator instanceof SweepGenerator) {
+            return this.oscillator.getCurrentFrequency();
+        }
+        return null;
+    }
+
+    /**
+     * 音声ファイルを再生
+     * @param {Object} sample - SampleLibraryのサンプルオブジェクト
+     * @param {number} duration - 再生時間 (秒，0で無限)
+     * @param {Object} filter - フィルタ設定 (type, frequency, gain, q)
+     */
+    playSample(sample, duration = 0, filter = { type: 'off' }) {
+        if (!this.initialized) {
+            console.error('AudioEngineが初期化されていません');
+            return;
+        }
+
+        // 既存のオシレーターを停止
+        this.stop();
+
+        // 新しいサンプルプレイヤー作成（masterGainに接続）
+        this.oscillator = new SamplePlayer(this.audioContext, this.equalLoudness, this.masterGain);
+        this.oscillator.start(sample, this.volume, filter);
+
+        const now = this.audioContext.currentTime;
+        this.scheduleAutoStop(duration);
+        this.scheduler.beginPlayback('sample', now, AudioEngine.getPlaybackEndTime(now, duration));
+    }
+
+    /**
+     * 再生中の音声ファイルのフィルタを変更
+     * @param {Object} filter - フィルタ設定 (type, frequency, gain, q)
+     */
+    setSampleFilter(filter) {
+        if (this.oscillator instanceof SamplePlayer) {
+            this.oscillator.setFilter(filter);
+        }
+    }
+
+    /**
+     * 再生中の音声ファイルのループ位置・ゲインを再適用
+     * @param {string} sampleId - 変更したサンプルのID
+     */
+    updateSample(sampleId) {
+        if (this.oscillator instanceof SamplePlayer && this.oscillator.sample.id === sampleId) {
+            this.oscillator.updateSample();
+        }
+    }
+
+    /**
+     * EQ付きでソースを再生（EQ当てクイズ用）
+     * @param {Object} eq - EQ設定 (frequency, gain, q, sample)
+     * @param {number} duration - 再生時間 (秒，0で無限)
+     */
+    playEqFilter(eq, duration = 0) {
+        if (!this.initialized) {
+            console.error('AudioEngineが初期化されていません');
+            return;
+        }
+
+        // 既存のオシレーターを停止
+        this.stop();
+
+        // 新しいEQプレイヤー作成（masterGainに接続）
+        this.oscillator = new EqFilterPlayer(this.audioContext, this.equalLoudness, this.masterGain);
+        this.oscillator.start(eq, this.volume);
+
+        const now = this.audioContext.currentTime;
+        this.scheduleAutoStop(duration);
+        this.scheduler.beginPlayback('eq', now, AudioEngine.getPlaybackEndTime(now, duration));
+    }
+
+    /**
+     * 再生中のEQのバイパスを切り替え
+     * @param {boolean} bypassed - trueでフラット
+     */
+    setEqBypass(bypassed) {
+        if (this.oscillator instanceof EqFilterPlayer) {
+            this.oscillator.setBypass(bypassed);
+        }
+    }
+
+    /**
+     * 単一周波数をオフラインで書き出し
+     * playFrequency と同じ波形・等ラウドネス補正・エンベロープで描画する
+     * @param {number} frequency - 周波数 (Hz)
+     * @param {string|Object} waveform - 波形タイプ (独自の音色は Timbre を参照)
+     * @param {number} duration - 再生時間 (秒)
+     * @param {string} equalLoudnessMode - 等ラウドネスモード
+     * @param {Object|null} modulation - ビブラート・トレモロ設定
+     * @param {Object|null} envelope - ADSR・トーンバースト設定
+     * @returns {Promise<AudioBuffer>} 書き出した音声
+     */
+    renderFrequency(frequency, waveform = 'sine', duration = 10, equalLoudnessMode = 'off', modulation = null, envelope = null) {
+        return this.renderOffline(Envelope.getTotalDuration(envelope, duration), (offlineContext, destination) => {
+            const oscillator = new Oscillator(offlineContext, this.equalLoudness, destination);
+            oscillator.start(frequency, waveform, this.volume, this.resolveEqualLoudnessMode(equalLoudnessMode), modulation, envelope);
+            oscillator.scheduleStop(duration);
+        });
+    }
+
+    /**
+     * 複数周波数をオフラインで書き出し
+     * playMultiFrequency と同じステレオ配置・等ラウドネス補正・エンベロープで描画する
+     * @param {Array<number>} frequencies - 周波数の配列
+     * @param {boolean} stereo - ステレオ配置
+     * @param {string|Object} waveform - 波形タイプ (独自の音色は Timbre を参照)
+     * @param {number} duration - 再生時間 (秒)
+     * @param {string} equalLoudnessMode - 等ラウドネスモード
+     * @param {Object|null} modulation - ビブラート・トレモロ設定
+     * @param {Object|null} envelope - ADSR・トーンバースト設定
+     * @returns {Promise<AudioBuffer>} 書き出した音声
+     */
+    renderMultiFrequency(frequencies, stereo = false, waveform = 'sine', duration = 10, equalLoudnessMode = 'off', modulation = null, envelope = null) {
+        return this.renderOffline(Envelope.getTotalDuration(envelope, duration), (offlineContext, destination) => {
+            const oscillator = new MultiOscillator(offlineContext, this.equalLoudness, destination);
+            oscillator.start(frequencies, stereo, waveform, this.volume, this.resolveEqualLoudnessMode(equalLoudnessMode), modulation, envelope);
+            oscillator.scheduleStop(duration);
+        });
+    }
+
+    /**
+     * OfflineAudioContextで描画
+     * masterGainと同じ音量とリミッターを掛けたうえでステレオ2chに書き出す
+     * @param {number} duration - 書き出す長さ (秒，リリースを含む)
+     * @param {Function} setup - (offlineContext, destination) を受け取り音源を配置する関数
+     * @returns {Promise<AudioBuffer>} 書き出した音声
+     */
+    async renderOffline(duration, setup) {
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const sampleRate = this.audioContext ? this.audioContext.sampleRate : 44100;
+        // 末尾が切れないよう少し余裕を持たせる
+        const length = Math.ceil((duration + 0.05) * sampleRate);
+        const offlineContext = new OfflineContext(2, length, sampleRate);
+
+        const masterGain = offlineContext.createGain();
+        masterGain.gain.value = this.volume;
+        const limiter = AudioEngine.createLimiter(offlineContext);
+        masterGain.connect(limiter);
+        limiter.connect(offlineContext.destination);
+
+        setup(offlineContext, masterGain);
+
+        return offlineContext.startRendering();
     }
 
     /**
@@ -106,7 +559,7 @@ class AudioEngine {
     stop() {
         // 自動停止タイマーをクリア
         if (this.autoStopTimer) {
-            clearTimeout(this.autoStopTimer);
+            this.scheduler.cancel(this.autoStopTimer);
             this.autoStopTimer = null;
         }
 
@@ -115,6 +568,14 @@ class AudioEngine {
             this.oscillator.stop();
             this.oscillator = null;
         }
+
+        // 鳴り終わる前に止めた場合は終了を通知
+        if (this.scheduler) {
+            this.scheduler.endPlayback(true);
+        }
+
+        // まだ保存していない聴取量を保存
+        this.listeningDose.save();
     }
 
     /**
@@ -131,6 +592,73 @@ class AudioEngine {
         }
     }
 
+    /**
+     * トーンの出力レベルを dB で設定
+     * トーンはOscillatorのゲインとmasterGainの両方で音量が掛かるため，
+     * 出力レベルは音量 (線形) の2乗になる
+     * @param {number} db - トーンの出力レベル (dBFS)
+     */
+    setVolumeDb(db) {
+        this.setVolume(MathUtils.dbToGain(db / 2));
+    }
+
+    /**
+     * 現在の音量でのトーンの出力レベルを取得
+     * @returns {number} 出力レベル (dBFS)
+     */
+    getVolumeDb() {
+        return 2 * MathUtils.gainToDb(this.volume);
+    }
+
+    /**
+     * 出力プロファイルの校正データを設定
+     * @param {Object|null} calibration - 校正データ ({ name, offset })，nullで未校正
+     */
+    setCalibration(calibration) {
+        this.calibration = calibration;
+    }
+
+    /**
+     * 現在の音量でのトーンのおおよその音圧を取得
+     * @returns {number|null} 推定 dB SPL．未校正ならnull
+     */
+    getEstimatedSpl() {
+        return Calibration.toSpl(this.getVolumeDb(), this.calibration);
+    }
+
+    /**
+     * 等ラウドネスモードを解決
+     * 'auto' は校正済みなら再生レベル (1kHzの dB SPL = phon) の曲線，未校正なら補正なしになる
+     * @param {string} equalLoudnessMode - 等ラウドネスモード
+     * @returns {string} 実際に使うモード
+     */
+    resolveEqualLoudnessMode(equalLoudnessMode) {
+        if (equalLoudnessMode !== 'auto') {
+            return equalLoudnessMode;
+        }
+        const spl = this.getEstimatedSpl();
+        if (spl === null) {
+            return 'off';
+        }
+        return String(MathUtils.clamp(Math.round(spl), EqualLoudness.MIN_PHON, EqualLoudness.MAX_PHON));
+    }
+
+    /**
+     * 個人の等ラウドネス曲線を設定 ('personal' モードで使用)
+     * @param {Object|null} contour - LoudnessMatch の結果，nullで解除
+     */
+    setPersonalLoudnessCurve(contour) {
+        this.equalLoudness.setPersonalCurve(contour);
+    }
+
+    /**
+     * 等ラウドネス曲線の規格を切り替え
+     * @param {string} standard - '2003' または '2023'
+     */
+    setEqualLoudnessStandard(standard) {
+        this.equalLoudness.setStandard(standard);
+    }
+
     /**
      * Audio Contextを再開 (ユーザーインタラクション後)
      */
@@ -140,6 +668,55 @@ class AudioEngine {
         }
     }
 
+    /**
+     * アナライザーの FFT サイズと時間方向の平滑化を設定
+     * @param {Object} options - { fftSize: 512〜32768 (2のべき乗), smoothing: 0〜1 }
+     */
+    setAnalyserOptions(options) {
+        if (!this.analyser) {
+            return;
+        }
+
+        if (options.fftSize !== undefined) {
+            try {
+                this.analyser.fftSize = options.fftSize;
+            } catch (error) {
+                console.error('FFTサイズの設定に失敗:', error);
+            }
+        }
+        if (options.smoothing !== undefined) {
+            this.analyser.smoothingTimeConstant = MathUtils.clamp(options.smoothing, 0, 0.99);
+        }
+    }
+
+    /**
+     * アナライザーの周波数データを dB で取得
+     * @returns {Float32Array} 周波数データ (dBFS，ビンごと)
+     */
+    getFloatFrequencyData() {
+        if (!this.analyser) {
+            return new Float32Array(0);
+        }
+
+        const dataArray = new Float32Array(this.analyser.frequencyBinCount);
+        this.analyser.getFloatFrequencyData(dataArray);
+        return dataArray;
+    }
+
+    /**
+     * 波形表示用の時間領域データを取得
+     * @returns {Float32Array} 直近のサンプル (-1〜1)
+     */
+    getTimeDomainData() {
+        if (!this.scopeAnalyser) {
+            return new Float32Array(0);
+        }
+
+        const dataArray = new Float32Array(this.scopeAnalyser.fftSize);
+        this.scopeAnalyser.getFloatTimeDomainData(dataArray);
+        return dataArray;
+    }
+
     /**
      * アナライザーのデータを取得
      * @returns {Uint8Array} 周波数データ
@@ -168,27 +745,58 @@ class AudioEngine {
      * @param {number} frequency - 新しい周波数
      */
     setFrequency(frequency) {
-        if (this.oscillator) {
+        if (this.oscillator && this.oscillator.setFrequency) {
             this.oscillator.setFrequency(frequency);
         }
     }
 
     /**
      * 再生中の波形を変更
-     * @param {string} waveform - 新しい波形
+     * @param {string|Object} waveform - 新しい波形
      */
     setWaveform(waveform) {
-        if (this.oscillator) {
+        if (this.oscillator && this.oscillator.setWaveform) {
             this.oscillator.setWaveform(waveform);
         }
     }
 
+    /**
+     * 再生中のビブラート・トレモロ設定を変更
+     * @param {Object} modulation - 変調設定
+     */
+    setModulation(modulation) {
+        if (this.oscillator && this.oscillator.setModulation) {
+            this.oscillator.setModulation(modulation);
+        }
+    }
+
+    /**
+     * 再生中の帯域ノイズの帯域幅を変更
+     * @param {number} octaves - 帯域幅 (オクターブ)
+     */
+    setNoiseBandwidth(octaves) {
+        if (this.oscillator instanceof NoiseGenerator) {
+            this.oscillator.setBandwidth(octaves);
+        }
+    }
+
     /**
      * 再生中の等ラウドネス補正を再適用
      * @param {number} frequency - 周波数
      * @param {string} equalLoudnessMode - 等ラウドネスモード
      */
     updateEqualLoudness(frequency, equalLoudnessMode) {
+        equalLoudnessMode = this.resolveEqualLoudnessMode(equalLoudnessMode);
+
+        // ノイズ・音声ファイルは各クラスで補正量を計算
+        if (this.oscillator && this.oscillator.getCorrectedGain) {
+            if (this.oscillator.isPlaying) {
+                this.oscillator.equalLoudnessMode = equalLoudnessMode;
+                this.oscillator.setVolume(this.oscillator.getCorrectedGain(this.volume));
+            }
+            return;
+        }
+
         if (this.oscillator && this.oscillator.isPlaying) {
             let correctedGain = this.volume;
             if (this.equalLoudness && equalLoudnessMode !== 'off') {
@@ -0,0 +1,166 @@
+/**
+ * AudioScheduler - 音声クロック (AudioContext.currentTime) 基準のスケジューラー
+ * setTimeout/setInterval はタブが重いときや裏にあるときに遅れるため，
+ * 無音の ConstantSourceNode を予約時刻に停止させ，その onended でコールバックを呼ぶ．
+ * 再生の開始・終了はイベント ('start', 'end') として通知し，UIやタイマーはそれに従う
+ */
+class AudioScheduler {
+    static LEAD_TIME = 0.05; // 予約を確実に間に合わせるための余裕 (秒)
+
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.listeners = {}; // イベント名 → リスナーの配列
+        this.timers = new Map(); // ID → ConstantSourceNode
+        this.nextId = 1;
+        this.playback = null; // 現在の再生 { id, label, startTime, endTime, endTimer }
+    }
+
+    /**
+     * 現在の音声クロックの時刻
+     * @returns {number} 秒
+     */
+    now() {
+        return this.audioContext.currentTime;
+    }
+
+    /**
+     * イベントリスナーを登録
+     * @param {string} type - 'start'，'end' または再生元が通知する任意のイベント名
+     * @param {Function} listener - detail を受け取るコールバック
+     */
+    on(type, listener) {
+        if (!this.listeners[type]) {
+            this.listeners[type] = [];
+        }
+        this.listeners[type].push(listener);
+    }
+
+    /**
+     * イベントリスナーを解除
+     * @param {string} type - イベント名
+     * @param {Function} listener - 登録したコールバック
+     */
+    off(type, listener) {
+        if (this.listeners[type]) {
+            this.listeners[type] = this.listeners[type].filter(l => l !== listener);
+        }
+    }
+
+    /**
+     * イベントを通知
+     * @param {string} type - イベント名
+     * @param {Object} detail - イベントの内容
+     */
+    emit(type, detail = {}) {
+        (this.listeners[type] || []).slice().forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`${type} イベントの処理に失敗:`, error);
+            }
+        });
+    }
+
+    /**
+     * 音声クロックの指定時刻にコールバックを呼ぶ
+     * @param {number} time - 時刻 (秒，AudioContextの時間軸．過去なら次の処理単位ですぐ呼ばれる)
+     * @param {Function} callback - コールバック (予約した時刻を受け取る)
+     * @returns {number} タイマーID (cancel で取り消す)
+     */
+    at(time, callback) {
+        const id = this.nextId++;
+        const now = this.now();
+        const source = this.audioContext.createConstantSource();
+        source.offset.value = 0;
+        source.connect(this.audioContext.destination); // 接続していないと処理されないブラウザがある
+        source.onended = () => {
+            source.disconnect();
+            if (this.timers.get(id) === source) {
+                this.timers.delete(id);
+                callback(time);
+            }
+        };
+        source.start(now);
+        source.stop(Math.max(time, now));
+        this.timers.set(id, source);
+        return id;
+    }
+
+    /**
+     * 現在から指定秒数後にコールバックを呼ぶ
+     * @param {number} delay - 待ち時間 (秒)
+     * @param {Function} callback - コールバック
+     * @returns {number} タイマーID
+     */
+    after(delay, callback) {
+        return this.at(this.now() + delay, callback);
+    }
+
+    /**
+     * 予約を取り消す
+     * @param {number|null} id - タイマーID
+     */
+    cancel(id) {
+        const source = this.timers.get(id);
+        if (!source) {
+            return;
+        }
+        this.timers.delete(id);
+        source.onended = null;
+        source.stop();
+        source.disconnect();
+    }
+
+    /**
+     * 再生の開始・終了を音声クロックに合わせて通知
+     * 前の再生がまだ終わっていなければ，先に中断として 'end' を通知する
+     * @param {string} label - 再生の種類 ('tone'，'noise'，'sequence' など)
+     * @param {number} startTime - 開始時刻 (秒)
+     * @param {number|null} endTime - 終了時刻 (秒，nullは停止するまで)
+     * @returns {number} 再生ID
+     */
+    beginPlayback(label, startTime, endTime = null) {
+        this.endPlayback(true);
+
+        const id = this.nextId++;
+        this.playback = { id, label, startTime, endTime, endTimer: null };
+        this.emit('start', { id, label, time: startTime, endTime });
+
+        if (endTime !== null) {
+            this.playback.endTimer = this.at(endTime, () => {
+                if (this.playback && this.playback.id === id) {
+                    this.playback = null;
+                    this.emit('end', { id, label, time: endTime, stopped: false });
+                }
+            });
+        }
+        return id;
+    }
+
+    /**
+     * 現在の再生の終了を通知 (停止したとき)
+     * @param {boolean} stopped - 途中で止めたかどうか
+     */
+    endPlayback(stopped = true) {
+        if (!this.playback) {
+            return;
+        }
+
+        const { id, label, endTimer } = this.playback;
+        this.cancel(endTimer);
+        this.playback = null;
+        this.emit('end', { id, label, time: this.now(), stopped });
+    }
+
+    /**
+     * 現在の再生の経過割合を取得 (プログレスバー用)
+     * @returns {number|null} 0〜1．再生していないか終了時刻がなければnull
+     */
+    getPlaybackProgress() {
+        if (!this.playback || this.playback.endTime === null) {
+            return null;
+        }
+        const { startTime, endTime } = this.playback;
+        return MathUtils.clamp((this.now() - startTime) / (endTime - startTime), 0, 1);
+    }
+}
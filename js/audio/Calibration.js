@@ -0,0 +1,42 @@
+/**
+ * Calibration - 再生レベル校正クラス
+ * 1kHz基準音の出力レベル (dBFS) と実際の音圧 (dB SPL) の差を
+ * 出力デバイスのプロファイルごとに求め，おおよその dB SPL 換算に使う
+ */
+class Calibration {
+    static REFERENCE_FREQUENCY = 1000;
+    static DEFAULT_REFERENCE_LEVEL = -20;
+
+    // 騒音計がない場合に合わせる身近な音 (おおよその dB SPL)
+    static REFERENCE_SOUNDS = [
+        { key: 'whisper', label: 'ささやき声 (約30dB)', spl: 30 },
+        { key: 'library', label: '静かな図書館 (約40dB)', spl: 40 },
+        { key: 'office', label: '静かなオフィス (約50dB)', spl: 50 },
+        { key: 'conversation', label: '1m先の普通の会話 (約60dB)', spl: 60 },
+        { key: 'vacuum', label: '掃除機 (約70dB)', spl: 70 }
+    ];
+
+    /**
+     * 校正オフセットを計算
+     * @param {number} targetSpl - 基準音の実際の大きさ (dB SPL)
+     * @param {number} referenceLevel - 基準音のレベル (dB，TestToneのレベル)
+     * @param {number} volume - 校正時のマスター音量 (0-1)
+     * @returns {number} オフセット (0dBFS出力時の dB SPL)
+     */
+    static computeOffset(targetSpl, referenceLevel, volume) {
+        return targetSpl - (referenceLevel + MathUtils.gainToDb(volume));
+    }
+
+    /**
+     * 出力レベルを dB SPL に換算
+     * @param {number} outputDb - 出力レベル (dBFS)
+     * @param {Object|null} calibration - 校正データ ({ name, offset })
+     * @returns {number|null} 推定 dB SPL．未校正ならnull
+     */
+    static toSpl(outputDb, calibration) {
+        if (!calibration) {
+            return null;
+        }
+        return outputDb + calibration.offset;
+    }
+}
@@ -0,0 +1,122 @@
+/**
+ * Envelope - ADSRエンベロープ・トーンバーストクラス
+ * GainNode の gain にアタック/ディケイ/サステイン/リリースを音声クロック上で予約する．
+ * burst を指定すると短いトーンを間隔を空けて指定回数鳴らす
+ */
+class Envelope {
+    // 従来の50msフェードイン/フェードアウトに相当
+    static DEFAULT = {
+        attack: 0.05, // 秒
+        decay: 0, // 秒
+        sustain: 1, // ピークに対する比 (0-1)
+        release: 0.05, // 秒
+        burst: null // { count: 回数, toneDuration: 1回の長さ (秒), gap: 間隔 (秒) }
+    };
+
+    // クリック音を防ぐための最短のアタック/リリース (秒)
+    static MIN_RAMP = 0.005;
+
+    /**
+     * 設定を既定値で補い，範囲内に収める
+     * @param {Object|null} envelope - エンベロープ設定
+     * @returns {Object} 正規化した設定
+     */
+    static normalize(envelope) {
+        const env = { ...this.DEFAULT, ...(envelope || {}) };
+        env.attack = Math.max(this.MIN_RAMP, env.attack);
+        env.decay = Math.max(0, env.decay);
+        env.sustain = MathUtils.clamp(env.sustain, 0, 1);
+        env.release = Math.max(this.MIN_RAMP, env.release);
+        if (env.burst) {
+            env.burst = {
+                count: Math.max(1, Math.round(env.burst.count)),
+                toneDuration: Math.max(0.02, env.burst.toneDuration),
+                gap: Math.max(0, env.burst.gap)
+            };
+        }
+        return env;
+    }
+
+    /**
+     * 鳴り終わるまでの長さを取得
+     * @param {Object|null} envelope - エンベロープ設定
+     * @param {number} duration - バーストでない場合の持続時間 (秒)
+     * @returns {number} リリースを含む長さ (秒)
+     */
+    static getTotalDuration(envelope, duration) {
+        const env = this.normalize(envelope);
+        if (env.burst) {
+            const { count, toneDuration, gap } = env.burst;
+            return (count - 1) * (toneDuration + gap) + toneDuration + env.release;
+        }
+        return duration + env.release;
+    }
+
+    /**
+     * 音の立ち上がり (アタック→ディケイ→サステイン) を予約
+     * @param {AudioParam} param - GainNode の gain
+     * @param {number} peak - ピークのゲイン
+     * @param {number} start - 開始時刻
+     * @param {Object} env - 正規化したエンベロープ設定
+     * @param {number} gate - 鳴らす長さ (秒)．アタック・ディケイがこれより長い場合は途中で打ち切る
+     * @returns {number} gate 終了時のゲイン (リリースの開始レベル)
+     */
+    static scheduleAttack(param, peak, start, env, gate = Infinity) {
+        param.setValueAtTime(0, start);
+
+        // アタックの途中で打ち切り
+        if (gate < env.attack) {
+            const level = peak * gate / env.attack;
+            param.linearRampToValueAtTime(level, start + gate);
+            return level;
+        }
+        param.linearRampToValueAtTime(peak, start + env.attack);
+
+        // ディケイの途中で打ち切り
+        const sustainLevel = peak * env.sustain;
+        if (gate < env.attack + env.decay) {
+            const level = MathUtils.lerp(peak, sustainLevel, (gate - env.attack) / env.decay);
+            param.linearRampToValueAtTime(level, start + gate);
+            return level;
+        }
+        if (env.decay > 0) {
+            param.linearRampToValueAtTime(sustainLevel, start + env.attack + env.decay);
+        }
+        return sustainLevel;
+    }
+
+    /**
+     * リリースを予約
+     * @param {AudioParam} param - GainNode の gain
+     * @param {number} level - リリース開始時のゲイン
+     * @param {number} when - リリース開始時刻
+     * @param {Object} env - 正規化したエンベロープ設定
+     * @returns {number} 無音になる時刻
+     */
+    static scheduleRelease(param, level, when, env) {
+        param.setValueAtTime(level, when);
+        param.linearRampToValueAtTime(0, when + env.release);
+        return when + env.release;
+    }
+
+    /**
+     * トーンバースト全体を予約
+     * @param {AudioParam} param - GainNode の gain
+     * @param {number} peak - ピークのゲイン
+     * @param {number} start - 開始時刻
+     * @param {Object} env - 正規化したエンベロープ設定 (burst を含む)
+     * @returns {number} 最後のトーンが無音になる時刻
+     */
+    static scheduleBurst(param, peak, start, env) {
+        const { count, toneDuration, gap } = env.burst;
+        let end = start;
+
+        for (let i = 0; i < count; i++) {
+            const toneStart = start + i * (toneDuration + gap);
+            const level = this.scheduleAttack(param, peak, toneStart, env, toneDuration);
+            end = this.scheduleRelease(param, level, toneStart + toneDuration, env);
+        }
+
+        return end;
+    }
+}
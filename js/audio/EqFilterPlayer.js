@@ -0,0 +1,139 @@
+/**
+ * EqFilterPlayer - EQ付きソース再生クラス
+ * ピンクノイズや読み込んだ音声ファイルをピーキングフィルタに通して再生し，
+ * フラット (EQなし) との聴き比べに対応
+ */
+class EqFilterPlayer {
+    constructor(audioContext, equalLoudness, destination) {
+        this.audioContext = audioContext;
+        this.equalLoudness = equalLoudness;
+        this.destination = destination;
+        this.source = null;
+        this.filter = null;
+        this.gainNode = null;
+        this.eqGain = 0;
+        this.trim = 1;
+        this.bypassed = false;
+        this.isPlaying = false;
+    }
+
+    /**
+     * EQ付きでソースを再生
+     * @param {Object} eq - EQ設定
+     * @param {number} eq.frequency - 中心周波数 (Hz)
+     * @param {number} eq.gain - ブースト/カット量 (dB)
+     * @param {number} eq.q - Q値
+     * @param {Object} eq.sample - SampleLibraryのサンプル (省略時はピンクノイズ)
+     * @param {number} volume - 音量 (0-1)
+     */
+    start(eq, volume = 0.3) {
+        if (this.isPlaying) {
+            this.stop();
+        }
+
+        this.eqGain = eq.gain;
+
+        if (eq.sample) {
+            this.source = SampleLibrary.createSource(this.audioContext, eq.sample);
+        } else {
+            this.source = this.audioContext.createBufferSource();
+            this.source.buffer = NoiseGenerator.createBuffer(this.audioContext, 'pink');
+            this.source.loop = true;
+        }
+        this.trim = eq.sample ? MathUtils.dbToGain(eq.sample.gainDb) : 1;
+
+        // ピーキングフィルタ
+        this.filter = this.audioContext.createBiquadFilter();
+        this.filter.type = 'peaking';
+        this.filter.frequency.value = eq.frequency;
+        this.filter.Q.value = eq.q;
+        this.filter.gain.value = this.bypassed ? 0 : eq.gain;
+
+        this.gainNode = this.audioContext.createGain();
+
+        // ブースト時にクリップしないようヘッドルームを確保
+        const headroom = MathUtils.dbToGain(-Math.max(0, eq.gain));
+        const targetGain = volume * headroom * this.trim;
+
+        // フェードイン処理
+        this.gainNode.gain.setValueAtTime(0, this.audioContext.currentTime);
+        this.gainNode.gain.exponentialRampToValueAtTime(
+            Math.max(0.001, targetGain),
+            this.audioContext.currentTime + 0.05
+        );
+
+        // 接続
+        this.source.connect(this.filter);
+        this.filter.connect(this.gainNode);
+        this.gainNode.connect(this.destination || this.audioContext.destination);
+
+        // 開始 (音声ファイルはループ開始位置から)
+        this.source.start(this.audioContext.currentTime, eq.sample ? eq.sample.loopStart : 0);
+        this.isPlaying = true;
+    }
+
+    /**
+     * 再生を停止
+     */
+    stop() {
+        if (!this.source || !this.isPlaying) {
+            return;
+        }
+
+        // フェードアウト処理
+        const currentGain = this.gainNode.gain.value;
+        this.gainNode.gain.cancelScheduledValues(this.audioContext.currentTime);
+        this.gainNode.gain.setValueAtTime(currentGain, this.audioContext.currentTime);
+        this.gainNode.gain.exponentialRampToValueAtTime(
+            0.001,
+            this.audioContext.currentTime + 0.05
+        );
+
+        // 停止
+        this.source.stop(this.audioContext.currentTime + 0.05);
+        this.isPlaying = false;
+
+        // クリーンアップ (鳴り終わってから解放)
+        const source = this.source;
+        const filter = this.filter;
+        const gainNode = this.gainNode;
+        this.source = null;
+        this.filter = null;
+        this.gainNode = null;
+        source.onended = () => {
+            source.disconnect();
+            filter.disconnect();
+            gainNode.disconnect();
+        };
+    }
+
+    /**
+     * EQのバイパスを切り替え (フラット/EQありの聴き比べ)
+     * @param {boolean} bypassed - trueでフラット
+     */
+    setBypass(bypassed) {
+        this.bypassed = bypassed;
+        if (this.filter && this.isPlaying) {
+            // クリックノイズを避けるため短い時定数で切り替え
+            this.filter.gain.setTargetAtTime(
+                bypassed ? 0 : this.eqGain,
+                this.audioContext.currentTime,
+                0.01
+            );
+        }
+    }
+
+    /**
+     * 音量を変更 (リアルタイム)
+     * @param {number} volume - 新しい音量 (0-1)
+     */
+    setVolume(volume) {
+        if (this.gainNode && this.isPlaying) {
+            const headroom = MathUtils.dbToGain(-Math.max(0, this.eqGain));
+            this.gainNode.gain.setValueAtTime(
+                volume * headroom * this.trim,
+                this.audioContext.currentTime
+            );
+        }
+    }
+}
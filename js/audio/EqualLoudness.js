@@ -1,129 +1,270 @@
 /**
  * EqualLoudness - 等ラウドネス補正クラス
- * ISO 226:2003準拠の等ラウドネス曲線データに基づいて
- * 周波数ごとのゲイン補正を計算
+ * ISO 226 (2003/2023) の計算式から任意のラウドネスレベル (0-90 phon) の
+ * 等ラウドネス曲線を求め，周波数ごとのゲイン補正を計算．
+ * ラウドネスマッチングで測定した個人の曲線 ('personal') による補正にも対応
  */
 class EqualLoudness {
-    constructor() {
-        this.curves = null;
-        this.loadCurves();
+    static MIN_PHON = 0;
+    static MAX_PHON = 90;
+
+    // 過大な増幅を防ぐため，1kHzに対するブーストはこの値までに制限する．
+    // 低いラウドネスレベルの低域 (例: 40 phon の 50Hz 以下) は必要な補正がこれを超えるため，
+    // その周波数では1kHzと同じ大きさにはならない
+    static MAX_BOOST_DB = 20;
+
+    // 規格の周波数 (Hz)．範囲外の周波数は両端のパラメータを使う
+    static FREQUENCIES = [
+        20, 25, 31.5, 40, 50, 63, 80, 100, 125, 160, 200, 250, 315, 400, 500, 630,
+        800, 1000, 1250, 1600, 2000, 2500, 3150, 4000, 5000, 6300, 8000, 10000, 12500
+    ];
+
+    // 規格ごとのパラメータ (αf: ラウドネス知覚の指数, Lu: 伝達関数の大きさ, Tf: 聴覚閾値)
+    static STANDARDS = {
+        '2003': {
+            label: 'ISO 226:2003',
+            referenceExponent: 0.25,
+            alpha: [
+                0.532, 0.506, 0.480, 0.455, 0.432, 0.409, 0.387, 0.367, 0.349, 0.330, 0.315, 0.301, 0.288, 0.276, 0.267, 0.259,
+                0.253, 0.250, 0.246, 0.244, 0.243, 0.243, 0.243, 0.242, 0.242, 0.245, 0.254, 0.271, 0.301
+            ],
+            lu: [
+                -31.6, -27.2, -23.0, -19.1, -15.9, -13.0, -10.3, -8.1, -6.2, -4.5, -3.1, -2.0, -1.1, -0.4, 0.0, 0.3,
+                0.5, 0.0, -2.7, -4.1, -1.0, 1.7, 2.5, 1.2, -2.1, -7.1, -11.2, -10.7, -3.1
+            ],
+            threshold: [
+                78.5, 68.7, 59.5, 51.1, 44.0, 37.5, 31.5, 26.5, 22.1, 17.9, 14.4, 11.4, 8.6, 6.2, 4.4, 3.0,
+                2.2, 2.4, 3.5, 1.7, -1.3, -4.2, -6.0, -5.4, -1.5, 6.0, 12.6, 13.9, 12.3
+            ]
+        },
+        '2023': {
+            label: 'ISO 226:2023',
+            referenceExponent: 0.3,
+            alpha: [
+                0.635, 0.602, 0.569, 0.537, 0.509, 0.482, 0.456, 0.433, 0.412, 0.391, 0.373, 0.357, 0.343, 0.330, 0.320, 0.311,
+                0.303, 0.300, 0.295, 0.292, 0.290, 0.290, 0.289, 0.289, 0.289, 0.293, 0.303, 0.323, 0.354
+            ],
+            lu: [
+                -31.5, -27.2, -23.1, -19.3, -16.1, -13.1, -10.4, -8.2, -6.3, -4.6, -3.2, -2.1, -1.2, -0.5, 0.0, 0.4,
+                0.5, 0.0, -2.7, -4.2, -1.2, 1.4, 2.3, 1.0, -2.3, -7.2, -11.2, -10.9, -3.5
+            ],
+            threshold: [
+                78.1, 68.7, 59.5, 51.1, 44.0, 37.5, 31.5, 26.5, 22.1, 17.9, 14.4, 11.4, 8.4, 5.8, 3.8, 2.1,
+                1.0, 0.8, 1.9, 0.5, -1.5, -3.1, -4.0, -3.8, -1.8, 2.5, 6.8, 8.4, 14.4
+            ]
+        }
+    };
+
+    // 個人の等ラウドネス曲線を使うモード
+    static PERSONAL = 'personal';
+
+    /**
+     * @param {string} standard - 使用する規格 ('2003' または '2023')
+     */
+    constructor(standard = '2023') {
+        this.standard = standard;
+        this.personalCurve = null; // { frequencies: [...], corrections: [...] } (周波数の昇順)
+    }
+
+    /**
+     * 1kHzの聴覚閾値 (基準音の項に使う Tr)
+     * 規格の表の 1kHz の Tf を使い，1kHz で Lp = LN となるようにする．
+     * 2003年版では 2.4dB．2023年版の式は 10^0.072 (Tr = 2.4dB) のままだが表の Tf は 0.8dB に改訂されており，
+     * 式の定数をそのまま使うと 1kHz が LN からずれる (20 phon で約 19.5dB) ため，表の値にそろえる
+     * @param {Object} params - 規格のパラメータ
+     * @returns {number} dB
+     */
+    static getReferenceThreshold(params) {
+        return params.threshold[EqualLoudness.FREQUENCIES.indexOf(1000)];
     }
 
     /**
-     * 等ラウドネス曲線データを読み込み
+     * 個人の等ラウドネス曲線を設定
+     * @param {Object|null} contour - LoudnessMatch の結果 (corrections: {周波数: 1kHzに対する補正値 dB})．nullで解除
      */
-    async loadCurves() {
-        try {
-            const response = await fetch('data/equal_loudness_curves.json');
-            this.curves = await response.json();
-        } catch (error) {
-            console.error('等ラウドネス曲線データの読み込みに失敗:', error);
-            this.curves = {};
+    setPersonalCurve(contour) {
+        if (!contour || !contour.corrections) {
+            this.personalCurve = null;
+            return;
+        }
+
+        const corrections = { 1000: 0, ...contour.corrections };
+        const frequencies = Object.keys(corrections).map(f => parseFloat(f)).sort((a, b) => a - b);
+        this.personalCurve = {
+            frequencies,
+            corrections: frequencies.map(freq => corrections[freq])
+        };
+    }
+
+    /**
+     * 個人の等ラウドネス曲線が設定されているかどうか
+     * @returns {boolean}
+     */
+    hasPersonalCurve() {
+        return this.personalCurve !== null;
+    }
+
+    /**
+     * 使用する規格を切り替え
+     * @param {string} standard - '2003' または '2023'
+     */
+    setStandard(standard) {
+        if (EqualLoudness.STANDARDS[standard]) {
+            this.standard = standard;
         }
     }
 
     /**
      * 指定された周波数とラウドネスレベルに対するゲイン補正値を取得
      * @param {number} frequency - 周波数 (Hz)
-     * @param {string|number} phon - ラウドネスレベル ('40', '60', '80', または 'off')
+     * @param {string|number} phon - ラウドネスレベル (0-90 phon，'personal'，または 'off')
      * @returns {number} ゲイン補正値 (線形スケール)
      */
     getGain(frequency, phon) {
-        if (!this.curves || phon === 'off' || phon === null) {
+        if (phon === 'off' || phon === null || phon === undefined) {
             return 1.0; // 補正なし
         }
 
-        const curveKey = `${phon}_phon`;
-        const curve = this.curves[curveKey];
+        if (phon === EqualLoudness.PERSONAL) {
+            if (!this.personalCurve) {
+                return 1.0; // 未測定なら補正なし
+            }
+            return MathUtils.dbToGain(Math.min(this.getPersonalCorrection(frequency), EqualLoudness.MAX_BOOST_DB));
+        }
 
-        if (!curve) {
-            console.warn(`曲線データが見つかりません: ${curveKey}`);
+        const level = parseFloat(phon);
+        if (isNaN(level)) {
+            console.warn(`ラウドネスレベルが不正です: ${phon}`);
             return 1.0;
         }
 
-        // 曲線データから補正値を補間して取得
-        const dbCorrection = this.interpolateCorrection(frequency, curve);
+        const dbCorrection = Math.min(this.getCorrection(frequency, level), EqualLoudness.MAX_BOOST_DB);
 
         // dBを線形ゲインに変換して返す
         return MathUtils.dbToGain(dbCorrection);
     }
 
     /**
-     * 周波数に対する補正値を補間
+     * 1kHzと同じ大きさに聞こえるために必要なレベル差を取得
+     * @param {number} frequency - 周波数 (Hz)
+     * @param {number} phon - ラウドネスレベル (phon)
+     * @returns {number} 補正値 (dB)．正の値はブースト
+     */
+    getCorrection(frequency, phon) {
+        return this.getSoundPressureLevel(frequency, phon) - this.getSoundPressureLevel(1000, phon);
+    }
+
+    /**
+     * 個人の等ラウドネス曲線から1kHzに対する補正値を取得
+     * 測定した周波数の間は対数周波数で補間し，範囲外は両端の値を使う
+     * @param {number} frequency - 周波数 (Hz)
+     * @returns {number} 補正値 (dB)．正の値はブースト
+     */
+    getPersonalCorrection(frequency) {
+        if (!this.personalCurve) {
+            return 0;
+        }
+        return EqualLoudness.interpolateParameter(frequency, this.personalCurve.corrections, this.personalCurve.frequencies);
+    }
+
+    /**
+     * 等ラウドネス曲線上の音圧レベルを計算
+     * 聴覚閾値を下回るラウドネスレベルでは閾値の曲線になる
+     * @param {number} frequency - 周波数 (Hz)
+     * @param {number} phon - ラウドネスレベル (0-90 phon)
+     * @returns {number} 音圧レベル (dB SPL)
+     */
+    getSoundPressureLevel(frequency, phon) {
+        return EqualLoudness.getSoundPressureLevel(this.standard, frequency, phon);
+    }
+
+    /**
+     * 規格を指定して等ラウドネス曲線上の音圧レベルを計算
+     * 基準音の項に getReferenceThreshold を使うため，1kHz では定義どおり音圧レベル = ラウドネスレベルになる
+     * @param {string} standard - 規格 ('2003' または '2023')
      * @param {number} frequency - 周波数 (Hz)
-     * @param {Object} curve - 曲線データオブジェクト
-     * @returns {number} 補正値 (dB)
+     * @param {number} phon - ラウドネスレベル (0-90 phon)
+     * @returns {number} 音圧レベル (dB SPL)
      */
-    interpolateCorrection(frequency, curve) {
-        // 曲線データの周波数ポイントを数値に変換して取得
-        const freqPoints = Object.keys(curve).map(f => parseFloat(f)).sort((a, b) => a - b);
+    static getSoundPressureLevel(standard, frequency, phon) {
+        const params = EqualLoudness.STANDARDS[standard];
+        const level = MathUtils.clamp(phon, EqualLoudness.MIN_PHON, EqualLoudness.MAX_PHON);
+        const alpha = EqualLoudness.interpolateParameter(frequency, params.alpha);
+        const lu = EqualLoudness.interpolateParameter(frequency, params.lu);
+        const threshold = EqualLoudness.interpolateParameter(frequency, params.threshold);
+        const ar = params.referenceExponent;
+
+        // 1kHz基準音の項 (閾値未満は0)
+        const reference = Math.max(0,
+            Math.pow(10, ar * level / 10) - Math.pow(10, ar * EqualLoudness.getReferenceThreshold(params) / 10));
+
+        // Lp = (10/αf)·lg[(p0²)^(αr-αf)·基準音の項 + 10^(αf(Tf+Lu)/10)] - Lu
+        const p0Squared = 4e-10;
+        const inner = Math.pow(p0Squared, ar - alpha) * reference +
+            Math.pow(10, alpha * (threshold + lu) / 10);
+
+        return (10 / alpha) * Math.log10(inner) - lu;
+    }
 
+    /**
+     * 周波数に対するパラメータを補間
+     * @param {number} frequency - 周波数 (Hz)
+     * @param {Array<number>} values - 周波数ごとの値
+     * @param {Array<number>} freqPoints - values に対応する周波数 (省略時は規格の周波数)
+     * @returns {number} 補間された値
+     */
+    static interpolateParameter(frequency, values, freqPoints = EqualLoudness.FREQUENCIES) {
         // 周波数が範囲外の場合
         if (frequency <= freqPoints[0]) {
-            return curve[freqPoints[0]];
+            return values[0];
         }
         if (frequency >= freqPoints[freqPoints.length - 1]) {
-            return curve[freqPoints[freqPoints.length - 1]];
+            return values[values.length - 1];
         }
 
         // 補間する2点を見つける
-        let lowerFreq = freqPoints[0];
-        let upperFreq = freqPoints[freqPoints.length - 1];
-
-        for (let i = 0; i < freqPoints.length - 1; i++) {
-            if (frequency >= freqPoints[i] && frequency <= freqPoints[i + 1]) {
-                lowerFreq = freqPoints[i];
-                upperFreq = freqPoints[i + 1];
-                break;
-            }
+        let i = 0;
+        while (frequency > freqPoints[i + 1]) {
+            i++;
         }
 
-        const lowerDb = curve[lowerFreq];
-        const upperDb = curve[upperFreq];
-
         // 対数スケールで補間
         const logFreq = Math.log10(frequency);
-        const logLower = Math.log10(lowerFreq);
-        const logUpper = Math.log10(upperFreq);
+        const logLower = Math.log10(freqPoints[i]);
+        const logUpper = Math.log10(freqPoints[i + 1]);
 
         const t = (logFreq - logLower) / (logUpper - logLower);
-        return MathUtils.lerp(lowerDb, upperDb, t);
+        return MathUtils.lerp(values[i], values[i + 1], t);
     }
 
     /**
-     * 等ラウドネス曲線をCanvasに描画
+     * 等ラウドネス曲線 (1kHzに対する補正値) をCanvasに描画
      * @param {CanvasRenderingContext2D} ctx - Canvas コンテキスト
      * @param {number} width - Canvas 幅
      * @param {number} height - Canvas 高さ
-     * @param {string} phon - ラウドネスレベル
+     * @param {string|number} phon - ラウドネスレベル
+     * @param {string} color - 線の色
      */
-    drawCurve(ctx, width, height, phon) {
-        if (!this.curves || phon === 'off') {
+    drawCurve(ctx, width, height, phon, color = '#FF9800') {
+        if (phon === 'off') {
             return;
         }
 
-        const curveKey = `${phon}_phon`;
-        const curve = this.curves[curveKey];
-
-        if (!curve) {
-            return;
-        }
-
-        const freqPoints = Object.keys(curve).map(f => parseFloat(f)).sort((a, b) => a - b);
+        const level = parseFloat(phon);
         const minFreq = 20;
         const maxFreq = 20000;
-        const minDb = -60;
-        const maxDb = 20;
+        const minDb = -20;
+        const maxDb = 80;
 
         ctx.save();
-        ctx.strokeStyle = '#FF9800';
+        ctx.strokeStyle = color;
         ctx.lineWidth = 2;
         ctx.beginPath();
 
         let first = true;
 
         for (let freq = minFreq; freq <= maxFreq; freq *= 1.05) {
-            const db = this.interpolateCorrection(freq, curve);
+            const db = phon === EqualLoudness.PERSONAL ? this.getPersonalCorrection(freq) : this.getCorrection(freq, level);
 
             // 周波数を対数スケールでx座標に変換
             const logFreq = Math.log10(freq);
@@ -151,17 +292,10 @@ class EqualLoudness {
      * @param {CanvasRenderingContext2D} ctx - Canvas コンテキスト
      * @param {number} width - Canvas 幅
      * @param {number} height - Canvas 高さ
+     * @param {Array<number>} levels - 描画するラウドネスレベル (phon)
      */
-    drawAllCurves(ctx, width, height) {
-        if (!this.curves) {
-            return;
-        }
-
-        const colors = {
-            '40_phon': '#4CAF50',
-            '60_phon': '#FF9800',
-            '80_phon': '#F44336'
-        };
+    drawAllCurves(ctx, width, height, levels = [40, 60, 80]) {
+        const colors = ['#4CAF50', '#FF9800', '#F44336', '#2196F3', '#9C27B0'];
 
         ctx.save();
 
@@ -172,49 +306,16 @@ class EqualLoudness {
         // グリッド線
         this.drawGrid(ctx, width, height);
 
-        // 各曲線を描画
-        Object.keys(this.curves).forEach(curveKey => {
-            const curve = this.curves[curveKey];
-            const freqPoints = Object.keys(curve).map(f => parseFloat(f)).sort((a, b) => a - b);
-            const minFreq = 20;
-            const maxFreq = 20000;
-            const minDb = -60;
-            const maxDb = 20;
-
-            ctx.strokeStyle = colors[curveKey] || '#FFFFFF';
-            ctx.lineWidth = 2;
-            ctx.beginPath();
-
-            let first = true;
+        // 各曲線とラベルを描画
+        levels.forEach((phon, index) => {
+            const color = colors[index % colors.length];
+            this.drawCurve(ctx, width, height, phon, color);
 
-            for (let freq = minFreq; freq <= maxFreq; freq *= 1.05) {
-                const db = this.interpolateCorrection(freq, curve);
-
-                const logFreq = Math.log10(freq);
-                const logMin = Math.log10(minFreq);
-                const logMax = Math.log10(maxFreq);
-                const x = ((logFreq - logMin) / (logMax - logMin)) * width;
-
-                const y = height - ((db - minDb) / (maxDb - minDb)) * height;
-
-                if (first) {
-                    ctx.moveTo(x, y);
-                    first = false;
-                } else {
-                    ctx.lineTo(x, y);
-                }
-            }
-
-            ctx.stroke();
+            ctx.fillStyle = color;
+            ctx.font = '12px sans-serif';
+            ctx.fillText(`${phon} phon`, 10, 30 + index * 20);
         });
 
-        // ラベル
-        ctx.fillStyle = '#FFFFFF';
-        ctx.font = '12px sans-serif';
-        ctx.fillText('40 phon', 10, 30);
-        ctx.fillText('60 phon', 10, 50);
-        ctx.fillText('80 phon', 10, 70);
-
         ctx.restore();
     }
 
@@ -249,9 +350,9 @@ class EqualLoudness {
         });
 
         // dBグリッド
-        const dbLevels = [-60, -40, -20, 0, 20];
-        const minDb = -60;
-        const maxDb = 20;
+        const dbLevels = [-20, 0, 20, 40, 60, 80];
+        const minDb = -20;
+        const maxDb = 80;
 
         dbLevels.forEach(db => {
             const y = height - ((db - minDb) / (maxDb - minDb)) * height;
@@ -0,0 +1,132 @@
+/**
+ * ListeningDose - 1日の聴取量 (騒音ばく露量) の記録クラス
+ * NIOSH の基準 (85 dB SPL で 8 時間を 100%，3dB 増えるごとに許容時間が半分) に従い，
+ * 出力レベルで重み付けした聴取時間を日ごとに積算する．
+ * レベルは校正データがあればそれで dB SPL に換算し，なければ大きめに見積もる
+ */
+class ListeningDose {
+    static CRITERION_LEVEL = 85; // 基準レベル (dB SPL)
+    static CRITERION_HOURS = 8; // 基準レベルでの許容時間 (時間)
+    static EXCHANGE_RATE = 3; // 許容時間が半分になるレベル差 (dB)
+    static THRESHOLD_LEVEL = 75; // これより小さい音は数えない (dB SPL)
+    static UNCALIBRATED_OFFSET = 100; // 未校正のとき 0dBFS を何 dB SPL とみなすか
+    static KEEP_DAYS = 30; // 記録を残す日数
+    static SAVE_INTERVAL = 5; // 保存する間隔 (聴取時間の秒数)
+
+    constructor() {
+        this.days = StorageManager.getListeningDose(); // 日付 (YYYY-MM-DD) → { dose, seconds, warned }
+        this.unsavedSeconds = 0; // 前回の保存から積算した聴取時間 (秒)
+    }
+
+    /**
+     * 今日の日付 (ローカル時刻)
+     * @returns {string} YYYY-MM-DD
+     */
+    static today() {
+        const now = new Date();
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    }
+
+    /**
+     * 出力レベルを dB SPL に換算
+     * @param {number} outputDb - 出力レベル (dBFS)
+     * @param {Object|null} calibration - 校正データ ({ name, offset })
+     * @returns {number} 推定 dB SPL
+     */
+    static estimateSpl(outputDb, calibration) {
+        const spl = Calibration.toSpl(outputDb, calibration);
+        return spl === null ? outputDb + ListeningDose.UNCALIBRATED_OFFSET : spl;
+    }
+
+    /**
+     * あるレベルで聴き続けてよい時間
+     * @param {number} level - dB SPL
+     * @returns {number} 秒
+     */
+    static allowedSeconds(level) {
+        const hours = ListeningDose.CRITERION_HOURS / Math.pow(2, (level - ListeningDose.CRITERION_LEVEL) / ListeningDose.EXCHANGE_RATE);
+        return hours * 3600;
+    }
+
+    /**
+     * 今日の記録を取得 (なければ作成)
+     * @returns {Object} { dose, seconds, warned }
+     */
+    getToday() {
+        const date = ListeningDose.today();
+        if (!this.days[date]) {
+            this.days[date] = { dose: 0, seconds: 0, warned: false };
+
+            // 古い記録を削除
+            const dates = Object.keys(this.days).sort();
+            dates.slice(0, Math.max(0, dates.length - ListeningDose.KEEP_DAYS)).forEach(old => {
+                delete this.days[old];
+            });
+        }
+        return this.days[date];
+    }
+
+    /**
+     * 聴取を記録
+     * @param {number} level - 出力の推定 dB SPL
+     * @param {number} seconds - 聴いた時間 (秒)
+     * @returns {boolean} 記録したかどうか (小さい音は数えない)
+     */
+    add(level, seconds) {
+        if (level < ListeningDose.THRESHOLD_LEVEL || seconds <= 0) {
+            return false;
+        }
+
+        const today = this.getToday();
+        today.dose += seconds / ListeningDose.allowedSeconds(level);
+        today.seconds += seconds;
+
+        // 計測のたびに書き込まないよう，一定時間ごとにまとめて保存する
+        this.unsavedSeconds += seconds;
+        if (this.unsavedSeconds >= ListeningDose.SAVE_INTERVAL) {
+            this.save();
+        }
+        return true;
+    }
+
+    /**
+     * まだ保存していない記録を保存 (停止時やページを閉じるときに呼ぶ)
+     */
+    save() {
+        if (this.unsavedSeconds <= 0) {
+            return;
+        }
+        StorageManager.saveListeningDose(this.days);
+        this.unsavedSeconds = 0;
+    }
+
+    /**
+     * 今日の聴取量
+     * @returns {number} 基準に対する割合 (1で100%)
+     */
+    getDose() {
+        return this.getToday().dose;
+    }
+
+    /**
+     * 今日すでに上限の警告を出したかどうか
+     * @returns {boolean}
+     */
+    isWarned() {
+        return this.getToday().warned;
+    }
+
+    /**
+     * 今日の警告を出したことを記録
+     */
+    markWarned() {
+        const today = this.getToday();
+        if (today.warned) {
+            return;
+        }
+        today.warned = true;
+        StorageManager.saveListeningDose(this.days);
+        this.unsavedSeconds = 0;
+    }
+}
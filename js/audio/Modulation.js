@@ -0,0 +1,120 @@
+/**
+ * Modulation - ビブラート・トレモロ用LFOクラス
+ * ビブラートはLFOをオシレーターの detune (周波数のセント単位の AudioParam) に，
+ * トレモロはLFOを出力段の GainNode の gain に接続する
+ */
+class Modulation {
+    static DEFAULTS = {
+        vibratoDepth: 0, // セント (±)
+        vibratoRate: 5, // Hz
+        tremoloDepth: 0, // 0-1 (1で音量が0まで下がる)
+        tremoloRate: 4 // Hz
+    };
+
+    constructor(audioContext, destination) {
+        this.audioContext = audioContext;
+        this.destination = destination;
+        this.options = { ...Modulation.DEFAULTS };
+        this.input = null; // 変調対象の音をここに接続する (トレモロ段)
+        this.vibratoLfo = null;
+        this.vibratoGain = null;
+        this.tremoloLfo = null;
+        this.tremoloGain = null;
+    }
+
+    /**
+     * 変調が有効かどうか
+     * @param {Object|null} modulation - 変調設定
+     * @returns {boolean}
+     */
+    static isActive(modulation) {
+        return !!modulation && (modulation.vibratoDepth > 0 || modulation.tremoloDepth > 0);
+    }
+
+    /**
+     * LFOを作成して開始
+     * 深さ0でもLFOは動かしておき，再生中に設定を変えられるようにする
+     * @param {Object} options - 変調設定 (vibratoDepth, vibratoRate, tremoloDepth, tremoloRate)
+     * @param {number} when - 開始時刻 (AudioContextの時間軸)
+     */
+    start(options = {}, when = this.audioContext.currentTime) {
+        this.options = { ...Modulation.DEFAULTS, ...options };
+
+        // ビブラート: LFO → 深さ (セント) → 各オシレーターの detune
+        this.vibratoLfo = this.audioContext.createOscillator();
+        this.vibratoGain = this.audioContext.createGain();
+        this.vibratoLfo.connect(this.vibratoGain);
+
+        // トレモロ: LFO → 深さ/2 → 出力段の gain (1-深さ 〜 1 の間で変化)
+        this.input = this.audioContext.createGain();
+        this.tremoloLfo = this.audioContext.createOscillator();
+        this.tremoloGain = this.audioContext.createGain();
+        this.tremoloLfo.connect(this.tremoloGain);
+        this.tremoloGain.connect(this.input.gain);
+        this.input.connect(this.destination || this.audioContext.destination);
+
+        this.applyOptions(when);
+        this.vibratoLfo.start(when);
+        this.tremoloLfo.start(when);
+    }
+
+    /**
+     * オシレーターにビブラートを接続
+     * @param {OscillatorNode} oscillator - 対象のオシレーター
+     */
+    addOscillator(oscillator) {
+        this.vibratoGain.connect(oscillator.detune);
+    }
+
+    /**
+     * 変調設定を変更 (リアルタイム)
+     * @param {Object} options - 変更する設定
+     */
+    set(options) {
+        if (!this.input) {
+            return;
+        }
+        this.options = { ...this.options, ...options };
+        this.applyOptions(this.audioContext.currentTime);
+    }
+
+    /**
+     * 現在の設定をAudioParamに反映
+     * @param {number} when - 反映する時刻
+     */
+    applyOptions(when) {
+        const { vibratoDepth, vibratoRate, tremoloDepth, tremoloRate } = this.options;
+        const depth = MathUtils.clamp(tremoloDepth, 0, 1);
+
+        this.vibratoLfo.frequency.setValueAtTime(vibratoRate, when);
+        this.vibratoGain.gain.setValueAtTime(vibratoDepth, when);
+        this.tremoloLfo.frequency.setValueAtTime(tremoloRate, when);
+        this.tremoloGain.gain.setValueAtTime(depth / 2, when);
+        this.input.gain.setValueAtTime(1 - depth / 2, when);
+    }
+
+    /**
+     * LFOの停止を予約
+     * @param {number} when - 停止時刻
+     */
+    stop(when = this.audioContext.currentTime) {
+        if (this.vibratoLfo) {
+            this.vibratoLfo.stop(when);
+            this.tremoloLfo.stop(when);
+        }
+    }
+
+    /**
+     * ノードを解放
+     */
+    disconnect() {
+        [this.vibratoLfo, this.vibratoGain, this.tremoloLfo, this.tremoloGain, this.input].forEach(node => {
+            if (node) node.disconnect();
+        });
+        this.vibratoLfo = null;
+        this.vibratoGain = null;
+        this.tremoloLfo = null;
+        this.tremoloGain = null;
+        this.input = null;
+    }
+}
@@ -10,23 +10,37 @@ class MultiOscillator {
         this.oscillators = [];
         this.gainNodes = [];
         this.panners = [];
+        this.targetGains = [];
+        this.modulation = null;
+        this.envelope = Envelope.normalize(null);
         this.isPlaying = false;
+        this.onEnded = null; // stop() を経ずに鳴り終わったときのコールバック
     }
 
     /**
      * 複数周波数のオシレーターを開始
      * @param {Array<number>} frequencies - 周波数の配列
      * @param {boolean} stereo - ステレオ配置するかどうか
-     * @param {string} waveform - 波形タイプ
+     * @param {string|Object} waveform - 波形タイプ (独自の音色は Timbre を参照)
      * @param {number} volume - 音量 (0-1)
      * @param {string} equalLoudnessMode - 等ラウドネスモード
+     * @param {Object|null} modulation - ビブラート・トレモロ設定 (全周波数に共通)
+     * @param {Object|null} envelope - ADSR・トーンバースト設定 (全周波数に共通)
      */
-    start(frequencies, stereo = false, waveform = 'sine', volume = 0.3, equalLoudnessMode = 'off') {
+    start(frequencies, stereo = false, waveform = 'sine', volume = 0.3, equalLoudnessMode = 'off', modulation = null, envelope = null) {
         if (this.isPlaying) {
             this.stop();
         }
 
         const freqCount = frequencies.length;
+        const now = this.audioContext.currentTime;
+        this.envelope = Envelope.normalize(envelope);
+        let endTime = null;
+
+        // ビブラート・トレモロ (全周波数で1組のLFOを共有)
+        this.modulation = new Modulation(this.audioContext, this.destination);
+        this.modulation.start(modulation || {}, now);
+        const output = this.modulation.input;
 
         frequencies.forEach((frequency, index) => {
             // オシレーター作成
@@ -34,7 +48,7 @@ class MultiOscillator {
             const gainNode = this.audioContext.createGain();
 
             // 波形設定
-            oscillator.type = waveform;
+            Timbre.apply(this.audioContext, oscillator, waveform);
             oscillator.frequency.value = frequency;
 
             // 等ラウドネス補正を適用
@@ -44,15 +58,17 @@ class MultiOscillator {
                 correctedGain = (volume / freqCount) * loudnessGain;
             }
 
-            // フェードイン処理
-            gainNode.gain.setValueAtTime(0, this.audioContext.currentTime);
-            gainNode.gain.exponentialRampToValueAtTime(
-                Math.max(0.001, correctedGain),
-                this.audioContext.currentTime + 0.05
-            );
+            // エンベロープを音声クロック上に予約
+            const targetGain = Math.max(0.001, correctedGain);
+            if (this.envelope.burst) {
+                endTime = Envelope.scheduleBurst(gainNode.gain, targetGain, now, this.envelope);
+            } else {
+                Envelope.scheduleAttack(gainNode.gain, targetGain, now, this.envelope);
+            }
 
             // 接続処理
             oscillator.connect(gainNode);
+            this.modulation.addOscillator(oscillator);
 
             // ステレオ配置が必要な場合
             if (stereo && freqCount === 2) {
@@ -60,20 +76,49 @@ class MultiOscillator {
                 // 2つの場合: 左 (-1) と 右 (1)
                 panner.pan.value = index === 0 ? -1 : 1;
                 gainNode.connect(panner);
-                panner.connect(this.destination || this.audioContext.destination);
+                panner.connect(output);
                 this.panners.push(panner);
             } else {
                 // ステレオ配置しない場合はそのまま接続
-                gainNode.connect(this.destination || this.audioContext.destination);
+                gainNode.connect(output);
             }
 
-            // 開始
-            oscillator.start(this.audioContext.currentTime);
+            // 開始 (バーストは最後のトーンの終わりで停止)
+            oscillator.start(now);
+            if (endTime !== null) {
+                oscillator.stop(endTime);
+            }
 
             this.oscillators.push(oscillator);
             this.gainNodes.push(gainNode);
+            this.targetGains.push(targetGain);
         });
 
+        if (endTime !== null) {
+            this.modulation.stop(endTime);
+        }
+
+        // 終了したノードを解放 (全オシレーターは同時に止まるので先頭で判定する)
+        const oscillators = this.oscillators;
+        const nodes = [...this.oscillators, ...this.gainNodes, ...this.panners];
+        const modulationNode = this.modulation;
+        oscillators[0].onended = () => {
+            nodes.forEach(node => node.disconnect());
+            modulationNode.disconnect();
+            if (this.oscillators === oscillators) {
+                const endedByItself = this.isPlaying;
+                this.isPlaying = false;
+                this.oscillators = [];
+                this.gainNodes = [];
+                this.panners = [];
+                this.targetGains = [];
+                this.modulation = null;
+                if (endedByItself && this.onEnded) {
+                    this.onEnded();
+                }
+            }
+        };
+
         this.isPlaying = true;
     }
 
@@ -85,33 +130,58 @@ class MultiOscillator {
             return;
         }
 
-        // フェードアウト処理
+        // 現在のレベルからリリース (ノードの解放は onended で行う)
+        const now = this.audioContext.currentTime;
+        let endTime = now;
         this.gainNodes.forEach(gainNode => {
             const currentGain = gainNode.gain.value;
-            gainNode.gain.cancelScheduledValues(this.audioContext.currentTime);
-            gainNode.gain.setValueAtTime(currentGain, this.audioContext.currentTime);
-            gainNode.gain.exponentialRampToValueAtTime(
-                0.001,
-                this.audioContext.currentTime + 0.05
-            );
+            gainNode.gain.cancelScheduledValues(now);
+            endTime = Envelope.scheduleRelease(gainNode.gain, currentGain, now, this.envelope);
         });
 
         // 停止
         this.oscillators.forEach(oscillator => {
-            oscillator.stop(this.audioContext.currentTime + 0.05);
+            oscillator.stop(endTime);
         });
+        this.modulation.stop(endTime);
 
         this.isPlaying = false;
+    }
+
+    /**
+     * 指定時刻での停止を予約
+     * サステインのレベルからのリリースを音声クロック上に配置する．
+     * バーストは開始時に終了まで予約済みのため何もしない
+     * @param {number} when - 停止時刻 (秒，AudioContextの時間軸)
+     */
+    scheduleStop(when) {
+        if (!this.isPlaying || this.envelope.burst) {
+            return;
+        }
 
-        // クリーンアップ
-        setTimeout(() => {
-            this.oscillators.forEach(osc => osc.disconnect());
-            this.gainNodes.forEach(gain => gain.disconnect());
-            this.panners.forEach(panner => panner.disconnect());
-            this.oscillators = [];
-            this.gainNodes = [];
-            this.panners = [];
-        }, 100);
+        let endTime = when;
+        this.gainNodes.forEach((gainNode, index) => {
+            endTime = Envelope.scheduleRelease(
+                gainNode.gain,
+                this.targetGains[index] * this.envelope.sustain,
+                when,
+                this.envelope
+            );
+        });
+        this.oscillators.forEach(oscillator => {
+            oscillator.stop(endTime);
+        });
+        this.modulation.stop(endTime);
+    }
+
+    /**
+     * ビブラート・トレモロ設定を変更 (リアルタイム)
+     * @param {Object} modulation - 変調設定
+     */
+    setModulation(modulation) {
+        if (this.modulation && this.isPlaying) {
+            this.modulation.set(modulation);
+        }
     }
 
     /**
@@ -119,11 +189,13 @@ class MultiOscillator {
      * @param {number} volume - 新しい音量 (0-1)
      */
     setVolume(volume) {
-        if (this.isPlaying) {
+        // バーストは予約済みのエンベロープを崩さないよう変更しない
+        if (this.isPlaying && !this.envelope.burst) {
             const freqCount = this.gainNodes.length;
-            this.gainNodes.forEach(gainNode => {
+            this.gainNodes.forEach((gainNode, index) => {
+                this.targetGains[index] = volume / freqCount;
                 gainNode.gain.setValueAtTime(
-                    volume / freqCount,
+                    volume / freqCount * this.envelope.sustain,
                     this.audioContext.currentTime
                 );
             });
@@ -0,0 +1,244 @@
+/**
+ * NoiseGenerator - ノイズ生成クラス
+ * ホワイト/ピンク/ブラウンノイズと帯域制限ノイズを生成
+ */
+class NoiseGenerator {
+    static TYPES = ['white', 'pink', 'brown', 'band'];
+
+    // 帯域幅 (オクターブ単位)
+    static BANDWIDTHS = {
+        octave: 1,
+        third: 1 / 3
+    };
+
+    // 帯域ノイズのバンドパスの段数 (直列にして傾斜を急にする)
+    static FILTER_STAGES = 2;
+
+    constructor(audioContext, equalLoudness, destination) {
+        this.audioContext = audioContext;
+        this.equalLoudness = equalLoudness;
+        this.destination = destination;
+        this.source = null;
+        this.filters = [];
+        this.gainNode = null;
+        this.type = 'white';
+        this.centerFrequency = 1000;
+        this.bandwidth = 1;
+        this.isPlaying = false;
+    }
+
+    /**
+     * ノイズ用のAudioBufferを生成
+     * @param {AudioContext} audioContext - Audio Context
+     * @param {string} type - ノイズタイプ ('white', 'pink', 'brown')
+     * @param {number} seconds - バッファ長 (秒)
+     * @returns {AudioBuffer} ノイズバッファ
+     */
+    static createBuffer(audioContext, type = 'white', seconds = 4) {
+        const length = Math.floor(audioContext.sampleRate * seconds);
+        const buffer = audioContext.createBuffer(1, length, audioContext.sampleRate);
+        const data = buffer.getChannelData(0);
+
+        if (type === 'pink') {
+            // Paul Kellet のフィルタによる -3dB/oct 近似
+            let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+            for (let i = 0; i < length; i++) {
+                const white = Math.random() * 2 - 1;
+                b0 = 0.99886 * b0 + white * 0.0555179;
+                b1 = 0.99332 * b1 + white * 0.0750759;
+                b2 = 0.96900 * b2 + white * 0.1538520;
+                b3 = 0.86650 * b3 + white * 0.3104856;
+                b4 = 0.55000 * b4 + white * 0.5329522;
+                b5 = -0.7616 * b5 - white * 0.0168980;
+                data[i] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362;
+                b6 = white * 0.115926;
+            }
+        } else if (type === 'brown') {
+            // リーク付き積分による -6dB/oct
+            let last = 0;
+            for (let i = 0; i < length; i++) {
+                const white = Math.random() * 2 - 1;
+                last = (last + 0.02 * white) / 1.02;
+                data[i] = last;
+            }
+        } else {
+            for (let i = 0; i < length; i++) {
+                data[i] = Math.random() * 2 - 1;
+            }
+        }
+
+        // ピークを揃えて正規化 (種類を切り替えても音量差が出にくいように)
+        let peak = 0;
+        for (let i = 0; i < length; i++) {
+            peak = Math.max(peak, Math.abs(data[i]));
+        }
+        if (peak > 0) {
+            for (let i = 0; i < length; i++) {
+                data[i] = (data[i] / peak) * 0.9;
+            }
+        }
+
+        return buffer;
+    }
+
+    /**
+     * 帯域幅 (オクターブ) からバンドパスフィルタのQ値を計算
+     * 1段の |H|² = 1 / (1 + Q²(x - 1/x)²) を stages 段重ねたとき，
+     * 帯域の端 (x = 2^(±octaves/2)) で全体が -3dB になるQ値を求める
+     * @param {number} octaves - 帯域幅 (オクターブ)
+     * @param {number} stages - 直列にするフィルタの段数
+     * @returns {number} Q値
+     */
+    static bandwidthToQ(octaves, stages = 1) {
+        const ratio = Math.pow(2, octaves);
+        return Math.sqrt(Math.pow(2, 1 / stages) - 1) * Math.sqrt(ratio) / (ratio - 1);
+    }
+
+    /**
+     * ノイズを開始
+     * @param {string} type - ノイズタイプ ('white', 'pink', 'brown', 'band')
+     * @param {number} volume - 音量 (0-1)
+     * @param {Object} options - 帯域ノイズ用オプション
+     * @param {number} options.centerFrequency - 中心周波数 (Hz)
+     * @param {number} options.bandwidth - 帯域幅 (オクターブ)
+     * @param {string} options.equalLoudnessMode - 等ラウドネスモード (帯域ノイズのみ)
+     */
+    start(type = 'white', volume = 0.3, options = {}) {
+        if (this.isPlaying) {
+            this.stop();
+        }
+
+        this.type = type;
+        this.centerFrequency = options.centerFrequency || this.centerFrequency;
+        this.bandwidth = options.bandwidth || this.bandwidth;
+        this.equalLoudnessMode = options.equalLoudnessMode || 'off';
+
+        // 帯域ノイズはピンクノイズを元にする
+        const bufferType = type === 'band' ? 'pink' : type;
+
+        this.source = this.audioContext.createBufferSource();
+        this.source.buffer = NoiseGenerator.createBuffer(this.audioContext, bufferType);
+        this.source.loop = true;
+        this.gainNode = this.audioContext.createGain();
+
+        // 帯域ノイズの場合はバンドパスを直列にして傾斜を急にする (全体で指定の帯域幅になるQ値)
+        let lastNode = this.source;
+        if (type === 'band') {
+            const q = NoiseGenerator.bandwidthToQ(this.bandwidth, NoiseGenerator.FILTER_STAGES);
+            for (let i = 0; i < NoiseGenerator.FILTER_STAGES; i++) {
+                const filter = this.audioContext.createBiquadFilter();
+                filter.type = 'bandpass';
+                filter.frequency.value = this.centerFrequency;
+                filter.Q.value = q;
+                lastNode.connect(filter);
+                lastNode = filter;
+                this.filters.push(filter);
+            }
+        }
+
+        const correctedGain = this.getCorrectedGain(volume);
+
+        // フェードイン処理
+        this.gainNode.gain.setValueAtTime(0, this.audioContext.currentTime);
+        this.gainNode.gain.exponentialRampToValueAtTime(
+            Math.max(0.001, correctedGain),
+            this.audioContext.currentTime + 0.05
+        );
+
+        // 接続
+        lastNode.connect(this.gainNode);
+        this.gainNode.connect(this.destination || this.audioContext.destination);
+
+        // 開始
+        this.source.start(this.audioContext.currentTime);
+        this.isPlaying = true;
+    }
+
+    /**
+     * ノイズを停止
+     */
+    stop() {
+        if (!this.source || !this.isPlaying) {
+            return;
+        }
+
+        // フェードアウト処理
+        const currentGain = this.gainNode.gain.value;
+        this.gainNode.gain.cancelScheduledValues(this.audioContext.currentTime);
+        this.gainNode.gain.setValueAtTime(currentGain, this.audioContext.currentTime);
+        this.gainNode.gain.exponentialRampToValueAtTime(
+            0.001,
+            this.audioContext.currentTime + 0.05
+        );
+
+        // 停止
+        this.source.stop(this.audioContext.currentTime + 0.05);
+        this.isPlaying = false;
+
+        // クリーンアップ (鳴り終わってから解放)
+        const source = this.source;
+        const filters = this.filters;
+        const gainNode = this.gainNode;
+        this.source = null;
+        this.filters = [];
+        this.gainNode = null;
+        source.onended = () => {
+            source.disconnect();
+            filters.forEach(filter => filter.disconnect());
+            gainNode.disconnect();
+        };
+    }
+
+    /**
+     * 帯域ノイズの中心周波数を変更 (リアルタイム)
+     * @param {number} frequency - 新しい中心周波数
+     */
+    setFrequency(frequency) {
+        this.centerFrequency = frequency;
+        if (this.isPlaying) {
+            this.filters.forEach(filter => {
+                filter.frequency.setValueAtTime(frequency, this.audioContext.currentTime);
+            });
+        }
+    }
+
+    /**
+     * 帯域幅を変更 (リアルタイム)
+     * @param {number} octaves - 帯域幅 (オクターブ)
+     */
+    setBandwidth(octaves) {
+        this.bandwidth = octaves;
+        if (this.isPlaying) {
+            const q = NoiseGenerator.bandwidthToQ(octaves, NoiseGenerator.FILTER_STAGES);
+            this.filters.forEach(filter => {
+                filter.Q.setValueAtTime(q, this.audioContext.currentTime);
+            });
+        }
+    }
+
+    /**
+     * 音量を変更 (リアルタイム)
+     * @param {number} volume - 新しい音量 (0-1)
+     */
+    setVolume(volume) {
+        if (this.gainNode && this.isPlaying) {
+            this.gainNode.gain.setValueAtTime(
+                volume,
+                this.audioContext.currentTime
+            );
+        }
+    }
+
+    /**
+     * 等ラウドネス補正を適用した音量を計算
+     * 帯域ノイズのみ中心周波数で補正する
+     * @param {number} volume - 音量 (0-1)
+     * @returns {number} 補正後の音量
+     */
+    getCorrectedGain(volume) {
+        if (this.type !== 'band' || !this.equalLoudness || this.equalLoudnessMode === 'off') {
+            return volume;
+        }
+        return volume * this.equalLoudness.getGain(this.centerFrequency, this.equalLoudnessMode);
+    }
+}
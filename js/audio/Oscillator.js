@@ -9,17 +9,23 @@ class Oscillator {
         this.destination = destination;
         this.oscillator = null;
         this.gainNode = null;
+        this.modulation = null;
+        this.envelope = Envelope.normalize(null);
+        this.targetGain = 0;
         this.isPlaying = false;
+        this.onEnded = null; // stop() を経ずに鳴り終わったときのコールバック
     }
 
     /**
      * オシレーターを開始
      * @param {number} frequency - 周波数 (Hz)
-     * @param {string} waveform - 波形タイプ
+     * @param {string|Object} waveform - 波形タイプ (独自の音色は Timbre を参照)
      * @param {number} volume - 音量 (0-1)
      * @param {string} equalLoudnessMode - 等ラウドネスモード
+     * @param {Object|null} modulation - ビブラート・トレモロ設定 (Modulation を参照)
+     * @param {Object|null} envelope - ADSR・トーンバースト設定 (Envelope を参照)
      */
-    start(frequency, waveform = 'sine', volume = 0.3, equalLoudnessMode = 'off') {
+    start(frequency, waveform = 'sine', volume = 0.3, equalLoudnessMode = 'off', modulation = null, envelope = null) {
         if (this.isPlaying) {
             this.stop();
         }
@@ -29,7 +35,7 @@ class Oscillator {
         this.gainNode = this.audioContext.createGain();
 
         // 波形設定
-        this.oscillator.type = waveform;
+        Timbre.apply(this.audioContext, this.oscillator, waveform);
         this.oscillator.frequency.value = frequency;
 
         // 等ラウドネス補正を適用
@@ -39,19 +45,52 @@ class Oscillator {
             correctedGain = volume * loudnessGain;
         }
 
-        // フェードイン処理
-        this.gainNode.gain.setValueAtTime(0, this.audioContext.currentTime);
-        this.gainNode.gain.exponentialRampToValueAtTime(
-            Math.max(0.001, correctedGain),
-            this.audioContext.currentTime + 0.05
-        );
+        // エンベロープを音声クロック上に予約 (バーストは最後のトーンまで予約して停止する)
+        const now = this.audioContext.currentTime;
+        this.targetGain = Math.max(0.001, correctedGain);
+        this.envelope = Envelope.normalize(envelope);
+        let endTime = null;
+        if (this.envelope.burst) {
+            endTime = Envelope.scheduleBurst(this.gainNode.gain, this.targetGain, now, this.envelope);
+        } else {
+            Envelope.scheduleAttack(this.gainNode.gain, this.targetGain, now, this.envelope);
+        }
+
+        // ビブラート・トレモロ (出力段に挿入)
+        this.modulation = new Modulation(this.audioContext, this.destination);
+        this.modulation.start(modulation || {}, now);
+        this.modulation.addOscillator(this.oscillator);
 
         // 接続
         this.oscillator.connect(this.gainNode);
-        this.gainNode.connect(this.destination || this.audioContext.destination);
+        this.gainNode.connect(this.modulation.input);
+
+        // 終了したノードを解放 (既に次の音が始まっていれば状態は変えない)
+        const oscillator = this.oscillator;
+        const gainNode = this.gainNode;
+        const modulationNode = this.modulation;
+        oscillator.onended = () => {
+            oscillator.disconnect();
+            gainNode.disconnect();
+            modulationNode.disconnect();
+            if (this.oscillator === oscillator) {
+                const endedByItself = this.isPlaying;
+                this.isPlaying = false;
+                this.oscillator = null;
+                this.gainNode = null;
+                this.modulation = null;
+                if (endedByItself && this.onEnded) {
+                    this.onEnded();
+                }
+            }
+        };
 
         // 開始
-        this.oscillator.start(this.audioContext.currentTime);
+        oscillator.start(now);
+        if (endTime !== null) {
+            oscillator.stop(endTime);
+            this.modulation.stop(endTime);
+        }
         this.isPlaying = true;
     }
 
@@ -63,30 +102,47 @@ class Oscillator {
             return;
         }
 
-        // フェードアウト処理
+        // 現在のレベルからリリース (ノードの解放は onended で行う)
+        const now = this.audioContext.currentTime;
         const currentGain = this.gainNode.gain.value;
-        this.gainNode.gain.cancelScheduledValues(this.audioContext.currentTime);
-        this.gainNode.gain.setValueAtTime(currentGain, this.audioContext.currentTime);
-        this.gainNode.gain.exponentialRampToValueAtTime(
-            0.001,
-            this.audioContext.currentTime + 0.05
-        );
+        this.gainNode.gain.cancelScheduledValues(now);
+        const endTime = Envelope.scheduleRelease(this.gainNode.gain, currentGain, now, this.envelope);
 
         // 停止
-        this.oscillator.stop(this.audioContext.currentTime + 0.05);
+        this.oscillator.stop(endTime);
+        this.modulation.stop(endTime);
         this.isPlaying = false;
+    }
 
-        // クリーンアップ
-        setTimeout(() => {
-            if (this.oscillator) {
-                this.oscillator.disconnect();
-                this.oscillator = null;
-            }
-            if (this.gainNode) {
-                this.gainNode.disconnect();
-                this.gainNode = null;
-            }
-        }, 100);
+    /**
+     * 指定時刻での停止を予約
+     * サステインのレベルからのリリースを音声クロック上に配置する．
+     * バーストは開始時に終了まで予約済みのため何もしない
+     * @param {number} when - 停止時刻 (秒，AudioContextの時間軸)
+     */
+    scheduleStop(when) {
+        if (!this.oscillator || !this.isPlaying || this.envelope.burst) {
+            return;
+        }
+
+        const endTime = Envelope.scheduleRelease(
+            this.gainNode.gain,
+            this.targetGain * this.envelope.sustain,
+            when,
+            this.envelope
+        );
+        this.oscillator.stop(endTime);
+        this.modulation.stop(endTime);
+    }
+
+    /**
+     * ビブラート・トレモロ設定を変更 (リアルタイム)
+     * @param {Object} modulation - 変調設定
+     */
+    setModulation(modulation) {
+        if (this.modulation && this.isPlaying) {
+            this.modulation.set(modulation);
+        }
     }
 
     /**
@@ -107,9 +163,11 @@ class Oscillator {
      * @param {number} volume - 新しい音量 (0-1)
      */
     setVolume(volume) {
-        if (this.gainNode && this.isPlaying) {
+        // バーストは予約済みのエンベロープを崩さないよう変更しない
+        if (this.gainNode && this.isPlaying && !this.envelope.burst) {
+            this.targetGain = volume;
             this.gainNode.gain.setValueAtTime(
-                volume,
+                volume * this.envelope.sustain,
                 this.audioContext.currentTime
             );
         }
@@ -117,11 +175,11 @@ class Oscillator {
 
     /**
      * 波形を変更 (リアルタイム)
-     * @param {string} waveform - 新しい波形タイプ
+     * @param {string|Object} waveform - 新しい波形タイプ
      */
     setWaveform(waveform) {
         if (this.oscillator && this.isPlaying) {
-            this.oscillator.type = waveform;
+            Timbre.apply(this.audioContext, this.oscillator, waveform);
         }
     }
 }
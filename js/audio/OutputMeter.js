@@ -0,0 +1,65 @@
+/**
+ * OutputMeter - 出力レベルメータークラス
+ * 最終出力を左右に分けてアナライザーにつなぎ，ピークと実効値 (dBFS) を測る．
+ * アナライザーは左右を混ぜてしまう (逆位相の音が打ち消し合う) ため，チャンネルごとに測る
+ */
+class OutputMeter {
+    static FFT_SIZE = 32768; // 48kHzで約0.68秒 (聴取量の計測間隔より長くして取りこぼさない)
+    static SILENCE = -100; // 無音とみなすレベル (dBFS)
+
+    constructor(audioContext, input) {
+        this.audioContext = audioContext;
+        this.splitter = audioContext.createChannelSplitter(2);
+        input.connect(this.splitter);
+
+        this.analysers = [0, 1].map(channel => {
+            const analyser = audioContext.createAnalyser();
+            analyser.fftSize = OutputMeter.FFT_SIZE;
+            this.splitter.connect(analyser, channel);
+            return analyser;
+        });
+        this.buffer = new Float32Array(OutputMeter.FFT_SIZE);
+    }
+
+    /**
+     * 直近の出力レベルを測定
+     * @param {number|null} seconds - 測る長さ (秒，nullならアナライザーのバッファ全体)
+     * @returns {Object} { peak, rms } (dBFS，左右の大きい方)
+     */
+    read(seconds = null) {
+        const length = seconds === null
+            ? this.buffer.length
+            : MathUtils.clamp(Math.round(seconds * this.audioContext.sampleRate), 1, this.buffer.length);
+
+        let peak = 0;
+        let rms = 0;
+        this.analysers.forEach(analyser => {
+            analyser.getFloatTimeDomainData(this.buffer);
+
+            // バッファの末尾が最新のサンプル
+            let channelPeak = 0;
+            let sumSquares = 0;
+            for (let i = this.buffer.length - length; i < this.buffer.length; i++) {
+                const value = Math.abs(this.buffer[i]);
+                if (value > channelPeak) channelPeak = value;
+                sumSquares += value * value;
+            }
+            peak = Math.max(peak, channelPeak);
+            rms = Math.max(rms, Math.sqrt(sumSquares / length));
+        });
+
+        return {
+            peak: OutputMeter.toDb(peak),
+            rms: OutputMeter.toDb(rms)
+        };
+    }
+
+    /**
+     * 振幅を dBFS に変換 (無音は SILENCE)
+     * @param {number} amplitude - 振幅 (0-1)
+     * @returns {number} dBFS
+     */
+    static toDb(amplitude) {
+        return amplitude > 0 ? Math.max(OutputMeter.SILENCE, 20 * Math.log10(amplitude)) : OutputMeter.SILENCE;
+    }
+}
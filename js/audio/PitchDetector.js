@@ -0,0 +1,92 @@
+/**
+ * PitchDetector - 基本周波数推定クラス (YIN法)
+ * 時間領域のサンプルから差分関数と累積平均正規化差分を求め，
+ * 閾値を下回る最初の極小の周期を放物線補間して基本周波数を推定する
+ */
+class PitchDetector {
+    static DEFAULTS = {
+        threshold: 0.15, // 累積平均正規化差分の閾値 (小さいほど厳しい)
+        minFrequency: 60, // Hz
+        maxFrequency: 4000, // Hz
+        minRms: 0.01 // これより小さい入力は無音とみなす
+    };
+
+    /**
+     * 基本周波数を推定
+     * @param {Float32Array} buffer - 時間領域のサンプル
+     * @param {number} sampleRate - サンプルレート
+     * @param {Object} options - 設定 (DEFAULTS を参照)
+     * @returns {Object|null} { frequency, clarity (0-1，1に近いほど周期的) }．推定できなければnull
+     */
+    static detect(buffer, sampleRate, options = {}) {
+        const { threshold, minFrequency, maxFrequency, minRms } = { ...PitchDetector.DEFAULTS, ...options };
+
+        // 無音判定
+        let sumSquares = 0;
+        for (let i = 0; i < buffer.length; i++) {
+            sumSquares += buffer[i] * buffer[i];
+        }
+        if (Math.sqrt(sumSquares / buffer.length) < minRms) {
+            return null;
+        }
+
+        const minPeriod = Math.max(2, Math.floor(sampleRate / maxFrequency));
+        const maxPeriod = Math.min(Math.floor(buffer.length / 2), Math.ceil(sampleRate / minFrequency));
+        if (maxPeriod <= minPeriod) {
+            return null;
+        }
+
+        // 差分関数 d(τ) = Σ (x[j] - x[j+τ])²
+        const windowSize = buffer.length - maxPeriod;
+        const difference = new Float32Array(maxPeriod + 1);
+        for (let tau = 1; tau <= maxPeriod; tau++) {
+            let sum = 0;
+            for (let j = 0; j < windowSize; j++) {
+                const delta = buffer[j] - buffer[j + tau];
+                sum += delta * delta;
+            }
+            difference[tau] = sum;
+        }
+
+        // 累積平均正規化差分 d'(τ) = d(τ) / ((1/τ) Σ_{k=1..τ} d(k))
+        const normalized = new Float32Array(maxPeriod + 1);
+        normalized[0] = 1;
+        let runningSum = 0;
+        for (let tau = 1; tau <= maxPeriod; tau++) {
+            runningSum += difference[tau];
+            normalized[tau] = runningSum === 0 ? 1 : difference[tau] * tau / runningSum;
+        }
+
+        // 閾値を下回った最初の谷の底を探す (見つからなければ周期性なしとみなす)
+        let period = -1;
+        for (let tau = minPeriod; tau <= maxPeriod; tau++) {
+            if (normalized[tau] < threshold) {
+                while (tau + 1 <= maxPeriod && normalized[tau + 1] < normalized[tau]) {
+                    tau++;
+                }
+                period = tau;
+                break;
+            }
+        }
+        if (period === -1) {
+            return null;
+        }
+
+        // 放物線補間で周期を細かく求める
+        let refined = period;
+        if (period > 1 && period < maxPeriod) {
+            const a = normalized[period - 1];
+            const b = normalized[period];
+            const c = normalized[period + 1];
+            const denominator = a - 2 * b + c;
+            if (denominator !== 0) {
+                refined = period + 0.5 * (a - c) / denominator;
+            }
+        }
+
+        return {
+            frequency: sampleRate / refined,
+            clarity: MathUtils.clamp(1 - normalized[period], 0, 1)
+        };
+    }
+}
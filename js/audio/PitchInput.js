@@ -0,0 +1,113 @@
+/**
+ * PitchInput - 音程検出用の入力クラス
+ * マイク (getUserMedia) または読み込んだ音声ファイルをアナライザーにつなぎ，
+ * PitchDetector で現在の基本周波数を推定する．
+ * 音声ファイルはマイクの代わり (録音した発声での動作確認用) として使う
+ */
+class PitchInput {
+    static FFT_SIZE = 4096; // 48kHzで約85ms (最低60Hzの周期を2周期以上含む長さ)
+
+    // 声の音程を正しく測れるよう，ブラウザの音声処理は無効にする
+    static MEDIA_CONSTRAINTS = {
+        audio: {
+            echoCancellation: false,
+            noiseSuppression: false,
+            autoGainControl: false
+        }
+    };
+
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.analyser = null;
+        this.output = null;
+        this.source = null;
+        this.stream = null;
+        this.buffer = null;
+        this.isActive = false;
+    }
+
+    /**
+     * アナライザーを作成 (出力は無音にしてスピーカーからは鳴らさない)
+     */
+    createAnalyser() {
+        this.analyser = this.audioContext.createAnalyser();
+        this.analyser.fftSize = PitchInput.FFT_SIZE;
+        this.buffer = new Float32Array(this.analyser.fftSize);
+
+        // 出力につないでおかないと処理されないブラウザがあるため，無音で destination へ流す
+        this.output = this.audioContext.createGain();
+        this.output.gain.value = 0;
+        this.analyser.connect(this.output);
+        this.output.connect(this.audioContext.destination);
+    }
+
+    /**
+     * マイク入力を開始
+     */
+    async startMicrophone() {
+        this.stop();
+
+        try {
+            this.stream = await navigator.mediaDevices.getUserMedia(PitchInput.MEDIA_CONSTRAINTS);
+        } catch (error) {
+            console.error('マイクの取得に失敗:', error);
+            throw error;
+        }
+
+        this.createAnalyser();
+        this.source = this.audioContext.createMediaStreamSource(this.stream);
+        this.source.connect(this.analyser);
+        this.isActive = true;
+    }
+
+    /**
+     * 音声ファイルを入力として再生 (マイクの代わり，ループ再生)
+     * @param {Object} sample - SampleLibrary のサンプル
+     */
+    startSample(sample) {
+        this.stop();
+
+        this.createAnalyser();
+        this.source = SampleLibrary.createSource(this.audioContext, sample);
+        this.source.connect(this.analyser);
+        this.source.start();
+        this.isActive = true;
+    }
+
+    /**
+     * 現在の音程を推定
+     * @returns {Object|null} { frequency, clarity }．無音・周期性がなければnull
+     */
+    readPitch() {
+        if (!this.isActive) {
+            return null;
+        }
+
+        this.analyser.getFloatTimeDomainData(this.buffer);
+        return PitchDetector.detect(this.buffer, this.audioContext.sampleRate);
+    }
+
+    /**
+     * 入力を停止
+     */
+    stop() {
+        if (this.source) {
+            if (this.source.stop) {
+                this.source.stop(); // 音声ファイル
+            }
+            this.source.disconnect();
+            this.source = null;
+        }
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        if (this.output) {
+            this.analyser.disconnect();
+            this.output.disconnect();
+            this.analyser = null;
+            this.output = null;
+        }
+        this.isActive = false;
+    }
+}
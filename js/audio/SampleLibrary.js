@@ -0,0 +1,175 @@
+/**
+ * SampleLibrary - 音声ファイル管理クラス
+ * ユーザーが読み込んだ音声ファイルをデコードしてセッション中保持し，
+ * 必要に応じてAudioFileStoreに永続保存
+ */
+class SampleLibrary {
+    static SUPPORTED_EXTENSIONS = ['wav', 'mp3', 'ogg'];
+
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.samples = new Map();
+    }
+
+    /**
+     * 音声ファイルを読み込んでデコード
+     * @param {File} file - 音声ファイル
+     * @param {boolean} persist - ライブラリ (IndexedDB) に保存するかどうか
+     * @returns {Promise<Object>} サンプルオブジェクト
+     */
+    async loadFile(file, persist = false) {
+        const extension = file.name.split('.').pop().toLowerCase();
+        if (!SampleLibrary.SUPPORTED_EXTENSIONS.includes(extension)) {
+            throw new Error(`対応していないファイル形式です: ${extension}`);
+        }
+
+        const data = await file.arrayBuffer();
+        const sample = await this.addSample({
+            id: MathUtils.generateUUID(),
+            name: file.name,
+            data
+        });
+
+        if (persist) {
+            sample.persisted = await AudioFileStore.saveFile({
+                id: sample.id,
+                name: sample.name,
+                data,
+                loopStart: sample.loopStart,
+                loopEnd: sample.loopEnd,
+                gainDb: sample.gainDb
+            });
+        }
+
+        return sample;
+    }
+
+    /**
+     * 音声データをデコードしてライブラリに追加
+     * @param {Object} record - id, name, data (ArrayBuffer) と任意の loopStart, loopEnd, gainDb
+     * @returns {Promise<Object>} サンプルオブジェクト
+     */
+    async addSample(record) {
+        // decodeAudioDataは渡したArrayBufferを切り離すため複製して渡す
+        const buffer = await this.audioContext.decodeAudioData(record.data.slice(0));
+
+        const sample = {
+            id: record.id,
+            name: record.name,
+            buffer,
+            duration: buffer.duration,
+            loopStart: record.loopStart ?? 0,
+            loopEnd: record.loopEnd ?? buffer.duration,
+            gainDb: record.gainDb ?? 0,
+            persisted: false
+        };
+
+        this.samples.set(sample.id, sample);
+        return sample;
+    }
+
+    /**
+     * IndexedDBに保存されたライブラリを読み込み
+     * @returns {Promise<number>} 読み込んだファイル数
+     */
+    async loadPersisted() {
+        const records = await AudioFileStore.getAllFiles();
+        let count = 0;
+
+        for (const record of records) {
+            try {
+                const sample = await this.addSample(record);
+                sample.persisted = true;
+                count++;
+            } catch (error) {
+                console.error(`保存済み音声ファイルのデコードに失敗: ${record.name}`, error);
+            }
+        }
+
+        return count;
+    }
+
+    /**
+     * 読み込み済みのサンプル一覧を取得
+     * @returns {Array<Object>} サンプルの配列
+     */
+    getSamples() {
+        return Array.from(this.samples.values());
+    }
+
+    /**
+     * サンプルを取得
+     * @param {string} id - サンプルID
+     * @returns {Object|null} サンプルオブジェクト
+     */
+    getSample(id) {
+        return this.samples.get(id) || null;
+    }
+
+    /**
+     * ループ位置とゲインを更新
+     * @param {string} id - サンプルID
+     * @param {Object} changes - loopStart, loopEnd (秒), gainDb (dB)
+     * @returns {Object|null} 更新後のサンプル
+     */
+    updateSample(id, changes) {
+        const sample = this.samples.get(id);
+        if (!sample) {
+            return null;
+        }
+
+        if (changes.loopStart !== undefined) {
+            sample.loopStart = MathUtils.clamp(changes.loopStart, 0, sample.duration);
+        }
+        if (changes.loopEnd !== undefined) {
+            sample.loopEnd = MathUtils.clamp(changes.loopEnd, 0, sample.duration);
+        }
+        if (sample.loopEnd <= sample.loopStart) {
+            sample.loopEnd = sample.duration;
+        }
+        if (changes.gainDb !== undefined) {
+            sample.gainDb = changes.gainDb;
+        }
+
+        if (sample.persisted) {
+            AudioFileStore.updateFile(id, {
+                loopStart: sample.loopStart,
+                loopEnd: sample.loopEnd,
+                gainDb: sample.gainDb
+            });
+        }
+
+        return sample;
+    }
+
+    /**
+     * サンプルを削除 (ライブラリに保存されていればそこからも削除)
+     * @param {string} id - サンプルID
+     */
+    async removeSample(id) {
+        const sample = this.samples.get(id);
+        if (!sample) {
+            return;
+        }
+
+        this.samples.delete(id);
+        if (sample.persisted) {
+            await AudioFileStore.deleteFile(id);
+        }
+    }
+
+    /**
+     * ループ設定済みのバッファソースを作成
+     * @param {AudioContext} audioContext - Audio Context
+     * @param {Object} sample - サンプルオブジェクト
+     * @returns {AudioBufferSourceNode} バッファソース
+     */
+    static createSource(audioContext, sample) {
+        const source = audioContext.createBufferSource();
+        source.buffer = sample.buffer;
+        source.loop = true;
+        source.loopStart = sample.loopStart;
+        source.loopEnd = sample.loopEnd;
+        return source;
+    }
+}
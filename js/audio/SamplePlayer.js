@@ -0,0 +1,173 @@
+/**
+ * SamplePlayer - 音声ファイル再生クラス
+ * 読み込んだ音声ファイルをループ再生し，フィルタをかけて聴き比べ
+ */
+class SamplePlayer {
+    static FILTER_TYPES = ['off', 'peaking', 'lowpass', 'highpass', 'bandpass'];
+
+    constructor(audioContext, equalLoudness, destination) {
+        this.audioContext = audioContext;
+        this.equalLoudness = equalLoudness;
+        this.destination = destination;
+        this.sample = null;
+        this.source = null;
+        this.filter = null;
+        this.trimNode = null;
+        this.gainNode = null;
+        this.isPlaying = false;
+    }
+
+    /**
+     * サンプルを再生
+     * @param {Object} sample - SampleLibraryのサンプルオブジェクト
+     * @param {number} volume - 音量 (0-1)
+     * @param {Object} filter - フィルタ設定
+     * @param {string} filter.type - フィルタタイプ ('off', 'peaking', 'lowpass', 'highpass', 'bandpass')
+     * @param {number} filter.frequency - フィルタ周波数 (Hz)
+     * @param {number} filter.gain - ピーキングのゲイン (dB)
+     * @param {number} filter.q - Q値
+     */
+    start(sample, volume = 0.3, filter = { type: 'off' }) {
+        if (this.isPlaying) {
+            this.stop();
+        }
+
+        this.sample = sample;
+        this.source = SampleLibrary.createSource(this.audioContext, sample);
+
+        // フィルタ ('off' の場合はピーキング0dBで素通し)
+        this.filter = this.audioContext.createBiquadFilter();
+        this.applyFilter(filter);
+
+        // ゲイントリム
+        this.trimNode = this.audioContext.createGain();
+        this.trimNode.gain.value = MathUtils.dbToGain(sample.gainDb);
+
+        this.gainNode = this.audioContext.createGain();
+
+        // フェードイン処理
+        this.gainNode.gain.setValueAtTime(0, this.audioContext.currentTime);
+        this.gainNode.gain.exponentialRampToValueAtTime(
+            Math.max(0.001, volume),
+            this.audioContext.currentTime + 0.05
+        );
+
+        // 接続
+        this.source.connect(this.filter);
+        this.filter.connect(this.trimNode);
+        this.trimNode.connect(this.gainNode);
+        this.gainNode.connect(this.destination || this.audioContext.destination);
+
+        // ループ開始位置から再生
+        this.source.start(this.audioContext.currentTime, sample.loopStart);
+        this.isPlaying = true;
+    }
+
+    /**
+     * 再生を停止
+     */
+    stop() {
+        if (!this.source || !this.isPlaying) {
+            return;
+        }
+
+        // フェードアウト処理
+        const currentGain = this.gainNode.gain.value;
+        this.gainNode.gain.cancelScheduledValues(this.audioContext.currentTime);
+        this.gainNode.gain.setValueAtTime(currentGain, this.audioContext.currentTime);
+        this.gainNode.gain.exponentialRampToValueAtTime(
+            0.001,
+            this.audioContext.currentTime + 0.05
+        );
+
+        // 停止
+        this.source.stop(this.audioContext.currentTime + 0.05);
+        this.isPlaying = false;
+
+        // クリーンアップ (鳴り終わってから解放)
+        const nodes = [this.source, this.filter, this.trimNode, this.gainNode];
+        this.source.onended = () => {
+            nodes.forEach(node => node.disconnect());
+        };
+        this.source = null;
+        this.filter = null;
+        this.trimNode = null;
+        this.gainNode = null;
+    }
+
+    /**
+     * フィルタ設定を適用
+     * @param {Object} filter - フィルタ設定 (type, frequency, gain, q)
+     */
+    applyFilter(filter) {
+        const now = this.audioContext.currentTime;
+        const bypassed = filter.type === 'off';
+
+        this.filter.type = bypassed ? 'peaking' : filter.type;
+        if (filter.frequency) {
+            this.filter.frequency.setValueAtTime(filter.frequency, now);
+        }
+        this.filter.Q.setValueAtTime(filter.q || 1.4, now);
+        this.filter.gain.setValueAtTime(bypassed ? 0 : (filter.gain || 0), now);
+    }
+
+    /**
+     * フィルタ設定を変更 (リアルタイム)
+     * @param {Object} filter - フィルタ設定 (type, frequency, gain, q)
+     */
+    setFilter(filter) {
+        if (this.filter && this.isPlaying) {
+            this.applyFilter(filter);
+        }
+    }
+
+    /**
+     * フィルタ周波数を変更 (リアルタイム)
+     * @param {number} frequency - 新しいフィルタ周波数
+     */
+    setFrequency(frequency) {
+        if (this.filter && this.isPlaying) {
+            this.filter.frequency.setValueAtTime(
+                frequency,
+                this.audioContext.currentTime
+            );
+        }
+    }
+
+    /**
+     * ループ位置とゲイントリムを再適用 (リアルタイム)
+     */
+    updateSample() {
+        if (this.source && this.isPlaying) {
+            this.source.loopStart = this.sample.loopStart;
+            this.source.loopEnd = this.sample.loopEnd;
+            this.trimNode.gain.setValueAtTime(
+                MathUtils.dbToGain(this.sample.gainDb),
+                this.audioContext.currentTime
+            );
+        }
+    }
+
+    /**
+     * 音量を変更 (リアルタイム)
+     * @param {number} volume - 新しい音量 (0-1)
+     */
+    setVolume(volume) {
+        if (this.gainNode && this.isPlaying) {
+            this.gainNode.gain.setValueAtTime(
+                volume,
+                this.audioContext.currentTime
+            );
+        }
+    }
+
+    /**
+     * 等ラウドネス補正を適用した音量を計算
+     * 音声ファイルは周波数が定まらないため補正しない
+     * @param {number} volume - 音量 (0-1)
+     * @returns {number} 補正後の音量
+     */
+    getCorrectedGain(volume) {
+        return volume;
+    }
+}
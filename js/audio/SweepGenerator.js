@@ -0,0 +1,241 @@
+/**
+ * SweepGenerator - 周波数スイープ (チャープ) 生成クラス
+ * 開始周波数から終了周波数まで線形/対数で連続的に変化させる
+ */
+class SweepGenerator {
+    static SCALES = ['log', 'linear'];
+    static REPEAT_MODES = ['once', 'repeat', 'pingpong'];
+
+    // 繰り返し時に先読みしてスケジュールする時間 (秒)
+    static SCHEDULE_AHEAD = 1.0;
+
+    // 先読みを更新する間隔 (秒)
+    static SCHEDULE_INTERVAL = 0.25;
+
+    constructor(audioContext, equalLoudness, destination, scheduler) {
+        this.audioContext = audioContext;
+        this.equalLoudness = equalLoudness;
+        this.destination = destination;
+        this.scheduler = scheduler; // 先読みの更新に使う AudioScheduler
+        this.oscillator = null;
+        this.gainNode = null;
+        this.options = null;
+        this.startTime = 0;
+        this.scheduledSegments = 0;
+        this.schedulerTimer = null;
+        this.onEnded = null;
+        this.isPlaying = false;
+    }
+
+    /**
+     * スイープを開始
+     * @param {Object} options - スイープ設定
+     * @param {number} options.startFrequency - 開始周波数 (Hz)
+     * @param {number} options.endFrequency - 終了周波数 (Hz)
+     * @param {number} options.duration - 1回のスイープ時間 (秒)
+     * @param {string} options.scale - 'log' または 'linear'
+     * @param {string} options.repeat - 'once', 'repeat', 'pingpong'
+     * @param {string|Object} options.waveform - 波形タイプ (独自の音色は Timbre を参照)
+     * @param {number} volume - 音量 (0-1)
+     */
+    start(options, volume = 0.3) {
+        if (this.isPlaying) {
+            this.stop();
+        }
+
+        this.options = {
+            scale: 'log',
+            repeat: 'once',
+            waveform: 'sine',
+            ...options
+        };
+
+        const now = this.audioContext.currentTime;
+        this.startTime = now;
+        this.scheduledSegments = 0;
+
+        this.oscillator = this.audioContext.createOscillator();
+        this.gainNode = this.audioContext.createGain();
+        Timbre.apply(this.audioContext, this.oscillator, this.options.waveform);
+        this.oscillator.frequency.setValueAtTime(this.options.startFrequency, now);
+
+        // フェードイン処理
+        this.gainNode.gain.setValueAtTime(0, now);
+        this.gainNode.gain.exponentialRampToValueAtTime(Math.max(0.001, volume), now + 0.05);
+
+        // 接続
+        this.oscillator.connect(this.gainNode);
+        this.gainNode.connect(this.destination || this.audioContext.destination);
+
+        // 終了したノードを解放し，自然終了 (1回のみのスイープ) なら通知
+        this.oscillator.onended = () => {
+            const endedByItself = this.isPlaying;
+            this.isPlaying = false;
+            this.cleanup();
+            if (endedByItself && this.onEnded) this.onEnded();
+        };
+
+        this.oscillator.start(now);
+        this.isPlaying = true;
+
+        if (this.options.repeat === 'once') {
+            this.scheduleSegment(0);
+            const end = now + this.options.duration;
+            this.gainNode.gain.setValueAtTime(Math.max(0.001, volume), end);
+            this.gainNode.gain.exponentialRampToValueAtTime(0.001, end + 0.05);
+            this.oscillator.stop(end + 0.05);
+        } else {
+            // 繰り返しは先読みしながら順次スケジュール (音声クロックで更新するので裏のタブでも止まらない)
+            this.scheduleLoop();
+        }
+    }
+
+    /**
+     * 先読みのスケジュールを行い，次の更新を音声クロックに予約
+     */
+    scheduleLoop() {
+        this.scheduleAhead();
+        this.schedulerTimer = this.scheduler.after(SweepGenerator.SCHEDULE_INTERVAL, () => this.scheduleLoop());
+    }
+
+    /**
+     * 先読み時間までのセグメントをスケジュール
+     */
+    scheduleAhead() {
+        const horizon = this.audioContext.currentTime + Math.max(SweepGenerator.SCHEDULE_AHEAD, this.options.duration);
+        while (this.startTime + this.scheduledSegments * this.options.duration < horizon) {
+            this.scheduleSegment(this.scheduledSegments);
+        }
+    }
+
+    /**
+     * n番目のスイープ区間をAudioParamに予約
+     * @param {number} index - 区間番号 (0始まり)
+     */
+    scheduleSegment(index) {
+        const { from, to } = this.getSegmentRange(index);
+        const segmentStart = this.startTime + index * this.options.duration;
+        const segmentEnd = segmentStart + this.options.duration;
+        const frequency = this.oscillator.frequency;
+
+        frequency.setValueAtTime(from, segmentStart);
+        if (this.options.scale === 'linear') {
+            frequency.linearRampToValueAtTime(to, segmentEnd);
+        } else {
+            frequency.exponentialRampToValueAtTime(to, segmentEnd);
+        }
+
+        this.scheduledSegments = index + 1;
+    }
+
+    /**
+     * 区間の開始・終了周波数を取得
+     * @param {number} index - 区間番号
+     * @returns {Object} { from, to }
+     */
+    getSegmentRange(index) {
+        const { startFrequency, endFrequency, repeat } = this.options;
+        if (repeat === 'pingpong' && index % 2 === 1) {
+            return { from: endFrequency, to: startFrequency };
+        }
+        return { from: startFrequency, to: endFrequency };
+    }
+
+    /**
+     * 現在の周波数を音声クロックから計算
+     * @returns {number|null} 現在の周波数 (Hz)，停止中はnull
+     */
+    getCurrentFrequency() {
+        if (!this.isPlaying) {
+            return null;
+        }
+
+        const { duration, scale, repeat } = this.options;
+        const elapsed = Math.max(0, this.audioContext.currentTime - this.startTime);
+        let index = Math.floor(elapsed / duration);
+        if (repeat === 'once') {
+            index = Math.min(index, 0);
+        }
+        const t = MathUtils.clamp((elapsed - index * duration) / duration, 0, 1);
+        const { from, to } = this.getSegmentRange(index);
+
+        if (scale === 'linear') {
+            return MathUtils.lerp(from, to, t);
+        }
+        return from * Math.pow(to / from, t);
+    }
+
+    /**
+     * スイープを停止
+     */
+    stop() {
+        if (!this.oscillator || !this.isPlaying) {
+            return;
+        }
+
+        this.isPlaying = false;
+
+        // フェードアウト処理
+        const now = this.audioContext.currentTime;
+        const currentGain = this.gainNode.gain.value;
+        this.gainNode.gain.cancelScheduledValues(now);
+        this.gainNode.gain.setValueAtTime(currentGain, now);
+        this.gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.05);
+
+        // 停止 (ノードの解放は onended で行う)
+        this.oscillator.stop(now + 0.05);
+
+        // 先読みのスケジュールはすぐに止める
+        this.scheduler.cancel(this.schedulerTimer);
+        this.schedulerTimer = null;
+    }
+
+    /**
+     * ノードとスケジューラーを解放
+     */
+    cleanup() {
+        this.scheduler.cancel(this.schedulerTimer);
+        this.schedulerTimer = null;
+        if (this.oscillator) {
+            this.oscillator.disconnect();
+            this.oscillator = null;
+        }
+        if (this.gainNode) {
+            this.gainNode.disconnect();
+            this.gainNode = null;
+        }
+    }
+
+    /**
+     * 音量を変更 (リアルタイム)
+     * @param {number} volume - 新しい音量 (0-1)
+     */
+    setVolume(volume) {
+        if (this.gainNode && this.isPlaying) {
+            this.gainNode.gain.setValueAtTime(
+                volume,
+                this.audioContext.currentTime
+            );
+        }
+    }
+
+    /**
+     * 波形を変更 (リアルタイム)
+     * @param {string|Object} waveform - 新しい波形タイプ
+     */
+    setWaveform(waveform) {
+        if (this.oscillator && this.isPlaying) {
+            Timbre.apply(this.audioContext, this.oscillator, waveform);
+        }
+    }
+
+    /**
+     * 等ラウドネス補正を適用した音量を計算
+     * スイープは周波数が常に変化するため補正しない
+     * @param {number} volume - 音量 (0-1)
+     * @returns {number} 補正後の音量
+     */
+    getCorrectedGain(volume) {
+        return volume;
+    }
+}
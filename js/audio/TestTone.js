@@ -0,0 +1,110 @@
+/**
+ * TestTone - 検査音クラス
+ * 指定レベル (dB) の正弦波パルスを左右どちらかの耳に提示
+ */
+class TestTone {
+    constructor(audioContext, destination) {
+        this.audioContext = audioContext;
+        this.destination = destination;
+        this.oscillator = null;
+        this.gainNode = null;
+        this.panner = null;
+        this.isPlaying = false;
+    }
+
+    /**
+     * 検査音を再生
+     * @param {Object} options - 検査音設定
+     * @param {number} options.frequency - 周波数 (Hz)
+     * @param {number} options.level - レベル (dB，0dBが最大音量)
+     * @param {number} options.pan - 定位 (-1: 左耳, 1: 右耳)
+     * @param {number} options.pulses - パルス数
+     * @param {number} options.pulseDuration - 1パルスの長さ (秒)
+     * @param {number} options.gap - パルス間の無音 (秒)
+     * @returns {number} 再生終了時刻 (AudioContextの時間軸)
+     */
+    start(options) {
+        if (this.isPlaying) {
+            this.stop();
+        }
+
+        const { frequency, level, pan = 0, pulses = 3, pulseDuration = 0.25, gap = 0.2 } = options;
+        const ramp = 0.02; // クリック音を防ぐ立ち上がり/立ち下がり
+        const now = this.audioContext.currentTime + 0.05;
+
+        this.oscillator = this.audioContext.createOscillator();
+        this.gainNode = this.audioContext.createGain();
+        this.panner = this.audioContext.createStereoPanner();
+
+        this.oscillator.type = 'sine';
+        this.oscillator.frequency.value = frequency;
+        this.panner.pan.value = pan;
+
+        // パルス列のエンベロープを音声クロック上に予約
+        const peak = MathUtils.dbToGain(level);
+        this.gainNode.gain.setValueAtTime(0, now);
+        for (let i = 0; i < pulses; i++) {
+            const t = now + i * (pulseDuration + gap);
+            this.gainNode.gain.setValueAtTime(0, t);
+            this.gainNode.gain.linearRampToValueAtTime(peak, t + ramp);
+            this.gainNode.gain.setValueAtTime(peak, t + pulseDuration - ramp);
+            this.gainNode.gain.linearRampToValueAtTime(0, t + pulseDuration);
+        }
+        const endTime = now + pulses * pulseDuration + (pulses - 1) * gap;
+
+        // 接続
+        this.oscillator.connect(this.gainNode);
+        this.gainNode.connect(this.panner);
+        this.panner.connect(this.destination || this.audioContext.destination);
+
+        // 終了したノードを解放 (既に次の検査音が始まっていれば状態は変えない)
+        const nodes = [this.oscillator, this.gainNode, this.panner];
+        const oscillator = this.oscillator;
+        oscillator.onended = () => {
+            nodes.forEach(node => node.disconnect());
+            if (this.oscillator === oscillator) {
+                this.isPlaying = false;
+                this.oscillator = null;
+                this.gainNode = null;
+                this.panner = null;
+            }
+        };
+
+        this.oscillator.start(now);
+        this.oscillator.stop(endTime);
+        this.isPlaying = true;
+
+        return endTime;
+    }
+
+    /**
+     * 再生中の検査音のレベルを変更 (校正用の連続音で使用)
+     * @param {number} level - 新しいレベル (dB)
+     */
+    setLevel(level) {
+        if (this.gainNode && this.isPlaying) {
+            this.gainNode.gain.cancelScheduledValues(this.audioContext.currentTime);
+            this.gainNode.gain.setTargetAtTime(
+                MathUtils.dbToGain(level),
+                this.audioContext.currentTime,
+                0.02
+            );
+        }
+    }
+
+    /**
+     * 検査音を停止
+     */
+    stop() {
+        if (!this.oscillator || !this.isPlaying) {
+            return;
+        }
+
+        const now = this.audioContext.currentTime;
+        this.gainNode.gain.cancelScheduledValues(now);
+        this.gainNode.gain.setValueAtTime(this.gainNode.gain.value, now);
+        this.gainNode.gain.linearRampToValueAtTime(0, now + 0.02);
+        this.oscillator.stop(now + 0.02);
+        this.isPlaying = false;
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * Timbre - 倍音構成による音色クラス
+ * 倍音ごとの振幅と位相から PeriodicWave を作成し，OscillatorNodeに適用する．
+ * 保存した音色は 'timbre:<id>' の形式で波形タイプとして扱える
+ */
+class Timbre {
+    static MAX_PARTIALS = 32;
+    static PREFIX = 'timbre:';
+    static BUILTIN_WAVEFORMS = ['sine', 'triangle', 'square', 'sawtooth'];
+
+    // エディタのプリセット (n: 倍音次数)
+    static PRESETS = {
+        sine: { label: '正弦波', amplitude: (n) => n === 1 ? 1 : 0, phase: () => 0 },
+        sawtooth: { label: 'のこぎり波', amplitude: (n) => 1 / n, phase: () => 0 },
+        square: { label: '矩形波', amplitude: (n) => n % 2 === 1 ? 1 / n : 0, phase: () => 0 },
+        triangle: { label: '三角波', amplitude: (n) => n % 2 === 1 ? 1 / (n * n) : 0, phase: (n) => n % 4 === 3 ? 180 : 0 },
+        organ: { label: 'オルガン', amplitude: (n) => [1, 2, 4, 8].includes(n) ? 1 / Math.sqrt(n) : 0, phase: () => 0 }
+    };
+
+    /**
+     * プリセットから倍音構成を作成
+     * @param {string} preset - プリセット名
+     * @param {number} count - 倍音の数
+     * @returns {Array<Object>} 倍音の配列 ({ amplitude, phase })．先頭が基音
+     */
+    static createPartials(preset, count = 16) {
+        const { amplitude, phase } = this.PRESETS[preset] || this.PRESETS.sine;
+        return Array.from({ length: count }, (_, i) => ({
+            amplitude: Math.round(amplitude(i + 1) * 100) / 100,
+            phase: phase(i + 1)
+        }));
+    }
+
+    /**
+     * 倍音構成から PeriodicWave を作成
+     * sin(nωt + φ) = sinφ·cos(nωt) + cosφ·sin(nωt) より real/imag 係数を求める
+     * @param {BaseAudioContext} audioContext - オーディオコンテキスト
+     * @param {Object} timbre - 音色 ({ partials })
+     * @returns {PeriodicWave}
+     */
+    static createPeriodicWave(audioContext, timbre) {
+        const partials = timbre.partials.slice(0, this.MAX_PARTIALS);
+        const real = new Float32Array(partials.length + 1);
+        const imag = new Float32Array(partials.length + 1);
+
+        partials.forEach((partial, i) => {
+            const phase = partial.phase * Math.PI / 180;
+            real[i + 1] = partial.amplitude * Math.sin(phase);
+            imag[i + 1] = partial.amplitude * Math.cos(phase);
+        });
+
+        return audioContext.createPeriodicWave(real, imag);
+    }
+
+    /**
+     * 波形タイプが独自の音色かどうか
+     * @param {string|Object} waveform - 波形タイプ，'timbre:<id>'，または音色オブジェクト
+     * @returns {boolean}
+     */
+    static isCustom(waveform) {
+        return typeof waveform === 'object' || String(waveform).startsWith(this.PREFIX);
+    }
+
+    /**
+     * 波形タイプとして使える値かどうか
+     * @param {*} waveform - 組み込みの波形タイプ，'timbre:<id>'，または音色オブジェクト
+     * @returns {boolean}
+     */
+    static isValidWaveform(waveform) {
+        if (typeof waveform === 'string') {
+            return this.BUILTIN_WAVEFORMS.includes(waveform) || waveform.startsWith(this.PREFIX);
+        }
+        return this.isValidTimbre(waveform);
+    }
+
+    /**
+     * 音色オブジェクトの倍音構成が PeriodicWave を作れる形かどうか
+     * @param {*} timbre - 音色 ({ partials })
+     * @returns {boolean}
+     */
+    static isValidTimbre(timbre) {
+        if (!timbre || typeof timbre !== 'object' || !Array.isArray(timbre.partials)) {
+            return false;
+        }
+        const { partials } = timbre;
+        return partials.length > 0 && partials.length <= this.MAX_PARTIALS &&
+            partials.every(partial => partial && Number.isFinite(partial.amplitude) && Number.isFinite(partial.phase));
+    }
+
+    /**
+     * 保存した音色の波形タイプ名を取得
+     * @param {Object} timbre - 音色
+     * @returns {string} 'timbre:<id>'
+     */
+    static toWaveform(timbre) {
+        return this.PREFIX + timbre.id;
+    }
+
+    /**
+     * 波形タイプから音色を取得
+     * @param {string|Object} waveform - 'timbre:<id>' または音色オブジェクト
+     * @returns {Object|null} 音色．見つからなければnull
+     */
+    static resolve(waveform) {
+        if (typeof waveform === 'object') {
+            return waveform;
+        }
+        return StorageManager.getTimbre(String(waveform).slice(this.PREFIX.length));
+    }
+
+    /**
+     * OscillatorNodeに波形を設定
+     * 削除済みの音色などが見つからない場合は正弦波にする
+     * @param {BaseAudioContext} audioContext - オーディオコンテキスト
+     * @param {OscillatorNode} oscillator - 対象のオシレーター
+     * @param {string|Object} waveform - 波形タイプ，'timbre:<id>'，または音色オブジェクト
+     */
+    static apply(audioContext, oscillator, waveform) {
+        if (!this.isCustom(waveform)) {
+            oscillator.type = waveform;
+            return;
+        }
+
+        const timbre = this.resolve(waveform);
+        if (!timbre) {
+            console.warn(`音色が見つかりません: ${waveform}`);
+            oscillator.type = 'sine';
+            return;
+        }
+        oscillator.setPeriodicWave(this.createPeriodicWave(audioContext, timbre));
+    }
+
+    /**
+     * 波形タイプの表示名を取得
+     * @param {string|Object} waveform - 波形タイプ
+     * @returns {string} 表示名
+     */
+    static getLabel(waveform) {
+        if (this.isCustom(waveform)) {
+            const timbre = this.resolve(waveform);
+            return timbre ? timbre.name : '削除された音色';
+        }
+        return this.PRESETS[waveform] ? this.PRESETS[waveform].label : waveform;
+    }
+}
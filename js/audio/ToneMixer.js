@@ -0,0 +1,231 @@
+/**
+ * ToneMixer - 複数トーンのミキサークラス
+ * 最大8チャンネルのトーンを同時に再生し，チャンネルごとの周波数・波形・レベル・定位・
+ * ミュート/ソロを再生中に変更できる (うなり・マスキング・和音のデモ用)
+ */
+class ToneMixer {
+    static MAX_CHANNELS = 8;
+    static MIN_LEVEL = -60; // dB
+
+    static DEFAULT_CHANNEL = {
+        frequency: 440, // Hz
+        waveform: 'sine', // 波形タイプ (保存した音色は 'timbre:<id>')
+        level: -12, // dB (0dBで1チャンネルだけ鳴らしたトーンと同じ音量)
+        pan: 0, // -1: 左, 1: 右
+        mute: false,
+        solo: false
+    };
+
+    // パラメータ変更時のなめらかさ (setTargetAtTime の時定数，秒)
+    static SMOOTHING = 0.01;
+
+    constructor(audioContext, equalLoudness, destination) {
+        this.audioContext = audioContext;
+        this.equalLoudness = equalLoudness;
+        this.destination = destination;
+        this.output = null;
+        this.voices = []; // チャンネルごとの { oscillator, gainNode, panner, waveform }
+        this.channels = [];
+        this.volume = 0.3;
+        this.equalLoudnessMode = 'off';
+        this.isPlaying = false;
+    }
+
+    /**
+     * チャンネル設定を既定値で補って作成
+     * @param {Object} params - チャンネル設定
+     * @returns {Object} チャンネル設定
+     */
+    static createChannel(params = {}) {
+        return { ...this.DEFAULT_CHANNEL, ...params };
+    }
+
+    /**
+     * 新しいシーンの初期チャンネル (4Hzのうなりが聞こえる2音)
+     * @returns {Array<Object>} チャンネル設定の配列
+     */
+    static createDefaultChannels() {
+        return [
+            this.createChannel({ frequency: 440 }),
+            this.createChannel({ frequency: 444 })
+        ];
+    }
+
+    /**
+     * ミキサーを開始
+     * @param {Array<Object>} channels - チャンネル設定の配列 (最大8)
+     * @param {number} volume - 音量 (0-1)
+     * @param {string} equalLoudnessMode - 等ラウドネスモード (チャンネルごとの周波数で補正)
+     */
+    start(channels, volume = 0.3, equalLoudnessMode = 'off') {
+        if (this.isPlaying) {
+            this.stop();
+        }
+
+        this.volume = volume;
+        this.equalLoudnessMode = equalLoudnessMode;
+
+        // 出力段でまとめてフェードイン
+        const now = this.audioContext.currentTime;
+        this.output = this.audioContext.createGain();
+        this.output.gain.setValueAtTime(0, now);
+        this.output.gain.linearRampToValueAtTime(1, now + 0.05);
+        this.output.connect(this.destination || this.audioContext.destination);
+
+        this.isPlaying = true;
+        this.setChannels(channels);
+    }
+
+    /**
+     * チャンネル設定を反映 (リアルタイム)
+     * 増えたチャンネルはオシレーターを追加し，減ったチャンネルはフェードアウトして停止する
+     * @param {Array<Object>} channels - チャンネル設定の配列
+     */
+    setChannels(channels) {
+        if (!this.isPlaying) {
+            return;
+        }
+
+        this.channels = channels.slice(0, ToneMixer.MAX_CHANNELS).map(channel => ToneMixer.createChannel(channel));
+
+        while (this.voices.length < this.channels.length) {
+            this.voices.push(this.createVoice());
+        }
+        this.voices.splice(this.channels.length).forEach(voice => this.releaseVoice(voice));
+
+        this.channels.forEach((channel, index) => this.applyChannel(channel, this.voices[index]));
+    }
+
+    /**
+     * 1チャンネル分のノードを作成して開始 (音量0から始める)
+     * @returns {Object} ボイス
+     */
+    createVoice() {
+        const voice = {
+            oscillator: this.audioContext.createOscillator(),
+            gainNode: this.audioContext.createGain(),
+            panner: this.audioContext.createStereoPanner(),
+            waveform: null
+        };
+
+        voice.gainNode.gain.value = 0;
+        voice.oscillator.connect(voice.gainNode);
+        voice.gainNode.connect(voice.panner);
+        voice.panner.connect(this.output);
+        voice.oscillator.start(this.audioContext.currentTime);
+
+        return voice;
+    }
+
+    /**
+     * チャンネル設定をボイスに反映
+     * @param {Object} channel - チャンネル設定
+     * @param {Object} voice - ボイス
+     */
+    applyChannel(channel, voice) {
+        const now = this.audioContext.currentTime;
+
+        // 波形は変わったときだけ設定し直す (PeriodicWaveの作成を避ける)
+        if (voice.waveform !== channel.waveform) {
+            Timbre.apply(this.audioContext, voice.oscillator, channel.waveform);
+            voice.waveform = channel.waveform;
+        }
+
+        voice.oscillator.frequency.setTargetAtTime(channel.frequency, now, ToneMixer.SMOOTHING);
+        voice.panner.pan.setTargetAtTime(MathUtils.clamp(channel.pan, -1, 1), now, ToneMixer.SMOOTHING);
+        voice.gainNode.gain.setTargetAtTime(this.getChannelGain(channel), now, ToneMixer.SMOOTHING);
+    }
+
+    /**
+     * チャンネルのゲインを計算
+     * ソロのチャンネルがある場合はソロ以外を，ミュートのチャンネルは常に無音にする
+     * @param {Object} channel - チャンネル設定
+     * @returns {number} ゲイン (線形)
+     */
+    getChannelGain(channel) {
+        const soloActive = this.channels.some(c => c.solo);
+        if (channel.mute || (soloActive && !channel.solo) || channel.level <= ToneMixer.MIN_LEVEL) {
+            return 0;
+        }
+
+        let gain = this.volume * MathUtils.dbToGain(channel.level);
+        if (this.equalLoudness && this.equalLoudnessMode !== 'off') {
+            gain *= this.equalLoudness.getGain(channel.frequency, this.equalLoudnessMode);
+        }
+        return gain;
+    }
+
+    /**
+     * ボイスをフェードアウトして停止
+     * @param {Object} voice - ボイス
+     */
+    releaseVoice(voice) {
+        const now = this.audioContext.currentTime;
+        voice.gainNode.gain.cancelScheduledValues(now);
+        voice.gainNode.gain.setValueAtTime(voice.gainNode.gain.value, now);
+        voice.gainNode.gain.linearRampToValueAtTime(0, now + 0.05);
+        voice.oscillator.stop(now + 0.05);
+        voice.oscillator.onended = () => {
+            voice.oscillator.disconnect();
+            voice.gainNode.disconnect();
+            voice.panner.disconnect();
+        };
+    }
+
+    /**
+     * ミキサーを停止
+     */
+    stop() {
+        if (!this.isPlaying) {
+            return;
+        }
+
+        // 出力段でまとめてフェードアウト
+        const now = this.audioContext.currentTime;
+        const output = this.output;
+        output.gain.cancelScheduledValues(now);
+        output.gain.setValueAtTime(output.gain.value, now);
+        output.gain.linearRampToValueAtTime(0, now + 0.05);
+
+        const voices = this.voices;
+        voices.forEach(voice => voice.oscillator.stop(now + 0.05));
+        if (voices.length > 0) {
+            voices[0].oscillator.onended = () => {
+                voices.forEach(voice => {
+                    voice.oscillator.disconnect();
+                    voice.gainNode.disconnect();
+                    voice.panner.disconnect();
+                });
+                output.disconnect();
+            };
+        } else {
+            output.disconnect();
+        }
+
+        this.voices = [];
+        this.output = null;
+        this.isPlaying = false;
+    }
+
+    /**
+     * 音量を変更 (リアルタイム)
+     * 等ラウドネス補正はチャンネルごとに掛けるため，ここでは補正前の音量を受け取る
+     * @param {number} volume - 新しい音量 (0-1)
+     */
+    setVolume(volume) {
+        this.volume = volume;
+        if (this.isPlaying) {
+            this.channels.forEach((channel, index) => this.applyChannel(channel, this.voices[index]));
+        }
+    }
+
+    /**
+     * 等ラウドネス補正を掛けたゲインを計算 (AudioEngine.updateEqualLoudness から呼ばれる)
+     * 補正はチャンネルごとに setVolume の中で掛けるため，音量をそのまま返す
+     * @param {number} volume - 音量 (0-1)
+     * @returns {number} 音量
+     */
+    getCorrectedGain(volume) {
+        return volume;
+    }
+}
@@ -0,0 +1,212 @@
+/**
+ * ToneSequence - トーンと無音の列を音声クロック上に予約して再生するクラス
+ * A/B比較や上下法の刺激のように，複数の音の長さと間隔を正確にそろえたい場合に使う．
+ * AudioWorklet の生成器が使えればサンプル単位で，使えなければ OscillatorNode で再生し，
+ * どちらの場合も各トーンの開始・終了を AudioScheduler のイベントで通知する
+ */
+class ToneSequence {
+    static RAMP = 0.01; // クリック音を防ぐ立ち上がり/立ち下がり (秒)
+
+    static DEFAULT_TONE = {
+        frequency: 1000, // Hz
+        duration: 0.5, // 秒
+        level: -10, // dB (音量設定に対する相対値)
+        pan: 0, // -1: 左, 1: 右
+        waveform: 'sine',
+        antiphase: false // 右チャンネルの位相を反転 (ヘッドホンチェック用)
+    };
+
+    constructor(audioContext, scheduler, destination, generator = null) {
+        this.audioContext = audioContext;
+        this.scheduler = scheduler;
+        this.destination = destination;
+        this.generator = generator; // tone-generator の AudioWorkletNode (nullなら OscillatorNode)
+        this.sequenceId = null;
+        this.voices = []; // OscillatorNode で再生する場合の { oscillator, gainNode, nodes }
+        this.timers = [];
+        this.isPlaying = false;
+        this.onEnded = null; // stop() を経ずに鳴り終わったときのコールバック
+    }
+
+    /**
+     * ステップの列から各トーンの時刻を計算
+     * @param {Array<Object>} steps - トーン ({ frequency, duration, level, pan, waveform, antiphase }) または無音 ({ gap })
+     * @param {number} startTime - 最初のステップの開始時刻 (秒)
+     * @returns {Object} { tones: [{ index, startTime, endTime, ...トーン設定 }], endTime }
+     */
+    static layout(steps, startTime) {
+        const tones = [];
+        let time = startTime;
+
+        steps.forEach((step, index) => {
+            if (step.gap !== undefined) {
+                time += step.gap;
+                return;
+            }
+            const tone = { ...ToneSequence.DEFAULT_TONE, ...step };
+            tones.push({ ...tone, index, startTime: time, endTime: time + tone.duration });
+            time += tone.duration;
+        });
+
+        return { tones, endTime: time };
+    }
+
+    /**
+     * 再生を開始
+     * @param {Array<Object>} steps - トーンまたは無音のステップ
+     * @returns {Object} { sequenceId, tones, startTime, endTime } (時刻はAudioContextの時間軸)
+     */
+    start(steps) {
+        if (this.isPlaying) {
+            this.stop();
+        }
+
+        const startTime = this.scheduler.now() + AudioScheduler.LEAD_TIME;
+        const { tones, endTime } = ToneSequence.layout(steps, startTime);
+        this.sequenceId = MathUtils.generateUUID();
+
+        // 生成器は正弦波のみ対応
+        if (this.generator && tones.every(tone => tone.waveform === 'sine')) {
+            this.generator.port.postMessage({
+                type: 'schedule',
+                sequenceId: this.sequenceId,
+                tones: tones.map(tone => ({
+                    start: tone.startTime,
+                    end: tone.endTime,
+                    frequency: tone.frequency,
+                    gain: MathUtils.dbToGain(tone.level),
+                    pan: MathUtils.clamp(tone.pan, -1, 1),
+                    invert: tone.antiphase,
+                    ramp: ToneSequence.RAMP
+                }))
+            });
+        } else {
+            this.voices = tones.map(tone => this.createVoice(tone));
+        }
+
+        // トーンごとの開始・終了と列全体の終了を通知
+        const sequenceId = this.sequenceId;
+        tones.forEach((tone, order) => {
+            this.timers.push(this.scheduler.at(tone.startTime, () => {
+                this.scheduler.emit('tonestart', { sequenceId, order, tone });
+            }));
+            this.timers.push(this.scheduler.at(tone.endTime, () => {
+                this.scheduler.emit('toneend', { sequenceId, order, tone });
+            }));
+        });
+        this.timers.push(this.scheduler.at(endTime, () => {
+            if (this.sequenceId === sequenceId && this.isPlaying) {
+                // 同じ時刻の最後のトーンの終了通知を取り消さないよう，予約はそのまま手放す
+                this.timers = [];
+                this.voices = [];
+                this.isPlaying = false;
+                if (this.onEnded) this.onEnded();
+            }
+        }));
+
+        this.isPlaying = true;
+        return { sequenceId, tones, startTime, endTime };
+    }
+
+    /**
+     * 1トーン分のノードを作成して予約
+     * @param {Object} tone - トーン (startTime, endTime を含む)
+     * @returns {Object} ボイス
+     */
+    createVoice(tone) {
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
+
+        Timbre.apply(this.audioContext, oscillator, tone.waveform);
+        oscillator.frequency.value = tone.frequency;
+
+        const peak = MathUtils.dbToGain(tone.level);
+        const ramp = Math.min(ToneSequence.RAMP, tone.duration / 2);
+        gainNode.gain.setValueAtTime(0, tone.startTime);
+        gainNode.gain.linearRampToValueAtTime(peak, tone.startTime + ramp);
+        gainNode.gain.setValueAtTime(peak, tone.endTime - ramp);
+        gainNode.gain.linearRampToValueAtTime(0, tone.endTime);
+
+        oscillator.connect(gainNode);
+        const nodes = tone.antiphase ? this.connectAntiphase(gainNode, tone.pan) : this.connectPanner(gainNode, tone.pan);
+
+        const voice = { oscillator, gainNode, nodes };
+        oscillator.onended = () => {
+            oscillator.disconnect();
+            gainNode.disconnect();
+            nodes.forEach(node => node.disconnect());
+        };
+        oscillator.start(tone.startTime);
+        oscillator.stop(tone.endTime);
+
+        return voice;
+    }
+
+    /**
+     * StereoPannerNode で定位させて出力につなぐ
+     * @param {AudioNode} input - モノラルの入力
+     * @param {number} pan - 定位 (-1〜1)
+     * @returns {Array<AudioNode>} 作成したノード
+     */
+    connectPanner(input, pan) {
+        const panner = this.audioContext.createStereoPanner();
+        panner.pan.value = MathUtils.clamp(pan, -1, 1);
+        input.connect(panner);
+        panner.connect(this.destination || this.audioContext.destination);
+        return [panner];
+    }
+
+    /**
+     * 左はそのまま，右は位相を反転して出力につなぐ (ChannelMergerNode で左右に振り分ける)
+     * @param {AudioNode} input - モノラルの入力
+     * @param {number} pan - 定位 (-1〜1，等パワーで左右の大きさを配分)
+     * @returns {Array<AudioNode>} 作成したノード
+     */
+    connectAntiphase(input, pan) {
+        const angle = (MathUtils.clamp(pan, -1, 1) + 1) * Math.PI / 4;
+        const left = this.audioContext.createGain();
+        const right = this.audioContext.createGain();
+        const merger = this.audioContext.createChannelMerger(2);
+        left.gain.value = Math.cos(angle);
+        right.gain.value = -Math.sin(angle);
+
+        input.connect(left);
+        input.connect(right);
+        left.connect(merger, 0, 0);
+        right.connect(merger, 0, 1);
+        merger.connect(this.destination || this.audioContext.destination);
+        return [left, right, merger];
+    }
+
+    /**
+     * 予約したイベントとノードを解放
+     */
+    release() {
+        this.timers.forEach(id => this.scheduler.cancel(id));
+        this.timers = [];
+        this.voices = [];
+    }
+
+    /**
+     * 再生を停止 (鳴っている音はフェードアウトし，まだ鳴っていない音は取り消す)
+     */
+    stop() {
+        if (!this.isPlaying) {
+            return;
+        }
+
+        const now = this.audioContext.currentTime;
+        if (this.generator) {
+            this.generator.port.postMessage({ type: 'stop', sequenceId: this.sequenceId, time: now });
+        }
+        this.voices.forEach(({ oscillator, gainNode }) => {
+            gainNode.gain.cancelScheduledValues(now);
+            gainNode.gain.setValueAtTime(gainNode.gain.value, now);
+            gainNode.gain.linearRampToValueAtTime(0, now + ToneSequence.RAMP);
+            oscillator.stop(now + ToneSequence.RAMP);
+        });
+
+        this.release();
+        this.isPlaying = false;
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * ToneGeneratorProcessor - 正弦波トーン列を生成する AudioWorklet プロセッサー
+ * メインスレッドから受け取った開始・終了時刻をサンプル単位に変換し，
+ * 立ち上がり/立ち下がりにレイズドコサインを掛けて出力する．
+ * AudioWorkletGlobalScope で読み込むため，<script> タグでは読み込まない
+ */
+class ToneGeneratorProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.tones = [];
+        this.port.onmessage = (event) => this.handleMessage(event.data);
+    }
+
+    /**
+     * メインスレッドからのメッセージを処理
+     * @param {Object} message - { type: 'schedule', tones } または { type: 'stop', sequenceId, time, ramp }
+     */
+    handleMessage(message) {
+        if (message.type === 'schedule') {
+            message.tones.forEach(tone => {
+                this.tones.push({
+                    sequenceId: message.sequenceId,
+                    startFrame: Math.round(tone.start * sampleRate),
+                    endFrame: Math.round(tone.end * sampleRate),
+                    rampFrames: Math.max(1, Math.round(tone.ramp * sampleRate)),
+                    increment: 2 * Math.PI * tone.frequency / sampleRate,
+                    phase: 0,
+                    gain: tone.gain,
+                    // 等パワーの定位 (invert なら右の位相を反転)
+                    left: Math.cos((tone.pan + 1) * Math.PI / 4),
+                    right: (tone.invert ? -1 : 1) * Math.sin((tone.pan + 1) * Math.PI / 4)
+                });
+            });
+        } else if (message.type === 'stop') {
+            // 鳴っているトーンは立ち下がりの長さで打ち切り，まだ始まっていないトーンは捨てる
+            const stopFrame = Math.round(message.time * sampleRate);
+            this.tones = this.tones.filter(tone => {
+                if (tone.sequenceId !== message.sequenceId) return true;
+                if (tone.startFrame >= stopFrame) return false;
+                tone.endFrame = Math.min(tone.endFrame, stopFrame + tone.rampFrames);
+                return true;
+            });
+        }
+    }
+
+    /**
+     * 立ち上がり/立ち下がりのエンベロープ
+     * @param {Object} tone - トーン
+     * @param {number} frame - サンプル位置
+     * @returns {number} 0〜1
+     */
+    static envelope(tone, frame) {
+        const position = Math.min(1, (frame - tone.startFrame) / tone.rampFrames, (tone.endFrame - frame) / tone.rampFrames);
+        return 0.5 - 0.5 * Math.cos(Math.PI * position);
+    }
+
+    process(inputs, outputs) {
+        const output = outputs[0];
+        const left = output[0];
+        const right = output[1] || output[0];
+        const frames = left.length;
+
+        for (const tone of this.tones) {
+            const from = Math.max(0, tone.startFrame - currentFrame);
+            const to = Math.min(frames, tone.endFrame - currentFrame);
+            for (let i = from; i < to; i++) {
+                const sample = tone.gain * ToneGeneratorProcessor.envelope(tone, currentFrame + i) * Math.sin(tone.phase);
+                tone.phase += tone.increment;
+                left[i] += sample * tone.left;
+                if (right !== left) {
+                    right[i] += sample * tone.right;
+                }
+            }
+            tone.phase %= 2 * Math.PI;
+        }
+
+        // 終わったトーンを破棄
+        const blockEnd = currentFrame + frames;
+        this.tones = this.tones.filter(tone => tone.endFrame > blockEnd);
+        return true;
+    }
+}
+
+registerProcessor('tone-generator', ToneGeneratorProcessor);
@@ -0,0 +1,283 @@
+/**
+ * ChallengeCode - 共有用のチャレンジコードクラス
+ * 問題を生成したシードとクイズの種類・難易度・出題に関わる設定をコードにまとめる．
+ * 同じコードからは同じ問題列が生成されるため，チームでの競争や不具合の再現に使える．
+ * 形式: <種類><難易度>-<シード (36進数)>[-<既定値以外の設定 (JSON を base64url)>]  例: QH-1K9ZQ3A
+ * EQ当てのソース (ピンクノイズ/音声ファイル) は各自の選択を使う
+ */
+class ChallengeCode {
+    static PARAM = 'challenge'; // URL のクエリパラメーター名
+
+    static MODES = { quiz: 'Q', eq: 'E', note: 'N' };
+    static DIFFICULTIES = { easy: 'E', medium: 'M', hard: 'H', custom: 'C' };
+
+    // 出題に関わる設定の既定値 (コードには既定値と異なるものだけ入れる)
+    static DEFAULT_OPTIONS = {
+        waveform: 'sine',
+        modulation: 'none',
+        tone: 'steady',
+        a4: 440
+    };
+
+    // 設定名とコード内のキー
+    static OPTION_KEYS = { waveform: 'w', modulation: 'm', tone: 't', a4: 'a', preset: 'p' };
+
+    static A4_RANGE = [400, 480]; // 基準ピッチの範囲 (MathUtils.setA4Frequency と同じ)
+
+    /**
+     * チャレンジコードを作成
+     * @param {number} seed - 問題を生成したシード
+     * @param {string} mode - クイズの種類 ('quiz'，'eq' または 'note')
+     * @param {string} difficulty - 難易度 ('custom' ならカスタムクイズ)
+     * @param {Object} options - クイズの設定 (waveform, modulation, tone, a4, preset)
+     * @returns {string} チャレンジコード
+     */
+    static encode(seed, mode, difficulty, options = {}) {
+        const shared = {};
+        Object.entries(this.getSharedOptions(mode, difficulty, options)).forEach(([key, value]) => {
+            if (value !== this.DEFAULT_OPTIONS[key]) {
+                shared[this.OPTION_KEYS[key]] = value;
+            }
+        });
+
+        const code = `${this.MODES[mode]}${this.DIFFICULTIES[difficulty]}-${(seed >>> 0).toString(36).toUpperCase()}`;
+        return Object.keys(shared).length > 0 ? `${code}-${this.encodeBase64(JSON.stringify(shared))}` : code;
+    }
+
+    /**
+     * チャレンジコードを読み取る (共有URLを貼り付けても可)
+     * 共有されたコードは誰でも作れるため，設定は型と範囲を確かめ，1つでも不正ならコードごと受け付けない
+     * @param {string} text - チャレンジコードまたはURL
+     * @returns {Object|null} { seed, mode, difficulty, options }．読み取れなければnull
+     */
+    static decode(text) {
+        const code = this.extractCode(String(text || '').trim());
+        const match = code.match(/^([A-Z])([A-Z])-([0-9A-Z]{1,7})(?:-([A-Za-z0-9_-]+))?$/i);
+        if (!match) {
+            return null;
+        }
+
+        const find = (table, letter) => Object.keys(table).find(key => table[key] === letter.toUpperCase());
+        const mode = find(this.MODES, match[1]);
+        const difficulty = find(this.DIFFICULTIES, match[2]);
+        const seed = parseInt(match[3], 36);
+        if (!mode || !difficulty || seed > 0xFFFFFFFF || (difficulty === 'custom' && mode !== 'quiz')) {
+            return null;
+        }
+
+        const options = { ...this.DEFAULT_OPTIONS };
+        if (match[4]) {
+            let shared;
+            try {
+                shared = JSON.parse(this.decodeBase64(match[4]));
+            } catch (error) {
+                console.error('チャレンジコードの読み取りに失敗:', error);
+                return null;
+            }
+            if (!this.isPlainObject(shared)) {
+                return null;
+            }
+            for (const [key, short] of Object.entries(this.OPTION_KEYS)) {
+                if (shared[short] === undefined) {
+                    continue;
+                }
+                const value = this.readOption(key, shared[short]);
+                if (value === null) {
+                    console.warn(`チャレンジコードの設定が不正です: ${key}`);
+                    return null;
+                }
+                options[key] = value;
+            }
+        }
+        if ((difficulty === 'custom') !== Boolean(options.preset)) {
+            return null;
+        }
+
+        return { seed, mode, difficulty, options };
+    }
+
+    /**
+     * コードに入っていた設定を確かめ，使える形にする
+     * @param {string} key - 設定名 (OPTION_KEYS のキー)
+     * @param {*} value - コードに入っていた値
+     * @returns {*} 設定値．不正ならnull
+     */
+    static readOption(key, value) {
+        switch (key) {
+            case 'waveform':
+                return this.readWaveform(value);
+            case 'modulation':
+                return typeof value === 'string' && Object.hasOwn(QuestionGenerator.MODULATION_PRESETS, value) ? value : null;
+            case 'tone':
+                return typeof value === 'string' && Object.hasOwn(QuestionGenerator.TONE_PRESETS, value) ? value : null;
+            case 'a4': {
+                const [min, max] = this.A4_RANGE;
+                return Number.isFinite(value) && value >= min && value <= max ? value : null;
+            }
+            case 'preset':
+                return this.readPreset(value);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * 共有された波形タイプを確かめる
+     * 保存した音色 ('timbre:<id>') は相手の環境を指すため受け付けない
+     * @param {*} value - 組み込みの波形タイプ，または音色オブジェクト ({ name, partials })
+     * @returns {string|Object|null} 波形タイプ．不正ならnull
+     */
+    static readWaveform(value) {
+        if (typeof value === 'string') {
+            return Timbre.BUILTIN_WAVEFORMS.includes(value) ? value : null;
+        }
+        if (!this.isPlainObject(value) || typeof value.name !== 'string' ||
+            value.name.length > QuestionGenerator.NAME_MAX_LENGTH || !Timbre.isValidTimbre(value)) {
+            return null;
+        }
+        return {
+            name: value.name,
+            partials: value.partials.map(({ amplitude, phase }) => ({ amplitude, phase }))
+        };
+    }
+
+    /**
+     * 共有されたカスタムクイズの設定を確かめる
+     * @param {*} value - 設定 (QuestionGenerator.CUSTOM_DEFAULTS のキー)
+     * @returns {Object|null} 正規化した設定．不正ならnull
+     */
+    static readPreset(value) {
+        if (!this.isPlainObject(value) || typeof value.name !== 'string' ||
+            value.name.length > QuestionGenerator.NAME_MAX_LENGTH || !Array.isArray(value.ranges)) {
+            return null;
+        }
+        if (value.equalLoudness !== undefined && !QuestionGenerator.isValidEqualLoudness(value.equalLoudness)) {
+            return null;
+        }
+        const waveform = value.waveform === undefined ? QuestionGenerator.CUSTOM_DEFAULTS.waveform : this.readWaveform(value.waveform);
+        if (waveform === null) {
+            return null;
+        }
+        return QuestionGenerator.normalizeCustomConfig({ ...this.pickPresetKeys(value), waveform });
+    }
+
+    /**
+     * カスタムクイズの設定から既知のキーだけを取り出す
+     * @param {Object} preset - 設定
+     * @returns {Object}
+     */
+    static pickPresetKeys(preset) {
+        const picked = {};
+        Object.keys(QuestionGenerator.CUSTOM_DEFAULTS).forEach(key => {
+            if (preset[key] !== undefined) {
+                picked[key] = preset[key];
+            }
+        });
+        return picked;
+    }
+
+    /**
+     * JSON のオブジェクト ({}) かどうか
+     * @param {*} value
+     * @returns {boolean}
+     */
+    static isPlainObject(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * 出題に関わる設定だけを取り出す
+     * 保存した音色は相手の環境にないため，倍音構成をそのまま入れる
+     * @param {string} mode - クイズの種類
+     * @param {string} difficulty - 難易度
+     * @param {Object} options - クイズの設定
+     * @returns {Object} 共有する設定
+     */
+    static getSharedOptions(mode, difficulty, options) {
+        if (mode === 'note') {
+            return { a4: options.a4 };
+        }
+        if (mode !== 'quiz') {
+            return {};
+        }
+        if (difficulty === 'custom') {
+            const preset = this.pickPresetKeys(options.preset);
+            return { preset: { ...preset, waveform: this.shareWaveform(preset.waveform) } };
+        }
+        return {
+            waveform: this.shareWaveform(options.waveform),
+            modulation: options.modulation,
+            tone: options.tone
+        };
+    }
+
+    /**
+     * 波形タイプを共有できる形にする
+     * @param {string|Object} waveform - 波形タイプ，'timbre:<id>'，または音色オブジェクト
+     * @returns {string|Object} 組み込みの波形タイプ，または音色オブジェクト ({ name, partials })
+     */
+    static shareWaveform(waveform = 'sine') {
+        if (!Timbre.isCustom(waveform)) {
+            return waveform;
+        }
+        const timbre = Timbre.resolve(waveform);
+        if (!Timbre.isValidTimbre(timbre)) {
+            return 'sine';
+        }
+        return {
+            name: String(timbre.name).slice(0, QuestionGenerator.NAME_MAX_LENGTH),
+            partials: timbre.partials.map(({ amplitude, phase }) => ({ amplitude, phase }))
+        };
+    }
+
+    /**
+     * 共有用のURLを作成
+     * @param {string} code - チャレンジコード
+     * @returns {string} URL
+     */
+    static toUrl(code) {
+        return `${location.origin}${location.pathname}?${this.PARAM}=${encodeURIComponent(code)}`;
+    }
+
+    /**
+     * URLのクエリからチャレンジコードを取得
+     * @param {string} search - location.search
+     * @returns {string|null}
+     */
+    static fromUrl(search = location.search) {
+        return new URLSearchParams(search).get(this.PARAM);
+    }
+
+    /**
+     * 入力がURLならクエリからコードを取り出す
+     * @param {string} text - チャレンジコードまたはURL
+     * @returns {string} チャレンジコード
+     */
+    static extractCode(text) {
+        const queryIndex = text.indexOf('?');
+        if (queryIndex < 0) {
+            return text;
+        }
+        return this.fromUrl(text.slice(queryIndex)) || '';
+    }
+
+    /**
+     * 文字列を base64url に変換 (UTF-8)
+     * @param {string} text - 文字列
+     * @returns {string}
+     */
+    static encodeBase64(text) {
+        const binary = Array.from(new TextEncoder().encode(text), byte => String.fromCharCode(byte)).join('');
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * base64url を文字列に戻す (UTF-8)
+     * @param {string} encoded - base64url
+     * @returns {string}
+     */
+    static decodeBase64(encoded) {
+        const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+        return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+    }
+}
@@ -0,0 +1,186 @@
+/**
+ * DiscriminationTest - 周波数弁別閾 (JND) テストクラス
+ * 2つの音を続けて提示し，どちらが高いかを答えてもらう (2区間強制選択)．
+ * 2-down-1-up のステアケース法で周波数差を調整し，正答率約70.7%の弁別閾を
+ * ウェーバー比 (Δf/f) としてオクターブ帯域ごとに推定する
+ */
+class DiscriminationTest {
+    // オクターブ帯域の中心周波数 (1kHzから高域→低域の順に測定)
+    static BANDS = [1000, 2000, 4000, 8000, 500, 250];
+
+    // 基準周波数を帯域内でランダムにずらす幅 (オクターブ，±半分)．
+    // 毎回同じ音にならないようにし，音の記憶ではなく2音の比較で答えさせる
+    static ROVING = 0.5;
+
+    // 周波数差はウェーバー比で扱い，√2 倍ずつ増減する
+    static STAIRCASE = {
+        initial: 0.1, // 10% (約1.6半音)
+        stepDown: Math.SQRT2,
+        stepUp: Math.SQRT2,
+        nDown: 2,
+        nUp: 1,
+        min: 0.0005,
+        max: 0.5,
+        logarithmic: true,
+        maxReversals: 10,
+        discardReversals: 4,
+        maxTrials: 80
+    };
+
+    static TONE = {
+        level: -10, // dB (音量設定に対する相対値)
+        pulseDuration: 0.3, // 秒
+        gap: 0.4 // 秒
+    };
+
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        this.bands = [];
+        this.currentIndex = 0;
+        this.staircase = null;
+        this.trial = null;
+        this.jnd = {};
+        this.trialCounts = {};
+        this.sessionId = null;
+    }
+
+    /**
+     * テストを開始
+     * @param {Array<number>} bands - 測定する帯域の中心周波数
+     */
+    start(bands = DiscriminationTest.BANDS) {
+        this.bands = bands.slice();
+        this.currentIndex = 0;
+        this.jnd = {};
+        this.trialCounts = {};
+        this.sessionId = MathUtils.generateUUID();
+        this.staircase = new Staircase(DiscriminationTest.STAIRCASE);
+        this.trial = this.createTrial();
+    }
+
+    /**
+     * 現在の帯域・周波数差で試行を作成
+     * @returns {Object|null} { band, baseFrequency, frequencies, higherFirst, weber }
+     */
+    createTrial() {
+        const band = this.bands[this.currentIndex];
+        if (band === undefined) return null;
+
+        const weber = this.staircase.value;
+        const octaveOffset = (Math.random() - 0.5) * DiscriminationTest.ROVING;
+        const baseFrequency = band * Math.pow(2, octaveOffset);
+
+        // 基準周波数を挟んで上下に振り分ける (比が 1 + weber になる)
+        const ratio = Math.sqrt(1 + weber);
+        const low = baseFrequency / ratio;
+        const high = baseFrequency * ratio;
+        const higherFirst = Math.random() < 0.5;
+
+        return {
+            band,
+            baseFrequency,
+            frequencies: higherFirst ? [high, low] : [low, high],
+            higherFirst,
+            weber
+        };
+    }
+
+    /**
+     * 現在の試行を取得
+     * @returns {Object|null}
+     */
+    getCurrentTrial() {
+        return this.trial;
+    }
+
+    /**
+     * 現在の試行の2音を再生 (2音の長さと間隔は音声クロック上で正確にそろえる)
+     * @returns {Object|null} ToneSequence の再生タイミング
+     */
+    playCurrentTrial() {
+        if (!this.trial) return null;
+
+        const { level, pulseDuration, gap } = DiscriminationTest.TONE;
+        const [first, second] = this.trial.frequencies;
+        return this.audioEngine.playSequence([
+            { frequency: first, duration: pulseDuration, level },
+            { gap },
+            { frequency: second, duration: pulseDuration, level }
+        ]);
+    }
+
+    /**
+     * 反応を記録
+     * @param {boolean} firstHigher - 1音目が高いと答えたかどうか
+     * @returns {Object|null} { correct, bandFinished }
+     */
+    respond(firstHigher) {
+        if (!this.trial) return null;
+
+        this.audioEngine.stop();
+        const band = this.trial.band;
+        const correct = firstHigher === this.trial.higherFirst;
+        this.staircase.respond(correct);
+
+        const bandFinished = this.staircase.isFinished();
+        if (bandFinished) {
+            // 弁別閾を記録して次の帯域へ (測定範囲外はnull)
+            const estimate = this.staircase.getEstimate();
+            this.jnd[band] = estimate === null ? null : Math.round(estimate * 100000) / 100000;
+            this.trialCounts[band] = this.staircase.history.length;
+            this.currentIndex++;
+            this.staircase = new Staircase(DiscriminationTest.STAIRCASE);
+        }
+
+        this.trial = this.createTrial();
+        return { correct, bandFinished };
+    }
+
+    /**
+     * 進捗を取得
+     * @returns {Object} { current, total, trial }
+     */
+    getProgress() {
+        return {
+            current: Math.min(this.currentIndex + 1, this.bands.length),
+            total: this.bands.length,
+            trial: this.staircase.history.length + 1
+        };
+    }
+
+    /**
+     * テストが終了したかどうか
+     * @returns {boolean}
+     */
+    isFinished() {
+        return this.currentIndex >= this.bands.length;
+    }
+
+    /**
+     * ウェーバー比を周波数差とセントに換算
+     * @param {number} frequency - 周波数 (Hz)
+     * @param {number} weber - ウェーバー比 (Δf/f)
+     * @returns {Object} { hz, cents }
+     */
+    static toDifference(frequency, weber) {
+        return {
+            hz: frequency * weber,
+            cents: 1200 * Math.log2(1 + weber)
+        };
+    }
+
+    /**
+     * 結果を取得
+     * @returns {Object} テスト結果
+     */
+    getResults() {
+        return {
+            sessionId: this.sessionId,
+            timestamp: new Date().toISOString(),
+            mode: 'discrimination',
+            volume: Math.round(this.audioEngine.volume * 100),
+            jnd: this.jnd,
+            trials: this.trialCounts
+        };
+    }
+}
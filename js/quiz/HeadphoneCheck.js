@@ -0,0 +1,150 @@
+/**
+ * HeadphoneCheck - クイズ前のヘッドホンチェッククラス
+ * 1. 左右確認: 片耳だけに鳴らした音がどちらから聞こえたかを答え，左右の配線 (イヤホンの付け間違い) を確認する
+ * 2. 逆位相テスト (Woods et al., 2017): 3つの音のうち最も小さい音を答える．
+ *    1つは -6dB，1つは左右逆位相．ヘッドホンでは逆位相の音も同じ大きさに聞こえるが，
+ *    スピーカーでは左右の音が空間で打ち消し合って小さく聞こえるため，正答できなくなる
+ */
+class HeadphoneCheck {
+    static CHANNEL_TONE = {
+        frequency: 1000, // Hz
+        duration: 0.8, // 秒
+        level: -15 // dB (音量設定に対する相対値)
+    };
+
+    static ANTIPHASE_TONE = {
+        frequency: 200, // Hz (スピーカーで打ち消し合いやすい低めの音)
+        duration: 1.0, // 秒
+        gap: 0.5, // 秒
+        level: -10, // dB (音量設定に対する相対値)
+        quietLevel: -6 // 正解の音の減衰量 (dB)
+    };
+
+    static ANTIPHASE_TRIALS = 6;
+    static ANTIPHASE_PASS = 5; // 合格に必要な正答数
+
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        this.trials = [];
+        this.currentIndex = 0;
+    }
+
+    /**
+     * チェックを開始 (左右確認2回 → 逆位相テスト6回)
+     */
+    start() {
+        // 左右確認は左右1回ずつを順不同で
+        const sides = Math.random() < 0.5 ? ['left', 'right'] : ['right', 'left'];
+        this.trials = sides.map(side => ({ type: 'channel', answer: side, response: null }));
+
+        for (let i = 0; i < HeadphoneCheck.ANTIPHASE_TRIALS; i++) {
+            this.trials.push(HeadphoneCheck.createAntiphaseTrial());
+        }
+        this.currentIndex = 0;
+    }
+
+    /**
+     * 逆位相テストの試行を作成
+     * @returns {Object} { type: 'antiphase', order: ['quiet'|'antiphase'|'normal' × 3], answer, response }
+     */
+    static createAntiphaseTrial() {
+        const order = MathUtils.shuffle(['quiet', 'antiphase', 'normal']);
+        return { type: 'antiphase', order, answer: order.indexOf('quiet'), response: null };
+    }
+
+    /**
+     * 現在の試行を取得
+     * @returns {Object|null}
+     */
+    getCurrentTrial() {
+        return this.trials[this.currentIndex] || null;
+    }
+
+    /**
+     * 現在の試行の音を再生
+     * @returns {Object|null} ToneSequence の再生タイミング
+     */
+    playCurrentTrial() {
+        const trial = this.getCurrentTrial();
+        if (!trial) return null;
+
+        if (trial.type === 'channel') {
+            const { frequency, duration, level } = HeadphoneCheck.CHANNEL_TONE;
+            return this.audioEngine.playSequence([
+                { frequency, duration, level, pan: trial.answer === 'left' ? -1 : 1 }
+            ]);
+        }
+
+        const { frequency, duration, gap, level, quietLevel } = HeadphoneCheck.ANTIPHASE_TONE;
+        const steps = [];
+        trial.order.forEach((kind, i) => {
+            if (i > 0) {
+                steps.push({ gap });
+            }
+            steps.push({
+                frequency,
+                duration,
+                level: kind === 'quiet' ? level + quietLevel : level,
+                antiphase: kind === 'antiphase'
+            });
+        });
+        return this.audioEngine.playSequence(steps);
+    }
+
+    /**
+     * 反応を記録して次の試行へ
+     * @param {string|number} response - 左右確認は 'left'/'right'，逆位相テストは音の番号 (0-2)
+     * @returns {boolean} 正答かどうか
+     */
+    respond(response) {
+        const trial = this.getCurrentTrial();
+        if (!trial) return false;
+
+        this.audioEngine.stop();
+        trial.response = response;
+        this.currentIndex++;
+        return response === trial.answer;
+    }
+
+    /**
+     * 進捗を取得
+     * @returns {Object} { current, total }
+     */
+    getProgress() {
+        return {
+            current: Math.min(this.currentIndex + 1, this.trials.length),
+            total: this.trials.length
+        };
+    }
+
+    /**
+     * チェックが終了したかどうか
+     * @returns {boolean}
+     */
+    isFinished() {
+        return this.currentIndex >= this.trials.length;
+    }
+
+    /**
+     * 結果を取得
+     * @returns {Object} { passed, channelsOk, swapped, antiphaseCorrect, antiphaseTrials, timestamp }
+     */
+    getResults() {
+        const channelTrials = this.trials.filter(trial => trial.type === 'channel');
+        const antiphaseTrials = this.trials.filter(trial => trial.type === 'antiphase');
+
+        const channelsOk = channelTrials.every(trial => trial.response === trial.answer);
+        // 左右とも逆に答えた場合は配線 (イヤホンの左右) が逆とみなす
+        const swapped = channelTrials.every(trial => trial.response !== null && trial.response !== trial.answer);
+        const antiphaseCorrect = antiphaseTrials.filter(trial => trial.response === trial.answer).length;
+
+        return {
+            passed: channelsOk && antiphaseCorrect >= HeadphoneCheck.ANTIPHASE_PASS,
+            channelsOk,
+            swapped,
+            antiphaseCorrect,
+            antiphaseTrials: antiphaseTrials.length,
+            timestamp: new Date().toISOString()
+        };
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * LoudnessMatch - 個人の等ラウドネス曲線の測定クラス
+ * 1kHzの基準音と検査音を交互に提示し，検査音のレベルを基準音と同じ大きさに
+ * 聞こえるまで調整してもらう (ラウドネスマッチング)．
+ * 求めたレベル差は使用中のヘッドフォンを含めた個人の等ラウドネス曲線として
+ * EqualLoudness の 'personal' モードで補正に使う
+ */
+class LoudnessMatch {
+    // 低域→高域の順に測定
+    static FREQUENCIES = [63, 125, 250, 500, 2000, 3150, 4000, 6300, 8000, 12500];
+    static REFERENCE_FREQUENCY = 1000;
+
+    // 基準音のレベル (dB，音量設定に対する相対値)．検査音を最大 +30dB まで上げられるよう余裕を取る
+    static REFERENCE_LEVEL = -30;
+    static MIN_OFFSET = -30;
+    static MAX_OFFSET = 30;
+
+    // 調整の開始位置を基準音と同じレベルから±この範囲でずらす (開始位置への偏りを防ぐ)
+    static START_SPREAD = 10;
+
+    static TONE = {
+        pulseDuration: 0.6, // 秒
+        gap: 0.3 // 秒
+    };
+
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        this.frequencies = [];
+        this.currentIndex = 0;
+        this.offset = 0; // 基準音に対する検査音のレベル差 (dB)
+        this.corrections = {};
+    }
+
+    /**
+     * 測定を開始
+     */
+    start() {
+        this.frequencies = LoudnessMatch.FREQUENCIES.slice();
+        this.currentIndex = 0;
+        this.corrections = {};
+        this.offset = LoudnessMatch.getStartOffset();
+    }
+
+    /**
+     * 調整の開始位置をランダムに決める
+     * @returns {number} レベル差 (dB)
+     */
+    static getStartOffset() {
+        return Math.round((Math.random() * 2 - 1) * LoudnessMatch.START_SPREAD);
+    }
+
+    /**
+     * 現在の検査周波数を取得
+     * @returns {number|null}
+     */
+    getCurrentFrequency() {
+        const frequency = this.frequencies[this.currentIndex];
+        return frequency === undefined ? null : frequency;
+    }
+
+    /**
+     * 検査音のレベル差を変更
+     * @param {number} offset - 基準音に対するレベル差 (dB)
+     */
+    setOffset(offset) {
+        this.offset = MathUtils.clamp(offset, LoudnessMatch.MIN_OFFSET, LoudnessMatch.MAX_OFFSET);
+    }
+
+    /**
+     * 基準音→検査音の順に再生
+     */
+    playComparison() {
+        const frequency = this.getCurrentFrequency();
+        if (frequency === null) return;
+
+        const { pulseDuration, gap } = LoudnessMatch.TONE;
+        this.audioEngine.playSequence([
+            { frequency: LoudnessMatch.REFERENCE_FREQUENCY, duration: pulseDuration, level: LoudnessMatch.REFERENCE_LEVEL },
+            { gap },
+            { frequency, duration: pulseDuration, level: LoudnessMatch.REFERENCE_LEVEL + this.offset }
+        ]);
+    }
+
+    /**
+     * 現在のレベル差を記録して次の周波数へ
+     */
+    confirm() {
+        const frequency = this.getCurrentFrequency();
+        if (frequency === null) return;
+
+        this.audioEngine.stop();
+        this.corrections[frequency] = this.offset;
+        this.currentIndex++;
+        this.offset = LoudnessMatch.getStartOffset();
+    }
+
+    /**
+     * 進捗を取得
+     * @returns {Object} { current, total }
+     */
+    getProgress() {
+        return { current: Math.min(this.currentIndex + 1, this.frequencies.length), total: this.frequencies.length };
+    }
+
+    /**
+     * 測定が終了したかどうか
+     * @returns {boolean}
+     */
+    isFinished() {
+        return this.currentIndex >= this.frequencies.length;
+    }
+
+    /**
+     * 結果を取得
+     * 校正済みなら基準音のおおよその dB SPL をラウドネスレベル (phon) として記録する
+     * @returns {Object} 測定結果
+     */
+    getResults() {
+        const outputLevel = LoudnessMatch.REFERENCE_LEVEL + MathUtils.gainToDb(this.audioEngine.volume);
+        const spl = Calibration.toSpl(outputLevel, this.audioEngine.calibration);
+
+        return {
+            timestamp: new Date().toISOString(),
+            volume: Math.round(this.audioEngine.volume * 100),
+            calibration: this.audioEngine.calibration ? this.audioEngine.calibration.name : null,
+            phon: spl === null ? null : Math.round(spl),
+            corrections: { ...this.corrections }
+        };
+    }
+}
@@ -0,0 +1,183 @@
+/**
+ * PitchExercise - 発声 (音程再現) 練習クラス
+ * 目標の音名または周波数を示し，口笛・歌声・楽器で出した音の音程を
+ * 一定時間記録して，目標とのずれ (正確さ) と揺れ (安定性) を採点する
+ */
+class PitchExercise {
+    // 音域 (MIDIノート番号の範囲)
+    static RANGES = {
+        low: { label: '低音 (C2〜B3)', minMidi: 36, maxMidi: 59 },
+        mid: { label: '中音 (C3〜B4)', minMidi: 48, maxMidi: 71 },
+        high: { label: '高音・口笛 (C5〜B6)', minMidi: 72, maxMidi: 95 }
+    };
+
+    static TARGET_COUNT = 5;
+    static CAPTURE_DURATION = 4; // 秒
+    static SETTLE_TIME = 0.5; // 出だしの音程の揺れは採点しない (秒)
+    static MIN_CLARITY = 0.8; // これより周期性の低いフレームは無声として扱う
+
+    static REFERENCE = {
+        duration: 1.5 // 秒
+    };
+
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        this.range = 'mid';
+        this.targetType = 'note';
+        this.targets = [];
+        this.currentIndex = 0;
+        this.frames = [];
+        this.answers = [];
+        this.score = 0;
+        this.sessionId = null;
+    }
+
+    /**
+     * 練習を開始
+     * @param {string} range - 音域 ('low', 'mid', 'high')
+     * @param {string} targetType - 目標の示し方 ('note': 音名, 'frequency': 周波数)
+     * @param {number} count - 目標の数
+     */
+    start(range = 'mid', targetType = 'note', count = PitchExercise.TARGET_COUNT) {
+        this.range = PitchExercise.RANGES[range] ? range : 'mid';
+        this.targetType = targetType;
+        this.targets = this.generateTargets(PitchExercise.RANGES[this.range], count);
+        this.currentIndex = 0;
+        this.frames = [];
+        this.answers = [];
+        this.score = 0;
+        this.sessionId = MathUtils.generateUUID();
+    }
+
+    /**
+     * 音域から重複しない目標を作成
+     * 周波数で示す場合は半音の間の音程も出題する
+     * @param {Object} config - 音域設定
+     * @param {number} count - 目標の数
+     * @returns {Array<Object>} { midi, frequency, label }
+     */
+    generateTargets(config, count) {
+        const notes = [];
+        for (let midi = config.minMidi; midi <= config.maxMidi; midi++) {
+            notes.push(midi);
+        }
+
+        return MathUtils.shuffle(notes).slice(0, count).map(midi => {
+            const cents = this.targetType === 'frequency' ? Math.round((Math.random() - 0.5) * 100) : 0;
+            const frequency = Math.round(MathUtils.noteToFrequency(midi, cents) * 100) / 100;
+            return {
+                midi,
+                frequency,
+                label: this.targetType === 'frequency'
+                    ? `${MathUtils.formatWithCommas(frequency, 1)} Hz`
+                    : MathUtils.frequencyToNote(frequency).label
+            };
+        });
+    }
+
+    /**
+     * 現在の目標を取得
+     * @returns {Object|null}
+     */
+    getCurrentTarget() {
+        return this.targets[this.currentIndex] || null;
+    }
+
+    /**
+     * 目標の音を参考に再生
+     */
+    playReference() {
+        const target = this.getCurrentTarget();
+        if (!target) return;
+
+        this.audioEngine.playFrequency(target.frequency, 'sine', PitchExercise.REFERENCE.duration);
+    }
+
+    /**
+     * 記録を開始 (前回の記録は破棄)
+     */
+    beginCapture() {
+        this.frames = [];
+    }
+
+    /**
+     * 推定した音程を1フレーム記録
+     * @param {Object|null} pitch - PitchDetector の推定結果
+     * @param {number} elapsed - 記録開始からの経過時間 (秒)
+     * @returns {boolean} 記録時間が終わったかどうか
+     */
+    addFrame(pitch, elapsed) {
+        if (elapsed >= PitchExercise.SETTLE_TIME && elapsed < PitchExercise.CAPTURE_DURATION) {
+            const voiced = pitch && pitch.clarity >= PitchExercise.MIN_CLARITY;
+            this.frames.push(voiced ? pitch.frequency : null);
+        }
+        return elapsed >= PitchExercise.CAPTURE_DURATION;
+    }
+
+    /**
+     * 記録した音程を採点して次の目標へ
+     * @returns {Object|null} 採点結果
+     */
+    finishTarget() {
+        const target = this.getCurrentTarget();
+        if (!target) return null;
+
+        const pitches = this.frames.filter(frequency => frequency !== null);
+        const result = ScoreCalculator.calculatePitchProductionScore(target.frequency, pitches, this.frames.length);
+
+        const answerRecord = {
+            questionNo: this.currentIndex + 1,
+            actualFreq: target.frequency,
+            target: target.label,
+            userAnswer: result.meanFrequency,
+            score: result.score,
+            errors: result.errors,
+            avgError: result.avgError,
+            centsError: result.centsError,
+            stability: result.stability,
+            voicedRatio: result.voicedRatio,
+            grade: result.grade
+        };
+
+        this.answers.push(answerRecord);
+        this.score += result.score;
+        this.currentIndex++;
+        this.frames = [];
+
+        return answerRecord;
+    }
+
+    /**
+     * 進捗を取得
+     * @returns {Object} { current, total }
+     */
+    getProgress() {
+        return { current: Math.min(this.currentIndex + 1, this.targets.length), total: this.targets.length };
+    }
+
+    /**
+     * 練習が終了したかどうか
+     * @returns {boolean}
+     */
+    isFinished() {
+        return this.currentIndex >= this.targets.length;
+    }
+
+    /**
+     * 結果を取得 (クイズ履歴と同じ形式)
+     * @returns {Object} 練習結果
+     */
+    getResults() {
+        const stats = ScoreCalculator.calculateSessionScore(this.answers);
+
+        return {
+            sessionId: this.sessionId,
+            timestamp: new Date().toISOString(),
+            mode: 'pitch',
+            difficulty: this.range,
+            questions: this.answers,
+            totalScore: this.score,
+            rangeAccuracy: stats.rangeAccuracy
+        };
+    }
+}
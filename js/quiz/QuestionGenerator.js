@@ -4,13 +4,13 @@
  */
 class QuestionGenerator {
     static FREQUENCY_RANGES = {
-        ultraLow:  { min: 20,    max: 80,    count: 1 },
-        low:       { min: 80,    max: 250,   count: 2 },
-        lowMid:    { min: 250,   max: 500,   count: 1 },
-        mid:       { min: 500,   max: 2000,  count: 3 },
-        highMid:   { min: 2000,  max: 6000,  count: 2 },
-        high:      { min: 6000,  max: 12000, count: 1 },
-        ultraHigh: { min: 12000, max: 20000, count: 1 }
+        ultraLow:  { min: 20,    max: 80,    count: 1, label: '超低域' },
+        low:       { min: 80,    max: 250,   count: 2, label: '低域' },
+        lowMid:    { min: 250,   max: 500,   count: 1, label: '中低域' },
+        mid:       { min: 500,   max: 2000,  count: 3, label: '中域' },
+        highMid:   { min: 2000,  max: 6000,  count: 2, label: '中高域' },
+        high:      { min: 6000,  max: 12000, count: 1, label: '高域' },
+        ultraHigh: { min: 12000, max: 20000, count: 1, label: '超高域' }
     };
 
     static DIFFICULTY = {
@@ -34,20 +34,100 @@ class QuestionGenerator {
         }
     };
 
+    // カスタムクイズ (プリセット) の既定値
+    static CUSTOM_DEFAULTS = {
+        name: '',
+        questionCount: 10,
+        ranges: ['ultraLow', 'low', 'lowMid', 'mid', 'highMid', 'high', 'ultraHigh'], // 出題する音域
+        freqCount: 1, // 同時に鳴らす音の数
+        minFreqGap: 1.5, // 音どうしの最小の周波数比
+        stereo: false, // 左右で別の音を鳴らす (2音のときのみ)
+        waveform: 'sine',
+        equalLoudness: 'off',
+        playDuration: 10, // 再生時間 (秒)
+        replays: 0, // 聴き直せる回数
+        timeLimit: 30 // 解答の制限時間 (秒，0で無制限)
+    };
+
+    static NAME_MAX_LENGTH = 40; // プリセット名の最大文字数
+    static EQUAL_LOUDNESS_MODES = ['off', 'auto', 'personal']; // phon の数値以外の等ラウドネス補正
+    static MAX_PHON = 90;
+
+    // カスタムクイズの数値の範囲 [最小, 最大]
+    static CUSTOM_LIMITS = {
+        questionCount: [1, 30],
+        freqCount: [1, 4],
+        minFreqGap: [1.05, 2],
+        playDuration: [1, 30],
+        replays: [0, 10],
+        timeLimit: [0, 120]
+    };
+
+    // 周波数当てクイズの揺らぎ (ビブラート・トレモロ)．速さは問題ごとに±20%ばらつかせる
+    static MODULATION_PRESETS = {
+        none: null,
+        vibrato: { vibratoDepth: 30, vibratoRate: 5.5 },
+        tremolo: { tremoloDepth: 0.6, tremoloRate: 4.5 },
+        both: { vibratoDepth: 30, vibratoRate: 5.5, tremoloDepth: 0.4, tremoloRate: 4.5 }
+    };
+
+    // 周波数当てクイズの音の長さ．短いトーンバーストほど音程を捉えにくい
+    static TONE_PRESETS = {
+        steady: null, // 10秒の持続音
+        long: { attack: 0.01, release: 0.03, burst: { count: 3, toneDuration: 0.5, gap: 0.5 } },
+        short: { attack: 0.01, release: 0.02, burst: { count: 3, toneDuration: 0.2, gap: 0.4 } },
+        blip: { attack: 0.01, release: 0.02, burst: { count: 1, toneDuration: 0.1, gap: 0 } }
+    };
+
+    // 音名当てクイズの難易度設定
+    // octaves: 出題する音域 (オクターブ番号の範囲), maxCents: 平均律の音からのずれの最大値
+    static NOTE_DIFFICULTY = {
+        easy: { octaves: [3, 5], maxCents: 0 },
+        medium: { octaves: [2, 6], maxCents: 25 },
+        hard: { octaves: [1, 7], maxCents: 50 }
+    };
+
+    // EQ当てクイズの難易度設定
+    // bands: 解答候補の中心周波数, gains: 出題するブースト/カット量 (dB)
+    static EQ_DIFFICULTY = {
+        easy: {
+            bands: [125, 250, 500, 1000, 2000, 4000, 8000],
+            gains: [12],
+            q: 1.4,
+            askGain: false
+        },
+        medium: {
+            bands: [63, 125, 250, 500, 1000, 2000, 4000, 8000, 16000],
+            gains: [9],
+            q: 2,
+            askGain: false
+        },
+        hard: {
+            bands: [100, 125, 160, 200, 250, 315, 400, 500, 630, 800, 1000, 1250,
+                    1600, 2000, 2500, 3150, 4000, 5000, 6300, 8000, 10000],
+            gains: [6, -6, 9, -9],
+            q: 3,
+            askGain: true
+        }
+    };
+
     /**
      * 問題セットを生成
      * @param {string} difficulty - 難易度
      * @param {number} count - 問題数
+     * @param {string} waveform - 波形タイプ (保存した音色は 'timbre:<id>')
+     * @param {string} modulation - 揺らぎのプリセット名 (MODULATION_PRESETS)
+     * @param {string} tone - 音の長さのプリセット名 (TONE_PRESETS)
      * @returns {Array} 問題の配列
      */
-    static generateQuestions(difficulty = 'medium', count = 10) {
+    static generateQuestions(difficulty = 'medium', count = 10, waveform = 'sine', modulation = 'none', tone = 'steady') {
         const questions = [];
         const usedFrequencies = new Set();
 
         const config = this.DIFFICULTY[difficulty];
 
         for (let i = 0; i < count; i++) {
-            const question = this.generateQuestion(config, usedFrequencies);
+            const question = this.generateQuestion(config, usedFrequencies, waveform, modulation, tone);
             questions.push(question);
             usedFrequencies.add(question.frequency);
         }
@@ -55,20 +135,88 @@ class QuestionGenerator {
         return MathUtils.shuffle(questions);
     }
 
+    /**
+     * カスタムクイズの設定を範囲内に収める (足りない項目は既定値で補う)
+     * @param {Object} config - 設定 (CUSTOM_DEFAULTS を参照)
+     * @returns {Object} 正規化した設定
+     */
+    static normalizeCustomConfig(config) {
+        const custom = { ...this.CUSTOM_DEFAULTS, ...config };
+
+        Object.entries(this.CUSTOM_LIMITS).forEach(([key, [min, max]]) => {
+            const value = parseFloat(custom[key]);
+            custom[key] = MathUtils.clamp(isNaN(value) ? this.CUSTOM_DEFAULTS[key] : value, min, max);
+        });
+        ['questionCount', 'freqCount', 'replays', 'timeLimit'].forEach(key => {
+            custom[key] = Math.round(custom[key]);
+        });
+
+        custom.ranges = (Array.isArray(custom.ranges) ? custom.ranges : [])
+            .filter(range => Object.hasOwn(this.FREQUENCY_RANGES, range));
+        if (custom.ranges.length === 0) {
+            custom.ranges = this.CUSTOM_DEFAULTS.ranges.slice();
+        }
+        custom.stereo = custom.freqCount === 2 && Boolean(custom.stereo);
+
+        // 共有されたコードからも来るため，名前・波形・補正は使える値だけにする
+        custom.name = typeof custom.name === 'string' ? custom.name.slice(0, this.NAME_MAX_LENGTH) : '';
+        if (!Timbre.isValidWaveform(custom.waveform)) {
+            custom.waveform = this.CUSTOM_DEFAULTS.waveform;
+        }
+        custom.equalLoudness = this.isValidEqualLoudness(custom.equalLoudness)
+            ? String(custom.equalLoudness)
+            : this.CUSTOM_DEFAULTS.equalLoudness;
+        return custom;
+    }
+
+    /**
+     * 等ラウドネス補正のモードとして使える値かどうか
+     * @param {*} mode - 'off'，'auto'，'personal'，または phon の数値
+     * @returns {boolean}
+     */
+    static isValidEqualLoudness(mode) {
+        if (this.EQUAL_LOUDNESS_MODES.includes(mode)) {
+            return true;
+        }
+        return /^\d+$/.test(String(mode)) && Number(mode) <= this.MAX_PHON;
+    }
+
+    /**
+     * カスタムクイズの問題セットを生成
+     * @param {Object} config - 設定 (CUSTOM_DEFAULTS を参照)
+     * @returns {Array} 問題の配列
+     */
+    static generateCustomQuestions(config) {
+        const custom = this.normalizeCustomConfig(config);
+        const questions = [];
+        const usedFrequencies = new Set();
+
+        for (let i = 0; i < custom.questionCount; i++) {
+            const question = this.generateQuestion(custom, usedFrequencies, custom.waveform);
+            question.duration = custom.playDuration;
+            questions.push(question);
+        }
+
+        return MathUtils.shuffle(questions);
+    }
+
     /**
      * 1つの問題を生成
-     * @param {Object} config - 難易度設定
+     * @param {Object} config - 難易度設定 (ranges で出題する音域を限定できる)
      * @param {Set} usedFrequencies - 既に使用した周波数
+     * @param {string} waveform - 波形タイプ
+     * @param {string} modulation - 揺らぎのプリセット名
+     * @param {string} tone - 音の長さのプリセット名
      * @returns {Object} 問題オブジェクト
      */
-    static generateQuestion(config, usedFrequencies) {
+    static generateQuestion(config, usedFrequencies, waveform = 'sine', modulation = 'none', tone = 'steady') {
         const frequencies = [];
 
         // 必要な数の周波数を生成
         for (let i = 0; i < config.freqCount; i++) {
             // ランダムに音域を選択
-            const ranges = Object.keys(this.FREQUENCY_RANGES);
-            const rangeName = ranges[Math.floor(Math.random() * ranges.length)];
+            const ranges = config.ranges || Object.keys(this.FREQUENCY_RANGES);
+            const rangeName = ranges[Math.floor(MathUtils.random() * ranges.length)];
             const range = this.FREQUENCY_RANGES[rangeName];
 
             // 周波数を生成 (重複回避，既存周波数との間隔確保)
@@ -95,16 +243,149 @@ class QuestionGenerator {
 
         // ステレオの場合，左右の順番をランダム化（50%の確率で逆順）
         let finalFrequencies = frequencies.sort((a, b) => a - b); // まずソート
-        if (config.stereo && Math.random() < 0.5) {
+        if (config.stereo && MathUtils.random() < 0.5) {
             finalFrequencies = finalFrequencies.reverse(); // 50%の確率で逆順
         }
 
+        // バーストの場合の duration はリリースまで含めた鳴っている長さ
+        const envelope = this.TONE_PRESETS[tone] || null;
+
         return {
             frequencies: finalFrequencies,
             stereo: config.stereo,
+            waveform,
+            modulation: this.generateModulation(modulation),
+            envelope,
+            duration: envelope ? Envelope.getTotalDuration(envelope, 0) : 10, // 持続音は10秒
+            equalLoudness: config.equalLoudness
+        };
+    }
+
+    /**
+     * 問題ごとの揺らぎ設定を生成
+     * @param {string} preset - プリセット名
+     * @returns {Object|null} 変調設定．揺らぎなしはnull
+     */
+    static generateModulation(preset) {
+        const base = this.MODULATION_PRESETS[preset];
+        if (!base) {
+            return null;
+        }
+
+        const vary = (rate) => Math.round(rate * (0.8 + MathUtils.random() * 0.4) * 10) / 10;
+        const modulation = { ...base };
+        if (modulation.vibratoRate) modulation.vibratoRate = vary(modulation.vibratoRate);
+        if (modulation.tremoloRate) modulation.tremoloRate = vary(modulation.tremoloRate);
+        return modulation;
+    }
+
+    /**
+     * 音名当てクイズの問題セットを生成
+     * @param {string} difficulty - 難易度
+     * @param {number} count - 問題数
+     * @param {number} a4 - 基準ピッチ (Hz)
+     * @returns {Array} 問題の配列
+     */
+    static generateNoteQuestions(difficulty = 'medium', count = 10, a4 = MathUtils.a4Frequency) {
+        const questions = [];
+        const usedNotes = new Set();
+
+        const config = this.NOTE_DIFFICULTY[difficulty];
+
+        for (let i = 0; i < count; i++) {
+            const question = this.generateNoteQuestion(config, usedNotes, a4);
+            questions.push(question);
+        }
+
+        return questions;
+    }
+
+    /**
+     * 音名当てクイズの問題を1つ生成
+     * @param {Object} config - 難易度設定
+     * @param {Set} usedNotes - 既に使用した音 (MIDIノート番号)
+     * @param {number} a4 - 基準ピッチ (Hz)
+     * @returns {Object} 問題オブジェクト
+     */
+    static generateNoteQuestion(config, usedNotes, a4) {
+        const [lowOctave, highOctave] = config.octaves;
+        const minMidi = (lowOctave + 1) * 12; // C
+        const maxMidi = (highOctave + 2) * 12 - 1; // B
+
+        // 同じ音の重複を避ける
+        let midi;
+        let attempts = 0;
+        do {
+            midi = minMidi + Math.floor(MathUtils.random() * (maxMidi - minMidi + 1));
+            attempts++;
+        } while (usedNotes.has(midi) && attempts < 100);
+        usedNotes.add(midi);
+
+        const cents = Math.round((MathUtils.random() * 2 - 1) * config.maxCents);
+        const frequency = Math.round(MathUtils.noteToFrequency(midi, cents, a4) * 100) / 100;
+
+        return {
+            type: 'note',
+            frequencies: [frequency],
+            a4,
+            stereo: false,
             waveform: 'sine',
+            modulation: null,
+            envelope: null,
             duration: 10, // 10秒
-            equalLoudness: config.equalLoudness
+            equalLoudness: 'off'
+        };
+    }
+
+    /**
+     * EQ当てクイズの問題セットを生成
+     * @param {string} difficulty - 難易度
+     * @param {number} count - 問題数
+     * @param {string} source - ソース ('pink' または読み込んだ音声ファイルのID)
+     * @returns {Array} 問題の配列
+     */
+    static generateEqQuestions(difficulty = 'medium', count = 10, source = 'pink') {
+        const questions = [];
+        const usedBands = new Set();
+
+        const config = this.EQ_DIFFICULTY[difficulty];
+
+        for (let i = 0; i < count; i++) {
+            // 全バンドを使い切ったら再び全バンドから出題
+            if (usedBands.size >= config.bands.length) {
+                usedBands.clear();
+            }
+            const question = this.generateEqQuestion(config, usedBands, source);
+            questions.push(question);
+            usedBands.add(question.frequencies[0]);
+        }
+
+        return questions;
+    }
+
+    /**
+     * EQ当てクイズの問題を1つ生成
+     * @param {Object} config - 難易度設定
+     * @param {Set} usedBands - 既に使用したバンド
+     * @param {string} source - ソース ('pink' または読み込んだ音声ファイルのID)
+     * @returns {Object} 問題オブジェクト
+     */
+    static generateEqQuestion(config, usedBands, source = 'pink') {
+        const candidates = config.bands.filter(band => !usedBands.has(band));
+        const band = candidates[Math.floor(MathUtils.random() * candidates.length)];
+        const gain = config.gains[Math.floor(MathUtils.random() * config.gains.length)];
+
+        return {
+            type: 'eq',
+            frequencies: [band],
+            eqGain: gain,
+            q: config.q,
+            bands: config.bands,
+            askGain: config.askGain,
+            stereo: false,
+            source,
+            duration: 10, // 10秒
+            equalLoudness: 'off'
         };
     }
 }
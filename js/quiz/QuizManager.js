@@ -3,6 +3,8 @@
  * クイズの状態管理，問題出題，採点を管理
  */
 class QuizManager {
+    static TIME_LIMIT = 30; // 解答の制限時間 (秒)
+
     constructor(audioEngine) {
         this.audioEngine = audioEngine;
         this.questions = [];
@@ -10,22 +12,59 @@ class QuizManager {
         this.score = 0;
         this.answers = [];
         this.difficulty = 'medium';
+        this.mode = 'quiz'; // 'quiz': 周波数当て, 'eq': EQ当て
         this.timer = null;
-        this.timeRemaining = 30;
+        this.timeLimit = QuizManager.TIME_LIMIT; // 0で無制限
+        this.timeRemaining = QuizManager.TIME_LIMIT;
+        this.elapsed = 0; // 最初に再生してからの秒数
+        this.replays = 0; // 1問あたり聴き直せる回数
+        this.playCount = 0; // 現在の問題を再生した回数
+        this.preset = null; // カスタムクイズの設定 (難易度で出題する場合はnull)
+        this.seed = null; // 問題を生成したシード
+        this.challengeCode = null; // 同じ問題を出題するためのチャレンジコード
+        this.player = ''; // 挑戦者名 (チャレンジの比較用)
         this.sessionId = null;
+        this.headphoneCheck = null; // 開始前のヘッドホンチェックの結果 (行わなかった場合はnull)
     }
 
     /**
      * クイズを開始
      * @param {string} difficulty - 難易度
+     * @param {string} mode - クイズの種類 ('quiz'，'eq' または 'note')
+     * @param {Object} options - オプション (source: EQ当てのソース，'pink' またはサンプルID，
+     *                           waveform: 周波数当ての波形，modulation: 揺らぎのプリセット名，
+     *                           tone: 音の長さのプリセット名，a4: 音名当ての基準ピッチ，
+     *                           headphoneCheck: ヘッドホンチェックの結果，
+     *                           preset: カスタムクイズの設定．指定した場合 difficulty は 'custom'，
+     *                           seed: 問題を生成するシード (省略時は新しく作る)，player: 挑戦者名)
      */
-    startQuiz(difficulty = 'medium') {
+    startQuiz(difficulty = 'medium', mode = 'quiz', options = {}) {
         this.difficulty = difficulty;
-        this.questions = QuestionGenerator.generateQuestions(difficulty, 10);
+        this.mode = mode;
+        this.preset = mode === 'quiz' && options.preset ? QuestionGenerator.normalizeCustomConfig(options.preset) : null;
+        this.timeLimit = this.preset ? this.preset.timeLimit : QuizManager.TIME_LIMIT;
+        this.replays = this.preset ? this.preset.replays : 0;
+        this.seed = options.seed ?? MathUtils.randomSeed();
+        this.questions = MathUtils.withSeed(this.seed, () => {
+            if (this.preset) {
+                return QuestionGenerator.generateCustomQuestions(this.preset);
+            }
+            if (mode === 'eq') {
+                return QuestionGenerator.generateEqQuestions(difficulty, 10, options.source);
+            }
+            if (mode === 'note') {
+                return QuestionGenerator.generateNoteQuestions(difficulty, 10, options.a4);
+            }
+            return QuestionGenerator.generateQuestions(difficulty, 10, options.waveform, options.modulation, options.tone);
+        });
+        this.challengeCode = ChallengeCode.encode(this.seed, mode, difficulty, { ...options, preset: this.preset });
+        this.player = options.player || '';
         this.currentQuestionIndex = 0;
+        this.playCount = 0;
         this.score = 0;
         this.answers = [];
         this.sessionId = MathUtils.generateUUID();
+        this.headphoneCheck = options.headphoneCheck || null;
     }
 
     /**
@@ -43,33 +82,74 @@ class QuizManager {
         const question = this.getCurrentQuestion();
         if (!question) return;
 
+        this.playCount++;
+
+        if (question.type === 'eq') {
+            this.audioEngine.playEqFilter({
+                frequency: question.frequencies[0],
+                gain: question.eqGain,
+                q: question.q,
+                sample: this.audioEngine.sampleLibrary.getSample(question.source)
+            }, question.duration);
+            return;
+        }
+
         this.audioEngine.playMultiFrequency(
             question.frequencies,
             question.stereo,
             question.waveform,
             question.duration,
-            question.equalLoudness
+            question.equalLoudness,
+            question.modulation,
+            question.envelope
         );
     }
 
     /**
-     * タイマーを開始
+     * 現在の問題をもう一度再生できるかどうか
+     * @returns {boolean}
+     */
+    canReplay() {
+        return this.playCount <= this.replays;
+    }
+
+    /**
+     * 現在の問題の残りの聴き直し回数
+     * @returns {number}
+     */
+    getRemainingReplays() {
+        return Math.max(0, this.replays + 1 - this.playCount);
+    }
+
+    /**
+     * タイマーを開始 (制限時間が0なら経過時間だけ数える)
+     * 音声クロック上で開始から1秒ごとの時刻に予約するため，遅れが積み重ならない
      * @param {Function} callback - 毎秒呼ばれるコールバック
      * @param {Function} onTimeout - タイムアウト時のコールバック
      */
     startTimer(callback, onTimeout) {
-        this.timeRemaining = 30;
+        this.timeRemaining = this.timeLimit;
+        this.elapsed = 0;
         this.stopTimer();
 
-        this.timer = setInterval(() => {
-            this.timeRemaining--;
-            if (callback) callback(this.timeRemaining);
+        const scheduler = this.audioEngine.scheduler;
+        const startTime = scheduler.now();
+        const tick = () => {
+            this.timer = null;
+            this.elapsed++;
+
+            if (this.timeLimit > 0) {
+                this.timeRemaining--;
+                if (callback) callback(this.timeRemaining);
 
-            if (this.timeRemaining <= 0) {
-                this.stopTimer();
-                if (onTimeout) onTimeout();
+                if (this.timeRemaining <= 0) {
+                    if (onTimeout) onTimeout();
+                    return;
+                }
             }
-        }, 1000);
+            this.timer = scheduler.at(startTime + this.elapsed + 1, tick);
+        };
+        this.timer = scheduler.at(startTime + 1, tick);
     }
 
     /**
@@ -77,7 +157,7 @@ class QuizManager {
      */
     stopTimer() {
         if (this.timer) {
-            clearInterval(this.timer);
+            this.audioEngine.scheduler.cancel(this.timer);
             this.timer = null;
         }
     }
@@ -85,17 +165,25 @@ class QuizManager {
     /**
      * 解答を提出
      * @param {Array<number>} userAnswers - ユーザーの解答周波数の配列
+     * @param {number|null} userGain - EQ当てで解答したゲイン (dB)
      * @returns {Object} 採点結果
      */
-    submitAnswer(userAnswers) {
+    submitAnswer(userAnswers, userGain = null) {
         const question = this.getCurrentQuestion();
         if (!question) return null;
 
         this.stopTimer();
         this.audioEngine.stop();
 
-        // 上級（3周波数）の場合はソートして照合
-        const shouldSort = question.frequencies.length === 3 && !question.stereo;
+        if (question.type === 'eq') {
+            return this.submitEqAnswer(question, userAnswers, userGain);
+        }
+        if (question.type === 'note') {
+            return this.submitNoteAnswer(question, userAnswers);
+        }
+
+        // 左右別でない複数周波数（上級・カスタム）の場合はソートして照合
+        const shouldSort = question.frequencies.length > 1 && !question.stereo;
         const result = ScoreCalculator.calculateMultiScore(question.frequencies, userAnswers, shouldSort);
 
         const answerRecord = {
@@ -105,7 +193,7 @@ class QuizManager {
             score: result.score,
             errors: result.errors,
             avgError: result.avgError,
-            responseTime: 30 - this.timeRemaining,
+            responseTime: this.elapsed,
             grade: result.grade,
             stereo: question.stereo
         };
@@ -116,12 +204,81 @@ class QuizManager {
         return answerRecord;
     }
 
+    /**
+     * EQ当ての解答を採点して記録
+     * @param {Object} question - 問題オブジェクト
+     * @param {Array<number>} userAnswers - 解答した中心周波数（未選択なら空配列）
+     * @param {number|null} userGain - 解答したゲイン (dB)
+     * @returns {Object} 採点結果
+     */
+    submitEqAnswer(question, userAnswers, userGain) {
+        const userFreq = userAnswers[0] || null;
+        const result = ScoreCalculator.calculateEqScore(
+            question.frequencies[0],
+            userFreq,
+            question.eqGain,
+            question.askGain ? userGain : null
+        );
+
+        const answerRecord = {
+            questionNo: this.currentQuestionIndex + 1,
+            actualFreq: question.frequencies,
+            userAnswer: userFreq ? [userFreq] : [],
+            eqGain: question.eqGain,
+            userGain: question.askGain ? userGain : null,
+            octaveError: result.octaveError,
+            gainCorrect: result.gainCorrect,
+            score: result.score,
+            errors: result.errors,
+            avgError: result.avgError,
+            responseTime: this.elapsed,
+            grade: result.grade,
+            stereo: false
+        };
+
+        this.answers.push(answerRecord);
+        this.score += result.score;
+
+        return answerRecord;
+    }
+
+    /**
+     * 音名当ての解答を採点して記録
+     * @param {Object} question - 問題オブジェクト
+     * @param {Array<number>} userAnswers - 解答した音名の周波数（解釈できなければ空配列）
+     * @returns {Object} 採点結果
+     */
+    submitNoteAnswer(question, userAnswers) {
+        const userFreq = userAnswers[0] || null;
+        const result = ScoreCalculator.calculateNoteScore(question.frequencies[0], userFreq);
+
+        const answerRecord = {
+            questionNo: this.currentQuestionIndex + 1,
+            actualFreq: question.frequencies,
+            userAnswer: userFreq ? [userFreq] : [],
+            a4: question.a4,
+            centsError: result.centsError,
+            score: result.score,
+            errors: result.errors,
+            avgError: result.avgError,
+            responseTime: this.elapsed,
+            grade: result.grade,
+            stereo: false
+        };
+
+        this.answers.push(answerRecord);
+        this.score += result.score;
+
+        return answerRecord;
+    }
+
     /**
      * 次の問題へ進む
      * @returns {boolean} 次の問題があるかどうか
      */
     nextQuestion() {
         this.currentQuestionIndex++;
+        this.playCount = 0;
         return this.currentQuestionIndex < this.questions.length;
     }
 
@@ -143,11 +300,16 @@ class QuizManager {
         return {
             sessionId: this.sessionId,
             timestamp: new Date().toISOString(),
-            mode: 'quiz',
+            mode: this.mode,
             difficulty: this.difficulty,
             questions: this.answers,
             totalScore: this.score,
-            rangeAccuracy: stats.rangeAccuracy
+            rangeAccuracy: stats.rangeAccuracy,
+            headphoneCheck: this.headphoneCheck,
+            preset: this.preset,
+            seed: this.seed,
+            challengeCode: this.challengeCode,
+            player: this.player
         };
     }
 }
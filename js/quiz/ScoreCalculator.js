@@ -55,8 +55,8 @@ class ScoreCalculator {
             userAnswers.push(1000); // デフォルト値
         }
 
-        // 上級の場合は解答を周波数順にソート
-        if (sortAnswers && userAnswers.length === 3) {
+        // 上級 (複数の音を合成) の場合は解答を周波数順にソート
+        if (sortAnswers && userAnswers.length > 1) {
             userAnswers = [...userAnswers].sort((a, b) => a - b);
         }
 
@@ -96,6 +96,186 @@ class ScoreCalculator {
         };
     }
 
+    /**
+     * EQ当ての解答をスコアリング
+     * 周波数はオクターブ単位の距離で評価し，ゲインの向きを誤ると半減
+     * @param {number} actualFreq - 正解の中心周波数
+     * @param {number|null} userFreq - 解答した中心周波数（未解答はnull）
+     * @param {number} actualGain - 正解のゲイン (dB)
+     * @param {number|null} userGain - 解答したゲイン (dB)，向きを問わない場合はnull
+     * @returns {Object} スコア情報
+     */
+    static calculateEqScore(actualFreq, userFreq, actualGain, userGain = null) {
+        if (!userFreq) {
+            return {
+                score: 0,
+                grade: '要練習',
+                errors: [100],
+                avgError: 100,
+                octaveError: null,
+                gainCorrect: false,
+                isCorrect: false
+            };
+        }
+
+        const octaveError = Math.abs(Math.log2(userFreq / actualFreq));
+        const gainCorrect = userGain === null || Math.sign(userGain) === Math.sign(actualGain);
+
+        // 1/3オクターブずれで約50点，1オクターブずれで約14点
+        const k = 2;
+        let score = Math.round(100 * Math.exp(-k * octaveError));
+        if (!gainCorrect) {
+            score = Math.round(score / 2);
+        }
+        score = Math.max(0, Math.min(100, score));
+
+        // グレード判定
+        let grade = '';
+        if (octaveError < 0.01 && gainCorrect) {
+            grade = '完璧!';
+        } else if (octaveError < 0.01) {
+            grade = '惜しい';
+        } else if (octaveError < 0.34) {
+            grade = gainCorrect ? '良い!' : '惜しい';
+        } else if (octaveError < 1.01) {
+            grade = '惜しい';
+        } else {
+            grade = '要練習';
+        }
+
+        const error = MathUtils.calculateError(actualFreq, userFreq);
+
+        return {
+            score,
+            grade,
+            errors: [error * 100], // パーセント表記
+            avgError: error * 100,
+            octaveError,
+            gainCorrect,
+            isCorrect: score >= 60
+        };
+    }
+
+    /**
+     * 音名当ての解答をスコアリング
+     * 正解とのずれをセント単位で評価する
+     * @param {number} actualFreq - 正解の周波数
+     * @param {number|null} userFreq - 解答した音名の周波数（未解答はnull）
+     * @returns {Object} スコア情報
+     */
+    static calculateNoteScore(actualFreq, userFreq) {
+        if (!userFreq) {
+            return {
+                score: 0,
+                grade: '要練習',
+                errors: [100],
+                avgError: 100,
+                centsError: null,
+                isCorrect: false
+            };
+        }
+
+        const centsError = MathUtils.centsBetween(actualFreq, userFreq);
+        const absCents = Math.abs(centsError);
+
+        // 10セントずれで約82点，25セントずれで約61点，半音ずれで約14点
+        const k = 50;
+        let score = Math.round(100 * Math.exp(-absCents / k));
+        score = Math.max(0, Math.min(100, score));
+
+        // グレード判定
+        let grade = '';
+        if (absCents < 5) {
+            grade = '完璧!';
+        } else if (absCents < 15) {
+            grade = '素晴らしい!';
+        } else if (absCents < 30) {
+            grade = '良い!';
+        } else if (absCents < 100) {
+            grade = '惜しい';
+        } else {
+            grade = '要練習';
+        }
+
+        const error = MathUtils.calculateError(actualFreq, userFreq);
+
+        return {
+            score,
+            grade,
+            errors: [error * 100], // パーセント表記
+            avgError: error * 100,
+            centsError,
+            isCorrect: score >= 60
+        };
+    }
+
+    /**
+     * 発声の音程をスコアリング
+     * 平均のずれ（正確さ）を7割，ずれの標準偏差（安定性）を3割で評価する
+     * @param {number} targetFreq - 目標の周波数
+     * @param {Array<number>} pitches - 記録した音程（有声のフレームのみ）
+     * @param {number} frameCount - 記録した全フレーム数（無声を含む）
+     * @returns {Object} スコア情報
+     */
+    static calculatePitchProductionScore(targetFreq, pitches, frameCount) {
+        const voicedRatio = frameCount > 0 ? pitches.length / frameCount : 0;
+
+        // 記録時間の3割以上音程が取れていなければ採点しない
+        if (pitches.length === 0 || voicedRatio < 0.3) {
+            return {
+                score: 0,
+                grade: '要練習',
+                errors: [100],
+                avgError: 100,
+                centsError: null,
+                stability: null,
+                meanFrequency: null,
+                voicedRatio,
+                isCorrect: false
+            };
+        }
+
+        const cents = pitches.map(freq => MathUtils.centsBetween(targetFreq, freq));
+        const centsError = cents.reduce((sum, c) => sum + c, 0) / cents.length;
+        const stability = Math.sqrt(cents.reduce((sum, c) => sum + Math.pow(c - centsError, 2), 0) / cents.length);
+        const meanFrequency = targetFreq * Math.pow(2, centsError / 1200);
+
+        // 正確さ: 10セントずれで約82点，半音ずれで約14点 (音名当てと同じ)
+        // 安定性: 標準偏差10セントで約72点，30セントで約37点
+        const accuracyScore = 100 * Math.exp(-Math.abs(centsError) / 50);
+        const stabilityScore = 100 * Math.exp(-stability / 30);
+        let score = Math.round(0.7 * accuracyScore + 0.3 * stabilityScore);
+        score = Math.max(0, Math.min(100, score));
+
+        // グレード判定
+        let grade = '';
+        if (score >= 90) {
+            grade = '完璧!';
+        } else if (score >= 75) {
+            grade = '素晴らしい!';
+        } else if (score >= 60) {
+            grade = '良い!';
+        } else if (score >= 30) {
+            grade = '惜しい';
+        } else {
+            grade = '要練習';
+        }
+
+        const error = MathUtils.calculateError(targetFreq, meanFrequency);
+
+        return {
+            score,
+            grade,
+            errors: [error * 100], // パーセント表記
+            avgError: error * 100,
+            centsError,
+            stability,
+            meanFrequency,
+            voicedRatio,
+            isCorrect: score >= 60
+        };
+    }
+
     /**
      * 音域を判定（5段階）
      * @param {number} frequency - 周波数
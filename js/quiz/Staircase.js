@@ -0,0 +1,138 @@
+/**
+ * Staircase - 適応型上下法 (ステアケース法) クラス
+ * 正反応が nDown 回続いたら値を下げ (難しく)，誤反応 nUp 回で値を上げる (易しく)．
+ * 反転点の平均から閾値を推定する
+ */
+class Staircase {
+    /**
+     * @param {Object} options - 設定
+     * @param {number} options.initial - 初期値
+     * @param {number} options.stepDown - 下げるときのステップ
+     * @param {number} options.stepUp - 上げるときのステップ
+     * @param {number} options.nDown - 値を下げるのに必要な連続正反応数
+     * @param {number} options.nUp - 値を上げるのに必要な連続誤反応数
+     * @param {number} options.min - 最小値
+     * @param {number} options.max - 最大値
+     * @param {boolean} options.logarithmic - trueならステップを倍率として扱う (値 ÷ stepDown / 値 × stepUp)
+     * @param {number} options.maxReversals - 終了までの反転回数
+     * @param {number} options.discardReversals - 推定に使わない最初の反転回数
+     * @param {number} options.maxTrials - 最大試行数
+     */
+    constructor(options) {
+        this.options = {
+            nDown: 1,
+            nUp: 1,
+            logarithmic: false,
+            maxReversals: 6,
+            discardReversals: 2,
+            maxTrials: 40,
+            ...options
+        };
+
+        this.value = this.options.initial;
+        this.history = [];
+        this.reversals = [];
+        this.direction = 0; // -1: 下降中, 1: 上昇中
+        this.positiveRun = 0;
+        this.negativeRun = 0;
+        this.limitHits = 0;
+        this.finished = false;
+        this.outOfRange = false;
+    }
+
+    /**
+     * 反応を記録して次の値を決定
+     * @param {boolean} positive - 正反応 (聞こえた/正解) かどうか
+     */
+    respond(positive) {
+        if (this.finished) {
+            return;
+        }
+
+        const { nDown, nUp, min, max, maxReversals, maxTrials } = this.options;
+        this.history.push({ value: this.value, positive });
+
+        // 上限で誤反応 (下限で正反応) が続く場合は測定範囲外として終了
+        const atLimit = (!positive && this.value >= max) || (positive && this.value <= min);
+        this.limitHits = atLimit ? this.limitHits + 1 : 0;
+        if (this.limitHits >= 2) {
+            this.finished = true;
+            this.outOfRange = !positive;
+            return;
+        }
+
+        let move = 0;
+        if (positive) {
+            this.positiveRun++;
+            this.negativeRun = 0;
+            if (this.positiveRun >= nDown) {
+                move = -1;
+                this.positiveRun = 0;
+            }
+        } else {
+            this.negativeRun++;
+            this.positiveRun = 0;
+            if (this.negativeRun >= nUp) {
+                move = 1;
+                this.negativeRun = 0;
+            }
+        }
+
+        if (move !== 0) {
+            // 進行方向が変わったら反転点として記録
+            if (this.direction !== 0 && move !== this.direction) {
+                this.reversals.push(this.value);
+            }
+            this.direction = move;
+            this.value = MathUtils.clamp(this.step(this.value, move), min, max);
+        }
+
+        if (this.reversals.length >= maxReversals || this.history.length >= maxTrials) {
+            this.finished = true;
+        }
+    }
+
+    /**
+     * 1ステップ分だけ値を動かす
+     * @param {number} value - 現在の値
+     * @param {number} move - -1 (下げる) または 1 (上げる)
+     * @returns {number} 新しい値
+     */
+    step(value, move) {
+        const { stepDown, stepUp, logarithmic } = this.options;
+        if (logarithmic) {
+            return move < 0 ? value / stepDown : value * stepUp;
+        }
+        return move < 0 ? value - stepDown : value + stepUp;
+    }
+
+    /**
+     * 終了したかどうか
+     * @returns {boolean}
+     */
+    isFinished() {
+        return this.finished;
+    }
+
+    /**
+     * 閾値の推定値を取得
+     * 最初の反転点を除いた反転点の平均 (対数ステップでは幾何平均)
+     * @returns {number|null} 推定値．測定範囲外の場合はnull
+     */
+    getEstimate() {
+        if (this.outOfRange) {
+            return null;
+        }
+
+        let points = this.reversals.slice(this.options.discardReversals);
+        if (points.length === 0) {
+            points = this.reversals.length > 0 ? this.reversals : [this.value];
+        }
+
+        if (this.options.logarithmic) {
+            const logMean = points.reduce((sum, v) => sum + Math.log(v), 0) / points.length;
+            return Math.exp(logMean);
+        }
+        return points.reduce((sum, v) => sum + v, 0) / points.length;
+    }
+}
@@ -0,0 +1,168 @@
+/**
+ * ThresholdTest - 左右別の聴覚閾値チェッククラス
+ * オージオメトリの標準周波数で左右の耳に検査音を提示し，
+ * 上下法 (10dB下降/5dB上昇) で聞こえる最小レベルを推定する．
+ * レベルは出力音量に対する相対値 (dB) で，較正された聴力レベルではない．
+ * 再生レベルを校正していれば，おおよその dB SPL も併せて記録する
+ */
+class ThresholdTest {
+    // 1kHzから始めて高域→低域の順に測定 (オージオメトリの慣例)
+    static STANDARD_FREQUENCIES = [1000, 2000, 4000, 8000, 500, 250, 125];
+    static EXTENDED_FREQUENCIES = [10000, 12500, 16000];
+
+    static EARS = {
+        right: { label: '右耳', pan: 1 },
+        left: { label: '左耳', pan: -1 }
+    };
+
+    static STAIRCASE = {
+        initial: -40,
+        stepDown: 10,
+        stepUp: 5,
+        min: -100,
+        max: 0,
+        maxReversals: 6,
+        discardReversals: 2,
+        maxTrials: 30
+    };
+
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        this.conditions = [];
+        this.currentIndex = 0;
+        this.staircase = null;
+        this.thresholds = { right: {}, left: {} };
+        this.sessionId = null;
+    }
+
+    /**
+     * テストを開始
+     * @param {boolean} extended - 高域 (10k〜16kHz) も測定するかどうか
+     */
+    start(extended = false) {
+        const frequencies = extended
+            ? [...ThresholdTest.STANDARD_FREQUENCIES.slice(0, 4), ...ThresholdTest.EXTENDED_FREQUENCIES,
+                ...ThresholdTest.STANDARD_FREQUENCIES.slice(4)]
+            : ThresholdTest.STANDARD_FREQUENCIES;
+
+        // 右耳→左耳の順に全周波数を測定
+        this.conditions = [];
+        Object.keys(ThresholdTest.EARS).forEach(ear => {
+            frequencies.forEach(frequency => this.conditions.push({ ear, frequency }));
+        });
+
+        this.currentIndex = 0;
+        this.thresholds = { right: {}, left: {} };
+        this.sessionId = MathUtils.generateUUID();
+        this.staircase = new Staircase(ThresholdTest.STAIRCASE);
+    }
+
+    /**
+     * 現在の測定条件を取得
+     * @returns {Object|null} { ear, frequency, level }
+     */
+    getCurrentCondition() {
+        const condition = this.conditions[this.currentIndex];
+        if (!condition) return null;
+        return { ...condition, level: this.staircase.value };
+    }
+
+    /**
+     * 現在の検査音を再生
+     */
+    playCurrentTone() {
+        const condition = this.getCurrentCondition();
+        if (!condition) return;
+
+        this.audioEngine.playTestTone({
+            frequency: condition.frequency,
+            level: condition.level,
+            pan: ThresholdTest.EARS[condition.ear].pan
+        });
+    }
+
+    /**
+     * 反応を記録
+     * @param {boolean} heard - 聞こえたかどうか
+     * @returns {boolean} 次の測定条件に進んだかどうか
+     */
+    respond(heard) {
+        const condition = this.conditions[this.currentIndex];
+        if (!condition) return false;
+
+        this.audioEngine.stop();
+        this.staircase.respond(heard);
+
+        if (!this.staircase.isFinished()) {
+            return false;
+        }
+
+        // 閾値を記録して次の条件へ (測定範囲外はnull)
+        const estimate = this.staircase.getEstimate();
+        this.thresholds[condition.ear][condition.frequency] = estimate === null ? null : Math.round(estimate);
+        this.currentIndex++;
+        this.staircase = new Staircase(ThresholdTest.STAIRCASE);
+        return true;
+    }
+
+    /**
+     * 進捗を取得
+     * @returns {Object} { current, total }
+     */
+    getProgress() {
+        return { current: Math.min(this.currentIndex + 1, this.conditions.length), total: this.conditions.length };
+    }
+
+    /**
+     * テストが終了したかどうか
+     * @returns {boolean}
+     */
+    isFinished() {
+        return this.currentIndex >= this.conditions.length;
+    }
+
+    /**
+     * 閾値をおおよその dB SPL に換算
+     * @param {number|null} level - 閾値 (検査音のレベル，dB)
+     * @param {Object} result - getResults() の結果
+     * @returns {number|null} 推定 dB SPL．未校正または測定範囲外ならnull
+     */
+    static toSpl(level, result) {
+        if (level === null || level === undefined || result.outputOffset === undefined) {
+            return null;
+        }
+        const spl = Calibration.toSpl(level + result.outputOffset, result.calibration);
+        return spl === null ? null : Math.round(spl);
+    }
+
+    /**
+     * 左右差が大きい周波数を検出
+     * @param {Object} thresholds - 耳別の閾値
+     * @param {number} limit - 警告する左右差 (dB)
+     * @returns {Array<Object>} { frequency, difference }
+     */
+    static findAsymmetries(thresholds, limit = 15) {
+        return Object.keys(thresholds.right)
+            .map(freq => parseFloat(freq))
+            .filter(freq => thresholds.right[freq] !== null && thresholds.left[freq] != null)
+            .map(freq => ({ frequency: freq, difference: thresholds.right[freq] - thresholds.left[freq] }))
+            .filter(item => Math.abs(item.difference) >= limit)
+            .sort((a, b) => a.frequency - b.frequency);
+    }
+
+    /**
+     * 結果を取得
+     * @returns {Object} テスト結果
+     */
+    getResults() {
+        return {
+            sessionId: this.sessionId,
+            timestamp: new Date().toISOString(),
+            mode: 'threshold',
+            volume: Math.round(this.audioEngine.volume * 100),
+            outputOffset: MathUtils.gainToDb(this.audioEngine.volume), // 検査音レベル→出力 dBFS
+            calibration: this.audioEngine.calibration,
+            thresholds: this.thresholds
+        };
+    }
+}
@@ -129,4 +129,324 @@ class ChartRenderer {
         ctx.textAlign = 'center';
         ctx.fillText('スコア推移', width / 2, 20);
     }
+
+    /**
+     * 左右別の聴覚閾値をオージオグラム形式で描画
+     * 横軸は対数周波数，縦軸は閾値 (下に行くほど聞こえにくい)
+     * @param {HTMLCanvasElement} canvas - Canvas要素
+     * @param {Object} thresholds - { right: {周波数: dB}, left: {周波数: dB} }
+     */
+    static drawAudiogram(canvas, thresholds) {
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+
+        // 背景クリア
+        ctx.fillStyle = '#FAFAFA';
+        ctx.fillRect(0, 0, width, height);
+
+        const padding = { top: 40, right: 20, bottom: 40, left: 55 };
+        const chartWidth = width - padding.left - padding.right;
+        const chartHeight = height - padding.top - padding.bottom;
+
+        const frequencies = Array.from(new Set([
+            ...Object.keys(thresholds.right),
+            ...Object.keys(thresholds.left)
+        ].map(f => parseFloat(f)))).sort((a, b) => a - b);
+
+        if (frequencies.length === 0) return;
+
+        const logMin = Math.log2(Math.min(125, frequencies[0]));
+        const logMax = Math.log2(Math.max(8000, frequencies[frequencies.length - 1]));
+        const minDb = -100;
+        const maxDb = 0;
+
+        const xOf = (freq) => padding.left + ((Math.log2(freq) - logMin) / (logMax - logMin)) * chartWidth;
+        // 閾値が低い (よく聞こえる) ほど上に描画
+        const yOf = (db) => padding.top + ((db - minDb) / (maxDb - minDb)) * chartHeight;
+
+        // グリッド線とdBラベル
+        ctx.strokeStyle = '#E0E0E0';
+        ctx.lineWidth = 1;
+        ctx.fillStyle = '#666666';
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'right';
+        for (let db = minDb; db <= maxDb; db += 20) {
+            const y = yOf(db);
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y);
+            ctx.lineTo(width - padding.right, y);
+            ctx.stroke();
+            ctx.fillText(`${db}dB`, padding.left - 5, y + 3);
+        }
+
+        // 周波数ラベル
+        ctx.textAlign = 'center';
+        frequencies.forEach(freq => {
+            const x = xOf(freq);
+            ctx.beginPath();
+            ctx.moveTo(x, padding.top);
+            ctx.lineTo(x, height - padding.bottom);
+            ctx.stroke();
+            ctx.fillText(freq >= 1000 ? `${freq / 1000}k` : `${freq}`, x, height - padding.bottom + 15);
+        });
+
+        // 耳ごとの折れ線 (右: 赤○，左: 青×)
+        const ears = [
+            { key: 'right', color: '#F44336', marker: 'circle' },
+            { key: 'left', color: '#2196F3', marker: 'cross' }
+        ];
+
+        ears.forEach(ear => {
+            const points = frequencies
+                .filter(freq => thresholds[ear.key][freq] !== undefined && thresholds[ear.key][freq] !== null)
+                .map(freq => ({ x: xOf(freq), y: yOf(thresholds[ear.key][freq]) }));
+
+            ctx.strokeStyle = ear.color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            points.forEach((p, idx) => {
+                if (idx === 0) {
+                    ctx.moveTo(p.x, p.y);
+                } else {
+                    ctx.lineTo(p.x, p.y);
+                }
+            });
+            ctx.stroke();
+
+            points.forEach(p => {
+                ctx.beginPath();
+                if (ear.marker === 'circle') {
+                    ctx.arc(p.x, p.y, 5, 0, Math.PI * 2);
+                } else {
+                    ctx.moveTo(p.x - 5, p.y - 5);
+                    ctx.lineTo(p.x + 5, p.y + 5);
+                    ctx.moveTo(p.x + 5, p.y - 5);
+                    ctx.lineTo(p.x - 5, p.y + 5);
+                }
+                ctx.stroke();
+            });
+        });
+
+        // タイトルと凡例
+        ctx.fillStyle = '#212121';
+        ctx.font = 'bold 14px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText('聴覚閾値 (相対レベル)', width / 2, 20);
+
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#F44336';
+        ctx.fillText('○ 右耳', width - padding.right - 110, 20);
+        ctx.fillStyle = '#2196F3';
+        ctx.fillText('× 左耳', width - padding.right - 55, 20);
+    }
+
+    /**
+     * 周波数弁別閾 (ウェーバー比) の推移を帯域ごとの折れ線で描画
+     * 縦軸は対数 (%)，下に行くほど細かい差を聞き分けられている
+     * @param {HTMLCanvasElement} canvas - Canvas要素
+     * @param {Array} results - 周波数弁別テストの結果 (古い順)
+     */
+    static drawDiscriminationTrend(canvas, results) {
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+
+        // 背景クリア
+        ctx.fillStyle = '#FAFAFA';
+        ctx.fillRect(0, 0, width, height);
+
+        if (results.length === 0) return;
+
+        const padding = { top: 40, right: 90, bottom: 40, left: 55 };
+        const chartWidth = width - padding.left - padding.right;
+        const chartHeight = height - padding.top - padding.bottom;
+
+        // 0.05%〜50% を対数で表示
+        const logMin = Math.log10(0.05);
+        const logMax = Math.log10(50);
+        const xOf = (idx) => padding.left + (results.length > 1 ? (chartWidth / (results.length - 1)) * idx : chartWidth / 2);
+        const yOf = (percent) => {
+            const log = MathUtils.clamp(Math.log10(percent), logMin, logMax);
+            return padding.top + ((logMax - log) / (logMax - logMin)) * chartHeight;
+        };
+
+        // グリッド線と%ラベル
+        ctx.strokeStyle = '#E0E0E0';
+        ctx.lineWidth = 1;
+        ctx.fillStyle = '#666666';
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'right';
+        [0.1, 0.3, 1, 3, 10, 30].forEach(percent => {
+            const y = yOf(percent);
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y);
+            ctx.lineTo(width - padding.right, y);
+            ctx.stroke();
+            ctx.fillText(`${percent}%`, padding.left - 5, y + 3);
+        });
+
+        // 測定回のラベル
+        ctx.textAlign = 'center';
+        results.forEach((result, idx) => {
+            const date = new Date(result.timestamp);
+            ctx.fillText(`${date.getMonth() + 1}/${date.getDate()}`, xOf(idx), height - padding.bottom + 15);
+        });
+
+        // 帯域ごとの折れ線 (低域ほど寒色)
+        const bands = [
+            { frequency: 250, color: '#9C27B0' },
+            { frequency: 500, color: '#3F51B5' },
+            { frequency: 1000, color: '#2196F3' },
+            { frequency: 2000, color: '#4CAF50' },
+            { frequency: 4000, color: '#FF9800' },
+            { frequency: 8000, color: '#F44336' }
+        ];
+
+        bands.forEach((band, bandIdx) => {
+            const points = results
+                .map((result, idx) => ({ idx, weber: result.jnd[band.frequency] }))
+                .filter(p => p.weber !== undefined && p.weber !== null)
+                .map(p => ({ x: xOf(p.idx), y: yOf(p.weber * 100) }));
+
+            ctx.strokeStyle = band.color;
+            ctx.fillStyle = band.color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            points.forEach((p, idx) => {
+                if (idx === 0) {
+                    ctx.moveTo(p.x, p.y);
+                } else {
+                    ctx.lineTo(p.x, p.y);
+                }
+            });
+            ctx.stroke();
+
+            points.forEach(p => {
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, 3, 0, Math.PI * 2);
+                ctx.fill();
+            });
+
+            // 凡例
+            const label = band.frequency >= 1000 ? `${band.frequency / 1000}kHz` : `${band.frequency}Hz`;
+            ctx.font = '12px sans-serif';
+            ctx.textAlign = 'left';
+            ctx.fillText(`● ${label}`, width - padding.right + 10, padding.top + 10 + bandIdx * 18);
+        });
+
+        // タイトル
+        ctx.fillStyle = '#212121';
+        ctx.font = 'bold 14px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText('周波数弁別閾の推移 (Δf/f)', width / 2, 20);
+    }
+
+    /**
+     * 個人の等ラウドネス曲線をISO 226の曲線と重ねて描画
+     * 縦軸は1kHzと同じ大きさに聞こえるために必要なレベル差 (上に行くほど聞こえにくい)
+     * @param {HTMLCanvasElement} canvas - Canvas要素
+     * @param {Object} corrections - { 周波数: 補正値 dB } (個人の曲線)
+     * @param {Array<Object>} isoCurve - [{ frequency, correction }] (比較用のISO曲線)
+     * @param {string} isoLabel - ISO曲線の凡例
+     */
+    static drawLoudnessContour(canvas, corrections, isoCurve, isoLabel) {
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+
+        // 背景クリア
+        ctx.fillStyle = '#FAFAFA';
+        ctx.fillRect(0, 0, width, height);
+
+        const padding = { top: 40, right: 20, bottom: 40, left: 55 };
+        const chartWidth = width - padding.left - padding.right;
+        const chartHeight = height - padding.top - padding.bottom;
+
+        const logMin = Math.log2(40);
+        const logMax = Math.log2(16000);
+        const minDb = -20;
+        const maxDb = 40;
+
+        const xOf = (freq) => padding.left + ((Math.log2(freq) - logMin) / (logMax - logMin)) * chartWidth;
+        const yOf = (db) => padding.top + ((maxDb - MathUtils.clamp(db, minDb, maxDb)) / (maxDb - minDb)) * chartHeight;
+
+        // グリッド線とdBラベル
+        ctx.strokeStyle = '#E0E0E0';
+        ctx.lineWidth = 1;
+        ctx.fillStyle = '#666666';
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'right';
+        for (let db = minDb; db <= maxDb; db += 10) {
+            const y = yOf(db);
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y);
+            ctx.lineTo(width - padding.right, y);
+            ctx.stroke();
+            ctx.fillText(`${db > 0 ? '+' : ''}${db}dB`, padding.left - 5, y + 3);
+        }
+
+        // 周波数ラベル
+        ctx.textAlign = 'center';
+        [63, 125, 250, 500, 1000, 2000, 4000, 8000].forEach(freq => {
+            const x = xOf(freq);
+            ctx.beginPath();
+            ctx.moveTo(x, padding.top);
+            ctx.lineTo(x, height - padding.bottom);
+            ctx.stroke();
+            ctx.fillText(freq >= 1000 ? `${freq / 1000}k` : `${freq}`, x, height - padding.bottom + 15);
+        });
+
+        // ISO曲線 (破線)
+        ctx.strokeStyle = '#9E9E9E';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        isoCurve.forEach((p, idx) => {
+            if (idx === 0) {
+                ctx.moveTo(xOf(p.frequency), yOf(p.correction));
+            } else {
+                ctx.lineTo(xOf(p.frequency), yOf(p.correction));
+            }
+        });
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // 個人の曲線 (1kHzは基準なので0dB)
+        const points = Object.keys({ 1000: 0, ...corrections })
+            .map(f => parseFloat(f))
+            .sort((a, b) => a - b)
+            .map(freq => ({ x: xOf(freq), y: yOf(freq === 1000 ? 0 : corrections[freq]) }));
+
+        ctx.strokeStyle = '#FF9800';
+        ctx.fillStyle = '#FF9800';
+        ctx.beginPath();
+        points.forEach((p, idx) => {
+            if (idx === 0) {
+                ctx.moveTo(p.x, p.y);
+            } else {
+                ctx.lineTo(p.x, p.y);
+            }
+        });
+        ctx.stroke();
+        points.forEach(p => {
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 4, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        // タイトルと凡例
+        ctx.fillStyle = '#212121';
+        ctx.font = 'bold 14px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText('等ラウドネス曲線 (1kHzに対するレベル差)', width / 2, 20);
+
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#FF9800';
+        ctx.fillText('● 個人', padding.left + 10, padding.top + 15);
+        ctx.fillStyle = '#9E9E9E';
+        ctx.fillText(`-- ${isoLabel}`, padding.left + 60, padding.top + 15);
+    }
 }
@@ -0,0 +1,286 @@
+/**
+ * Oscilloscope - 波形 (時間領域) 表示クラス
+ * 立ち上がりエッジでトリガーをかけて周期的な音の波形を静止させ，
+ * 1つ前のフレームの波形を重ねて表示する
+ */
+class Oscilloscope {
+    static DIVISIONS = 10; // 横軸の目盛り数
+    static TIME_PER_DIV = [0.1, 0.2, 0.5, 1, 2, 5, 10]; // ms
+    static SCALES = ['auto', 1, 2, 5, 10, 20]; // 縦軸の倍率 ('auto' は振幅に合わせる)
+
+    static TRIGGER = {
+        level: 0, // トリガーレベル
+        hysteresis: 0.01, // ノイズで誤トリガーしないよう，この値だけ下回ってから立ち上がりを探す
+        position: 0.1 // トリガー点の横位置 (画面幅に対する比)
+    };
+
+    constructor(canvas, audioEngine) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.audioEngine = audioEngine;
+        this.animationId = null;
+        this.isRunning = false;
+        this.timePerDiv = 1; // ms
+        this.scale = 'auto';
+        this.triggerEnabled = true;
+        this.overlayPrevious = true;
+        this.previousFrame = null; // 前のフレームの表示範囲のサンプル
+        this.autoScale = 1;
+    }
+
+    /**
+     * 表示を開始
+     */
+    start() {
+        if (this.isRunning) {
+            return;
+        }
+
+        this.isRunning = true;
+        this.previousFrame = null;
+        this.draw();
+    }
+
+    /**
+     * 表示を停止
+     */
+    stop() {
+        this.isRunning = false;
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+
+        // キャンバスをクリア
+        this.ctx.fillStyle = '#1a1a1a';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    /**
+     * 1目盛りあたりの時間を設定
+     * @param {number} ms - ミリ秒
+     */
+    setTimePerDiv(ms) {
+        this.timePerDiv = ms;
+        this.previousFrame = null;
+    }
+
+    /**
+     * 縦軸の倍率を設定
+     * @param {string|number} scale - 'auto' または倍率
+     */
+    setScale(scale) {
+        this.scale = scale === 'auto' ? 'auto' : parseFloat(scale);
+    }
+
+    /**
+     * トリガーの有効/無効を切り替え
+     * @param {boolean} enabled
+     */
+    setTrigger(enabled) {
+        this.triggerEnabled = enabled;
+    }
+
+    /**
+     * 前の波形の重ね表示を切り替え
+     * @param {boolean} enabled
+     */
+    setOverlay(enabled) {
+        this.overlayPrevious = enabled;
+        this.previousFrame = null;
+    }
+
+    /**
+     * 立ち上がりエッジのトリガー点を探す
+     * レベルを hysteresis だけ下回った後，最初にレベルを上に横切る点をサンプル間の補間で求める
+     * @param {Float32Array} data - 時間領域のサンプル
+     * @param {number} from - 探し始める位置
+     * @param {number} to - 探し終える位置
+     * @returns {number|null} トリガー点 (小数のサンプル位置)．見つからなければnull
+     */
+    static findTrigger(data, from, to) {
+        const { level, hysteresis } = Oscilloscope.TRIGGER;
+        let armed = false;
+
+        for (let i = Math.max(1, from); i < to; i++) {
+            if (data[i - 1] < level - hysteresis) {
+                armed = true;
+            }
+            if (armed && data[i - 1] < level && data[i] >= level) {
+                return i - 1 + (level - data[i - 1]) / (data[i] - data[i - 1]);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 小数の位置のサンプルを線形補間で取得
+     * @param {Float32Array} data - サンプル
+     * @param {number} position - 位置
+     * @returns {number}
+     */
+    static sampleAt(data, position) {
+        const i = Math.floor(position);
+        if (i < 0 || i >= data.length - 1) {
+            return data[MathUtils.clamp(i, 0, data.length - 1)];
+        }
+        return MathUtils.lerp(data[i], data[i + 1], position - i);
+    }
+
+    /**
+     * 波形を描画
+     */
+    draw() {
+        if (!this.isRunning) {
+            return;
+        }
+
+        this.animationId = requestAnimationFrame(() => this.draw());
+
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+
+        // 背景クリア
+        this.ctx.fillStyle = '#1a1a1a';
+        this.ctx.fillRect(0, 0, width, height);
+        this.drawGrid(width, height);
+
+        const data = this.audioEngine.getTimeDomainData();
+        if (data.length === 0) {
+            return;
+        }
+
+        // 表示する範囲 (サンプル数) ．バッファより長い場合は収まる分だけ表示する
+        const sampleRate = this.audioEngine.audioContext.sampleRate;
+        const windowSamples = Math.min(
+            this.timePerDiv / 1000 * Oscilloscope.DIVISIONS * sampleRate,
+            data.length - 1
+        );
+        const preTrigger = windowSamples * Oscilloscope.TRIGGER.position;
+
+        // 最新のデータに近い位置でトリガーを探し，見つからなければ最新の範囲を表示 (オート)
+        let start = data.length - 1 - windowSamples;
+        let triggered = false;
+        if (this.triggerEnabled) {
+            const searchFrom = Math.max(Math.ceil(preTrigger), data.length - 1 - windowSamples * 2);
+            const trigger = Oscilloscope.findTrigger(data, searchFrom, data.length - 1 - (windowSamples - preTrigger));
+            if (trigger !== null) {
+                start = trigger - preTrigger;
+                triggered = true;
+            }
+        }
+
+        // 横1ピクセルごとのサンプル
+        const frame = new Float32Array(width);
+        let peak = 0;
+        for (let x = 0; x < width; x++) {
+            frame[x] = Oscilloscope.sampleAt(data, start + (x / (width - 1)) * windowSamples);
+            peak = Math.max(peak, Math.abs(frame[x]));
+        }
+
+        // 縦軸の倍率 (自動では振幅が画面の8割に収まるよう，急に変わらないよう追従させる)
+        let scale = this.scale;
+        if (scale === 'auto') {
+            const target = peak > 0.001 ? 0.8 / peak : this.autoScale;
+            this.autoScale = MathUtils.clamp(MathUtils.lerp(this.autoScale, target, 0.2), 1, 1000);
+            scale = this.autoScale;
+        }
+
+        if (this.overlayPrevious && this.previousFrame) {
+            this.drawWave(this.previousFrame, width, height, scale, 'rgba(255, 152, 0, 0.5)');
+        }
+        this.drawWave(frame, width, height, scale, '#4CAF50');
+        this.previousFrame = frame;
+
+        this.drawLabels(width, height, scale, triggered);
+    }
+
+    /**
+     * 波形を折れ線で描画
+     * @param {Float32Array} frame - 横1ピクセルごとのサンプル
+     * @param {number} width - Canvas幅
+     * @param {number} height - Canvas高さ
+     * @param {number} scale - 縦軸の倍率
+     * @param {string} color - 線の色
+     */
+    drawWave(frame, width, height, scale, color) {
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeStyle = color;
+        this.ctx.beginPath();
+
+        for (let x = 0; x < width; x++) {
+            const y = height / 2 - MathUtils.clamp(frame[x] * scale, -1, 1) * (height / 2);
+            if (x === 0) {
+                this.ctx.moveTo(x, y);
+            } else {
+                this.ctx.lineTo(x, y);
+            }
+        }
+
+        this.ctx.stroke();
+    }
+
+    /**
+     * 目盛りを描画
+     * @param {number} width - Canvas幅
+     * @param {number} height - Canvas高さ
+     */
+    drawGrid(width, height) {
+        this.ctx.strokeStyle = '#333333';
+        this.ctx.lineWidth = 1;
+
+        for (let i = 0; i <= Oscilloscope.DIVISIONS; i++) {
+            const x = (width / Oscilloscope.DIVISIONS) * i;
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, 0);
+            this.ctx.lineTo(x, height);
+            this.ctx.stroke();
+        }
+
+        for (let i = 0; i <= 8; i++) {
+            const y = (height / 8) * i;
+            this.ctx.beginPath();
+            this.ctx.moveTo(0, y);
+            this.ctx.lineTo(width, y);
+            this.ctx.stroke();
+        }
+
+        // 0の線
+        this.ctx.strokeStyle = '#555555';
+        this.ctx.beginPath();
+        this.ctx.moveTo(0, height / 2);
+        this.ctx.lineTo(width, height / 2);
+        this.ctx.stroke();
+    }
+
+    /**
+     * 設定とトリガーの状態を表示
+     * @param {number} width - Canvas幅
+     * @param {number} height - Canvas高さ
+     * @param {number} scale - 縦軸の倍率
+     * @param {boolean} triggered - トリガーがかかったかどうか
+     */
+    drawLabels(width, height, scale, triggered) {
+        this.ctx.fillStyle = '#CCCCCC';
+        this.ctx.font = '10px sans-serif';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(`${this.timePerDiv} ms/div`, 4, 12);
+        this.ctx.fillText(`×${scale < 10 ? scale.toFixed(1) : Math.round(scale)}`, 4, height - 4);
+
+        this.ctx.textAlign = 'right';
+        if (this.triggerEnabled) {
+            this.ctx.fillStyle = triggered ? '#4CAF50' : '#FF9800';
+            this.ctx.fillText(triggered ? 'トリガー: 立ち上がり' : '未トリガー', width - 4, 12);
+
+            // トリガー点の印
+            const x = width * Oscilloscope.TRIGGER.position;
+            this.ctx.beginPath();
+            this.ctx.moveTo(x - 4, 0);
+            this.ctx.lineTo(x + 4, 0);
+            this.ctx.lineTo(x, 6);
+            this.ctx.fill();
+        } else {
+            this.ctx.fillText('フリーラン', width - 4, 12);
+        }
+    }
+}
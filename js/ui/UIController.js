@@ -7,10 +7,36 @@ class UIController {
         this.audioEngine = audioEngine;
         this.quizManager = quizManager;
         this.visualizer = null;
+        this.oscilloscope = null;
         this.currentMode = 'freeplay';
-        this.playbackTimer = null; // 再生タイマー
+        this.quizType = 'quiz'; // 'quiz': 周波数当て, 'eq': EQ当て, 'note': 音名当て
+        this.progressAnimationId = null; // 問題のプログレスバーの更新
+        this.progressEndListener = null; // 問題の再生終了イベントのリスナー
+        this.sweepReadoutId = null; // スイープ周波数表示の更新
+        this.sweepMarks = [];
+        this.thresholdTest = new ThresholdTest(audioEngine);
+        this.thresholdTimer = null; // 次の検査音までの待ち時間 (scheduler のID)
+        this.discriminationTest = new DiscriminationTest(audioEngine);
+        this.discriminationTimer = null; // 次の試行までの待ち時間 (scheduler のID)
+        this.discriminationSequenceId = null; // 提示中の2音の ToneSequence
+        this.headphoneCheck = new HeadphoneCheck(audioEngine);
+        this.headphoneCheckSequence = null; // 提示中の試行の { sequenceId, toneCount }
+        this.headphoneCheckResult = null; // 直近のヘッドホンチェックの結果 (合格ならページを開き直すまで省略)
+        this.pendingQuizStart = null; // ヘッドホンチェックの後に開始するクイズ { difficulty, mode, options }
+        this.loudnessMatch = new LoudnessMatch(audioEngine);
+        this.pitchExercise = new PitchExercise(audioEngine);
+        this.pitchInput = null; // 発声モードのマイク・音声ファイル入力 (初回の開始時に作成)
+        this.pitchAnimationId = null; // 音程表示の更新
+        this.pitchCaptureStart = null; // 記録開始時刻 (記録中でなければnull)
+        this.calibrationTone = null; // 校正用の基準音
+        this.outputMeterAnimationId = null; // 出力ピーク・聴取量メーターの更新
+        this.editorPartials = Timbre.createPartials('sine'); // 倍音エディタで編集中の倍音
+        this.mixerChannels = ToneMixer.createDefaultChannels(); // ミキサーで編集中のチャンネル
         this.initElements();
         this.initEventListeners();
+        this.renderHarmonicEditor();
+        this.renderMixerChannels();
+        this.startOutputMeter();
     }
 
     initElements() {
@@ -21,17 +47,125 @@ class UIController {
         // フリープレイ
         this.frequencySlider = document.getElementById('frequencySlider');
         this.frequencyInput = document.getElementById('frequencyInput');
+        this.frequencyNote = document.getElementById('frequencyNote');
+        this.a4Tuning = document.getElementById('a4Tuning');
         this.presetBtns = document.querySelectorAll('.preset-btn');
         this.waveformInputs = document.querySelectorAll('input[name="waveform"]');
         this.equalLoudnessSelect = document.getElementById('equalLoudness');
+        this.equalLoudnessPhonGroup = document.getElementById('equalLoudnessPhonGroup');
+        this.equalLoudnessPhon = document.getElementById('equalLoudnessPhon');
+        this.equalLoudnessPhonValue = document.getElementById('equalLoudnessPhonValue');
+        this.equalLoudnessStandard = document.getElementById('equalLoudnessStandard');
+        this.equalLoudnessPersonal = document.getElementById('equalLoudnessPersonal');
+        this.noiseOptions = document.getElementById('noiseOptions');
+        this.noiseTypeSelect = document.getElementById('noiseType');
+        this.noiseBandwidthGroup = document.getElementById('noiseBandwidthGroup');
+        this.noiseBandwidthSelect = document.getElementById('noiseBandwidth');
+        this.sampleOptions = document.getElementById('sampleOptions');
+        this.customOptions = document.getElementById('customOptions');
+        this.timbreSelect = document.getElementById('timbreSelect');
+        this.timbreName = document.getElementById('timbreName');
+        this.timbreSave = document.getElementById('timbreSave');
+        this.timbreDelete = document.getElementById('timbreDelete');
+        this.timbrePartialCount = document.getElementById('timbrePartialCount');
+        this.timbrePresetBtns = document.querySelectorAll('.timbre-preset');
+        this.harmonicEditor = document.getElementById('harmonicEditor');
+        this.mixerOptions = document.getElementById('mixerOptions');
+        this.mixerSceneSelect = document.getElementById('mixerSceneSelect');
+        this.mixerSceneName = document.getElementById('mixerSceneName');
+        this.mixerSceneSave = document.getElementById('mixerSceneSave');
+        this.mixerSceneDelete = document.getElementById('mixerSceneDelete');
+        this.mixerChannelList = document.getElementById('mixerChannels');
+        this.mixerAddChannel = document.getElementById('mixerAddChannel');
+        this.sampleFileInput = document.getElementById('sampleFileInput');
+        this.samplePersist = document.getElementById('samplePersist');
+        this.sampleSelect = document.getElementById('sampleSelect');
+        this.sampleDelete = document.getElementById('sampleDelete');
+        this.sampleLoopStart = document.getElementById('sampleLoopStart');
+        this.sampleLoopEnd = document.getElementById('sampleLoopEnd');
+        this.sampleGain = document.getElementById('sampleGain');
+        this.sampleGainValue = document.getElementById('sampleGainValue');
+        this.sampleFilterType = document.getElementById('sampleFilterType');
+        this.sampleFilterGain = document.getElementById('sampleFilterGain');
+        this.sampleFilterGainValue = document.getElementById('sampleFilterGainValue');
+        this.vibratoDepth = document.getElementById('vibratoDepth');
+        this.vibratoDepthValue = document.getElementById('vibratoDepthValue');
+        this.vibratoRate = document.getElementById('vibratoRate');
+        this.vibratoRateValue = document.getElementById('vibratoRateValue');
+        this.tremoloDepth = document.getElementById('tremoloDepth');
+        this.tremoloDepthValue = document.getElementById('tremoloDepthValue');
+        this.tremoloRate = document.getElementById('tremoloRate');
+        this.tremoloRateValue = document.getElementById('tremoloRateValue');
+        this.envelopeAttack = document.getElementById('envelopeAttack');
+        this.envelopeAttackValue = document.getElementById('envelopeAttackValue');
+        this.envelopeDecay = document.getElementById('envelopeDecay');
+        this.envelopeDecayValue = document.getElementById('envelopeDecayValue');
+        this.envelopeSustain = document.getElementById('envelopeSustain');
+        this.envelopeSustainValue = document.getElementById('envelopeSustainValue');
+        this.envelopeRelease = document.getElementById('envelopeRelease');
+        this.envelopeReleaseValue = document.getElementById('envelopeReleaseValue');
+        this.burstEnabled = document.getElementById('burstEnabled');
+        this.burstParams = document.getElementById('burstParams');
+        this.burstDuration = document.getElementById('burstDuration');
+        this.burstDurationValue = document.getElementById('burstDurationValue');
+        this.burstCount = document.getElementById('burstCount');
+        this.burstCountValue = document.getElementById('burstCountValue');
+        this.burstGap = document.getElementById('burstGap');
+        this.burstGapValue = document.getElementById('burstGapValue');
         this.volumeSlider = document.getElementById('volumeSlider');
         this.volumeValue = document.getElementById('volumeValue');
+        this.calibrationProfile = document.getElementById('calibrationProfile');
+        this.calibrateBtn = document.getElementById('calibrateBtn');
+        this.peakMeterBar = document.getElementById('peakMeterBar');
+        this.peakMeterValue = document.getElementById('peakMeterValue');
+        this.limiterIndicator = document.getElementById('limiterIndicator');
+        this.doseMeterBar = document.getElementById('doseMeterBar');
+        this.doseMeterValue = document.getElementById('doseMeterValue');
+        this.doseLimit = document.getElementById('doseLimit');
+        this.doseAction = document.getElementById('doseAction');
         this.playBtn = document.getElementById('playBtn');
         this.stopBtn = document.getElementById('stopBtn');
+        this.sweepStart = document.getElementById('sweepStart');
+        this.sweepEnd = document.getElementById('sweepEnd');
+        this.sweepDuration = document.getElementById('sweepDuration');
+        this.sweepScale = document.getElementById('sweepScale');
+        this.sweepRepeat = document.getElementById('sweepRepeat');
+        this.sweepBtn = document.getElementById('sweepBtn');
+        this.sweepReadout = document.getElementById('sweepReadout');
+        this.sweepMarkBtn = document.getElementById('sweepMarkBtn');
+        this.sweepClearMarks = document.getElementById('sweepClearMarks');
+        this.sweepMarksList = document.getElementById('sweepMarks');
+        this.exportDuration = document.getElementById('exportDuration');
+        this.exportBitDepth = document.getElementById('exportBitDepth');
+        this.exportWavBtn = document.getElementById('exportWavBtn');
         this.spectrumCanvas = document.getElementById('spectrumCanvas');
+        this.visualizerMode = document.getElementById('visualizerMode');
+        this.analyserFftSize = document.getElementById('analyserFftSize');
+        this.analyserSmoothing = document.getElementById('analyserSmoothing');
+        this.analyserSmoothingValue = document.getElementById('analyserSmoothingValue');
+        this.spectrumPeakHoldLabel = document.getElementById('spectrumPeakHoldLabel');
+        this.spectrumPeakHold = document.getElementById('spectrumPeakHold');
+        this.spectrogramControls = document.getElementById('spectrogramControls');
+        this.spectrogramPause = document.getElementById('spectrogramPause');
+        this.spectrogramScroll = document.getElementById('spectrogramScroll');
+        this.spectrogramScrollValue = document.getElementById('spectrogramScrollValue');
+        this.scopeCanvas = document.getElementById('scopeCanvas');
+        this.scopeTimePerDiv = document.getElementById('scopeTimePerDiv');
+        this.scopeScale = document.getElementById('scopeScale');
+        this.scopeTrigger = document.getElementById('scopeTrigger');
+        this.scopeOverlay = document.getElementById('scopeOverlay');
 
         // クイズ
+        this.quizTypeBtns = document.querySelectorAll('.quiz-type-btn');
+        this.difficultyDescriptions = document.querySelectorAll('.difficulty-descriptions');
         this.difficultyBtns = document.querySelectorAll('.difficulty-btn');
+        this.quizHeadphoneCheck = document.getElementById('quizHeadphoneCheck');
+        this.quizPresetButtons = document.getElementById('quizPresetButtons');
+        this.quizBuilderBtn = document.getElementById('quizBuilderBtn');
+        this.challengeCodeInput = document.getElementById('challengeCodeInput');
+        this.challengeStartBtn = document.getElementById('challengeStartBtn');
+        this.challengePlayer = document.getElementById('challengePlayer');
+        this.quizChallengeCode = document.getElementById('quizChallengeCode');
         this.difficultySelect = document.getElementById('difficultySelect');
         this.quizPlay = document.getElementById('quizPlay');
         this.quizResults = document.getElementById('quizResults');
@@ -44,8 +178,91 @@ class UIController {
         this.submitAnswer = document.getElementById('submitAnswer');
         this.feedbackSection = document.getElementById('feedbackSection');
         this.exitQuiz = document.getElementById('exitQuiz');
+        this.eqCompare = document.getElementById('eqCompare');
+        this.eqFlatBtn = document.getElementById('eqFlatBtn');
+        this.eqOnBtn = document.getElementById('eqOnBtn');
+        this.eqSourceSelect = document.getElementById('eqSourceSelect');
+        this.quizWaveformSelect = document.getElementById('quizWaveformSelect');
+        this.quizModulationSelect = document.getElementById('quizModulationSelect');
+        this.quizToneSelect = document.getElementById('quizToneSelect');
         this.nextQuestionBtn = null; // 動的に作成
 
+        // 聴力チェック
+        this.thresholdIntro = document.getElementById('thresholdIntro');
+        this.thresholdExtended = document.getElementById('thresholdExtended');
+        this.thresholdStart = document.getElementById('thresholdStart');
+        this.thresholdRun = document.getElementById('thresholdRun');
+        this.thresholdEar = document.getElementById('thresholdEar');
+        this.thresholdFreq = document.getElementById('thresholdFreq');
+        this.thresholdProgress = document.getElementById('thresholdProgress');
+        this.thresholdReplay = document.getElementById('thresholdReplay');
+        this.thresholdHeard = document.getElementById('thresholdHeard');
+        this.thresholdNotHeard = document.getElementById('thresholdNotHeard');
+        this.thresholdAbort = document.getElementById('thresholdAbort');
+        this.thresholdResult = document.getElementById('thresholdResult');
+        this.audiogramCanvas = document.getElementById('audiogramCanvas');
+        this.thresholdSummary = document.getElementById('thresholdSummary');
+        this.thresholdRetry = document.getElementById('thresholdRetry');
+
+        // 周波数弁別テスト
+        this.discriminationIntro = document.getElementById('discriminationIntro');
+        this.discriminationStart = document.getElementById('discriminationStart');
+        this.discriminationRun = document.getElementById('discriminationRun');
+        this.discriminationBand = document.getElementById('discriminationBand');
+        this.discriminationProgress = document.getElementById('discriminationProgress');
+        this.discriminationTrial = document.getElementById('discriminationTrial');
+        this.discriminationFeedback = document.getElementById('discriminationFeedback');
+        this.discriminationIntervals = [
+            document.getElementById('discriminationInterval1'),
+            document.getElementById('discriminationInterval2')
+        ];
+        this.discriminationReplay = document.getElementById('discriminationReplay');
+        this.discriminationFirst = document.getElementById('discriminationFirst');
+        this.discriminationSecond = document.getElementById('discriminationSecond');
+        this.discriminationAbort = document.getElementById('discriminationAbort');
+        this.discriminationResult = document.getElementById('discriminationResult');
+        this.discriminationSummary = document.getElementById('discriminationSummary');
+        this.discriminationCanvas = document.getElementById('discriminationCanvas');
+        this.discriminationRetry = document.getElementById('discriminationRetry');
+
+        // 等ラウドネス測定
+        this.loudnessIntro = document.getElementById('loudnessIntro');
+        this.loudnessStart = document.getElementById('loudnessStart');
+        this.loudnessRun = document.getElementById('loudnessRun');
+        this.loudnessFreq = document.getElementById('loudnessFreq');
+        this.loudnessProgress = document.getElementById('loudnessProgress');
+        this.loudnessOffset = document.getElementById('loudnessOffset');
+        this.loudnessOffsetValue = document.getElementById('loudnessOffsetValue');
+        this.loudnessPlay = document.getElementById('loudnessPlay');
+        this.loudnessConfirm = document.getElementById('loudnessConfirm');
+        this.loudnessAbort = document.getElementById('loudnessAbort');
+        this.loudnessResult = document.getElementById('loudnessResult');
+        this.loudnessCanvas = document.getElementById('loudnessCanvas');
+        this.loudnessSummary = document.getElementById('loudnessSummary');
+        this.loudnessRetry = document.getElementById('loudnessRetry');
+        this.loudnessDelete = document.getElementById('loudnessDelete');
+
+        // 発声
+        this.pitchIntro = document.getElementById('pitchIntro');
+        this.pitchInputSelect = document.getElementById('pitchInput');
+        this.pitchRange = document.getElementById('pitchRange');
+        this.pitchTargetType = document.getElementById('pitchTargetType');
+        this.pitchReference = document.getElementById('pitchReference');
+        this.pitchStart = document.getElementById('pitchStart');
+        this.pitchRun = document.getElementById('pitchRun');
+        this.pitchTarget = document.getElementById('pitchTarget');
+        this.pitchProgress = document.getElementById('pitchProgress');
+        this.pitchNeedle = document.getElementById('pitchNeedle');
+        this.pitchLive = document.getElementById('pitchLive');
+        this.pitchFeedback = document.getElementById('pitchFeedback');
+        this.pitchReplay = document.getElementById('pitchReplay');
+        this.pitchRecord = document.getElementById('pitchRecord');
+        this.pitchNext = document.getElementById('pitchNext');
+        this.pitchAbort = document.getElementById('pitchAbort');
+        this.pitchResult = document.getElementById('pitchResult');
+        this.pitchSummary = document.getElementById('pitchSummary');
+        this.pitchRetry = document.getElementById('pitchRetry');
+
         // 履歴
         this.exportHistory = document.getElementById('exportHistory');
         this.clearHistory = document.getElementById('clearHistory');
@@ -54,6 +271,59 @@ class UIController {
         // 警告モーダル
         this.volumeWarning = document.getElementById('volumeWarning');
         this.acceptWarning = document.getElementById('acceptWarning');
+        this.doseWarning = document.getElementById('doseWarning');
+        this.doseWarningMessage = document.getElementById('doseWarningMessage');
+        this.doseWarningAccept = document.getElementById('doseWarningAccept');
+
+        // 再生レベル校正
+        this.calibrationModal = document.getElementById('calibrationModal');
+        this.calibrationName = document.getElementById('calibrationName');
+        this.calibrationLevel = document.getElementById('calibrationLevel');
+        this.calibrationLevelValue = document.getElementById('calibrationLevelValue');
+        this.calibrationPlayBtn = document.getElementById('calibrationPlayBtn');
+        this.calibrationMethod = document.getElementById('calibrationMethod');
+        this.calibrationMeterGroup = document.getElementById('calibrationMeterGroup');
+        this.calibrationSpl = document.getElementById('calibrationSpl');
+        this.calibrationReferenceGroup = document.getElementById('calibrationReferenceGroup');
+        this.calibrationReference = document.getElementById('calibrationReference');
+        this.calibrationSaveBtn = document.getElementById('calibrationSaveBtn');
+        this.calibrationCancelBtn = document.getElementById('calibrationCancelBtn');
+
+        // カスタムクイズの作成
+        this.quizBuilderModal = document.getElementById('quizBuilderModal');
+        this.quizPresetSelect = document.getElementById('quizPresetSelect');
+        this.quizPresetName = document.getElementById('quizPresetName');
+        this.quizPresetCount = document.getElementById('quizPresetCount');
+        this.quizPresetFreqCount = document.getElementById('quizPresetFreqCount');
+        this.quizPresetGap = document.getElementById('quizPresetGap');
+        this.quizPresetStereo = document.getElementById('quizPresetStereo');
+        this.quizPresetWaveform = document.getElementById('quizPresetWaveform');
+        this.quizPresetEqualLoudness = document.getElementById('quizPresetEqualLoudness');
+        this.quizPresetDuration = document.getElementById('quizPresetDuration');
+        this.quizPresetReplays = document.getElementById('quizPresetReplays');
+        this.quizPresetTimeLimit = document.getElementById('quizPresetTimeLimit');
+        this.quizPresetRanges = document.getElementById('quizPresetRanges');
+        this.quizPresetSave = document.getElementById('quizPresetSave');
+        this.quizPresetDelete = document.getElementById('quizPresetDelete');
+        this.quizPresetClose = document.getElementById('quizPresetClose');
+
+        // ヘッドホンチェック
+        this.headphoneCheckModal = document.getElementById('headphoneCheckModal');
+        this.headphoneCheckRun = document.getElementById('headphoneCheckRun');
+        this.headphoneCheckInstruction = document.getElementById('headphoneCheckInstruction');
+        this.headphoneCheckProgress = document.getElementById('headphoneCheckProgress');
+        this.headphoneCheckIntervals = document.getElementById('headphoneCheckIntervals');
+        this.headphoneCheckLamps = this.headphoneCheckIntervals.querySelectorAll('.interval-lamp');
+        this.headphoneCheckChannelAnswers = document.getElementById('headphoneCheckChannelAnswers');
+        this.headphoneCheckAntiphaseAnswers = document.getElementById('headphoneCheckAntiphaseAnswers');
+        this.headphoneCheckAnswerBtns = document.querySelectorAll('.headphone-check-answer');
+        this.headphoneCheckReplay = document.getElementById('headphoneCheckReplay');
+        this.headphoneCheckCancel = document.getElementById('headphoneCheckCancel');
+        this.headphoneCheckResultPanel = document.getElementById('headphoneCheckResult');
+        this.headphoneCheckSummary = document.getElementById('headphoneCheckSummary');
+        this.headphoneCheckProceed = document.getElementById('headphoneCheckProceed');
+        this.headphoneCheckRetry = document.getElementById('headphoneCheckRetry');
+        this.headphoneCheckClose = document.getElementById('headphoneCheckClose');
     }
 
     initEventListeners() {
@@ -66,39 +336,58 @@ class UIController {
         this.frequencySlider.addEventListener('input', (e) => {
             const freq = MathUtils.logToLinear(parseFloat(e.target.value));
             this.frequencyInput.value = MathUtils.formatWithCommas(freq);
+            this.updateNoteDisplay();
             // 再生中なら即座に反映
             if (this.audioEngine.isPlaying()) {
                 this.audioEngine.setFrequency(freq);
-                const equalLoudness = this.equalLoudnessSelect.value;
+                const equalLoudness = this.getEqualLoudnessMode();
                 this.audioEngine.updateEqualLoudness(freq, equalLoudness);
             }
         });
 
+        // 周波数 (Hz) または音名の入力．音名は確定時に周波数の表記に置き換える
         this.frequencyInput.addEventListener('input', (e) => {
-            const freqStr = e.target.value.replace(/,/g, ''); // カンマを除去
-            const freq = parseInt(freqStr);
+            const freq = this.getFrequencyInput(e.target);
             if (freq >= 20 && freq <= 20000) {
                 this.frequencySlider.value = MathUtils.linearToLog(freq);
-                e.target.value = MathUtils.formatWithCommas(freq);
+                // 整数の入力はその場で3桁区切りにする（小数・音名は入力途中のため書き換えない）
+                if (/^[\d,]+$/.test(e.target.value)) {
+                    e.target.value = MathUtils.formatWithCommas(freq);
+                }
+                this.updateNoteDisplay();
                 // 再生中なら即座に反映
                 if (this.audioEngine.isPlaying()) {
                     this.audioEngine.setFrequency(freq);
-                    const equalLoudness = this.equalLoudnessSelect.value;
+                    const equalLoudness = this.getEqualLoudnessMode();
                     this.audioEngine.updateEqualLoudness(freq, equalLoudness);
                 }
             }
         });
 
+        this.frequencyInput.addEventListener('change', (e) => {
+            const freq = this.getFrequencyInput(e.target);
+            if (freq >= 20 && freq <= 20000) {
+                e.target.value = this.formatFrequencyInput(freq);
+            }
+        });
+
+        // 基準ピッチ (A4)
+        this.a4Tuning.addEventListener('change', (e) => {
+            MathUtils.setA4Frequency(parseInt(e.target.value));
+            this.updateNoteDisplay();
+        });
+
         // プリセットボタン
         this.presetBtns.forEach(btn => {
             btn.addEventListener('click', () => {
                 const freq = parseInt(btn.dataset.freq);
                 this.frequencyInput.value = MathUtils.formatWithCommas(freq);
                 this.frequencySlider.value = MathUtils.linearToLog(freq);
+                this.updateNoteDisplay();
                 // 再生中なら即座に反映
                 if (this.audioEngine.isPlaying()) {
                     this.audioEngine.setFrequency(freq);
-                    const equalLoudness = this.equalLoudnessSelect.value;
+                    const equalLoudness = this.getEqualLoudnessMode();
                     this.audioEngine.updateEqualLoudness(freq, equalLoudness);
                 }
             });
@@ -107,45 +396,323 @@ class UIController {
         // 波形選択
         this.waveformInputs.forEach(input => {
             input.addEventListener('change', (e) => {
-                // 再生中なら即座に反映
+                this.updateSourceOptions();
+                // 再生中なら即座に反映（ノイズ・音声ファイルとの切り替えは再生し直す）
                 if (this.audioEngine.isPlaying()) {
-                    this.audioEngine.setWaveform(e.target.value);
+                    const isTone = !['noise', 'sample', 'mixer'].includes(e.target.value);
+                    if (isTone && this.audioEngine.oscillator.setWaveform) {
+                        this.audioEngine.setWaveform(this.getFreeplayWaveform());
+                    } else {
+                        this.playFreeplay();
+                    }
                 }
             });
         });
 
-        // 等ラウドネス補正
-        this.equalLoudnessSelect.addEventListener('change', (e) => {
-            // 再生中なら即座に反映
+        // 倍音エディタ
+        this.harmonicEditor.addEventListener('input', (e) => {
+            const index = parseInt(e.target.dataset.index);
+            const partial = this.editorPartials[index];
+            if (!partial) return;
+
+            if (e.target.classList.contains('harmonic-amplitude')) {
+                partial.amplitude = parseFloat(e.target.value);
+            } else {
+                partial.phase = parseInt(e.target.value);
+                e.target.parentElement.querySelector('.harmonic-phase-value').textContent = partial.phase + '°';
+            }
+            this.applyTimbreLive();
+        });
+        this.timbrePartialCount.addEventListener('change', (e) => {
+            const count = parseInt(e.target.value);
+            // 増やした分は振幅0で追加
+            while (this.editorPartials.length < count) {
+                this.editorPartials.push({ amplitude: 0, phase: 0 });
+            }
+            this.editorPartials = this.editorPartials.slice(0, count);
+            this.renderHarmonicEditor();
+            this.applyTimbreLive();
+        });
+        this.timbrePresetBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.editorPartials = Timbre.createPartials(btn.dataset.preset, parseInt(this.timbrePartialCount.value));
+                this.renderHarmonicEditor();
+                this.applyTimbreLive();
+            });
+        });
+        this.timbreSelect.addEventListener('change', (e) => this.loadTimbre(e.target.value));
+        this.timbreSave.addEventListener('click', () => this.saveTimbre());
+        this.timbreDelete.addEventListener('click', () => this.deleteTimbre());
+
+        // ミキサー
+        this.mixerChannelList.addEventListener('input', (e) => this.updateMixerChannel(e.target));
+        this.mixerChannelList.addEventListener('change', (e) => this.updateMixerChannel(e.target));
+        this.mixerChannelList.addEventListener('click', (e) => {
+            if (e.target.classList.contains('mixer-remove')) {
+                const index = parseInt(e.target.closest('.mixer-row').dataset.index);
+                this.mixerChannels.splice(index, 1);
+                this.renderMixerChannels();
+                this.audioEngine.setMixerChannels(this.mixerChannels);
+            }
+        });
+        this.mixerAddChannel.addEventListener('click', () => {
+            if (this.mixerChannels.length >= ToneMixer.MAX_CHANNELS) return;
+            // 直前のチャンネルの1オクターブ上を初期値にする
+            const last = this.mixerChannels[this.mixerChannels.length - 1];
+            const frequency = last ? Math.min(20000, last.frequency * 2) : ToneMixer.DEFAULT_CHANNEL.frequency;
+            this.mixerChannels.push(ToneMixer.createChannel({ frequency }));
+            this.renderMixerChannels();
+            this.audioEngine.setMixerChannels(this.mixerChannels);
+        });
+        this.mixerSceneSelect.addEventListener('change', (e) => this.loadMixerScene(e.target.value));
+        this.mixerSceneSave.addEventListener('click', () => this.saveMixerScene());
+        this.mixerSceneDelete.addEventListener('click', () => this.deleteMixerScene());
+
+        // ノイズ設定
+        this.noiseTypeSelect.addEventListener('change', () => {
+            this.updateSourceOptions();
             if (this.audioEngine.isPlaying()) {
-                const freq = parseInt(this.frequencyInput.value);
-                this.audioEngine.updateEqualLoudness(freq, e.target.value);
+                this.playFreeplay();
+            }
+        });
+
+        this.noiseBandwidthSelect.addEventListener('change', (e) => {
+            this.audioEngine.setNoiseBandwidth(NoiseGenerator.BANDWIDTHS[e.target.value]);
+        });
+
+        // 音声ファイル
+        this.sampleFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.loadSampleFile(file);
+            }
+            e.target.value = '';
+        });
+
+        this.sampleSelect.addEventListener('change', () => {
+            this.showSampleParams();
+            if (this.audioEngine.isPlaying() && this.audioEngine.oscillator instanceof SamplePlayer) {
+                this.playFreeplay();
+            }
+        });
+
+        this.sampleDelete.addEventListener('click', async () => {
+            const id = this.sampleSelect.value;
+            if (!id || !confirm('この音声ファイルを削除しますか?')) {
+                return;
             }
+            if (this.audioEngine.oscillator instanceof SamplePlayer && this.audioEngine.oscillator.sample.id === id) {
+                this.stopFreeplay();
+            }
+            await this.audioEngine.sampleLibrary.removeSample(id);
+            this.refreshSampleList();
+        });
+
+        [this.sampleLoopStart, this.sampleLoopEnd, this.sampleGain].forEach(input => {
+            input.addEventListener('change', () => this.updateSampleParams());
+        });
+        this.sampleGain.addEventListener('input', (e) => {
+            this.sampleGainValue.textContent = e.target.value + 'dB';
+        });
+
+        [this.sampleFilterType, this.sampleFilterGain].forEach(input => {
+            input.addEventListener('input', () => {
+                const gain = parseInt(this.sampleFilterGain.value);
+                this.sampleFilterGainValue.textContent = (gain > 0 ? '+' : '') + gain + 'dB';
+                this.audioEngine.setSampleFilter(this.getSampleFilter());
+            });
+        });
+
+        // 等ラウドネス補正
+        this.equalLoudnessSelect.addEventListener('change', () => {
+            this.updateEqualLoudnessControls();
+            this.refreshEqualLoudness();
+        });
+        this.equalLoudnessPhon.addEventListener('input', () => {
+            this.updateEqualLoudnessControls();
+            this.refreshEqualLoudness();
+        });
+        this.equalLoudnessStandard.addEventListener('change', (e) => {
+            this.audioEngine.setEqualLoudnessStandard(e.target.value);
+            this.refreshEqualLoudness();
         });
 
-        // 音量スライダー
+        // ビブラート・トレモロ
+        [this.vibratoDepth, this.vibratoRate, this.tremoloDepth, this.tremoloRate].forEach(slider => {
+            slider.addEventListener('input', () => {
+                const modulation = this.getFreeplayModulation();
+                this.vibratoDepthValue.textContent = `±${modulation.vibratoDepth} cent`;
+                this.vibratoRateValue.textContent = `${modulation.vibratoRate.toFixed(1)} Hz`;
+                this.tremoloDepthValue.textContent = `${Math.round(modulation.tremoloDepth * 100)}%`;
+                this.tremoloRateValue.textContent = `${modulation.tremoloRate.toFixed(1)} Hz`;
+                // 再生中なら即座に反映
+                this.audioEngine.setModulation(modulation);
+            });
+        });
+
+        // エンベロープ・トーンバースト (次の再生から反映)
+        [this.envelopeAttack, this.envelopeDecay, this.envelopeSustain, this.envelopeRelease,
+            this.burstDuration, this.burstCount, this.burstGap].forEach(slider => {
+            slider.addEventListener('input', () => this.updateEnvelopeDisplay());
+        });
+        this.burstEnabled.addEventListener('change', () => {
+            this.burstParams.style.display = this.burstEnabled.checked ? 'grid' : 'none';
+        });
+
+        // 音量スライダー (dB)
         this.volumeSlider.addEventListener('input', (e) => {
-            const volume = parseInt(e.target.value) / 100;
-            this.volumeValue.textContent = e.target.value + '%';
-            this.audioEngine.setVolume(volume);
+            const db = parseInt(e.target.value);
+            // -60dBを下限として無音にする
+            if (db <= parseInt(this.volumeSlider.min)) {
+                this.audioEngine.setVolume(0);
+            } else {
+                this.audioEngine.setVolumeDb(db);
+            }
+            this.updateVolumeDisplay();
             // 再生中なら等ラウドネス補正も更新
             if (this.audioEngine.isPlaying()) {
-                const freq = parseInt(this.frequencyInput.value);
-                const equalLoudness = this.equalLoudnessSelect.value;
+                const freq = this.getFreeplayFrequency();
+                const equalLoudness = this.getEqualLoudnessMode();
                 this.audioEngine.updateEqualLoudness(freq, equalLoudness);
             }
         });
 
+        // 出力プロファイル (再生レベル校正)
+        this.calibrationProfile.addEventListener('change', (e) => {
+            this.applyCalibrationProfile(e.target.value || null);
+        });
+        this.calibrateBtn.addEventListener('click', () => this.openCalibration());
+
+        // 聴取量の上限 (超えたら警告，または音量を自動で下げる)
+        this.doseLimit.addEventListener('change', () => this.applyDoseLimit());
+        this.doseAction.addEventListener('change', () => this.applyDoseLimit());
+        this.doseWarningAccept.addEventListener('click', () => {
+            this.doseWarning.style.display = 'none';
+        });
+        this.audioEngine.scheduler.on('doseexceeded', (detail) => this.handleDoseExceeded(detail));
+        this.calibrationLevel.addEventListener('input', (e) => {
+            this.calibrationLevelValue.textContent = e.target.value + ' dB';
+            if (this.calibrationTone) {
+                this.calibrationTone.setLevel(parseInt(e.target.value));
+            }
+        });
+        this.calibrationPlayBtn.addEventListener('click', () => this.toggleCalibrationTone());
+        this.calibrationMethod.addEventListener('change', (e) => {
+            const useMeter = e.target.value === 'meter';
+            this.calibrationMeterGroup.style.display = useMeter ? 'flex' : 'none';
+            this.calibrationReferenceGroup.style.display = useMeter ? 'none' : 'flex';
+        });
+        this.calibrationSaveBtn.addEventListener('click', () => this.saveCalibration());
+        this.calibrationCancelBtn.addEventListener('click', () => this.closeCalibration());
+
+        // ヘッドホンチェック
+        this.headphoneCheckAnswerBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                const response = btn.dataset.response;
+                this.respondHeadphoneCheck(isNaN(response) ? response : parseInt(response));
+            });
+        });
+        this.headphoneCheckReplay.addEventListener('click', () => this.playHeadphoneCheckTrial());
+        this.headphoneCheckCancel.addEventListener('click', () => this.closeHeadphoneCheck());
+        this.headphoneCheckClose.addEventListener('click', () => this.closeHeadphoneCheck());
+        this.headphoneCheckRetry.addEventListener('click', () => this.startHeadphoneCheck());
+        this.headphoneCheckProceed.addEventListener('click', () => this.proceedAfterHeadphoneCheck());
+
         // 再生/停止ボタン
         this.playBtn.addEventListener('click', () => this.playFreeplay());
         this.stopBtn.addEventListener('click', () => this.stopFreeplay());
 
-        // 難易度選択
+        // 周波数スイープ
+        this.sweepBtn.addEventListener('click', () => this.playSweep());
+        this.sweepMarkBtn.addEventListener('click', () => this.markSweepFrequency());
+        this.sweepClearMarks.addEventListener('click', () => {
+            this.sweepMarks = [];
+            this.renderSweepMarks();
+        });
+
+        // WAV書き出し
+        this.exportWavBtn.addEventListener('click', () => this.exportFreeplayWav());
+
+        // スペクトラム/オクターブバンド/スペクトログラム表示
+        this.visualizerMode.addEventListener('change', () => {
+            this.getVisualizer().setMode(this.visualizerMode.value);
+            this.updateSpectrogramControls();
+        });
+        this.analyserFftSize.addEventListener('change', () => this.applyAnalyserOptions());
+        this.analyserSmoothing.addEventListener('input', () => this.applyAnalyserOptions());
+        this.spectrumPeakHold.addEventListener('change', () => {
+            this.getVisualizer().setPeakHold(this.spectrumPeakHold.checked);
+        });
+        // 波形表示
+        this.scopeTimePerDiv.addEventListener('change', () => {
+            this.getOscilloscope().setTimePerDiv(parseFloat(this.scopeTimePerDiv.value));
+        });
+        this.scopeScale.addEventListener('change', () => {
+            this.getOscilloscope().setScale(this.scopeScale.value);
+        });
+        this.scopeTrigger.addEventListener('change', () => {
+            this.getOscilloscope().setTrigger(this.scopeTrigger.checked);
+        });
+        this.scopeOverlay.addEventListener('change', () => {
+            this.getOscilloscope().setOverlay(this.scopeOverlay.checked);
+        });
+
+        this.spectrogramPause.addEventListener('click', () => {
+            const visualizer = this.getVisualizer();
+            visualizer.setPaused(!visualizer.paused);
+            this.updateSpectrogramControls();
+        });
+        this.spectrogramScroll.addEventListener('input', () => {
+            const seconds = parseFloat(this.spectrogramScroll.value);
+            this.getVisualizer().setScrollBack(seconds);
+            this.spectrogramScrollValue.textContent = `${seconds.toFixed(1)} 秒前`;
+        });
+
+        // クイズの種類選択
+        this.quizTypeBtns.forEach(btn => {
+            btn.addEventListener('click', () => this.selectQuizType(btn.dataset.quizType));
+        });
+
+        // 難易度選択 (必要なら先にヘッドホンチェック)
         this.difficultyBtns.forEach(btn => {
-            btn.addEventListener('click', () => {
-                this.startQuiz(btn.dataset.difficulty);
-            });
+            btn.addEventListener('click', () => this.requestQuizStart(btn.dataset.difficulty));
+        });
+
+        // カスタムクイズ: 保存したプリセットのボタンは動的に生成するため委譲で受ける
+        this.quizPresetButtons.addEventListener('click', (e) => {
+            const btn = e.target.closest('.custom-preset-btn');
+            if (!btn) return;
+            const preset = StorageManager.getQuizPreset(btn.dataset.presetId);
+            if (preset) {
+                this.requestQuizStart('custom', preset);
+            }
         });
+        this.quizBuilderBtn.addEventListener('click', () => this.openQuizBuilder());
+
+        // チャレンジコードから開始
+        this.challengeStartBtn.addEventListener('click', () => this.startChallenge(this.challengeCodeInput.value));
+        this.challengeCodeInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.startChallenge(this.challengeCodeInput.value);
+            }
+        });
+        this.quizPresetSelect.addEventListener('change', () => this.loadQuizPreset(this.quizPresetSelect.value));
+        this.quizPresetFreqCount.addEventListener('change', () => this.updateQuizBuilderStereo());
+        this.quizPresetSave.addEventListener('click', () => this.saveQuizPreset());
+        this.quizPresetDelete.addEventListener('click', () => this.deleteQuizPreset());
+        this.quizPresetClose.addEventListener('click', () => this.closeQuizBuilder());
+        this.quizPresetRanges.innerHTML = Object.entries(QuestionGenerator.FREQUENCY_RANGES).map(([key, range]) => `
+            <label class="quiz-builder-range">
+                <input type="checkbox" value="${key}">
+                ${range.label} (${MathUtils.formatWithCommas(range.min)}-${MathUtils.formatWithCommas(range.max)} Hz)
+            </label>
+        `).join('');
+
+        // EQ当て: フラット/EQありの切り替え
+        if (this.eqFlatBtn && this.eqOnBtn) {
+            this.eqFlatBtn.addEventListener('click', () => this.setEqBypass(true));
+            this.eqOnBtn.addEventListener('click', () => this.setEqBypass(false));
+        }
 
         // クイズ再生ボタン
         if (this.quizPlayBtn) {
@@ -162,6 +729,78 @@ class UIController {
             this.exitQuiz.addEventListener('click', () => this.exitQuizWithoutSaving());
         }
 
+        // 聴力チェック
+        this.thresholdStart.addEventListener('click', () => this.startThresholdTest());
+        this.thresholdRetry.addEventListener('click', () => this.startThresholdTest());
+        this.thresholdReplay.addEventListener('click', () => this.thresholdTest.playCurrentTone());
+        this.thresholdHeard.addEventListener('click', () => this.respondThreshold(true));
+        this.thresholdNotHeard.addEventListener('click', () => this.respondThreshold(false));
+        this.thresholdAbort.addEventListener('click', () => this.abortThresholdTest());
+
+        // 周波数弁別テスト
+        this.discriminationStart.addEventListener('click', () => this.startDiscriminationTest());
+        this.discriminationRetry.addEventListener('click', () => this.startDiscriminationTest());
+        this.discriminationReplay.addEventListener('click', () => this.playDiscriminationTrial());
+        this.discriminationFirst.addEventListener('click', () => this.respondDiscrimination(true));
+        this.discriminationSecond.addEventListener('click', () => this.respondDiscrimination(false));
+        this.discriminationAbort.addEventListener('click', () => this.abortDiscriminationTest());
+
+        // 2音の提示に合わせて区間を表示し，2音目が鳴り終わってから解答を受け付ける
+        const scheduler = this.audioEngine.scheduler;
+        scheduler.on('tonestart', ({ sequenceId, order }) => {
+            if (sequenceId === this.discriminationSequenceId) {
+                this.discriminationIntervals.forEach((lamp, i) => lamp.classList.toggle('active', i === order));
+            }
+        });
+        scheduler.on('toneend', ({ sequenceId, order }) => {
+            if (sequenceId === this.discriminationSequenceId) {
+                this.discriminationIntervals[order].classList.remove('active');
+                if (order === this.discriminationIntervals.length - 1) {
+                    this.setDiscriminationAnswerEnabled(true);
+                }
+            }
+        });
+        scheduler.on('end', ({ label, stopped }) => {
+            // 途中で止めたときは区間の表示を消す (聞き直しボタンで再提示できる)
+            if (label === 'sequence' && stopped) {
+                this.discriminationIntervals.forEach(lamp => lamp.classList.remove('active'));
+                this.headphoneCheckLamps.forEach(lamp => lamp.classList.remove('active'));
+            }
+        });
+
+        // ヘッドホンチェックも同様に，鳴り終わってから解答を受け付ける
+        scheduler.on('tonestart', ({ sequenceId, order }) => {
+            if (this.headphoneCheckSequence && sequenceId === this.headphoneCheckSequence.sequenceId) {
+                this.headphoneCheckLamps.forEach((lamp, i) => lamp.classList.toggle('active', i === order));
+            }
+        });
+        scheduler.on('toneend', ({ sequenceId, order }) => {
+            if (this.headphoneCheckSequence && sequenceId === this.headphoneCheckSequence.sequenceId) {
+                this.headphoneCheckLamps.forEach(lamp => lamp.classList.remove('active'));
+                if (order === this.headphoneCheckSequence.toneCount - 1) {
+                    this.setHeadphoneCheckAnswerEnabled(true);
+                }
+            }
+        });
+
+        // 等ラウドネス測定 (スライダーを離したら聴き比べ直す)
+        this.loudnessStart.addEventListener('click', () => this.startLoudnessMatch());
+        this.loudnessRetry.addEventListener('click', () => this.startLoudnessMatch());
+        this.loudnessPlay.addEventListener('click', () => this.loudnessMatch.playComparison());
+        this.loudnessOffset.addEventListener('input', () => this.updateLoudnessOffset());
+        this.loudnessOffset.addEventListener('change', () => this.loudnessMatch.playComparison());
+        this.loudnessConfirm.addEventListener('click', () => this.confirmLoudnessMatch());
+        this.loudnessAbort.addEventListener('click', () => this.abortLoudnessMatch());
+        this.loudnessDelete.addEventListener('click', () => this.deleteLoudnessContour());
+
+        // 発声
+        this.pitchStart.addEventListener('click', () => this.startPitchExercise());
+        this.pitchRetry.addEventListener('click', () => this.startPitchExercise());
+        this.pitchReplay.addEventListener('click', () => this.pitchExercise.playReference());
+        this.pitchRecord.addEventListener('click', () => this.startPitchCapture());
+        this.pitchNext.addEventListener('click', () => this.presentPitchTarget());
+        this.pitchAbort.addEventListener('click', () => this.abortPitchExercise());
+
         // 履歴
         if (this.exportHistory) {
             this.exportHistory.addEventListener('click', () => StorageManager.downloadCSV());
@@ -199,206 +838,1205 @@ class UIController {
         if (mode === 'history') {
             this.loadHistory();
         }
-    }
-
-    // フリープレイ再生
-    async playFreeplay() {
-        await this.audioEngine.resume();
 
-        const freq = parseInt(this.frequencyInput.value);
-        const waveform = document.querySelector('input[name="waveform"]:checked').value;
-        const equalLoudness = this.equalLoudnessSelect.value;
+        if (mode === 'hearing' && this.thresholdRun.style.display === 'none') {
+            this.showLatestAudiogram();
+        }
 
-        this.audioEngine.playFrequency(freq, waveform, 0, equalLoudness);
+        if (mode === 'hearing' && this.discriminationRun.style.display === 'none') {
+            this.showDiscriminationHistory();
+        }
 
-        this.playBtn.disabled = true;
-        this.stopBtn.disabled = false;
+        if (mode === 'hearing' && this.loudnessRun.style.display === 'none') {
+            this.showLoudnessContour();
+        }
 
-        // Visualizer開始
-        if (!this.visualizer) {
-            this.visualizer = new Visualizer(this.spectrumCanvas, this.audioEngine);
+        // 他のモードに移ったらマイクを止める
+        if (mode !== 'pitch' && this.pitchRun.style.display !== 'none') {
+            this.abortPitchExercise();
         }
-        this.visualizer.start();
     }
 
-    // フリープレイ停止
-    stopFreeplay() {
-        this.audioEngine.stop();
-        this.playBtn.disabled = false;
-        this.stopBtn.disabled = true;
+    // ノイズ・音声ファイル設定の表示を切り替え
+    updateSourceOptions() {
+        const waveform = document.querySelector('input[name="waveform"]:checked').value;
+        this.noiseOptions.style.display = waveform === 'noise' ? 'block' : 'none';
+        this.noiseBandwidthGroup.style.display = this.noiseTypeSelect.value === 'band' ? 'block' : 'none';
+        this.sampleOptions.style.display = waveform === 'sample' ? 'block' : 'none';
+        this.customOptions.style.display = waveform === 'custom' ? 'block' : 'none';
+        this.mixerOptions.style.display = waveform === 'mixer' ? 'block' : 'none';
+    }
 
-        if (this.visualizer) {
-            this.visualizer.stop();
-        }
+    // 周波数の入力欄の値を取得（"1,000" のような3桁区切りや音名も解釈，解釈できなければnull）
+    // 入力欄の値はすべてここを通して読む
+    getFrequencyInput(input = this.frequencyInput) {
+        return MathUtils.parseFrequency(input.value);
     }
 
-    // クイズを中断して難易度選択に戻る（履歴保存なし）
-    exitQuizWithoutSaving() {
-        // 音声停止
-        this.audioEngine.stop();
+    // フリープレイの周波数を取得（解釈できなければ1kHz）
+    getFreeplayFrequency() {
+        const freq = this.getFrequencyInput();
+        return freq ? MathUtils.clamp(freq, 20, 20000) : 1000;
+    }
 
-        // タイマー停止
-        this.quizManager.stopTimer();
+    // HTMLに埋め込む文字列をエスケープ（ファイル名やプリセット名など，利用者が付けた名前は必ず通す）
+    escapeHtml(text) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(text).replace(/[&<>"']/g, char => entities[char]);
+    }
 
-        // プログレスバークリア
-        if (this.progressInterval) {
-            clearInterval(this.progressInterval);
-            this.progressInterval = null;
-        }
+    // 周波数を入力欄の表記に変換（小数は2桁まで）
+    formatFrequencyInput(freq) {
+        return MathUtils.formatWithCommas(freq, Number.isInteger(freq) ? 0 : 2);
+    }
 
-        // UIをリセット
-        this.quizPlay.style.display = 'none';
-        this.difficultySelect.style.display = 'block';
-        this.quizResults.style.display = 'none';
+    // 周波数の横に音名とセントのずれを表示
+    updateNoteDisplay() {
+        this.frequencyNote.textContent = MathUtils.formatNote(this.getFreeplayFrequency());
     }
 
-    // クイズ開始
-    startQuiz(difficulty) {
-        this.quizManager.startQuiz(difficulty);
-        this.difficultySelect.style.display = 'none';
-        this.quizPlay.style.display = 'block';
-        this.quizResults.style.display = 'none';
-        this.showNextQuestion();
+    // フリープレイの波形を取得（倍音エディタ選択時は編集中の音色）
+    getFreeplayWaveform() {
+        const waveform = document.querySelector('input[name="waveform"]:checked').value;
+        return waveform === 'custom' ? this.getEditorTimbre() : waveform;
     }
 
-    // 次の問題を表示
-    showNextQuestion() {
-        const questionNo = this.quizManager.currentQuestionIndex + 1;
-        this.questionNumber.textContent = `問題 ${questionNo}/10`;
-        this.quizScore.textContent = `スコア: ${this.quizManager.score}/1000`;
-        this.quizPlayBtn.disabled = false;
-        this.submitAnswer.disabled = true;
-        this.feedbackSection.style.display = 'none';
+    // フリープレイのビブラート・トレモロ設定を取得
+    getFreeplayModulation() {
+        return {
+            vibratoDepth: parseInt(this.vibratoDepth.value),
+            vibratoRate: parseFloat(this.vibratoRate.value),
+            tremoloDepth: parseInt(this.tremoloDepth.value) / 100,
+            tremoloRate: parseFloat(this.tremoloRate.value)
+        };
+    }
 
-        // プログレスバーと残り時間表示をリセット
-        document.querySelector('.play-progress').style.display = 'none';
-        this.playProgressBar.style.width = '0%';
-        this.timeRemaining.parentElement.style.display = 'none';
-        this.timeRemaining.parentElement.classList.remove('warning');
+    // フリープレイのエンベロープ・トーンバースト設定を取得
+    getFreeplayEnvelope() {
+        return {
+            attack: parseInt(this.envelopeAttack.value) / 1000,
+            decay: parseInt(this.envelopeDecay.value) / 1000,
+            sustain: parseInt(this.envelopeSustain.value) / 100,
+            release: parseInt(this.envelopeRelease.value) / 1000,
+            burst: this.burstEnabled.checked ? {
+                count: parseInt(this.burstCount.value),
+                toneDuration: parseInt(this.burstDuration.value) / 1000,
+                gap: parseInt(this.burstGap.value) / 1000
+            } : null
+        };
+    }
 
-        // 解答入力フィールドを生成
-        this.createAnswerInputs();
+    // エンベロープ・トーンバーストの設定値を表示
+    updateEnvelopeDisplay() {
+        this.envelopeAttackValue.textContent = `${this.envelopeAttack.value} ms`;
+        this.envelopeDecayValue.textContent = `${this.envelopeDecay.value} ms`;
+        this.envelopeSustainValue.textContent = `${this.envelopeSustain.value}%`;
+        this.envelopeReleaseValue.textContent = `${this.envelopeRelease.value} ms`;
+        this.burstDurationValue.textContent = `${this.burstDuration.value} ms`;
+        this.burstCountValue.textContent = `${this.burstCount.value}回`;
+        this.burstGapValue.textContent = `${this.burstGap.value} ms`;
     }
 
-    // 解答入力フィールドを動的に生成
-    createAnswerInputs() {
-        const question = this.quizManager.getCurrentQuestion();
-        const freqCount = question.frequencies.length;
+    // 編集中の音色を取得
+    getEditorTimbre() {
+        return {
+            id: this.timbreSelect.value || null,
+            name: this.timbreName.value.trim(),
+            partials: this.editorPartials.map(partial => ({ ...partial }))
+        };
+    }
 
-        let inputsHTML = '';
-        const labels = ['', '左', '右', '1', '2', '3'];
+    // 倍音エディタを描画
+    renderHarmonicEditor() {
+        this.timbrePartialCount.value = this.editorPartials.length;
+        this.harmonicEditor.innerHTML = this.editorPartials.map((partial, i) => `
+            <div class="harmonic-row">
+                <span>${i === 0 ? '基音' : `${i + 1}倍`}</span>
+                <input type="range" class="harmonic-amplitude" data-index="${i}" min="0" max="1" step="0.01" value="${partial.amplitude}">
+                <input type="range" class="harmonic-phase" data-index="${i}" min="0" max="355" step="5" value="${partial.phase}">
+                <span class="harmonic-phase-value">${partial.phase}°</span>
+            </div>
+        `).join('');
+    }
 
-        for (let i = 0; i < freqCount; i++) {
-            const label = freqCount === 2 && question.stereo ? labels[i + 1] : (freqCount > 2 ? labels[i + 3] : '');
-            inputsHTML += `
-                <div class="frequency-control">
-                    ${label ? `<label>${label}:</label>` : ''}
-                    <input type="range" class="answer-slider" data-index="${i}" min="1.301" max="4.301" step="0.001" value="3.000">
-                    <input type="text" class="answer-input" data-index="${i}" value="1,000">
-                    <span class="frequency-unit">Hz</span>
-                </div>
-            `;
+    // 再生中なら編集中の音色をすぐに反映
+    applyTimbreLive() {
+        const selected = document.querySelector('input[name="waveform"]:checked').value;
+        if (selected === 'custom' && this.audioEngine.isPlaying() && this.audioEngine.oscillator.setWaveform) {
+            this.audioEngine.setWaveform(this.getEditorTimbre());
         }
+    }
 
-        this.answerInputs.innerHTML = inputsHTML;
+    // 保存した音色をエディタに読み込み
+    loadTimbre(id) {
+        const timbre = id ? StorageManager.getTimbre(id) : null;
+        if (timbre) {
+            this.editorPartials = timbre.partials.map(partial => ({ ...partial }));
+            this.timbreName.value = timbre.name;
+        } else {
+            this.editorPartials = Timbre.createPartials('sine', parseInt(this.timbrePartialCount.value));
+            this.timbreName.value = '';
+        }
+        this.renderHarmonicEditor();
+        this.applyTimbreLive();
+    }
 
-        // イベントリスナーを設定
-        const sliders = this.answerInputs.querySelectorAll('.answer-slider');
-        const inputs = this.answerInputs.querySelectorAll('.answer-input');
+    // 編集中の音色を保存
+    saveTimbre() {
+        const timbre = this.getEditorTimbre();
+        if (!timbre.name) {
+            alert('音色の名前を入力してください');
+            return;
+        }
+        if (!timbre.partials.some(partial => partial.amplitude > 0)) {
+            alert('振幅が0より大きい倍音を1つ以上設定してください');
+            return;
+        }
 
-        sliders.forEach(slider => {
-            slider.addEventListener('input', (e) => {
-                const index = e.target.dataset.index;
-                const freq = MathUtils.logToLinear(parseFloat(e.target.value));
-                const input = this.answerInputs.querySelector(`.answer-input[data-index="${index}"]`);
-                input.value = MathUtils.formatWithCommas(freq);
-            });
-        });
+        timbre.id = timbre.id || MathUtils.generateUUID();
+        if (!StorageManager.saveTimbre(timbre)) {
+            alert('音色の保存に失敗しました');
+            return;
+        }
+        this.refreshTimbreLists(timbre.id);
+    }
 
-        inputs.forEach(input => {
-            input.addEventListener('input', (e) => {
-                const index = e.target.dataset.index;
-                const freqStr = e.target.value.replace(/,/g, ''); // カンマを除去
-                const freq = parseInt(freqStr);
-                if (freq >= 20 && freq <= 20000) {
-                    const slider = this.answerInputs.querySelector(`.answer-slider[data-index="${index}"]`);
-                    slider.value = MathUtils.linearToLog(freq);
-                    e.target.value = MathUtils.formatWithCommas(freq);
-                }
-            });
-        });
+    // 選択中の音色を削除
+    deleteTimbre() {
+        const id = this.timbreSelect.value;
+        if (!id || !confirm('この音色を削除しますか?')) {
+            return;
+        }
+        StorageManager.deleteTimbre(id);
+        this.refreshTimbreLists('');
+        this.loadTimbre('');
     }
 
-    // クイズ問題を再生
-    async playQuizQuestion() {
-        await this.audioEngine.resume();
+    // 音色の一覧（倍音エディタ・クイズの音色選択）を更新
+    refreshTimbreLists(selectedId = this.timbreSelect.value) {
+        const timbres = StorageManager.getTimbres();
+        const options = timbres.map(timbre =>
+            `<option value="${timbre.id}">${this.escapeHtml(timbre.name)}</option>`
+        ).join('');
+
+        this.timbreSelect.innerHTML = '<option value="">新しい音色</option>' + options;
+        this.timbreSelect.value = selectedId;
+
+        const quizWaveform = this.quizWaveformSelect.value;
+        this.quizWaveformSelect.innerHTML = Timbre.BUILTIN_WAVEFORMS.map(waveform =>
+            `<option value="${waveform}">${Timbre.getLabel(waveform)}</option>`
+        ).join('') + timbres.map(timbre =>
+            `<option value="${Timbre.toWaveform(timbre)}">${this.escapeHtml(timbre.name)}</option>`
+        ).join('');
+        this.quizWaveformSelect.value = quizWaveform;
+        if (!this.quizWaveformSelect.value) {
+            this.quizWaveformSelect.value = 'sine';
+        }
 
-        // 既存のタイマーをクリア
-        this.quizManager.stopTimer();
+        const presetWaveform = this.quizPresetWaveform.value;
+        this.quizPresetWaveform.innerHTML = this.quizWaveformSelect.innerHTML;
+        this.quizPresetWaveform.value = presetWaveform || 'sine';
 
-        // 問題を再生（10秒間）
-        const question = this.quizManager.getCurrentQuestion();
-        this.audioEngine.playMultiFrequency(
-            question.frequencies,
-            question.stereo,
-            question.waveform,
-            10, // 10秒間再生
-            question.equalLoudness
-        );
+        // ミキサーの波形選択にも保存した音色を出す
+        this.renderMixerChannels();
+    }
 
-        this.quizPlayBtn.disabled = true;
-        this.submitAnswer.disabled = false;
+    // ミキサーのチャンネル一覧を描画
+    renderMixerChannels() {
+        const waveforms = Timbre.BUILTIN_WAVEFORMS.map(waveform => [waveform, Timbre.getLabel(waveform)])
+            .concat(StorageManager.getTimbres().map(timbre => [Timbre.toWaveform(timbre), timbre.name]));
+
+        this.mixerChannelList.innerHTML = this.mixerChannels.map((channel, i) => `
+            <div class="mixer-row" data-index="${i}">
+                <span>${i + 1}</span>
+                <input type="number" class="mixer-frequency" min="20" max="20000" step="0.1" value="${channel.frequency}">
+                <select class="mixer-waveform control-select">
+                    ${waveforms.map(([value, label]) =>
+                        `<option value="${value}"${value === channel.waveform ? ' selected' : ''}>${this.escapeHtml(label)}</option>`
+                    ).join('')}
+                </select>
+                <input type="range" class="mixer-level" min="${ToneMixer.MIN_LEVEL}" max="0" step="1" value="${channel.level}">
+                <span class="mixer-level-value">${this.formatMixerLevel(channel.level)}</span>
+                <input type="range" class="mixer-pan" min="-1" max="1" step="0.1" value="${channel.pan}" title="左 ← → 右">
+                <input type="checkbox" class="mixer-mute" title="ミュート"${channel.mute ? ' checked' : ''}>
+                <input type="checkbox" class="mixer-solo" title="ソロ"${channel.solo ? ' checked' : ''}>
+                <button class="btn btn-danger btn-small mixer-remove"${this.mixerChannels.length <= 1 ? ' disabled' : ''}>×</button>
+            </div>
+        `).join('');
+        this.mixerAddChannel.disabled = this.mixerChannels.length >= ToneMixer.MAX_CHANNELS;
+    }
 
-        // プログレスバー表示（10秒の再生時間）
-        document.querySelector('.play-progress').style.display = 'block';
-        this.playProgressBar.style.width = '0%';
+    // ミキサーのレベル表示（下限は無音）
+    formatMixerLevel(level) {
+        return level <= ToneMixer.MIN_LEVEL ? '無音' : `${level}dB`;
+    }
 
-        // プログレスバーアニメーション（10秒）
-        if (this.progressInterval) {
-            clearInterval(this.progressInterval);
+    // ミキサーのチャンネル設定を変更して再生中なら反映
+    updateMixerChannel(target) {
+        const row = target.closest('.mixer-row');
+        const channel = row ? this.mixerChannels[parseInt(row.dataset.index)] : null;
+        if (!channel) return;
+
+        if (target.classList.contains('mixer-frequency')) {
+            const frequency = parseFloat(target.value);
+            if (!(frequency >= 20 && frequency <= 20000)) return; // 入力途中の値は無視
+            channel.frequency = frequency;
+        } else if (target.classList.contains('mixer-waveform')) {
+            channel.waveform = target.value;
+        } else if (target.classList.contains('mixer-level')) {
+            channel.level = parseInt(target.value);
+            row.querySelector('.mixer-level-value').textContent = this.formatMixerLevel(channel.level);
+        } else if (target.classList.contains('mixer-pan')) {
+            channel.pan = parseFloat(target.value);
+        } else if (target.classList.contains('mixer-mute')) {
+            channel.mute = target.checked;
+        } else if (target.classList.contains('mixer-solo')) {
+            channel.solo = target.checked;
+        } else {
+            return;
         }
-        let progress = 0;
-        this.progressInterval = setInterval(() => {
-            progress += 1;
-            this.playProgressBar.style.width = (progress * 10) + '%';
-            if (progress >= 10) {
-                clearInterval(this.progressInterval);
-                this.progressInterval = null;
-            }
-        }, 1000);
+        this.audioEngine.setMixerChannels(this.mixerChannels);
+    }
 
-        // 残り時間表示（30秒の制限時間）
-        this.timeRemaining.parentElement.style.display = 'block';
+    // 保存したシーンをミキサーに読み込み
+    loadMixerScene(id) {
+        const scene = id ? StorageManager.getMixerScene(id) : null;
+        if (scene) {
+            this.mixerChannels = scene.channels.map(channel => ToneMixer.createChannel(channel));
+            this.mixerSceneName.value = scene.name;
+        } else {
+            this.mixerChannels = ToneMixer.createDefaultChannels();
+            this.mixerSceneName.value = '';
+        }
+        this.renderMixerChannels();
+        this.audioEngine.setMixerChannels(this.mixerChannels);
+    }
 
-        // タイマー開始（30秒）
-        this.quizManager.startTimer((time) => {
-            this.timeRemaining.textContent = time;
-            if (time <= 5) {
-                this.timeRemaining.parentElement.classList.add('warning');
-            } else {
-                this.timeRemaining.parentElement.classList.remove('warning');
-            }
-        }, () => {
-            // タイムアウト時に自動提出
-            if (!this.submitAnswer.disabled) {
+    // 編集中のチャンネルをシーンとして保存
+    saveMixerScene() {
+        const name = this.mixerSceneName.value.trim();
+        if (!name) {
+            alert('シーンの名前を入力してください');
+            return;
+        }
+
+        const scene = {
+            id: this.mixerSceneSelect.value || MathUtils.generateUUID(),
+            name,
+            channels: this.mixerChannels.map(channel => ({ ...channel }))
+        };
+        if (!StorageManager.saveMixerScene(scene)) {
+            alert('シーンの保存に失敗しました');
+            return;
+        }
+        this.refreshMixerScenes(scene.id);
+    }
+
+    // 選択中のシーンを削除
+    deleteMixerScene() {
+        const id = this.mixerSceneSelect.value;
+        if (!id || !confirm('このシーンを削除しますか?')) {
+            return;
+        }
+        StorageManager.deleteMixerScene(id);
+        this.refreshMixerScenes('');
+        this.loadMixerScene('');
+    }
+
+    // シーンの一覧を更新
+    refreshMixerScenes(selectedId = this.mixerSceneSelect.value) {
+        this.mixerSceneSelect.innerHTML = '<option value="">新しいシーン</option>' +
+            StorageManager.getMixerScenes().map(scene =>
+                `<option value="${scene.id}">${this.escapeHtml(scene.name)}</option>`
+            ).join('');
+        this.mixerSceneSelect.value = selectedId;
+    }
+
+    // 音声ファイルを読み込み
+    async loadSampleFile(file) {
+        await this.audioEngine.resume();
+        try {
+            const sample = await this.audioEngine.sampleLibrary.loadFile(file, this.samplePersist.checked);
+            this.refreshSampleList(sample.id);
+        } catch (error) {
+            console.error('音声ファイルの読み込みに失敗:', error);
+            alert('音声ファイルの読み込みに失敗しました．WAV/MP3/OGG形式のファイルを選択してください．');
+        }
+    }
+
+    // 音声ファイルの選択肢を更新（フリープレイとEQ当てのソース）
+    refreshSampleList(selectedId = this.sampleSelect.value) {
+        const samples = this.audioEngine.sampleLibrary.getSamples();
+
+        if (samples.length === 0) {
+            this.sampleSelect.innerHTML = '<option value="">ファイルが読み込まれていません</option>';
+        } else {
+            this.sampleSelect.innerHTML = samples.map(sample => `
+                <option value="${sample.id}">${this.escapeHtml(sample.name)}${sample.persisted ? ' (保存済み)' : ''}</option>
+            `).join('');
+            if (samples.some(sample => sample.id === selectedId)) {
+                this.sampleSelect.value = selectedId;
+            }
+        }
+
+        const eqSource = this.eqSourceSelect.value;
+        this.eqSourceSelect.innerHTML = '<option value="pink">ピンクノイズ</option>' + samples.map(sample => `
+            <option value="${sample.id}">${this.escapeHtml(sample.name)}</option>
+        `).join('');
+        if (samples.some(sample => sample.id === eqSource)) {
+            this.eqSourceSelect.value = eqSource;
+        }
+
+        const pitchSource = this.pitchInputSelect.value;
+        this.pitchInputSelect.innerHTML = '<option value="mic">マイク</option>' + samples.map(sample => `
+            <option value="${sample.id}">${this.escapeHtml(sample.name)}</option>
+        `).join('');
+        if (samples.some(sample => sample.id === pitchSource)) {
+            this.pitchInputSelect.value = pitchSource;
+        }
+
+        this.showSampleParams();
+    }
+
+    // 選択中の音声ファイルのループ位置・ゲインを表示
+    showSampleParams() {
+        const sample = this.audioEngine.sampleLibrary.getSample(this.sampleSelect.value);
+        this.sampleDelete.disabled = !sample;
+        [this.sampleLoopStart, this.sampleLoopEnd, this.sampleGain].forEach(input => {
+            input.disabled = !sample;
+        });
+        if (!sample) {
+            return;
+        }
+
+        this.sampleLoopStart.max = sample.duration.toFixed(2);
+        this.sampleLoopEnd.max = sample.duration.toFixed(2);
+        this.sampleLoopStart.value = sample.loopStart.toFixed(2);
+        this.sampleLoopEnd.value = sample.loopEnd.toFixed(2);
+        this.sampleGain.value = sample.gainDb;
+        this.sampleGainValue.textContent = sample.gainDb + 'dB';
+    }
+
+    // ループ位置・ゲインの変更を反映
+    updateSampleParams() {
+        const id = this.sampleSelect.value;
+        const sample = this.audioEngine.sampleLibrary.updateSample(id, {
+            loopStart: parseFloat(this.sampleLoopStart.value) || 0,
+            loopEnd: parseFloat(this.sampleLoopEnd.value) || 0,
+            gainDb: parseFloat(this.sampleGain.value)
+        });
+        if (sample) {
+            this.audioEngine.updateSample(id);
+            this.showSampleParams();
+        }
+    }
+
+    // 音声ファイル用のフィルタ設定を取得
+    getSampleFilter() {
+        return {
+            type: this.sampleFilterType.value,
+            frequency: this.getFreeplayFrequency(),
+            gain: parseInt(this.sampleFilterGain.value),
+            q: 1.4
+        };
+    }
+
+    // フリープレイ再生
+    async playFreeplay() {
+        await this.audioEngine.resume();
+
+        const freq = this.getFreeplayFrequency();
+        const waveform = this.getFreeplayWaveform();
+        const equalLoudness = this.getEqualLoudnessMode();
+
+        if (waveform === 'sample') {
+            const sample = this.audioEngine.sampleLibrary.getSample(this.sampleSelect.value);
+            if (!sample) {
+                alert('音声ファイルを読み込んでください．');
+                return;
+            }
+            this.audioEngine.playSample(sample, 0, this.getSampleFilter());
+        } else if (waveform === 'mixer') {
+            this.audioEngine.playMixer(this.mixerChannels, equalLoudness);
+        } else if (waveform === 'noise') {
+            this.audioEngine.playNoise(this.noiseTypeSelect.value, 0, {
+                centerFrequency: freq,
+                bandwidth: NoiseGenerator.BANDWIDTHS[this.noiseBandwidthSelect.value],
+                equalLoudnessMode: equalLoudness
+            });
+        } else {
+            // トーンバーストは鳴り終わったら停止状態に戻す
+            this.audioEngine.playFrequency(freq, waveform, 0, equalLoudness,
+                this.getFreeplayModulation(), this.getFreeplayEnvelope(), () => this.stopFreeplay());
+        }
+
+        this.startFreeplayDisplay();
+    }
+
+    // 再生ボタンの状態とVisualizerを再生中に切り替え
+    startFreeplayDisplay() {
+        this.playBtn.disabled = true;
+        this.stopBtn.disabled = false;
+
+        // Visualizer・波形表示開始
+        this.getVisualizer().start();
+        this.getOscilloscope().start();
+        this.updateSpectrogramControls();
+    }
+
+    // 波形表示を取得（初回に作成）
+    getOscilloscope() {
+        if (!this.oscilloscope) {
+            this.oscilloscope = new Oscilloscope(this.scopeCanvas, this.audioEngine);
+        }
+        return this.oscilloscope;
+    }
+
+    // アナライザーのFFTサイズ・平滑化を反映
+    applyAnalyserOptions() {
+        const smoothing = parseFloat(this.analyserSmoothing.value);
+        this.analyserSmoothingValue.textContent = smoothing.toFixed(2);
+        this.audioEngine.setAnalyserOptions({
+            fftSize: parseInt(this.analyserFftSize.value),
+            smoothing
+        });
+    }
+
+    // Visualizerを取得（初回に作成）
+    getVisualizer() {
+        if (!this.visualizer) {
+            this.visualizer = new Visualizer(this.spectrumCanvas, this.audioEngine);
+        }
+        return this.visualizer;
+    }
+
+    // スペクトログラムの一時停止・遡り表示の状態を更新
+    // 遡れるのは一時停止中か停止中のみ（再生中は常に最新を表示）
+    updateSpectrogramControls() {
+        const visualizer = this.getVisualizer();
+        this.spectrogramControls.style.display = visualizer.mode === 'spectrogram' ? 'flex' : 'none';
+        this.spectrumPeakHoldLabel.style.display = visualizer.mode === 'spectrum' || visualizer.isBandMode() ? '' : 'none';
+        this.spectrogramPause.textContent = visualizer.paused ? '再開' : '一時停止';
+        this.spectrogramPause.disabled = !visualizer.isRunning;
+
+        const scrollable = !visualizer.isRunning || visualizer.paused;
+        this.spectrogramScroll.disabled = !scrollable;
+        this.spectrogramScroll.max = visualizer.getMaxScrollBackSeconds().toFixed(1);
+        this.spectrogramScroll.value = visualizer.scrollBack / Visualizer.SPECTROGRAM.columnRate;
+        this.spectrogramScrollValue.textContent = `${parseFloat(this.spectrogramScroll.value).toFixed(1)} 秒前`;
+    }
+
+    // スイープ再生
+    async playSweep() {
+        await this.audioEngine.resume();
+
+        const startFrequency = MathUtils.clamp(parseFloat(this.sweepStart.value) || 20, 20, 20000);
+        const endFrequency = MathUtils.clamp(parseFloat(this.sweepEnd.value) || 20000, 20, 20000);
+        const duration = MathUtils.clamp(parseFloat(this.sweepDuration.value) || 10, 0.5, 120);
+        const selected = this.getFreeplayWaveform();
+        // ノイズ・音声ファイル選択時は正弦波でスイープ
+        const waveform = selected === 'noise' || selected === 'sample' ? 'sine' : selected;
+
+        this.audioEngine.playSweep({
+            startFrequency,
+            endFrequency,
+            duration,
+            scale: this.sweepScale.value,
+            repeat: this.sweepRepeat.value,
+            waveform
+        }, () => this.stopFreeplay());
+
+        this.startFreeplayDisplay();
+        this.sweepMarkBtn.disabled = false;
+        this.updateSweepReadout();
+    }
+
+    // スイープ中の周波数表示を更新
+    updateSweepReadout() {
+        const freq = this.audioEngine.getSweepFrequency();
+        if (freq === null) {
+            this.sweepReadout.textContent = '-';
+            this.sweepMarkBtn.disabled = true;
+            this.sweepReadoutId = null;
+            return;
+        }
+
+        this.sweepReadout.textContent = MathUtils.formatWithCommas(freq);
+        this.sweepReadoutId = requestAnimationFrame(() => this.updateSweepReadout());
+    }
+
+    // 押した瞬間のスイープ周波数を記録
+    markSweepFrequency() {
+        const freq = this.audioEngine.getSweepFrequency();
+        if (freq === null) {
+            return;
+        }
+
+        this.sweepMarks.push(Math.round(freq));
+        this.renderSweepMarks();
+    }
+
+    // マーク一覧を表示
+    renderSweepMarks() {
+        this.sweepMarksList.innerHTML = this.sweepMarks.map((mark, idx) => `
+            <li>マーク ${idx + 1}: ${MathUtils.formatWithCommas(mark)} Hz</li>
+        `).join('');
+    }
+
+    // フリープレイ停止
+    stopFreeplay() {
+        this.audioEngine.stop();
+        this.playBtn.disabled = false;
+        this.stopBtn.disabled = true;
+
+        if (this.sweepReadoutId) {
+            cancelAnimationFrame(this.sweepReadoutId);
+            this.sweepReadoutId = null;
+        }
+        this.sweepReadout.textContent = '-';
+        this.sweepMarkBtn.disabled = true;
+
+        if (this.visualizer) {
+            this.visualizer.stop();
+            this.updateSpectrogramControls();
+        }
+        if (this.oscilloscope) {
+            this.oscilloscope.stop();
+        }
+    }
+
+    // フリープレイのトーンをWAVで書き出し
+    async exportFreeplayWav() {
+        const waveform = this.getFreeplayWaveform();
+        if (waveform === 'noise' || waveform === 'sample' || waveform === 'mixer') {
+            alert('WAVで保存できるのはトーン（正弦波・三角波・矩形波・のこぎり波・倍音エディタの音色）のみです．');
+            return;
+        }
+        const waveformName = Timbre.isCustom(waveform) ? (waveform.name || 'custom') : waveform;
+
+        const freq = this.getFreeplayFrequency();
+        const duration = MathUtils.clamp(parseFloat(this.exportDuration.value) || 5, 0.1, 60);
+        const equalLoudness = this.getEqualLoudnessMode();
+
+        await this.exportWav(
+            () => this.audioEngine.renderFrequency(freq, waveform, duration, equalLoudness,
+                this.getFreeplayModulation(), this.getFreeplayEnvelope()),
+            `tone_${freq}Hz_${waveformName}_${duration}s`
+        );
+    }
+
+    // クイズの問題をWAVで書き出し
+    async exportQuestionWav(question, questionNo) {
+        await this.exportWav(
+            () => this.audioEngine.renderMultiFrequency(
+                question.frequencies,
+                question.stereo,
+                question.waveform,
+                question.duration,
+                question.equalLoudness,
+                question.modulation,
+                question.envelope
+            ),
+            `quiz_${this.quizManager.difficulty}_q${questionNo}_${question.frequencies.join('-')}Hz`
+        );
+    }
+
+    // 書き出し処理を実行してダウンロード
+    async exportWav(render, filename) {
+        const bitDepth = parseInt(this.exportBitDepth.value);
+        try {
+            const audioBuffer = await render();
+            WavEncoder.download(audioBuffer, filename, bitDepth);
+        } catch (error) {
+            console.error('WAVの書き出しに失敗:', error);
+            alert('WAVの書き出しに失敗しました．');
+        }
+    }
+
+    // クイズを中断して難易度選択に戻る（履歴保存なし）
+    exitQuizWithoutSaving() {
+        // 音声停止
+        this.audioEngine.stop();
+
+        // タイマー停止
+        this.quizManager.stopTimer();
+
+        // プログレスバークリア
+        this.stopPlayProgress();
+
+        // UIをリセット
+        this.quizPlay.style.display = 'none';
+        this.difficultySelect.style.display = 'block';
+        this.quizResults.style.display = 'none';
+    }
+
+    // クイズの種類を切り替え
+    selectQuizType(quizType) {
+        this.quizType = quizType;
+        this.quizTypeBtns.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.quizType === quizType);
+        });
+        this.difficultyDescriptions.forEach(desc => {
+            desc.style.display = desc.dataset.quizType === quizType ? 'block' : 'none';
+        });
+
+        // カスタムクイズは周波数当てのみ
+        const custom = quizType === 'quiz';
+        this.quizPresetButtons.style.display = custom ? '' : 'none';
+        this.quizBuilderBtn.style.display = custom ? '' : 'none';
+    }
+
+    // EQのバイパスを切り替え
+    setEqBypass(bypassed) {
+        this.audioEngine.setEqBypass(bypassed);
+        this.eqFlatBtn.classList.toggle('active', bypassed);
+        this.eqOnBtn.classList.toggle('active', !bypassed);
+    }
+
+    // 難易度ボタンからクイズを開始 (チェックが有効で未合格ならヘッドホンチェックを先に行う)
+    // preset を渡すとカスタムクイズとして出題する
+    requestQuizStart(difficulty, preset = null) {
+        const options = {
+            source: this.eqSourceSelect.value,
+            waveform: this.quizWaveformSelect.value,
+            modulation: this.quizModulationSelect.value,
+            tone: this.quizToneSelect.value,
+            a4: MathUtils.a4Frequency,
+            preset,
+            player: this.challengePlayer.value.trim()
+        };
+        this.beginQuiz(difficulty, this.quizType, options);
+    }
+
+    // チャレンジコードと同じ問題でクイズを開始
+    startChallenge(text) {
+        const challenge = ChallengeCode.decode(text);
+        if (!challenge) {
+            alert('チャレンジコードを読み取れませんでした．コードまたは共有URLを確認してください．');
+            return;
+        }
+
+        this.selectQuizType(challenge.mode);
+        const options = {
+            ...challenge.options,
+            source: this.eqSourceSelect.value, // EQ当てのソースは各自の選択
+            seed: challenge.seed,
+            player: this.challengePlayer.value.trim()
+        };
+        this.beginQuiz(challenge.difficulty, challenge.mode, options);
+    }
+
+    // 共有URLのチャレンジコードを入力欄に入れてクイズ画面を開く (音を出す前に操作が必要なため自動では始めない)
+    loadChallengeFromUrl() {
+        const code = ChallengeCode.fromUrl();
+        if (!code) {
+            return;
+        }
+        const challenge = ChallengeCode.decode(code);
+        if (!challenge) {
+            return;
+        }
+        this.challengeCodeInput.value = code;
+        this.selectQuizType(challenge.mode);
+        this.switchMode('quiz');
+    }
+
+    // ヘッドホンチェックが必要なら先に行ってからクイズを開始
+    beginQuiz(difficulty, mode, options) {
+        if (!this.quizHeadphoneCheck.checked) {
+            this.startQuiz(difficulty, mode, options);
+            return;
+        }
+        if (this.headphoneCheckResult && this.headphoneCheckResult.passed) {
+            this.startQuiz(difficulty, mode, { ...options, headphoneCheck: this.headphoneCheckResult });
+            return;
+        }
+
+        this.pendingQuizStart = { difficulty, mode, options };
+        this.headphoneCheckModal.style.display = 'flex';
+        this.startHeadphoneCheck();
+    }
+
+    // ヘッドホンチェックを開始
+    startHeadphoneCheck() {
+        this.headphoneCheck.start();
+        this.headphoneCheckRun.style.display = 'block';
+        this.headphoneCheckResultPanel.style.display = 'none';
+        this.presentHeadphoneCheckTrial();
+    }
+
+    // 現在の試行の説明を表示して音を提示
+    presentHeadphoneCheckTrial() {
+        const trial = this.headphoneCheck.getCurrentTrial();
+        const progress = this.headphoneCheck.getProgress();
+        const isChannel = trial.type === 'channel';
+
+        this.headphoneCheckInstruction.textContent = isChannel
+            ? '片方の耳だけに音が鳴ります．どちらの耳から聞こえましたか?'
+            : '3つの音が鳴ります．最も小さい音はどれですか?';
+        this.headphoneCheckProgress.textContent = `${progress.current}/${progress.total}`;
+        this.headphoneCheckIntervals.style.display = isChannel ? 'none' : 'flex';
+        this.headphoneCheckChannelAnswers.style.display = isChannel ? 'flex' : 'none';
+        this.headphoneCheckAntiphaseAnswers.style.display = isChannel ? 'none' : 'flex';
+
+        this.playHeadphoneCheckTrial();
+    }
+
+    // 現在の試行の音を再生（鳴り終わるまで解答ボタンは無効）
+    playHeadphoneCheckTrial() {
+        this.setHeadphoneCheckAnswerEnabled(false);
+        this.headphoneCheckLamps.forEach(lamp => lamp.classList.remove('active'));
+        const timing = this.headphoneCheck.playCurrentTrial();
+        this.headphoneCheckSequence = timing ? { sequenceId: timing.sequenceId, toneCount: timing.tones.length } : null;
+    }
+
+    // ヘッドホンチェックの解答ボタンの有効/無効を切り替え
+    setHeadphoneCheckAnswerEnabled(enabled) {
+        this.headphoneCheckAnswerBtns.forEach(btn => {
+            btn.disabled = !enabled;
+        });
+    }
+
+    // ヘッドホンチェックの反応を記録
+    respondHeadphoneCheck(response) {
+        if (!this.headphoneCheckSequence || this.headphoneCheckAnswerBtns[0].disabled) {
+            return; // 音の提示中は受け付けない
+        }
+
+        this.headphoneCheck.respond(response);
+        this.headphoneCheckSequence = null;
+        if (this.headphoneCheck.isFinished()) {
+            this.showHeadphoneCheckResult();
+        } else {
+            this.presentHeadphoneCheckTrial();
+        }
+    }
+
+    // ヘッドホンチェックの結果を表示
+    showHeadphoneCheckResult() {
+        const result = this.headphoneCheck.getResults();
+        this.headphoneCheckResult = result;
+
+        const problems = [];
+        if (result.swapped) {
+            problems.push('左右が逆に聞こえています．イヤホン・ヘッドホンの左右を確認してください．');
+        } else if (!result.channelsOk) {
+            problems.push('左右を正しく聞き分けられませんでした．片側しか鳴っていないか，スピーカーで聴いている可能性があります．');
+        }
+        if (result.antiphaseCorrect < HeadphoneCheck.ANTIPHASE_PASS) {
+            problems.push(`最も小さい音の正答が ${result.antiphaseCorrect}/${result.antiphaseTrials} でした（合格は${HeadphoneCheck.ANTIPHASE_PASS}以上）．スピーカーで聴いているか，ヘッドホンがずれている可能性があります．`);
+        }
+
+        this.headphoneCheckSummary.innerHTML = result.passed
+            ? '<p>合格です．ヘッドホンで左右とも正しく聴けています．</p>'
+            : `${problems.map(problem => `<p>${problem}</p>`).join('')}
+               <p class="test-warning">このまま開始すると，結果は「ヘッドホンチェック未合格」として履歴に記録されます．</p>`;
+        this.headphoneCheckProceed.textContent = result.passed ? 'クイズを開始' : 'このまま開始';
+        this.headphoneCheckRun.style.display = 'none';
+        this.headphoneCheckResultPanel.style.display = 'block';
+    }
+
+    // ヘッドホンチェックを終えてクイズを開始
+    proceedAfterHeadphoneCheck() {
+        const pending = this.pendingQuizStart;
+        this.closeHeadphoneCheck();
+        if (pending) {
+            this.startQuiz(pending.difficulty, pending.mode, { ...pending.options, headphoneCheck: this.headphoneCheckResult });
+        }
+    }
+
+    // ヘッドホンチェックを閉じる
+    closeHeadphoneCheck() {
+        this.audioEngine.stop();
+        this.headphoneCheckSequence = null;
+        this.pendingQuizStart = null;
+        this.headphoneCheckModal.style.display = 'none';
+    }
+
+    // カスタムクイズの作成画面を開く
+    openQuizBuilder() {
+        this.refreshQuizPresets('');
+        this.loadQuizPreset('');
+        this.quizBuilderModal.style.display = 'flex';
+    }
+
+    // カスタムクイズの作成画面を閉じる
+    closeQuizBuilder() {
+        this.quizBuilderModal.style.display = 'none';
+    }
+
+    // プリセットを作成画面に読み込む (空文字なら既定値)
+    loadQuizPreset(id) {
+        const preset = QuestionGenerator.normalizeCustomConfig(id ? StorageManager.getQuizPreset(id) : {});
+
+        this.quizPresetSelect.value = id;
+        this.quizPresetName.value = preset.name;
+        this.quizPresetCount.value = preset.questionCount;
+        this.quizPresetFreqCount.value = preset.freqCount;
+        this.quizPresetGap.value = preset.minFreqGap;
+        this.quizPresetStereo.checked = preset.stereo;
+        this.quizPresetWaveform.value = preset.waveform;
+        if (!this.quizPresetWaveform.value) {
+            this.quizPresetWaveform.value = 'sine'; // 削除した音色
+        }
+        this.quizPresetEqualLoudness.value = preset.equalLoudness;
+        this.quizPresetDuration.value = preset.playDuration;
+        this.quizPresetReplays.value = preset.replays;
+        this.quizPresetTimeLimit.value = preset.timeLimit;
+        this.quizPresetRanges.querySelectorAll('input').forEach(checkbox => {
+            checkbox.checked = preset.ranges.includes(checkbox.value);
+        });
+        this.updateQuizBuilderStereo();
+    }
+
+    // 左右別の再生は2音のときだけ選べる
+    updateQuizBuilderStereo() {
+        this.quizPresetStereo.disabled = this.quizPresetFreqCount.value !== '2';
+    }
+
+    // 作成画面の入力からプリセットを作る
+    readQuizBuilder() {
+        return QuestionGenerator.normalizeCustomConfig({
+            id: this.quizPresetSelect.value || MathUtils.generateUUID(),
+            name: this.quizPresetName.value.trim(),
+            questionCount: this.quizPresetCount.value,
+            ranges: Array.from(this.quizPresetRanges.querySelectorAll('input:checked')).map(checkbox => checkbox.value),
+            freqCount: this.quizPresetFreqCount.value,
+            minFreqGap: this.quizPresetGap.value,
+            stereo: this.quizPresetStereo.checked && !this.quizPresetStereo.disabled,
+            waveform: this.quizPresetWaveform.value,
+            equalLoudness: this.quizPresetEqualLoudness.value,
+            playDuration: this.quizPresetDuration.value,
+            replays: this.quizPresetReplays.value,
+            timeLimit: this.quizPresetTimeLimit.value
+        });
+    }
+
+    // 作成画面の内容をプリセットとして保存
+    saveQuizPreset() {
+        if (!this.quizPresetName.value.trim()) {
+            alert('プリセットの名前を入力してください');
+            return;
+        }
+        if (!this.quizPresetRanges.querySelector('input:checked')) {
+            alert('出題する音域を1つ以上選んでください');
+            return;
+        }
+
+        const preset = this.readQuizBuilder();
+        if (!StorageManager.saveQuizPreset(preset)) {
+            alert('プリセットの保存に失敗しました');
+            return;
+        }
+        this.refreshQuizPresets(preset.id);
+        this.loadQuizPreset(preset.id);
+    }
+
+    // 選択中のプリセットを削除
+    deleteQuizPreset() {
+        const id = this.quizPresetSelect.value;
+        if (!id || !confirm('このプリセットを削除しますか?')) {
+            return;
+        }
+        StorageManager.deleteQuizPreset(id);
+        this.refreshQuizPresets('');
+        this.loadQuizPreset('');
+    }
+
+    // プリセットの一覧と難易度の横のボタンを更新
+    refreshQuizPresets(selectedId = this.quizPresetSelect.value) {
+        this.quizPresetSelect.innerHTML = '<option value="">新しいプリセット</option>' +
+            StorageManager.getQuizPresets().map(preset =>
+                `<option value="${preset.id}">${this.escapeHtml(preset.name)}</option>`
+            ).join('');
+        this.quizPresetSelect.value = selectedId;
+        this.renderQuizPresetButtons();
+    }
+
+    // 保存したプリセットを難易度ボタンの横に並べる
+    renderQuizPresetButtons() {
+        this.quizPresetButtons.innerHTML = StorageManager.getQuizPresets().map(preset =>
+            `<button class="difficulty-btn custom-preset-btn" data-preset-id="${preset.id}">${this.escapeHtml(preset.name)}</button>`
+        ).join('');
+    }
+
+    // クイズ開始
+    startQuiz(difficulty, mode = 'quiz', options = {}) {
+        this.quizManager.startQuiz(difficulty, mode, options);
+        this.quizChallengeCode.textContent = `コード: ${this.quizManager.challengeCode}`;
+        this.difficultySelect.style.display = 'none';
+        this.quizPlay.style.display = 'block';
+        this.quizResults.style.display = 'none';
+        this.showNextQuestion();
+    }
+
+    // 次の問題を表示
+    showNextQuestion() {
+        const questionNo = this.quizManager.currentQuestionIndex + 1;
+        const total = this.quizManager.questions.length;
+        this.questionNumber.textContent = `問題 ${questionNo}/${total}`;
+        this.quizScore.textContent = `スコア: ${this.quizManager.score}/${total * 100}`;
+        this.quizPlayBtn.disabled = false;
+        this.quizPlayBtn.textContent = '▶ 音を再生';
+        this.submitAnswer.disabled = true;
+        this.feedbackSection.style.display = 'none';
+
+        // プログレスバーと残り時間表示をリセット
+        document.querySelector('.play-progress').style.display = 'none';
+        this.playProgressBar.style.width = '0%';
+        this.timeRemaining.parentElement.style.display = 'none';
+        this.timeRemaining.parentElement.classList.remove('warning');
+        this.eqCompare.style.display = 'none';
+
+        // 解答入力フィールドを生成
+        this.createAnswerInputs();
+    }
+
+    // 解答入力フィールドを動的に生成
+    createAnswerInputs() {
+        const question = this.quizManager.getCurrentQuestion();
+        if (question.type === 'eq') {
+            this.createEqAnswerInputs(question);
+            return;
+        }
+        if (question.type === 'note') {
+            this.createNoteAnswerInputs(question);
+            return;
+        }
+
+        const freqCount = question.frequencies.length;
+
+        let inputsHTML = '';
+
+        for (let i = 0; i < freqCount; i++) {
+            const label = this.getFrequencyLabel(i, freqCount, question.stereo);
+            inputsHTML += `
+                <div class="frequency-control">
+                    ${label ? `<label>${label}:</label>` : ''}
+                    <input type="range" class="answer-slider" data-index="${i}" min="1.301" max="4.301" step="0.001" value="3.000">
+                    <input type="text" class="answer-input" data-index="${i}" value="1,000">
+                    <span class="frequency-unit">Hz</span>
+                </div>
+            `;
+        }
+
+        this.answerInputs.innerHTML = inputsHTML;
+
+        // イベントリスナーを設定
+        const sliders = this.answerInputs.querySelectorAll('.answer-slider');
+        const inputs = this.answerInputs.querySelectorAll('.answer-input');
+
+        sliders.forEach(slider => {
+            slider.addEventListener('input', (e) => {
+                const index = e.target.dataset.index;
+                const freq = MathUtils.logToLinear(parseFloat(e.target.value));
+                const input = this.answerInputs.querySelector(`.answer-input[data-index="${index}"]`);
+                input.value = MathUtils.formatWithCommas(freq);
+            });
+        });
+
+        inputs.forEach(input => {
+            input.addEventListener('input', (e) => {
+                const index = e.target.dataset.index;
+                const freq = this.getFrequencyInput(e.target);
+                if (freq >= 20 && freq <= 20000) {
+                    const slider = this.answerInputs.querySelector(`.answer-slider[data-index="${index}"]`);
+                    slider.value = MathUtils.linearToLog(freq);
+                    // 整数の入力はその場で3桁区切りにする（小数・音名は入力途中のため書き換えない）
+                    if (/^[\d,]+$/.test(e.target.value)) {
+                        e.target.value = MathUtils.formatWithCommas(freq);
+                    }
+                }
+            });
+        });
+    }
+
+    // 解答欄のラベル（左右別なら左/右，複数の音なら低い順の番号）
+    getFrequencyLabel(index, freqCount, stereo) {
+        if (freqCount === 2 && stereo) {
+            return index === 0 ? '左' : '右';
+        }
+        return freqCount > 1 ? String(index + 1) : '';
+    }
+
+    // EQ当ての解答ボタン（バンド選択とブースト/カット）を生成
+    createEqAnswerInputs(question) {
+        const bandsHTML = question.bands.map(band => `
+            <button class="eq-band-btn" data-freq="${band}">${this.formatBandLabel(band)}</button>
+        `).join('');
+
+        const gainHTML = question.askGain ? `
+            <div class="waveform-buttons eq-gain-buttons">
+                <input type="radio" id="eqBoost" name="eqGain" value="1" checked>
+                <label for="eqBoost" class="waveform-btn">ブースト (+)</label>
+                <input type="radio" id="eqCut" name="eqGain" value="-1">
+                <label for="eqCut" class="waveform-btn">カット (−)</label>
+            </div>
+        ` : '';
+
+        this.answerInputs.innerHTML = `
+            <div class="eq-band-buttons">${bandsHTML}</div>
+            ${gainHTML}
+        `;
+
+        const bandBtns = this.answerInputs.querySelectorAll('.eq-band-btn');
+        bandBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                bandBtns.forEach(b => b.classList.toggle('selected', b === btn));
+            });
+        });
+    }
+
+    // 音名当ての解答欄を生成（入力した音名の周波数を確認用に表示）
+    createNoteAnswerInputs(question) {
+        this.answerInputs.innerHTML = `
+            <div class="note-answer">
+                <input type="text" class="note-answer-input" placeholder="例: C#5 +20c">
+                <span class="note-answer-preview">-</span>
+            </div>
+            <p class="note-answer-help">音名 + オクターブ番号（C4 = 中央のド），必要ならセントを付けて入力（例: A4，Bb3 -15c）．A4 = ${question.a4} Hz</p>
+        `;
+
+        const input = this.answerInputs.querySelector('.note-answer-input');
+        const preview = this.answerInputs.querySelector('.note-answer-preview');
+        input.addEventListener('input', () => {
+            const note = MathUtils.parseNote(input.value);
+            preview.textContent = note
+                ? `${MathUtils.noteToFrequency(note.midi, note.cents, question.a4).toFixed(2)} Hz`
+                : (input.value.trim() ? '解釈できません' : '-');
+        });
+    }
+
+    // バンドの中心周波数を表示用ラベルに変換
+    formatBandLabel(freq) {
+        return freq >= 1000 ? `${freq / 1000}kHz` : `${freq}Hz`;
+    }
+
+    // クイズ問題を再生
+    async playQuizQuestion() {
+        await this.audioEngine.resume();
+
+        // 聴き直しでは制限時間を数え直さない
+        const firstPlay = this.quizManager.playCount === 0;
+
+        // 問題を再生（持続音は10秒間，トーンバーストは設定した回数）
+        const question = this.quizManager.getCurrentQuestion();
+        this.quizManager.playCurrentQuestion();
+
+        // EQ当てはフラットとの切り替えボタンを表示
+        if (question.type === 'eq') {
+            this.eqCompare.style.display = 'flex';
+            this.setEqBypass(false);
+        }
+
+        // 聴き直せる回数が残っていれば再生ボタンを残す
+        const remaining = this.quizManager.getRemainingReplays();
+        this.quizPlayBtn.disabled = !this.quizManager.canReplay();
+        if (remaining > 0) {
+            this.quizPlayBtn.textContent = `▶ もう一度再生 (残り${remaining}回)`;
+        }
+        this.submitAnswer.disabled = false;
+
+        // プログレスバー表示（問題の再生時間）
+        document.querySelector('.play-progress').style.display = 'block';
+        this.playProgressBar.style.width = '0%';
+
+        this.startPlayProgress();
+
+        if (!firstPlay) {
+            return;
+        }
+
+        // 残り時間表示（制限時間なしのカスタムクイズでは出さない）
+        const timeLimit = this.quizManager.timeLimit;
+        this.timeRemaining.textContent = timeLimit;
+        this.timeRemaining.parentElement.style.display = timeLimit > 0 ? 'block' : 'none';
+
+        // タイマー開始
+        this.quizManager.startTimer((time) => {
+            this.timeRemaining.textContent = time;
+            if (time <= 5) {
+                this.timeRemaining.parentElement.classList.add('warning');
+            } else {
+                this.timeRemaining.parentElement.classList.remove('warning');
+            }
+        }, () => {
+            // タイムアウト時に自動提出
+            if (!this.submitAnswer.disabled) {
                 this.submitQuizAnswer();
             }
         });
     }
 
+    // 問題の再生位置をプログレスバーに表示
+    // 音声クロック上の再生位置で描画し，再生の終了イベントで止める（トーンバーストの長さにも合う）
+    startPlayProgress() {
+        this.stopPlayProgress();
+
+        const scheduler = this.audioEngine.scheduler;
+        const playback = scheduler.playback;
+        if (!playback) {
+            return;
+        }
+
+        const update = () => {
+            const progress = scheduler.getPlaybackProgress();
+            if (progress !== null) {
+                this.playProgressBar.style.width = (progress * 100) + '%';
+            }
+            this.progressAnimationId = requestAnimationFrame(update);
+        };
+
+        this.progressEndListener = ({ id, stopped }) => {
+            if (id !== playback.id) return;
+            if (!stopped) {
+                this.playProgressBar.style.width = '100%';
+            }
+            this.stopPlayProgress();
+        };
+        scheduler.on('end', this.progressEndListener);
+        update();
+    }
+
+    // プログレスバーの更新を止める
+    stopPlayProgress() {
+        if (this.progressAnimationId) {
+            cancelAnimationFrame(this.progressAnimationId);
+            this.progressAnimationId = null;
+        }
+        if (this.progressEndListener) {
+            this.audioEngine.scheduler.off('end', this.progressEndListener);
+            this.progressEndListener = null;
+        }
+    }
+
     // 解答を提出
     submitQuizAnswer() {
-        // 全ての解答を収集（カンマを除去してから変換）
-        const answerInputs = this.answerInputs.querySelectorAll('.answer-input');
-        const userAnswers = Array.from(answerInputs).map(input => parseInt(input.value.replace(/,/g, '')));
-
-        const result = this.quizManager.submitAnswer(userAnswers);
+        const question = this.quizManager.getCurrentQuestion();
+        let result;
+
+        if (question.type === 'eq') {
+            // 選択したバンドとブースト/カットを収集
+            const selectedBand = this.answerInputs.querySelector('.eq-band-btn.selected');
+            const userAnswers = selectedBand ? [parseInt(selectedBand.dataset.freq)] : [];
+            const gainInput = this.answerInputs.querySelector('input[name="eqGain"]:checked');
+            const userGain = gainInput ? parseInt(gainInput.value) : null;
+            result = this.quizManager.submitAnswer(userAnswers, userGain);
+            this.eqCompare.style.display = 'none';
+        } else if (question.type === 'note') {
+            // 音名を問題の基準ピッチで周波数に変換
+            const note = MathUtils.parseNote(this.answerInputs.querySelector('.note-answer-input').value);
+            const userAnswers = note ? [MathUtils.noteToFrequency(note.midi, note.cents, question.a4)] : [];
+            result = this.quizManager.submitAnswer(userAnswers);
+        } else {
+            // 全ての解答を収集（解釈できない入力は0 Hzとして採点）
+            const answerInputs = this.answerInputs.querySelectorAll('.answer-input');
+            const userAnswers = Array.from(answerInputs).map(input => Math.round(this.getFrequencyInput(input) || 0));
+            result = this.quizManager.submitAnswer(userAnswers);
+        }
 
         // プログレスバーと残り時間を非表示
-        if (this.progressInterval) {
-            clearInterval(this.progressInterval);
-            this.progressInterval = null;
-        }
+        this.stopPlayProgress();
         document.querySelector('.play-progress').style.display = 'none';
         this.playProgressBar.style.width = '0%';
         this.timeRemaining.parentElement.style.display = 'none';
@@ -413,10 +2051,6 @@ class UIController {
     proceedToNextQuestion() {
         // 再生を停止
         this.audioEngine.stop();
-        if (this.playbackTimer) {
-            clearTimeout(this.playbackTimer);
-            this.playbackTimer = null;
-        }
 
         if (this.quizManager.nextQuestion()) {
             this.showNextQuestion();
@@ -428,12 +2062,19 @@ class UIController {
     // フィードバック表示
     showFeedback(result) {
         const question = this.quizManager.getCurrentQuestion();
+        if (question.type === 'eq') {
+            this.showEqFeedback(result, question);
+            return;
+        }
+        if (question.type === 'note') {
+            this.showNoteFeedback(result, question);
+            return;
+        }
         const freqCount = result.actualFreq.length;
-        const labels = ['', '左', '右', '1', '2', '3'];
 
         let detailsHTML = '';
         for (let i = 0; i < freqCount; i++) {
-            const label = freqCount === 2 && result.stereo ? labels[i + 1] : (freqCount > 2 ? labels[i + 3] : '');
+            const label = this.getFrequencyLabel(i, freqCount, result.stereo);
             detailsHTML += `
                 <div class="freq-result">
                     ${label ? `<strong>${label}:</strong> ` : ''}
@@ -454,6 +2095,7 @@ class UIController {
             <div class="playback-controls">
                 <button class="btn btn-secondary" id="playCorrectAnswer">正解を全て再生</button>
                 <button class="btn btn-secondary" id="playUserAnswer">解答を全て再生</button>
+                <button class="btn btn-secondary" id="exportQuestionWav">問題をWAVで保存</button>
             </div>
             <button id="nextQuestion" class="btn btn-primary" style="margin-top: 15px;">次の問題</button>
         `;
@@ -465,7 +2107,7 @@ class UIController {
         playFreqBtns.forEach(btn => {
             btn.addEventListener('click', () => {
                 const freq = parseInt(btn.dataset.freq);
-                this.playWithTimer(() => {
+                this.playFeedbackSound(() => {
                     this.audioEngine.playFrequency(freq, 'sine', 10, question.equalLoudness);
                 });
             });
@@ -475,29 +2117,141 @@ class UIController {
         const playCorrectBtn = document.getElementById('playCorrectAnswer');
         const playUserBtn = document.getElementById('playUserAnswer');
 
-        playCorrectBtn.addEventListener('click', () => {
-            this.playWithTimer(() => {
-                this.audioEngine.playMultiFrequency(
-                    result.actualFreq,
-                    result.stereo,
-                    'sine',
-                    10,
-                    question.equalLoudness
-                );
+        playCorrectBtn.addEventListener('click', () => {
+            this.playFeedbackSound(() => {
+                this.audioEngine.playMultiFrequency(
+                    result.actualFreq,
+                    result.stereo,
+                    'sine',
+                    10,
+                    question.equalLoudness
+                );
+            });
+        });
+
+        playUserBtn.addEventListener('click', () => {
+            this.playFeedbackSound(() => {
+                this.audioEngine.playMultiFrequency(
+                    result.userAnswer,
+                    result.stereo,
+                    'sine',
+                    10,
+                    question.equalLoudness
+                );
+            });
+        });
+
+        // WAV書き出しボタン
+        document.getElementById('exportQuestionWav').addEventListener('click', () => {
+            this.exportQuestionWav(question, result.questionNo);
+        });
+
+        // 次の問題ボタン
+        this.nextQuestionBtn = document.getElementById('nextQuestion');
+        this.nextQuestionBtn.addEventListener('click', () => {
+            this.proceedToNextQuestion();
+        });
+    }
+
+    // EQ当てのフィードバック表示
+    showEqFeedback(result, question) {
+        const formatGain = (gain) => (gain > 0 ? '+' : '') + gain + 'dB';
+        const actualFreq = result.actualFreq[0];
+        const userFreq = result.userAnswer[0];
+        const sample = this.audioEngine.sampleLibrary.getSample(question.source);
+
+        const correctLabel = `${this.formatBandLabel(actualFreq)} ${formatGain(result.eqGain)}`;
+        let userLabel = '未解答';
+        if (userFreq) {
+            userLabel = this.formatBandLabel(userFreq);
+            if (result.userGain !== null) {
+                userLabel += ` ${result.userGain > 0 ? 'ブースト' : 'カット'}`;
+            }
+        }
+
+        this.feedbackSection.innerHTML = `
+            <h3>${result.grade}</h3>
+            <div class="freq-result">
+                正解: ${correctLabel} /
+                解答: ${userLabel}
+                ${result.octaveError !== null ? ` / ずれ: ${result.octaveError.toFixed(2)}オクターブ` : ''}
+            </div>
+            <p><strong>スコア:</strong> ${result.score}/100</p>
+            <div class="playback-controls">
+                <button class="btn btn-secondary" id="playCorrectAnswer">正解のEQを再生</button>
+                ${userFreq ? '<button class="btn btn-secondary" id="playUserAnswer">解答のEQを再生</button>' : ''}
+            </div>
+            <button id="nextQuestion" class="btn btn-primary" style="margin-top: 15px;">次の問題</button>
+        `;
+        this.feedbackSection.className = 'feedback-section ' + (result.score >= 60 ? 'correct' : 'incorrect');
+        this.feedbackSection.style.display = 'block';
+
+        document.getElementById('playCorrectAnswer').addEventListener('click', () => {
+            this.playFeedbackSound(() => {
+                this.audioEngine.playEqFilter({ frequency: actualFreq, gain: result.eqGain, q: question.q, sample }, 10);
+            });
+        });
+
+        const playUserBtn = document.getElementById('playUserAnswer');
+        if (playUserBtn) {
+            // 向きを解答していない場合は正解と同じゲインで再生
+            const userGain = result.userGain !== null ? Math.sign(result.userGain) * Math.abs(result.eqGain) : result.eqGain;
+            playUserBtn.addEventListener('click', () => {
+                this.playFeedbackSound(() => {
+                    this.audioEngine.playEqFilter({ frequency: userFreq, gain: userGain, q: question.q, sample }, 10);
+                });
+            });
+        }
+
+        // 次の問題ボタン
+        this.nextQuestionBtn = document.getElementById('nextQuestion');
+        this.nextQuestionBtn.addEventListener('click', () => {
+            this.proceedToNextQuestion();
+        });
+    }
+
+    // 音名当てのフィードバック表示
+    showNoteFeedback(result, question) {
+        const actualFreq = result.actualFreq[0];
+        const userFreq = result.userAnswer[0];
+        const formatAnswer = (freq) => `${MathUtils.formatNote(freq, result.a4)} (${freq.toFixed(1)} Hz)`;
+
+        let centsLabel = '';
+        if (result.centsError !== null) {
+            const cents = Math.round(result.centsError);
+            centsLabel = ` / ずれ: ${cents > 0 ? '+' : ''}${cents} cent`;
+        }
+
+        this.feedbackSection.innerHTML = `
+            <h3>${result.grade}</h3>
+            <div class="freq-result">
+                正解: ${formatAnswer(actualFreq)} /
+                解答: ${userFreq ? formatAnswer(userFreq) : '未解答'}${centsLabel}
+            </div>
+            <p><strong>スコア:</strong> ${result.score}/100</p>
+            <div class="playback-controls">
+                <button class="btn btn-secondary" id="playCorrectAnswer">正解を再生</button>
+                ${userFreq ? '<button class="btn btn-secondary" id="playUserAnswer">解答を再生</button>' : ''}
+            </div>
+            <button id="nextQuestion" class="btn btn-primary" style="margin-top: 15px;">次の問題</button>
+        `;
+        this.feedbackSection.className = 'feedback-section ' + (result.score >= 60 ? 'correct' : 'incorrect');
+        this.feedbackSection.style.display = 'block';
+
+        document.getElementById('playCorrectAnswer').addEventListener('click', () => {
+            this.playFeedbackSound(() => {
+                this.audioEngine.playFrequency(actualFreq, question.waveform, 10, question.equalLoudness);
             });
         });
 
-        playUserBtn.addEventListener('click', () => {
-            this.playWithTimer(() => {
-                this.audioEngine.playMultiFrequency(
-                    result.userAnswer,
-                    result.stereo,
-                    'sine',
-                    10,
-                    question.equalLoudness
-                );
+        const playUserBtn = document.getElementById('playUserAnswer');
+        if (playUserBtn) {
+            playUserBtn.addEventListener('click', () => {
+                this.playFeedbackSound(() => {
+                    this.audioEngine.playFrequency(userFreq, question.waveform, 10, question.equalLoudness);
+                });
             });
-        });
+        }
 
         // 次の問題ボタン
         this.nextQuestionBtn = document.getElementById('nextQuestion');
@@ -506,23 +2260,10 @@ class UIController {
         });
     }
 
-    // 10秒タイマー付きで音を再生
-    playWithTimer(playFunction) {
-        // 既存のタイマーと再生をクリア
-        if (this.playbackTimer) {
-            clearTimeout(this.playbackTimer);
-            this.playbackTimer = null;
-        }
+    // 解答の確認用に音を再生（10秒の再生時間は各再生で音声クロック上に予約する）
+    playFeedbackSound(playFunction) {
         this.audioEngine.stop();
-
-        // 再生実行
         playFunction();
-
-        // 10秒後に自動停止
-        this.playbackTimer = setTimeout(() => {
-            this.audioEngine.stop();
-            this.playbackTimer = null;
-        }, 10000);
     }
 
     // 結果表示
@@ -535,12 +2276,25 @@ class UIController {
 
         this.quizResults.innerHTML = `
             <h3>クイズ終了!</h3>
-            <div class="total-score">${results.totalScore}/1000</div>
+            <div class="total-score">${results.totalScore}/${results.questions.length * 100}</div>
+            <div class="challenge-share">
+                <p>チャレンジコード: <strong class="challenge-code">${this.escapeHtml(results.challengeCode)}</strong></p>
+                <p class="calibration-note">同じコードからは同じ問題が出題されます．共有した相手の結果は履歴で並べて比較できます．</p>
+                <button class="btn btn-small" id="copyChallengeCode">コードをコピー</button>
+                <button class="btn btn-small" id="copyChallengeUrl">URLをコピー</button>
+            </div>
             <canvas id="resultChart" width="600" height="300"></canvas>
             <button class="btn btn-primary" id="retryQuiz">もう一度</button>
             <button class="btn btn-secondary" onclick="app.ui.switchMode('history')">履歴を見る</button>
         `;
 
+        document.getElementById('copyChallengeCode').addEventListener('click', () => {
+            this.copyText(results.challengeCode);
+        });
+        document.getElementById('copyChallengeUrl').addEventListener('click', () => {
+            this.copyText(ChallengeCode.toUrl(results.challengeCode));
+        });
+
         const canvas = document.getElementById('resultChart');
         ChartRenderer.drawRangeAccuracyChart(canvas, results.rangeAccuracy);
 
@@ -551,7 +2305,716 @@ class UIController {
         });
     }
 
+    // 聴力チェックを開始
+    async startThresholdTest() {
+        await this.audioEngine.resume();
+        this.stopFreeplay();
+
+        this.thresholdTest.start(this.thresholdExtended.checked);
+        this.thresholdIntro.style.display = 'none';
+        this.thresholdResult.style.display = 'none';
+        this.thresholdRun.style.display = 'block';
+        this.presentThresholdTone();
+    }
+
+    // 現在の条件を表示して検査音を提示
+    presentThresholdTone() {
+        const condition = this.thresholdTest.getCurrentCondition();
+        const progress = this.thresholdTest.getProgress();
+
+        this.thresholdEar.textContent = ThresholdTest.EARS[condition.ear].label;
+        this.thresholdFreq.textContent = `${MathUtils.formatWithCommas(condition.frequency)} Hz`;
+        this.thresholdProgress.textContent = `${progress.current}/${progress.total}`;
+
+        this.thresholdTest.playCurrentTone();
+    }
+
+    // 聞こえた/聞こえないの反応を記録
+    respondThreshold(heard) {
+        if (this.thresholdTimer) {
+            return; // 次の検査音の待機中は受け付けない
+        }
+
+        this.thresholdTest.respond(heard);
+
+        if (this.thresholdTest.isFinished()) {
+            const result = this.thresholdTest.getResults();
+            StorageManager.saveAudiogram(result);
+            this.thresholdRun.style.display = 'none';
+            this.thresholdIntro.style.display = 'block';
+            this.showThresholdResult(result, false);
+            return;
+        }
+
+        // 反応直後に次の音が鳴らないよう少し間を空ける
+        this.thresholdTimer = this.audioEngine.scheduler.after(0.7, () => {
+            this.thresholdTimer = null;
+            this.presentThresholdTone();
+        });
+    }
+
+    // 聴力チェックを中断（結果は保存しない）
+    abortThresholdTest() {
+        if (this.thresholdTimer) {
+            this.audioEngine.scheduler.cancel(this.thresholdTimer);
+            this.thresholdTimer = null;
+        }
+        this.audioEngine.stop();
+        this.thresholdRun.style.display = 'none';
+        this.thresholdIntro.style.display = 'block';
+        this.showLatestAudiogram();
+    }
+
+    // 前回の聴力チェック結果を表示
+    showLatestAudiogram() {
+        const latest = StorageManager.getAudiograms()[0];
+        if (latest) {
+            this.showThresholdResult(latest, true);
+        }
+    }
+
+    // 周波数弁別テストを開始
+    async startDiscriminationTest() {
+        await this.audioEngine.resume();
+        this.stopFreeplay();
+
+        this.discriminationTest.start();
+        this.discriminationIntro.style.display = 'none';
+        this.discriminationResult.style.display = 'none';
+        this.discriminationRun.style.display = 'block';
+        this.discriminationFeedback.textContent = '\u00a0';
+        this.discriminationFeedback.className = 'test-feedback';
+        this.presentDiscriminationTrial();
+    }
+
+    // 現在の帯域・試行数を表示して2音を提示
+    presentDiscriminationTrial() {
+        const trial = this.discriminationTest.getCurrentTrial();
+        const progress = this.discriminationTest.getProgress();
+
+        this.discriminationBand.textContent = `${MathUtils.formatWithCommas(trial.band)} Hz 帯域`;
+        this.discriminationProgress.textContent = `${progress.current}/${progress.total}`;
+        this.discriminationTrial.textContent = `試行 ${progress.trial}`;
+
+        this.playDiscriminationTrial();
+    }
+
+    // 2音を提示（鳴り終わるまで解答ボタンは無効）
+    playDiscriminationTrial() {
+        this.setDiscriminationAnswerEnabled(false);
+        this.discriminationIntervals.forEach(lamp => lamp.classList.remove('active'));
+        const timing = this.discriminationTest.playCurrentTrial();
+        this.discriminationSequenceId = timing ? timing.sequenceId : null;
+    }
+
+    // 周波数弁別テストの解答ボタンの有効/無効を切り替え
+    setDiscriminationAnswerEnabled(enabled) {
+        this.discriminationFirst.disabled = !enabled;
+        this.discriminationSecond.disabled = !enabled;
+    }
+
+    // どちらが高かったかの反応を記録
+    respondDiscrimination(firstHigher) {
+        if (this.discriminationTimer || this.discriminationRun.style.display === 'none' || this.discriminationFirst.disabled) {
+            return; // 2音の提示中・次の試行の待機中は受け付けない
+        }
+
+        const { correct, bandFinished } = this.discriminationTest.respond(firstHigher);
+        this.discriminationFeedback.textContent = correct ? '正解' : '不正解';
+        this.discriminationFeedback.className = 'test-feedback ' + (correct ? 'correct' : 'incorrect');
+
+        if (this.discriminationTest.isFinished()) {
+            const result = this.discriminationTest.getResults();
+            StorageManager.saveDiscriminationResult(result);
+            this.discriminationRun.style.display = 'none';
+            this.discriminationIntro.style.display = 'block';
+            this.showDiscriminationHistory();
+            return;
+        }
+
+        if (bandFinished) {
+            this.discriminationFeedback.textContent += ' ― 次の帯域へ';
+        }
+
+        // 反応直後に次の音が鳴らないよう少し間を空ける
+        this.discriminationTimer = this.audioEngine.scheduler.after(bandFinished ? 1.5 : 0.8, () => {
+            this.discriminationTimer = null;
+            this.discriminationFeedback.textContent = '\u00a0';
+            this.discriminationFeedback.className = 'test-feedback';
+            this.presentDiscriminationTrial();
+        });
+    }
+
+    // 周波数弁別テストを中断（結果は保存しない）
+    abortDiscriminationTest() {
+        if (this.discriminationTimer) {
+            this.audioEngine.scheduler.cancel(this.discriminationTimer);
+            this.discriminationTimer = null;
+        }
+        this.discriminationSequenceId = null;
+        this.audioEngine.stop();
+        this.discriminationRun.style.display = 'none';
+        this.discriminationIntro.style.display = 'block';
+        this.showDiscriminationHistory();
+    }
+
+    // 最新の周波数弁別テスト結果と推移を表示
+    showDiscriminationHistory() {
+        const results = StorageManager.getDiscriminationResults();
+        const latest = results[0];
+        if (!latest) {
+            return;
+        }
+
+        this.discriminationResult.style.display = 'block';
+        ChartRenderer.drawDiscriminationTrend(this.discriminationCanvas, results.slice().reverse());
+
+        const bands = Object.keys(latest.jnd).map(f => parseFloat(f)).sort((a, b) => a - b);
+        const rows = bands.map(band => {
+            const weber = latest.jnd[band];
+            if (weber === null || weber === undefined) {
+                return `<tr><td>${MathUtils.formatWithCommas(band)} Hz</td><td colspan="3">測定範囲外</td></tr>`;
+            }
+            const diff = DiscriminationTest.toDifference(band, weber);
+            return `
+                <tr>
+                    <td>${MathUtils.formatWithCommas(band)} Hz</td>
+                    <td>${(weber * 100).toFixed(2)}%</td>
+                    <td>${diff.hz.toFixed(1)} Hz</td>
+                    <td>${diff.cents.toFixed(1)} cent</td>
+                </tr>
+            `;
+        }).join('');
+
+        this.discriminationSummary.innerHTML = `
+            <p>前回の結果: ${new Date(latest.timestamp).toLocaleString('ja-JP')}（音量 ${latest.volume}%，これまでに${results.length}回測定）</p>
+            <table class="test-summary-table">
+                <tr><th>帯域</th><th>Δf/f</th><th>周波数差</th><th>音程差</th></tr>
+                ${rows}
+            </table>
+        `;
+    }
+
+    // 等ラウドネス測定を開始
+    async startLoudnessMatch() {
+        await this.audioEngine.resume();
+        this.stopFreeplay();
+
+        this.loudnessMatch.start();
+        this.loudnessIntro.style.display = 'none';
+        this.loudnessResult.style.display = 'none';
+        this.loudnessRun.style.display = 'block';
+        this.presentLoudnessFrequency();
+    }
+
+    // 現在の検査周波数を表示して聴き比べを再生
+    presentLoudnessFrequency() {
+        const progress = this.loudnessMatch.getProgress();
+        this.loudnessFreq.textContent = `${MathUtils.formatWithCommas(this.loudnessMatch.getCurrentFrequency())} Hz`;
+        this.loudnessProgress.textContent = `${progress.current}/${progress.total}`;
+        this.loudnessOffset.value = this.loudnessMatch.offset;
+        this.updateLoudnessOffset();
+
+        this.loudnessMatch.playComparison();
+    }
+
+    // 検査音のレベル差を反映
+    updateLoudnessOffset() {
+        const offset = parseInt(this.loudnessOffset.value);
+        this.loudnessMatch.setOffset(offset);
+        this.loudnessOffsetValue.textContent = `${offset > 0 ? '+' : ''}${offset} dB`;
+    }
+
+    // 同じ大きさに聞こえたレベル差を記録
+    confirmLoudnessMatch() {
+        this.loudnessMatch.confirm();
+
+        if (!this.loudnessMatch.isFinished()) {
+            this.presentLoudnessFrequency();
+            return;
+        }
+
+        const contour = this.loudnessMatch.getResults();
+        if (!StorageManager.saveLoudnessContour(contour)) {
+            alert('等ラウドネス曲線の保存に失敗しました');
+        }
+        this.audioEngine.setPersonalLoudnessCurve(contour);
+        this.updatePersonalLoudnessOption();
+        this.refreshEqualLoudness();
+
+        this.loudnessRun.style.display = 'none';
+        this.loudnessIntro.style.display = 'block';
+        this.showLoudnessContour();
+    }
+
+    // 等ラウドネス測定を中断（結果は保存しない）
+    abortLoudnessMatch() {
+        this.audioEngine.stop();
+        this.loudnessRun.style.display = 'none';
+        this.loudnessIntro.style.display = 'block';
+        this.showLoudnessContour();
+    }
+
+    // 保存した個人の等ラウドネス曲線を表示
+    showLoudnessContour() {
+        const contour = StorageManager.getLoudnessContour();
+        if (!contour) {
+            this.loudnessResult.style.display = 'none';
+            return;
+        }
+
+        // 比較用のISO曲線 (測定時のレベルが不明なら60 phon)
+        const phon = contour.phon === null ? 60 : MathUtils.clamp(contour.phon, EqualLoudness.MIN_PHON, EqualLoudness.MAX_PHON);
+        const equalLoudness = this.audioEngine.equalLoudness;
+        const isoCurve = [];
+        for (let freq = 40; freq <= 16000; freq *= 1.1) {
+            isoCurve.push({ frequency: freq, correction: equalLoudness.getCorrection(freq, phon) });
+        }
+        const isoLabel = `${EqualLoudness.STANDARDS[equalLoudness.standard].label} (${phon} phon)`;
+
+        this.loudnessResult.style.display = 'block';
+        ChartRenderer.drawLoudnessContour(this.loudnessCanvas, contour.corrections, isoCurve, isoLabel);
+
+        const frequencies = Object.keys(contour.corrections).map(f => parseFloat(f)).sort((a, b) => a - b);
+        const rows = frequencies.map(freq => {
+            const correction = contour.corrections[freq];
+            return `
+                <tr>
+                    <td>${MathUtils.formatWithCommas(freq)} Hz</td>
+                    <td>${correction > 0 ? '+' : ''}${correction} dB</td>
+                    <td>${equalLoudness.getCorrection(freq, phon).toFixed(1)} dB</td>
+                </tr>
+            `;
+        }).join('');
+
+        this.loudnessSummary.innerHTML = `
+            <p>測定日時: ${new Date(contour.timestamp).toLocaleString('ja-JP')}（音量 ${contour.volume}%${contour.calibration ? `，${contour.calibration}で校正済み，基準音 約${contour.phon} dB SPL` : ''}）</p>
+            <table class="test-summary-table">
+                <tr><th>周波数</th><th>個人</th><th>ISO 226</th></tr>
+                ${rows}
+            </table>
+        `;
+    }
+
+    // 個人の等ラウドネス曲線を削除
+    deleteLoudnessContour() {
+        if (!confirm('個人の等ラウドネス曲線を削除しますか?')) {
+            return;
+        }
+
+        StorageManager.deleteLoudnessContour();
+        this.audioEngine.setPersonalLoudnessCurve(null);
+        this.updatePersonalLoudnessOption();
+        if (this.equalLoudnessSelect.value === 'personal') {
+            this.setEqualLoudnessMode('off');
+            this.refreshEqualLoudness();
+        }
+        this.showLoudnessContour();
+    }
+
+    // 発声練習を開始（入力を開いてから最初の目標を表示）
+    async startPitchExercise() {
+        await this.audioEngine.resume();
+        this.stopFreeplay();
+
+        if (!this.pitchInput) {
+            this.pitchInput = new PitchInput(this.audioEngine.audioContext);
+        }
+
+        const source = this.pitchInputSelect.value;
+        if (source === 'mic') {
+            try {
+                await this.pitchInput.startMicrophone();
+            } catch (error) {
+                alert('マイクを使用できませんでした．ブラウザでマイクの使用を許可してください．');
+                return;
+            }
+        } else {
+            const sample = this.audioEngine.sampleLibrary.getSample(source);
+            if (!sample) {
+                alert('入力の音声ファイルが見つかりません．');
+                return;
+            }
+            this.pitchInput.startSample(sample);
+        }
+
+        this.pitchExercise.start(this.pitchRange.value, this.pitchTargetType.value);
+        this.pitchIntro.style.display = 'none';
+        this.pitchResult.style.display = 'none';
+        this.pitchRun.style.display = 'block';
+        this.presentPitchTarget();
+        this.updatePitchDisplay();
+    }
+
+    // 現在の目標を表示（設定に応じて目標の音を鳴らす）
+    presentPitchTarget() {
+        const target = this.pitchExercise.getCurrentTarget();
+        const progress = this.pitchExercise.getProgress();
+
+        this.pitchTarget.textContent = target.label;
+        this.pitchProgress.textContent = `${progress.current}/${progress.total}`;
+        this.pitchFeedback.textContent = '\u00a0';
+        this.pitchFeedback.className = 'test-feedback';
+        this.pitchRecord.disabled = false;
+        this.pitchNext.disabled = true;
+
+        if (this.pitchReference.checked) {
+            this.pitchExercise.playReference();
+        }
+    }
+
+    // 記録を開始（目標の音が鳴っていれば止めて，入力に混ざらないようにする）
+    startPitchCapture() {
+        this.audioEngine.stop();
+        this.pitchExercise.beginCapture();
+        this.pitchCaptureStart = performance.now();
+        this.pitchRecord.disabled = true;
+        this.pitchFeedback.textContent = '記録中...';
+        this.pitchFeedback.className = 'test-feedback';
+    }
+
+    // 検出した音程を目標とのずれで表示し，記録中ならフレームを追加
+    updatePitchDisplay() {
+        this.pitchAnimationId = requestAnimationFrame(() => this.updatePitchDisplay());
+
+        const target = this.pitchExercise.getCurrentTarget();
+        const pitch = this.pitchInput.readPitch();
+        const voiced = target && pitch && pitch.clarity >= PitchExercise.MIN_CLARITY;
+
+        if (voiced) {
+            const cents = MathUtils.centsBetween(target.frequency, pitch.frequency);
+            this.pitchNeedle.classList.remove('inactive');
+            this.pitchNeedle.style.left = `${50 + MathUtils.clamp(cents, -50, 50)}%`;
+            this.pitchLive.textContent = `${MathUtils.formatNote(pitch.frequency)}（${pitch.frequency.toFixed(1)} Hz）目標との差 ${cents > 0 ? '+' : ''}${Math.round(cents)} cent`;
+        } else {
+            this.pitchNeedle.classList.add('inactive');
+            this.pitchLive.textContent = '\u00a0';
+        }
+
+        if (this.pitchCaptureStart === null) {
+            return;
+        }
+
+        const elapsed = (performance.now() - this.pitchCaptureStart) / 1000;
+        if (this.pitchExercise.addFrame(pitch, elapsed)) {
+            this.pitchCaptureStart = null;
+            this.finishPitchTarget();
+        }
+    }
+
+    // 記録した音程を採点して表示
+    finishPitchTarget() {
+        const record = this.pitchExercise.finishTarget();
+        const detail = record.centsError === null
+            ? '音程を検出できませんでした'
+            : `平均 ${record.centsError > 0 ? '+' : ''}${Math.round(record.centsError)} cent，揺れ ±${Math.round(record.stability)} cent`;
+        this.pitchFeedback.textContent = `${record.grade} ${record.score}点（${detail}）`;
+        this.pitchFeedback.className = 'test-feedback ' + (record.score >= 60 ? 'correct' : 'incorrect');
+
+        if (!this.pitchExercise.isFinished()) {
+            this.pitchNext.disabled = false;
+            return;
+        }
+
+        const result = this.pitchExercise.getResults();
+        StorageManager.saveQuizResult(result);
+        this.stopPitchInput();
+        this.pitchRun.style.display = 'none';
+        this.pitchIntro.style.display = 'block';
+        this.showPitchResult(result);
+    }
+
+    // 発声練習を中断（結果は保存しない）
+    abortPitchExercise() {
+        this.audioEngine.stop();
+        this.stopPitchInput();
+        this.pitchRun.style.display = 'none';
+        this.pitchIntro.style.display = 'block';
+    }
+
+    // 音程表示の更新とマイク・音声ファイルの入力を止める
+    stopPitchInput() {
+        if (this.pitchAnimationId) {
+            cancelAnimationFrame(this.pitchAnimationId);
+            this.pitchAnimationId = null;
+        }
+        this.pitchCaptureStart = null;
+        if (this.pitchInput) {
+            this.pitchInput.stop();
+        }
+    }
+
+    // 発声練習の結果を表示
+    showPitchResult(result) {
+        const rows = result.questions.map(q => `
+            <tr>
+                <td>${q.target}</td>
+                <td>${q.userAnswer === null ? '-' : `${q.userAnswer.toFixed(1)} Hz`}</td>
+                <td>${q.centsError === null ? '-' : `${q.centsError > 0 ? '+' : ''}${Math.round(q.centsError)} cent`}</td>
+                <td>${q.stability === null ? '-' : `±${Math.round(q.stability)} cent`}</td>
+                <td>${q.score}</td>
+            </tr>
+        `).join('');
+
+        this.pitchResult.style.display = 'block';
+        this.pitchSummary.innerHTML = `
+            <p>合計スコア: ${result.totalScore}/${result.questions.length * 100}（${PitchExercise.RANGES[result.difficulty].label}）</p>
+            <table class="test-summary-table">
+                <tr><th>目標</th><th>平均の音程</th><th>ずれ</th><th>揺れ</th><th>スコア</th></tr>
+                ${rows}
+            </table>
+        `;
+    }
+
+    // 個人の曲線が未測定なら等ラウドネス補正の選択肢を無効にする
+    updatePersonalLoudnessOption() {
+        this.equalLoudnessPersonal.disabled = !this.audioEngine.equalLoudness.hasPersonalCurve();
+    }
+
+    // 音量スライダーを現在の音量に合わせる
+    syncVolumeSlider() {
+        const db = Math.round(this.audioEngine.getVolumeDb());
+        this.volumeSlider.value = Math.max(parseInt(this.volumeSlider.min), db);
+        this.updateVolumeDisplay();
+    }
+
+    // 聴取量の上限設定を反映
+    applyDoseLimit() {
+        this.audioEngine.setDoseLimit(parseInt(this.doseLimit.value) / 100, this.doseAction.value);
+    }
+
+    // 聴取量が上限を超えたときの通知
+    handleDoseExceeded({ dose, limit, reduced, first }) {
+        if (reduced) {
+            this.syncVolumeSlider();
+        }
+        if (first) {
+            this.doseWarningMessage.textContent = `今日の聴取量が ${Math.round(dose * 100)}% になり，上限（${Math.round(limit * 100)}%）を超えました．` +
+                (reduced ? '音量を自動で下げました．' : '');
+            this.doseWarning.style.display = 'flex';
+        }
+    }
+
+    // 出力ピーク・聴取量メーターの更新を開始
+    startOutputMeter() {
+        const draw = () => {
+            // 表示されているときだけ更新
+            if (this.currentMode === 'freeplay') {
+                this.updateOutputMeter();
+            }
+            this.outputMeterAnimationId = requestAnimationFrame(draw);
+        };
+        draw();
+    }
+
+    // 出力ピーク・聴取量メーターを更新
+    updateOutputMeter() {
+        const { peak, reduction } = this.audioEngine.getOutputLevel();
+        const silent = peak <= OutputMeter.SILENCE;
+        this.peakMeterBar.style.width = `${MathUtils.clamp((peak + 60) / 60, 0, 1) * 100}%`;
+        this.peakMeterBar.classList.toggle('warning', peak > -6);
+        this.peakMeterBar.classList.toggle('danger', peak > AudioEngine.LIMITER.threshold);
+        this.peakMeterValue.textContent = silent ? '-∞ dBFS' : `${peak.toFixed(1)} dBFS`;
+        this.limiterIndicator.classList.toggle('active', reduction < -0.5);
+
+        const dose = this.audioEngine.listeningDose.getDose();
+        const ratio = dose / this.audioEngine.doseLimit;
+        this.doseMeterBar.style.width = `${Math.min(1, ratio) * 100}%`;
+        this.doseMeterBar.classList.toggle('warning', ratio >= 0.8);
+        this.doseMeterBar.classList.toggle('danger', ratio >= 1);
+        this.doseMeterValue.textContent = `${Math.round(dose * 100)}%`;
+    }
+
+    // 音量表示を更新（校正済みならおおよその dB SPL も表示）
+    updateVolumeDisplay() {
+        if (this.audioEngine.volume === 0) {
+            this.volumeValue.textContent = 'ミュート';
+            return;
+        }
+        const db = Math.round(this.audioEngine.getVolumeDb());
+        const spl = this.audioEngine.getEstimatedSpl();
+        this.volumeValue.textContent = spl === null ? `${db} dB` : `${db} dB (約 ${Math.round(spl)} dB SPL)`;
+    }
+
+    // 出力プロファイルの一覧を更新
+    refreshCalibrationProfiles() {
+        const { activeProfile, profiles } = StorageManager.getCalibrationData();
+        this.calibrationProfile.innerHTML = '<option value="">未校正</option>' +
+            Object.keys(profiles).map(name =>
+                `<option value="${this.escapeHtml(name)}">${this.escapeHtml(name)}</option>`
+            ).join('');
+        this.calibrationProfile.value = activeProfile || '';
+    }
+
+    // 出力プロファイルを切り替え
+    applyCalibrationProfile(name) {
+        StorageManager.setActiveCalibrationProfile(name);
+        this.audioEngine.setCalibration(StorageManager.getActiveCalibration());
+        this.updateVolumeDisplay();
+
+        // 等ラウドネスの自動モードは再生レベルに依存するので反映
+        this.refreshEqualLoudness();
+    }
+
+    // 等ラウドネス補正のモードを取得（'off'，'auto'，または phon 値）
+    getEqualLoudnessMode() {
+        const mode = this.equalLoudnessSelect.value;
+        return mode === 'manual' ? this.equalLoudnessPhon.value : mode;
+    }
+
+    // 等ラウドネス補正のモードをUIに反映
+    setEqualLoudnessMode(mode) {
+        if (mode === 'off' || mode === 'auto' || mode === 'personal') {
+            this.equalLoudnessSelect.value = mode;
+        } else {
+            this.equalLoudnessSelect.value = 'manual';
+            this.equalLoudnessPhon.value = mode;
+        }
+        this.updateEqualLoudnessControls();
+    }
+
+    // phon スライダーの表示を更新
+    updateEqualLoudnessControls() {
+        const manual = this.equalLoudnessSelect.value === 'manual';
+        this.equalLoudnessPhonGroup.style.display = manual ? 'flex' : 'none';
+        this.equalLoudnessPhonValue.textContent = this.equalLoudnessPhon.value + ' phon';
+    }
+
+    // 再生中なら等ラウドネス補正を再適用
+    refreshEqualLoudness() {
+        if (this.audioEngine.isPlaying()) {
+            const freq = this.getFreeplayFrequency();
+            this.audioEngine.updateEqualLoudness(freq, this.getEqualLoudnessMode());
+        }
+    }
+
+    // 校正ウィザードを開く
+    openCalibration() {
+        this.stopFreeplay();
+        this.calibrationReference.innerHTML = Calibration.REFERENCE_SOUNDS.map(sound =>
+            `<option value="${sound.spl}">${sound.label}</option>`
+        ).join('');
+
+        const current = this.audioEngine.calibration;
+        this.calibrationName.value = current ? current.name : '';
+        const level = current ? current.referenceLevel : Calibration.DEFAULT_REFERENCE_LEVEL;
+        this.calibrationLevel.value = level;
+        this.calibrationLevelValue.textContent = level + ' dB';
+        this.calibrationModal.style.display = 'flex';
+    }
+
+    // 校正ウィザードを閉じる
+    closeCalibration() {
+        this.stopCalibrationTone();
+        this.calibrationModal.style.display = 'none';
+    }
+
+    // 1kHz基準音の再生/停止
+    toggleCalibrationTone() {
+        if (this.calibrationTone) {
+            this.stopCalibrationTone();
+            return;
+        }
+
+        // 連続音として長い1パルスを再生
+        this.audioEngine.playTestTone({
+            frequency: Calibration.REFERENCE_FREQUENCY,
+            level: parseInt(this.calibrationLevel.value),
+            pan: 0,
+            pulses: 1,
+            pulseDuration: 600
+        });
+        this.calibrationTone = this.audioEngine.oscillator;
+        this.calibrationPlayBtn.textContent = '■ 基準音を停止';
+    }
+
+    // 基準音を停止
+    stopCalibrationTone() {
+        if (this.calibrationTone) {
+            this.audioEngine.stop();
+            this.calibrationTone = null;
+        }
+        this.calibrationPlayBtn.textContent = '▶ 基準音を再生';
+    }
+
+    // 校正結果を保存
+    saveCalibration() {
+        const name = this.calibrationName.value.trim();
+        if (!name) {
+            alert('出力デバイス名を入力してください');
+            return;
+        }
+        if (this.audioEngine.volume === 0) {
+            alert('音量をミュート以外にしてから校正してください');
+            return;
+        }
+
+        const method = this.calibrationMethod.value;
+        const spl = parseFloat(method === 'meter' ? this.calibrationSpl.value : this.calibrationReference.value);
+        if (isNaN(spl)) {
+            alert('測定値を入力してください');
+            return;
+        }
+
+        const referenceLevel = parseInt(this.calibrationLevel.value);
+        const offset = Calibration.computeOffset(spl, referenceLevel, this.audioEngine.volume);
+        if (!StorageManager.saveCalibrationProfile(name, { offset, referenceLevel, method })) {
+            alert('校正データの保存に失敗しました');
+            return;
+        }
+
+        this.closeCalibration();
+        this.refreshCalibrationProfiles();
+        this.applyCalibrationProfile(name);
+    }
+
+    // 聴力チェック結果を表示
+    showThresholdResult(result, isPrevious) {
+        this.thresholdResult.style.display = 'block';
+        ChartRenderer.drawAudiogram(this.audiogramCanvas, result.thresholds);
+
+        const frequencies = Object.keys(result.thresholds.right).map(f => parseFloat(f)).sort((a, b) => a - b);
+        const formatDb = (db) => {
+            if (db === null || db === undefined) return '測定範囲外';
+            const spl = ThresholdTest.toSpl(db, result);
+            return spl === null ? `${db} dB` : `${db} dB (約 ${spl} dB SPL)`;
+        };
+        const rows = frequencies.map(freq => `
+            <tr>
+                <td>${MathUtils.formatWithCommas(freq)} Hz</td>
+                <td>${formatDb(result.thresholds.right[freq])}</td>
+                <td>${formatDb(result.thresholds.left[freq])}</td>
+            </tr>
+        `).join('');
+
+        const asymmetries = ThresholdTest.findAsymmetries(result.thresholds);
+        const warningHTML = asymmetries.length > 0
+            ? `<p class="test-warning">左右差が15dB以上: ${asymmetries.map(a =>
+                `${MathUtils.formatWithCommas(a.frequency)} Hz (${a.difference > 0 ? '右' : '左'}耳の閾値が${Math.abs(a.difference)}dB高い)`
+            ).join('，')}．クイズの中級（左右別）の結果に影響する可能性があります．</p>`
+            : '<p>大きな左右差は見られませんでした．</p>';
+
+        this.thresholdSummary.innerHTML = `
+            <p>${isPrevious ? '前回の結果' : '測定結果'}: ${new Date(result.timestamp).toLocaleString('ja-JP')}（音量 ${result.volume}%${result.calibration ? `，${this.escapeHtml(result.calibration.name)}で校正済み` : ''}）</p>
+            <table class="test-summary-table">
+                <tr><th>周波数</th><th>右耳</th><th>左耳</th></tr>
+                ${rows}
+            </table>
+            ${warningHTML}
+        `;
+    }
+
     // 履歴を読み込み
+    // テキストをクリップボードにコピー (使えない環境では選択できるように表示)
+    async copyText(text) {
+        try {
+            await navigator.clipboard.writeText(text);
+        } catch (error) {
+            console.error('クリップボードへのコピーに失敗:', error);
+            prompt('コピーしてください', text);
+        }
+    }
+
     loadHistory() {
         const history = StorageManager.getHistory();
 
@@ -564,16 +3027,78 @@ class UIController {
         const difficultyLabels = {
             'easy': '初級',
             'medium': '中級',
-            'hard': '上級'
+            'hard': '上級',
+            'custom': 'カスタム'
         };
 
-        this.historyList.innerHTML = history.map((session, idx) => `
+        // クイズの種類ラベルのマッピング
+        const modeLabels = {
+            'quiz': '周波数当て',
+            'eq': 'EQ当て',
+            'note': '音名当て',
+            'pitch': '発声'
+        };
+
+        // 発声の音域ラベル
+        Object.entries(PitchExercise.RANGES).forEach(([key, range]) => {
+            difficultyLabels[key] = range.label;
+        });
+
+        const difficultyLabel = (session) => session.preset
+            ? `カスタム（${this.escapeHtml(session.preset.name)}）`
+            : (difficultyLabels[session.difficulty] || session.difficulty || '-');
+
+        this.historyList.innerHTML = this.renderChallengeComparison(history, modeLabels, difficultyLabel) + history.map((session, idx) => `
             <div class="history-item">
                 <h4>セッション ${history.length - idx}</h4>
                 <p>日時: ${new Date(session.timestamp).toLocaleString('ja-JP')}</p>
-                <p>難易度: ${difficultyLabels[session.difficulty] || session.difficulty || '-'}</p>
-                <p>スコア: ${session.totalScore}/1000</p>
+                <p>種類: ${modeLabels[session.mode] || session.mode || '-'}</p>
+                <p>難易度: ${difficultyLabel(session)}</p>
+                <p>スコア: ${session.totalScore}/${(session.questions?.length || 10) * 100}</p>
+                ${session.challengeCode ? `<p>チャレンジコード: ${this.escapeHtml(session.challengeCode)}${session.player ? `（${this.escapeHtml(session.player)}）` : ''}</p>` : ''}
+                ${session.headphoneCheck && !session.headphoneCheck.passed ? '<p class="test-warning">ヘッドホンチェック未合格</p>' : ''}
             </div>
         `).join('');
     }
+
+    // 同じチャレンジコードで2回以上解いた結果を，問題ごとのスコアを並べて比較する表を作成
+    renderChallengeComparison(history, modeLabels, difficultyLabel) {
+        const groups = new Map();
+        history.forEach(session => {
+            if (!session.challengeCode) return;
+            if (!groups.has(session.challengeCode)) {
+                groups.set(session.challengeCode, []);
+            }
+            groups.get(session.challengeCode).push(session);
+        });
+
+        const tables = Array.from(groups.entries())
+            .filter(([, sessions]) => sessions.length >= 2)
+            .map(([code, sessions]) => {
+                const ranked = [...sessions].sort((a, b) => b.totalScore - a.totalScore);
+                const questionCount = Math.max(...ranked.map(session => session.questions.length));
+                const questionHeaders = Array.from({ length: questionCount }, (_, i) => `<th>Q${i + 1}</th>`).join('');
+                const rows = ranked.map((session, rank) => `
+                    <tr class="${rank === 0 ? 'challenge-best' : ''}">
+                        <td>${rank + 1}</td>
+                        <td>${session.player ? this.escapeHtml(session.player) : '-'}</td>
+                        <td>${new Date(session.timestamp).toLocaleString('ja-JP')}</td>
+                        <td><strong>${session.totalScore}</strong></td>
+                        ${Array.from({ length: questionCount }, (_, i) => `<td>${session.questions[i] ? session.questions[i].score : '-'}</td>`).join('')}
+                    </tr>
+                `).join('');
+
+                return `
+                    <div class="history-item challenge-compare">
+                        <h4>チャレンジ ${this.escapeHtml(code)}（${modeLabels[ranked[0].mode] || this.escapeHtml(ranked[0].mode)}・${difficultyLabel(ranked[0])}）</h4>
+                        <table class="test-summary-table">
+                            <tr><th>順位</th><th>名前</th><th>日時</th><th>合計</th>${questionHeaders}</tr>
+                            ${rows}
+                        </table>
+                    </div>
+                `;
+            });
+
+        return tables.length > 0 ? `<h3>チャレンジの比較</h3>${tables.join('')}<h3>すべての履歴</h3>` : '';
+    }
 }
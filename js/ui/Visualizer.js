@@ -1,14 +1,182 @@
 /**
  * Visualizer - スペクトラム可視化クラス
- * リアルタイムでスペクトラム波形を描画
+ * リアルタイムで対数周波数・dB軸のスペクトラム (ピークホールド・ピーク表示付き)，
+ * オクターブ/1/3オクターブバンドのバー表示 (RTA)，
+ * またはスペクトログラム (横軸: 時間，縦軸: 対数周波数，色: レベル) を描画する．
+ * スペクトログラムは直近30秒を保持し，一時停止して遡って見られる
  */
 class Visualizer {
+    static MODES = {
+        spectrum: 'スペクトラム',
+        octave: '1/1オクターブ',
+        thirdOctave: '1/3オクターブ',
+        spectrogram: 'スペクトログラム'
+    };
+
+    // 1/3オクターブバンドの公称中心周波数 (ISO 266)．オクターブバンドは 31.5Hz から3つおき
+    static THIRD_OCTAVE_BANDS = [
+        25, 31.5, 40, 50, 63, 80, 100, 125, 160, 200, 250, 315, 400, 500, 630, 800,
+        1000, 1250, 1600, 2000, 2500, 3150, 4000, 5000, 6300, 8000, 10000, 12500, 16000, 20000
+    ];
+
+    // AnalyserNode の窓関数 (ブラックマン窓) の等価雑音帯域幅 (ビン数)．
+    // バンド内のビンのパワーを合計した後にこれで割り，正弦波ならピークのビンと同じレベルになるようにする
+    static WINDOW_ENBW = 1.73;
+
+    // スペクトラムの設定
+    static SPECTRUM = {
+        minDb: -120, // 縦軸の範囲 (dBFS)
+        maxDb: 0,
+        peakRange: 40, // 最大値からこの範囲 (dB) のピークにラベルを付ける
+        maxPeaks: 3,
+        peakSeparation: 1 / 6 // これより近いピークはまとめる (オクターブ)
+    };
+
+    // スペクトログラムの設定 (周波数範囲はスペクトラムと共通)
+    static SPECTROGRAM = {
+        historySeconds: 30, // 保持する長さ (秒)
+        columnRate: 60, // 1秒あたりの列数 (1列 = 1ピクセル)
+        minFrequency: 20, // Hz
+        maxFrequency: 20000 // Hz
+    };
+
+    // レベル (0-255) → 色の対応 (黒→紫→赤→橙→淡黄)
+    static COLOR_STOPS = [
+        [0, 0, 4],
+        [87, 16, 110],
+        [188, 55, 84],
+        [249, 142, 9],
+        [252, 255, 164]
+    ];
+
     constructor(canvas, audioEngine) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.audioEngine = audioEngine;
         this.animationId = null;
         this.isRunning = false;
+        this.mode = 'spectrum';
+
+        // スペクトログラムのリングバッファ (列ごとに canvas の高さ分の行)
+        const { historySeconds, columnRate } = Visualizer.SPECTROGRAM;
+        this.rows = canvas.height;
+        this.historyColumns = historySeconds * columnRate;
+        this.history = new Uint8Array(this.historyColumns * this.rows);
+        this.historyLength = 0; // 書き込み済みの列数
+        this.historyHead = 0; // 次に書き込む列
+        this.lastColumnTime = null;
+        this.paused = false;
+        this.scrollBack = 0; // 最新から遡る列数
+        this.rowBins = null; // 行ごとの FFT ビン範囲 (サンプルレート・FFTサイズ依存)
+        this.rowBinsKey = null;
+
+        // スペクトラム
+        this.columnBins = null; // 横1ピクセルごとの FFT ビン範囲
+        this.columnBinsKey = null;
+        this.peakHold = false;
+        this.peakHoldData = null;
+
+        // オクターブバンド
+        this.bands = null; // { label, low, high, start, end, position }
+        this.bandsKey = null;
+        this.bandPeakHoldData = null;
+        this.colorMap = Visualizer.buildColorMap();
+        this.imageData = null;
+    }
+
+    /**
+     * レベル→色の対応表 (RGB × 256) を作成
+     * @returns {Uint8ClampedArray}
+     */
+    static buildColorMap() {
+        const stops = Visualizer.COLOR_STOPS;
+        const map = new Uint8ClampedArray(256 * 3);
+        for (let v = 0; v < 256; v++) {
+            const position = (v / 255) * (stops.length - 1);
+            const i = Math.min(Math.floor(position), stops.length - 2);
+            const t = position - i;
+            for (let c = 0; c < 3; c++) {
+                map[v * 3 + c] = MathUtils.lerp(stops[i][c], stops[i + 1][c], t);
+            }
+        }
+        return map;
+    }
+
+    /**
+     * 表示モードを切り替え
+     * @param {string} mode - 'spectrum'，'octave'，'thirdOctave' または 'spectrogram'
+     */
+    setMode(mode) {
+        if (!Visualizer.MODES[mode]) {
+            return;
+        }
+        this.mode = mode;
+        this.bandPeakHoldData = null;
+        if (!this.isRunning) {
+            this.drawStopped();
+        }
+    }
+
+    /**
+     * ピークホールドの有効/無効を切り替え (切り替えると保持した値はリセット)
+     * @param {boolean} enabled
+     */
+    setPeakHold(enabled) {
+        this.peakHold = enabled;
+        this.peakHoldData = null;
+        this.bandPeakHoldData = null;
+    }
+
+    /**
+     * バー表示のモードかどうか
+     * @returns {boolean}
+     */
+    isBandMode() {
+        return this.mode === 'octave' || this.mode === 'thirdOctave';
+    }
+
+    /**
+     * スペクトログラムの一時停止/再開
+     * 一時停止中は新しい列を取り込まず，遡って表示できる．再開すると最新の表示に戻る
+     * @param {boolean} paused
+     */
+    setPaused(paused) {
+        this.paused = paused;
+        if (!paused) {
+            this.scrollBack = 0;
+            this.lastColumnTime = null;
+        }
+        if (!this.isRunning) {
+            this.drawStopped();
+        }
+    }
+
+    /**
+     * 表示位置を最新から指定秒数だけ遡る
+     * @param {number} seconds - 遡る時間 (秒)
+     */
+    setScrollBack(seconds) {
+        const columns = Math.round(seconds * Visualizer.SPECTROGRAM.columnRate);
+        this.scrollBack = MathUtils.clamp(columns, 0, this.getMaxScrollBack());
+        if (!this.isRunning || this.paused) {
+            this.drawSpectrogram();
+        }
+    }
+
+    /**
+     * 遡れる最大の列数 (画面の幅を超えて保持している分)
+     * @returns {number}
+     */
+    getMaxScrollBack() {
+        return Math.max(0, this.historyLength - this.canvas.width);
+    }
+
+    /**
+     * 遡れる最大の時間を取得
+     * @returns {number} 秒
+     */
+    getMaxScrollBackSeconds() {
+        return this.getMaxScrollBack() / Visualizer.SPECTROGRAM.columnRate;
     }
 
     /**
@@ -19,7 +187,10 @@ class Visualizer {
             return;
         }
 
+        // 再生を始めたら最新の表示に戻す
         this.isRunning = true;
+        this.paused = false;
+        this.scrollBack = 0;
         this.draw();
     }
 
@@ -33,13 +204,26 @@ class Visualizer {
             this.animationId = null;
         }
 
+        this.lastColumnTime = null;
+        this.drawStopped();
+    }
+
+    /**
+     * 停止中の表示 (スペクトログラムは保持している内容を表示)
+     */
+    drawStopped() {
+        if (this.mode === 'spectrogram' && this.historyLength > 0) {
+            this.drawSpectrogram();
+            return;
+        }
+
         // キャンバスをクリア
         this.ctx.fillStyle = '#1a1a1a';
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
     }
 
     /**
-     * スペクトラムを描画
+     * 表示モードに応じて描画
      */
     draw() {
         if (!this.isRunning) {
@@ -48,6 +232,183 @@ class Visualizer {
 
         this.animationId = requestAnimationFrame(() => this.draw());
 
+        if (this.mode === 'spectrogram') {
+            if (!this.paused) {
+                this.captureSpectrogram();
+            }
+            this.drawSpectrogram();
+            return;
+        }
+        if (this.isBandMode()) {
+            this.drawBands();
+            return;
+        }
+
+        this.drawSpectrum();
+    }
+
+    /**
+     * オクターブ/1/3オクターブバンドの範囲と FFT ビン範囲を計算
+     * 中心周波数は 1kHz を基準に 2 のべき乗で求め (IEC 61260)，ラベルは公称値を使う
+     * @param {string} mode - 'octave' または 'thirdOctave'
+     * @param {number} bufferLength - FFTのビン数
+     * @returns {Array<Object>} { label, low, high, start, end, position }
+     */
+    computeBands(mode, bufferLength) {
+        const binWidth = (this.audioEngine.audioContext.sampleRate / 2) / bufferLength;
+        const step = mode === 'octave' ? 3 : 1; // 1/3オクターブ何本分か
+        const oneKhz = Visualizer.THIRD_OCTAVE_BANDS.indexOf(1000);
+
+        const bands = [];
+        Visualizer.THIRD_OCTAVE_BANDS.forEach((nominal, index) => {
+            if ((index - oneKhz) % step !== 0) {
+                return;
+            }
+            const center = 1000 * Math.pow(2, (index - oneKhz) / 3);
+            const low = center * Math.pow(2, -step / 6);
+            const high = center * Math.pow(2, step / 6);
+            const start = Math.min(Math.ceil(low / binWidth), bufferLength - 1);
+            const end = Math.min(Math.floor(high / binWidth) + 1, bufferLength);
+            bands.push({
+                label: nominal >= 1000 ? (nominal / 1000) + 'k' : nominal + '',
+                low,
+                high,
+                start,
+                end,
+                position: Math.min(center / binWidth, bufferLength - 1)
+            });
+        });
+        return bands;
+    }
+
+    /**
+     * バンドのレベルを計算
+     * バンド内のビンのパワーの合計 (窓関数の広がりを補正) と最大のビンの大きい方．
+     * ビンが2本未満の (FFTの分解能に対して狭い) 低域のバンドは中心周波数のレベルを補間する
+     * @param {Float32Array} dataArray - ビンごとのレベル (dB)
+     * @param {Object} band - computeBands のバンド
+     * @returns {number} dB
+     */
+    getBandLevel(dataArray, band) {
+        if (band.end - band.start < 2) {
+            const i = Math.min(Math.floor(band.position), dataArray.length - 2);
+            return MathUtils.lerp(dataArray[i], dataArray[i + 1], band.position - i);
+        }
+
+        let sum = 0;
+        let max = 0;
+        for (let i = band.start; i < band.end; i++) {
+            const power = Math.pow(10, dataArray[i] / 10);
+            sum += power;
+            if (power > max) max = power;
+        }
+        const power = Math.max(sum / Visualizer.WINDOW_ENBW, max);
+        return power > 0 ? 10 * Math.log10(power) : -Infinity;
+    }
+
+    /**
+     * オクターブ/1/3オクターブバンドのバー (RTA) を描画
+     * 横軸はバンドごとに等間隔，縦軸は dBFS (スペクトラムと同じ範囲)
+     */
+    drawBands() {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+
+        this.ctx.fillStyle = '#1a1a1a';
+        this.ctx.fillRect(0, 0, width, height);
+
+        const dataArray = this.audioEngine.getFloatFrequencyData();
+        const bufferLength = dataArray.length;
+        if (bufferLength === 0) {
+            return;
+        }
+
+        const key = `${this.mode}-${bufferLength}`;
+        if (!this.bands || this.bandsKey !== key) {
+            this.bands = this.computeBands(this.mode, bufferLength);
+            this.bandsKey = key;
+            this.bandPeakHoldData = null;
+        }
+
+        const levels = this.bands.map(band => this.getBandLevel(dataArray, band));
+        if (this.peakHold) {
+            if (!this.bandPeakHoldData) {
+                this.bandPeakHoldData = new Float32Array(this.bands.length).fill(-Infinity);
+            }
+            levels.forEach((level, i) => {
+                if (level > this.bandPeakHoldData[i]) {
+                    this.bandPeakHoldData[i] = level;
+                }
+            });
+        }
+
+        // dB の目盛り (下端はバンドのラベル用に空ける)
+        const labelHeight = 14;
+        const plotHeight = height - labelHeight;
+        const { minDb, maxDb } = Visualizer.SPECTRUM;
+        this.ctx.strokeStyle = '#333333';
+        this.ctx.lineWidth = 1;
+        this.ctx.fillStyle = '#666666';
+        this.ctx.font = '10px sans-serif';
+        this.ctx.textAlign = 'left';
+        for (let db = maxDb; db >= minDb; db -= 20) {
+            const y = this.dbToY(db, plotHeight);
+            this.ctx.beginPath();
+            this.ctx.moveTo(0, y);
+            this.ctx.lineTo(width, y);
+            this.ctx.stroke();
+            if (db > minDb) {
+                this.ctx.fillText(`${db} dB`, 4, y + 11);
+            }
+        }
+
+        // バー・ピークホールド・中心周波数
+        const slot = width / this.bands.length;
+        const barWidth = Math.max(2, slot * 0.7);
+        const isOctave = this.mode === 'octave';
+        this.ctx.textAlign = 'center';
+        this.bands.forEach((band, i) => {
+            const x = i * slot + (slot - barWidth) / 2;
+            const y = this.dbToY(levels[i], plotHeight);
+            this.ctx.fillStyle = '#2196F3';
+            this.ctx.fillRect(x, y, barWidth, plotHeight - y);
+
+            if (this.peakHold && isFinite(this.bandPeakHoldData[i])) {
+                const peakY = this.dbToY(this.bandPeakHoldData[i], plotHeight);
+                this.ctx.fillStyle = '#FF9800';
+                this.ctx.fillRect(x, peakY - 1, barWidth, 2);
+            }
+
+            // オクターブは各バンドのレベルも表示 (1/3オクターブは幅が足りないので最大のバンドのみ)
+            if (isOctave && levels[i] > minDb) {
+                this.ctx.fillStyle = '#CCCCCC';
+                this.ctx.fillText(levels[i].toFixed(1), x + barWidth / 2, Math.max(10, y - 3));
+            }
+
+            this.ctx.fillStyle = '#999999';
+            this.ctx.font = isOctave ? '11px sans-serif' : '9px sans-serif';
+            this.ctx.fillText(band.label, i * slot + slot / 2, height - 3);
+            this.ctx.font = '10px sans-serif';
+        });
+
+        // 最もレベルの大きいバンド
+        let loudest = 0;
+        levels.forEach((level, i) => {
+            if (level > levels[loudest]) loudest = i;
+        });
+        if (levels[loudest] > minDb + 10) {
+            this.ctx.fillStyle = '#FFFFFF';
+            this.ctx.textAlign = 'right';
+            this.ctx.font = '11px sans-serif';
+            this.ctx.fillText(`最大: ${this.bands[loudest].label}Hz 帯域 ${levels[loudest].toFixed(1)} dB`, width - 6, 14);
+        }
+    }
+
+    /**
+     * スペクトラムを描画
+     * 横軸は対数周波数 (周波数スライダーと同じ20Hz〜20kHz)，縦軸は dBFS
+     */
+    drawSpectrum() {
         const width = this.canvas.width;
         const height = this.canvas.height;
 
@@ -55,95 +416,372 @@ class Visualizer {
         this.ctx.fillStyle = '#1a1a1a';
         this.ctx.fillRect(0, 0, width, height);
 
-        // 周波数データ取得
-        const dataArray = this.audioEngine.getFrequencyData();
+        // 周波数データ取得 (dB)
+        const dataArray = this.audioEngine.getFloatFrequencyData();
         const bufferLength = dataArray.length;
 
         if (bufferLength === 0) {
             return;
         }
 
+        if (!this.columnBins || this.columnBinsKey !== bufferLength) {
+            this.columnBins = this.computeLogBins(width, bufferLength);
+            this.columnBinsKey = bufferLength;
+            this.peakHoldData = null;
+        }
+
         // グリッド描画
         this.drawGrid(width, height);
 
-        // 20kHzまでの範囲のみ表示
-        const nyquist = this.audioEngine.audioContext.sampleRate / 2;
-        const maxFreq = 20000; // 20kHz
-        const displayRatio = Math.min(1.0, maxFreq / nyquist);
-        const displayBins = Math.floor(bufferLength * displayRatio);
+        // ピークホールド (最大値を保持)
+        if (this.peakHold) {
+            if (!this.peakHoldData) {
+                this.peakHoldData = new Float32Array(bufferLength).fill(-Infinity);
+            }
+            for (let i = 0; i < bufferLength; i++) {
+                if (dataArray[i] > this.peakHoldData[i]) {
+                    this.peakHoldData[i] = dataArray[i];
+                }
+            }
+            this.drawSpectrumLine(this.peakHoldData, width, height, '#FF9800', 1);
+        }
 
         // スペクトラム描画
-        this.ctx.lineWidth = 2;
-        this.ctx.strokeStyle = '#2196F3';
-        this.ctx.beginPath();
+        this.drawSpectrumLine(dataArray, width, height, '#2196F3', 2);
 
-        const sliceWidth = width / displayBins;
-        let x = 0;
+        // ピークのラベル
+        this.drawPeaks(dataArray, width, height);
+    }
 
-        for (let i = 0; i < displayBins; i++) {
-            const v = dataArray[i] / 255.0;
-            const y = height - (v * height);
+    /**
+     * dB データを対数周波数軸の折れ線で描画
+     * @param {Float32Array} dataArray - ビンごとのレベル (dB)
+     * @param {number} width - Canvas幅
+     * @param {number} height - Canvas高さ
+     * @param {string} color - 線の色
+     * @param {number} lineWidth - 線の太さ
+     */
+    drawSpectrumLine(dataArray, width, height, color, lineWidth) {
+        this.ctx.lineWidth = lineWidth;
+        this.ctx.strokeStyle = color;
+        this.ctx.beginPath();
 
-            if (i === 0) {
+        for (let x = 0; x < width; x++) {
+            const y = this.dbToY(this.getBinLevel(dataArray, this.columnBins[x]), height);
+            if (x === 0) {
                 this.ctx.moveTo(x, y);
             } else {
                 this.ctx.lineTo(x, y);
             }
-
-            x += sliceWidth;
         }
 
         this.ctx.stroke();
     }
 
     /**
-     * グリッド線を描画
+     * 1ピクセル分のレベルを取得
+     * 複数ビンにまたがる高域は最大値，1ビンより細かい低域は隣のビンと補間する
+     * @param {ArrayLike<number>} dataArray - ビンごとのレベル
+     * @param {Array<number>} bins - [開始ビン, 終了ビン, 中心の位置 (小数のビン番号)]
+     * @returns {number}
+     */
+    getBinLevel(dataArray, [start, end, position]) {
+        if (end - start > 1) {
+            let max = -Infinity;
+            for (let i = start; i < end; i++) {
+                if (dataArray[i] > max) max = dataArray[i];
+            }
+            return max;
+        }
+
+        const i = Math.min(Math.floor(position), dataArray.length - 2);
+        return MathUtils.lerp(dataArray[i], dataArray[i + 1], position - i);
+    }
+
+    /**
+     * dB を y 座標に変換
+     * @param {number} db - レベル (dBFS)
+     * @param {number} height - Canvas高さ
+     * @returns {number}
+     */
+    dbToY(db, height) {
+        const { minDb, maxDb } = Visualizer.SPECTRUM;
+        const clamped = MathUtils.clamp(isFinite(db) ? db : minDb, minDb, maxDb);
+        return height - ((clamped - minDb) / (maxDb - minDb)) * height;
+    }
+
+    /**
+     * 周波数を x 座標に変換 (対数)
+     * @param {number} frequency - 周波数 (Hz)
+     * @param {number} width - Canvas幅
+     * @returns {number}
+     */
+    frequencyToX(frequency, width) {
+        const { minFrequency, maxFrequency } = Visualizer.SPECTROGRAM;
+        return (Math.log10(frequency / minFrequency) / Math.log10(maxFrequency / minFrequency)) * width;
+    }
+
+    /**
+     * スペクトルのピークを検出
+     * 周囲より大きい極大のうち，最大値から peakRange dB 以内のものを大きい順に返す．
+     * 周波数とレベルは放物線補間で求める
+     * @param {Float32Array} dataArray - ビンごとのレベル (dB)
+     * @returns {Array<Object>} { frequency, level }
+     */
+    findPeaks(dataArray) {
+        const { minFrequency, maxFrequency } = Visualizer.SPECTROGRAM;
+        const { minDb, peakRange, maxPeaks, peakSeparation } = Visualizer.SPECTRUM;
+        const binWidth = (this.audioEngine.audioContext.sampleRate / 2) / dataArray.length;
+        const first = Math.max(1, Math.floor(minFrequency / binWidth));
+        const last = Math.min(dataArray.length - 2, Math.ceil(maxFrequency / binWidth));
+
+        let max = -Infinity;
+        for (let i = first; i <= last; i++) {
+            if (dataArray[i] > max) max = dataArray[i];
+        }
+        const threshold = Math.max(minDb + 10, max - peakRange);
+
+        const candidates = [];
+        for (let i = first; i <= last; i++) {
+            const a = dataArray[i - 1];
+            const b = dataArray[i];
+            const c = dataArray[i + 1];
+            if (b >= threshold && b > a && b >= c) {
+                const denominator = a - 2 * b + c;
+                const p = denominator === 0 ? 0 : 0.5 * (a - c) / denominator;
+                candidates.push({ frequency: (i + p) * binWidth, level: b - 0.25 * (a - c) * p });
+            }
+        }
+
+        // 大きい順に，近すぎる (peakSeparation オクターブ以内) ピークを除いて選ぶ
+        const peaks = [];
+        candidates.sort((x, y) => y.level - x.level).forEach(peak => {
+            const tooClose = peaks.some(p => Math.abs(Math.log2(p.frequency / peak.frequency)) < peakSeparation);
+            if (!tooClose && peaks.length < maxPeaks) {
+                peaks.push(peak);
+            }
+        });
+        return peaks;
+    }
+
+    /**
+     * 検出したピークに周波数とレベルのラベルを描画
+     * @param {Float32Array} dataArray - ビンごとのレベル (dB)
      * @param {number} width - Canvas幅
      * @param {number} height - Canvas高さ
      */
-    drawGrid(width, height) {
-        this.ctx.strokeStyle = '#333333';
+    drawPeaks(dataArray, width, height) {
+        this.ctx.font = '11px sans-serif';
+
+        this.findPeaks(dataArray).forEach(peak => {
+            const x = this.frequencyToX(peak.frequency, width);
+            const y = this.dbToY(peak.level, height);
+
+            this.ctx.fillStyle = '#FFFFFF';
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, 3, 0, Math.PI * 2);
+            this.ctx.fill();
+
+            const label = `${MathUtils.formatWithCommas(peak.frequency, peak.frequency < 100 ? 1 : 0)} Hz / ${peak.level.toFixed(1)} dB`;
+            this.ctx.textAlign = x > width - 140 ? 'right' : 'left';
+            this.ctx.fillText(label, x + (x > width - 140 ? -6 : 6), Math.max(12, y - 6));
+        });
+    }
+
+    /**
+     * 対数周波数で等分した区間ごとの FFT ビン範囲を計算
+     * 高域は複数ビンの最大値を1区間にまとめ，低域は1ビンが複数区間にまたがる
+     * @param {number} count - 区間数 (ピクセル数)
+     * @param {number} bufferLength - FFTのビン数
+     * @returns {Array<Array<number>>} [開始ビン, 終了ビン, 中心の位置 (小数のビン番号)]
+     */
+    computeLogBins(count, bufferLength) {
+        const { minFrequency, maxFrequency } = Visualizer.SPECTROGRAM;
+        const binWidth = (this.audioEngine.audioContext.sampleRate / 2) / bufferLength;
+        const ratio = maxFrequency / minFrequency;
+
+        const bins = [];
+        for (let i = 0; i < count; i++) {
+            const low = minFrequency * Math.pow(ratio, i / count);
+            const high = minFrequency * Math.pow(ratio, (i + 1) / count);
+            const center = Math.sqrt(low * high);
+            const start = Math.min(Math.round(low / binWidth), bufferLength - 1);
+            const end = Math.min(Math.max(start + 1, Math.round(high / binWidth)), bufferLength);
+            bins.push([start, end, Math.min(center / binWidth, bufferLength - 1)]);
+        }
+        return bins;
+    }
+
+    /**
+     * 現在のスペクトルをスペクトログラムの列として取り込む
+     * 描画のフレームレートに関係なく1秒あたり columnRate 列になるよう，遅れた分は同じ列で埋める
+     */
+    captureSpectrogram() {
+        const dataArray = this.audioEngine.getFrequencyData();
+        const bufferLength = dataArray.length;
+        if (bufferLength === 0) {
+            return;
+        }
+
+        if (!this.rowBins || this.rowBinsKey !== bufferLength) {
+            this.rowBins = this.computeLogBins(this.rows, bufferLength);
+            this.rowBinsKey = bufferLength;
+        }
+
+        const interval = 1000 / Visualizer.SPECTROGRAM.columnRate;
+        const now = performance.now();
+        if (this.lastColumnTime === null) {
+            this.lastColumnTime = now - interval;
+        }
+        let count = Math.floor((now - this.lastColumnTime) / interval);
+        if (count <= 0) {
+            return;
+        }
+        this.lastColumnTime += count * interval;
+        count = Math.min(count, 10); // タブが非表示だった場合などは間を詰める
+
+        // 行ごとのレベル (範囲内の最大値)
+        const column = new Uint8Array(this.rows);
+        this.rowBins.forEach(([start, end], row) => {
+            let max = 0;
+            for (let i = start; i < end; i++) {
+                if (dataArray[i] > max) max = dataArray[i];
+            }
+            column[row] = max;
+        });
+
+        for (let i = 0; i < count; i++) {
+            this.history.set(column, this.historyHead * this.rows);
+            this.historyHead = (this.historyHead + 1) % this.historyColumns;
+            this.historyLength = Math.min(this.historyLength + 1, this.historyColumns);
+        }
+    }
+
+    /**
+     * スペクトログラムを描画 (右端が最新，scrollBack 列だけ遡った位置)
+     */
+    drawSpectrogram() {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+
+        if (!this.imageData) {
+            this.imageData = this.ctx.createImageData(width, height);
+        }
+        const pixels = this.imageData.data;
+        const map = this.colorMap;
+
+        for (let x = 0; x < width; x++) {
+            // 右端から数えて何列前か
+            const age = this.scrollBack + (width - 1 - x);
+            const hasData = age < this.historyLength;
+            const columnIndex = (this.historyHead - 1 - age + this.historyColumns * 2) % this.historyColumns;
+            const offset = columnIndex * this.rows;
+
+            for (let row = 0; row < this.rows; row++) {
+                const value = hasData ? this.history[offset + row] : 0;
+                const p = ((height - 1 - row) * width + x) * 4;
+                pixels[p] = map[value * 3];
+                pixels[p + 1] = map[value * 3 + 1];
+                pixels[p + 2] = map[value * 3 + 2];
+                pixels[p + 3] = 255;
+            }
+        }
+
+        this.ctx.putImageData(this.imageData, 0, 0);
+        this.drawSpectrogramLabels(width, height);
+    }
+
+    /**
+     * スペクトログラムの周波数・時間ラベルとカラーバーを描画
+     * @param {number} width - Canvas幅
+     * @param {number} height - Canvas高さ
+     */
+    drawSpectrogramLabels(width, height) {
+        const { minFrequency, maxFrequency, columnRate } = Visualizer.SPECTROGRAM;
+        const logRange = Math.log10(maxFrequency / minFrequency);
+
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
         this.ctx.lineWidth = 1;
+        this.ctx.fillStyle = '#CCCCCC';
+        this.ctx.font = '10px sans-serif';
+        this.ctx.textAlign = 'left';
 
-        // 水平線
-        for (let i = 0; i <= 4; i++) {
-            const y = (height / 4) * i;
+        // 周波数 (対数)
+        [50, 100, 200, 500, 1000, 2000, 5000, 10000].forEach(freq => {
+            const y = height - (Math.log10(freq / minFrequency) / logRange) * height;
             this.ctx.beginPath();
             this.ctx.moveTo(0, y);
             this.ctx.lineTo(width, y);
             this.ctx.stroke();
+            this.ctx.fillText(freq >= 1000 ? (freq / 1000) + 'k' : freq + '', 4, y - 2);
+        });
+
+        // 時間 (最新からの秒数)
+        this.ctx.textAlign = 'center';
+        const newestSeconds = this.scrollBack / columnRate;
+        for (let s = Math.ceil(newestSeconds / 2) * 2; ; s += 2) {
+            const x = width - 1 - (s - newestSeconds) * columnRate;
+            if (x < 20) break;
+            this.ctx.fillText(s === 0 ? '0s' : `-${s}s`, Math.min(x, width - 12), height - 4);
         }
 
-        // 垂直線
-        for (let i = 0; i <= 10; i++) {
-            const x = (width / 10) * i;
-            this.ctx.beginPath();
-            this.ctx.moveTo(x, 0);
-            this.ctx.lineTo(x, height);
-            this.ctx.stroke();
+        // カラーバー (AnalyserNode の dB 範囲)
+        const analyser = this.audioEngine.analyser;
+        const barX = width - 130;
+        const gradient = this.ctx.createLinearGradient(barX, 0, barX + 80, 0);
+        Visualizer.COLOR_STOPS.forEach((color, i) => {
+            gradient.addColorStop(i / (Visualizer.COLOR_STOPS.length - 1), `rgb(${color.join(',')})`);
+        });
+        this.ctx.fillStyle = gradient;
+        this.ctx.fillRect(barX, 6, 80, 8);
+        this.ctx.fillStyle = '#CCCCCC';
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(`${analyser.minDecibels}`, barX - 3, 14);
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(`${analyser.maxDecibels} dB`, barX + 83, 14);
+
+        if (this.paused) {
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText('一時停止中', width / 2, 14);
         }
+    }
 
-        // 周波数ラベル（20kHzまでの範囲に合わせて配置）
+    /**
+     * グリッド線と周波数・dBのラベルを描画
+     * @param {number} width - Canvas幅
+     * @param {number} height - Canvas高さ
+     */
+    drawGrid(width, height) {
+        const { minDb, maxDb } = Visualizer.SPECTRUM;
+        this.ctx.strokeStyle = '#333333';
+        this.ctx.lineWidth = 1;
         this.ctx.fillStyle = '#666666';
         this.ctx.font = '10px sans-serif';
 
-        const labelFreqs = [20, 1000, 2000, 5000, 10000, 20000];
-        const maxFreq = 20000; // 20kHz
-
-        labelFreqs.forEach(freq => {
-            // 20kHzまでの範囲内での位置を計算
-            const position = freq / maxFreq;
-            const x = width * position;
-
-            // ラベルのフォーマット
-            let label;
-            if (freq >= 1000) {
-                label = (freq / 1000) + 'k';
-            } else {
-                label = freq + '';
+        // dB (水平線)
+        this.ctx.textAlign = 'left';
+        for (let db = maxDb; db >= minDb; db -= 20) {
+            const y = this.dbToY(db, height);
+            this.ctx.beginPath();
+            this.ctx.moveTo(0, y);
+            this.ctx.lineTo(width, y);
+            this.ctx.stroke();
+            if (db > minDb) {
+                this.ctx.fillText(`${db} dB`, 4, y + 11);
             }
+        }
+
+        // 周波数 (対数，垂直線)
+        [20, 50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000].forEach(freq => {
+            const x = this.frequencyToX(freq, width);
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, 0);
+            this.ctx.lineTo(x, height);
+            this.ctx.stroke();
 
-            this.ctx.fillText(label, x + 5, height - 10);
+            const label = freq >= 1000 ? (freq / 1000) + 'k' : freq + '';
+            this.ctx.textAlign = freq === 20000 ? 'right' : 'left';
+            this.ctx.fillText(label, x + (freq === 20000 ? -3 : 3), height - 4);
         });
     }
 }
@@ -0,0 +1,123 @@
+/**
+ * AudioFileStore - IndexedDB管理クラス
+ * 読み込んだ音声ファイルをライブラリとしてブラウザに永続保存
+ * (LocalStorageでは容量が足りないためIndexedDBを使用)
+ */
+class AudioFileStore {
+    static DB_NAME = 'freqQuiz_audio';
+    static DB_VERSION = 1;
+    static STORE_NAME = 'files';
+
+    /**
+     * データベースを開く
+     * @returns {Promise<IDBDatabase>} データベース
+     */
+    static open() {
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDBが利用できません'));
+                return;
+            }
+
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.STORE_NAME)) {
+                    db.createObjectStore(this.STORE_NAME, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * ストアに対してリクエストを実行
+     * @param {string} mode - トランザクションモード ('readonly' または 'readwrite')
+     * @param {Function} operation - ストアを受け取りIDBRequestを返す関数
+     * @returns {Promise<*>} リクエストの結果
+     */
+    static async request(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.STORE_NAME, mode);
+            const request = operation(transaction.objectStore(this.STORE_NAME));
+            transaction.oncomplete = () => {
+                db.close();
+                resolve(request.result);
+            };
+            transaction.onerror = () => {
+                db.close();
+                reject(transaction.error);
+            };
+            // 容量不足や接続切れでは error を経ずに中断されることがある
+            transaction.onabort = () => {
+                db.close();
+                reject(transaction.error || new DOMException('Transaction aborted', 'AbortError'));
+            };
+        });
+    }
+
+    /**
+     * 音声ファイルを保存
+     * @param {Object} record - 保存するレコード (id, name, data, loopStart, loopEnd, gainDb)
+     * @returns {Promise<boolean>} 成功したかどうか
+     */
+    static async saveFile(record) {
+        try {
+            await this.request('readwrite', store => store.put(record));
+            return true;
+        } catch (error) {
+            console.error('音声ファイルの保存に失敗:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 保存済みの音声ファイルをすべて取得
+     * @returns {Promise<Array>} レコードの配列
+     */
+    static async getAllFiles() {
+        try {
+            return await this.request('readonly', store => store.getAll());
+        } catch (error) {
+            console.error('音声ファイルの読み込みに失敗:', error);
+            return [];
+        }
+    }
+
+    /**
+     * 保存済みファイルの設定 (ループ位置，ゲイン) を更新
+     * @param {string} id - ファイルID
+     * @param {Object} changes - 更新する項目
+     * @returns {Promise<boolean>} 成功したかどうか
+     */
+    static async updateFile(id, changes) {
+        try {
+            const record = await this.request('readonly', store => store.get(id));
+            if (!record) {
+                return false;
+            }
+            await this.request('readwrite', store => store.put({ ...record, ...changes }));
+            return true;
+        } catch (error) {
+            console.error('音声ファイルの更新に失敗:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 音声ファイルを削除
+     * @param {string} id - ファイルID
+     * @returns {Promise<boolean>} 成功したかどうか
+     */
+    static async deleteFile(id) {
+        try {
+            await this.request('readwrite', store => store.delete(id));
+            return true;
+        } catch (error) {
+            console.error('音声ファイルの削除に失敗:', error);
+            return false;
+        }
+    }
+}
@@ -3,6 +3,21 @@
  * 対数スケール計算，周波数変換などの数学的処理を提供
  */
 class MathUtils {
+    // 音名 (シャープ表記)
+    static NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+    // 音名から半音数 (Cからの距離)
+    static NOTE_OFFSETS = { c: 0, d: 2, e: 4, f: 5, g: 7, a: 9, b: 11 };
+
+    // 基準ピッチ A4 の選択肢 (Hz)
+    static A4_FREQUENCIES = [432, 440, 442, 443, 444];
+
+    // 基準ピッチ A4 (Hz)．setA4Frequency で変更する
+    static a4Frequency = 440;
+
+    // シード付きの乱数生成器．withSeed の実行中だけ設定され，それ以外は Math.random を使う
+    static seededRandom = null;
+
     /**
      * 線形値を対数スケール値に変換
      * @param {number} value - 線形値 (20-20000 Hz)
@@ -30,7 +45,7 @@ class MathUtils {
     static randomLogFreq(min, max) {
         const logMin = Math.log10(min);
         const logMax = Math.log10(max);
-        const logRandom = logMin + Math.random() * (logMax - logMin);
+        const logRandom = logMin + this.random() * (logMax - logMin);
         return Math.round(Math.pow(10, logRandom));
     }
 
@@ -89,10 +104,12 @@ class MathUtils {
     /**
      * 数値を3桁区切りでフォーマット
      * @param {number} num - 数値
+     * @param {number} decimals - 小数点以下の桁数
      * @returns {string} 3桁区切り文字列
      */
-    static formatWithCommas(num) {
-        return Math.round(num).toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+    static formatWithCommas(num, decimals = 0) {
+        const [integer, fraction] = num.toFixed(decimals).split('.');
+        return integer.replace(/\B(?=(\d{3})+(?!\d))/g, ',') + (fraction ? '.' + fraction : '');
     }
 
     /**
@@ -147,12 +164,60 @@ class MathUtils {
     static shuffle(array) {
         const result = [...array];
         for (let i = result.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(this.random() * (i + 1));
             [result[i], result[j]] = [result[j], result[i]];
         }
         return result;
     }
 
+    /**
+     * 乱数を生成 (withSeed の実行中はシードから決まる列，それ以外は Math.random)
+     * @returns {number} 0以上1未満の乱数
+     */
+    static random() {
+        return this.seededRandom ? this.seededRandom() : Math.random();
+    }
+
+    /**
+     * シード付きの乱数生成器を作成 (mulberry32)
+     * @param {number} seed - シード (32bit 符号なし整数)
+     * @returns {Function} 呼ぶたびに 0以上1未満の乱数を返す関数
+     */
+    static createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * 新しいシードを作成
+     * @returns {number} 32bit 符号なし整数
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    /**
+     * シードを固定して処理を実行 (中で使う random / randomLogFreq / shuffle が再現可能になる)
+     * @param {number} seed - シード
+     * @param {Function} fn - 実行する処理
+     * @returns {*} fn の戻り値
+     */
+    static withSeed(seed, fn) {
+        const previous = this.seededRandom;
+        this.seededRandom = this.createRandom(seed);
+        try {
+            return fn();
+        } finally {
+            this.seededRandom = previous;
+        }
+    }
+
     /**
      * dB値を線形ゲインに変換
      * @param {number} db - dB値
@@ -170,4 +235,107 @@ class MathUtils {
     static gainToDb(gain) {
         return 20 * Math.log10(Math.max(0.0001, gain));
     }
+
+    /**
+     * 基準ピッチ A4 を設定
+     * @param {number} frequency - A4 の周波数 (Hz)
+     */
+    static setA4Frequency(frequency) {
+        this.a4Frequency = this.clamp(frequency, 400, 480);
+    }
+
+    /**
+     * 2つの周波数の差をセントで計算
+     * @param {number} reference - 基準の周波数 (Hz)
+     * @param {number} frequency - 比べる周波数 (Hz)
+     * @returns {number} セント (基準より高ければ正)
+     */
+    static centsBetween(reference, frequency) {
+        return 1200 * Math.log2(frequency / reference);
+    }
+
+    /**
+     * 周波数を最も近い音名とセントのずれに変換 (平均律)
+     * @param {number} frequency - 周波数 (Hz)
+     * @param {number} a4 - 基準ピッチ (Hz)
+     * @returns {Object} { name: 'C#', octave: 5, midi: 73, cents: 20, label: 'C#5' }
+     */
+    static frequencyToNote(frequency, a4 = this.a4Frequency) {
+        const semitones = 69 + 12 * Math.log2(frequency / a4);
+        const midi = Math.round(semitones);
+        const name = this.NOTE_NAMES[((midi % 12) + 12) % 12];
+        const octave = Math.floor(midi / 12) - 1;
+
+        return {
+            name,
+            octave,
+            midi,
+            cents: Math.round((semitones - midi) * 100),
+            label: `${name}${octave}`
+        };
+    }
+
+    /**
+     * 音名 (MIDIノート番号) とセントから周波数を計算
+     * @param {number} midi - MIDIノート番号 (A4 = 69)
+     * @param {number} cents - セントのずれ
+     * @param {number} a4 - 基準ピッチ (Hz)
+     * @returns {number} 周波数 (Hz)
+     */
+    static noteToFrequency(midi, cents = 0, a4 = this.a4Frequency) {
+        return a4 * Math.pow(2, (midi - 69 + cents / 100) / 12);
+    }
+
+    /**
+     * 音名の文字列を解析
+     * 'A4'，'C#5 +20c'，'Bb3-15'，'F♯2 +5cent' などの形式に対応 (C4 = 中央のド)
+     * @param {string} text - 音名の文字列
+     * @returns {Object|null} { midi, cents }．解釈できなければnull
+     */
+    static parseNote(text) {
+        const match = String(text).trim()
+            .match(/^([A-Ga-g])([#♯b♭]?)(-?\d)\s*(?:([+-])\s*(\d+(?:\.\d+)?)\s*(?:c|cents?|セント)?)?$/);
+        if (!match) {
+            return null;
+        }
+
+        const accidental = { '#': 1, '♯': 1, 'b': -1, '♭': -1 }[match[2]] || 0;
+        const octave = parseInt(match[3]);
+        const cents = match[4] ? parseFloat(match[4] + match[5]) : 0;
+
+        return {
+            midi: (octave + 1) * 12 + this.NOTE_OFFSETS[match[1].toLowerCase()] + accidental,
+            cents
+        };
+    }
+
+    /**
+     * 周波数 (Hz) または音名の文字列を周波数に変換
+     * @param {string} text - '1,000'，'440.5'，'C#5 +20c' など
+     * @param {number} a4 - 音名で入力された場合の基準ピッチ (Hz)
+     * @returns {number|null} 周波数 (Hz)．解釈できなければnull
+     */
+    static parseFrequency(text, a4 = this.a4Frequency) {
+        const value = String(text).replace(/,/g, '').trim();
+        if (/^\d+(\.\d+)?$/.test(value)) {
+            return parseFloat(value);
+        }
+
+        const note = this.parseNote(value);
+        return note ? this.noteToFrequency(note.midi, note.cents, a4) : null;
+    }
+
+    /**
+     * 周波数を音名表記に変換
+     * @param {number} frequency - 周波数 (Hz)
+     * @param {number} a4 - 基準ピッチ (Hz)
+     * @returns {string} 'C#5 +20c' の形式 (ずれが0セントなら 'C#5')
+     */
+    static formatNote(frequency, a4 = this.a4Frequency) {
+        const note = this.frequencyToNote(frequency, a4);
+        if (note.cents === 0) {
+            return note.label;
+        }
+        return `${note.label} ${note.cents > 0 ? '+' : ''}${note.cents}c`;
+    }
 }
@@ -5,13 +5,29 @@
 class StorageManager {
     static KEYS = {
         SETTINGS: 'freqQuiz_settings',
-        HISTORY: 'freqQuiz_history'
+        HISTORY: 'freqQuiz_history',
+        AUDIOGRAMS: 'freqQuiz_audiograms',
+        CALIBRATION: 'freqQuiz_calibration',
+        TIMBRES: 'freqQuiz_timbres',
+        MIXER_SCENES: 'freqQuiz_mixerScenes',
+        DISCRIMINATION: 'freqQuiz_discrimination',
+        LOUDNESS_CONTOUR: 'freqQuiz_loudnessContour',
+        LISTENING_DOSE: 'freqQuiz_listeningDose',
+        QUIZ_PRESETS: 'freqQuiz_quizPresets'
     };
 
     static DEFAULT_SETTINGS = {
         volume: 30,
         defaultWaveform: 'sine',
-        equalLoudnessMode: 'off'
+        equalLoudnessMode: 'off',
+        equalLoudnessStandard: '2023',
+        a4Frequency: 440,
+        analyserFftSize: 2048,
+        analyserSmoothing: 0.8,
+        headphoneCheck: true, // クイズ前にヘッドホンチェックを行う
+        playerName: '', // チャレンジの比較に表示する名前
+        doseLimit: 100, // 1日の聴取量の上限 (%)
+        doseAction: 'warn' // 上限を超えたとき ('warn': 警告のみ，'reduce': 音量を自動で下げる)
     };
 
     /**
@@ -87,6 +103,417 @@ class StorageManager {
         return [];
     }
 
+    /**
+     * 聴覚閾値チェックの結果を保存
+     * @param {Object} result - 結果オブジェクト
+     * @returns {boolean} 成功したかどうか
+     */
+    static saveAudiogram(result) {
+        try {
+            const audiograms = this.getAudiograms();
+            audiograms.unshift(result); // 最新を先頭に追加
+
+            // 最大20件まで保存
+            if (audiograms.length > 20) {
+                audiograms.splice(20);
+            }
+
+            localStorage.setItem(this.KEYS.AUDIOGRAMS, JSON.stringify(audiograms));
+            return true;
+        } catch (error) {
+            console.error('聴覚閾値チェック結果の保存に失敗:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 聴覚閾値チェックの結果一覧を取得
+     * @returns {Array} 結果の配列 (新しい順)
+     */
+    static getAudiograms() {
+        try {
+            const data = localStorage.getItem(this.KEYS.AUDIOGRAMS);
+            if (data) {
+                return JSON.parse(data);
+            }
+        } catch (error) {
+            console.error('聴覚閾値チェック結果の読み込みに失敗:', error);
+        }
+        return [];
+    }
+
+    /**
+     * 周波数弁別テストの結果を保存
+     * @param {Object} result - 結果オブジェクト
+     * @returns {boolean} 成功したかどうか
+     */
+    static saveDiscriminationResult(result) {
+        try {
+            const results = this.getDiscriminationResults();
+            results.unshift(result); // 最新を先頭に追加
+
+            // 推移を見るため最大50件まで保存
+            if (results.length > 50) {
+                results.splice(50);
+            }
+
+            localStorage.setItem(this.KEYS.DISCRIMINATION, JSON.stringify(results));
+            return true;
+        } catch (error) {
+            console.error('周波数弁別テスト結果の保存に失敗:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 周波数弁別テストの結果一覧を取得
+     * @returns {Array} 結果の配列 (新しい順)
+     */
+    static getDiscriminationResults() {
+        try {
+            const data = localStorage.getItem(this.KEYS.DISCRIMINATION);
+            if (data) {
+                return JSON.parse(data);
+            }
+        } catch (error) {
+            console.error('周波数弁別テスト結果の読み込みに失敗:', error);
+        }
+        return [];
+    }
+
+    /**
+     * 個人の等ラウドネス曲線を保存 (最新の1件のみ)
+     * @param {Object} contour - LoudnessMatch の結果
+     * @returns {boolean} 成功したかどうか
+     */
+    static saveLoudnessContour(contour) {
+        try {
+            localStorage.setItem(this.KEYS.LOUDNESS_CONTOUR, JSON.stringify(contour));
+            return true;
+        } catch (error) {
+            console.error('等ラウドネス曲線の保存に失敗:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 個人の等ラウドネス曲線を取得
+     * @returns {Object|null} 測定結果．未測定ならnull
+     */
+    static getLoudnessContour() {
+        try {
+            const data = localStorage.getItem(this.KEYS.LOUDNESS_CONTOUR);
+            if (data) {
+                return JSON.parse(data);
+            }
+        } catch (error) {
+            console.error('等ラウドネス曲線の読み込みに失敗:', error);
+        }
+        return null;
+    }
+
+    /**
+     * 個人の等ラウドネス曲線を削除
+     * @returns {boolean} 成功したかどうか
+     */
+    static deleteLoudnessContour() {
+        try {
+            localStorage.removeItem(this.KEYS.LOUDNESS_CONTOUR);
+            return true;
+        } catch (error) {
+            console.error('等ラウドネス曲線の削除に失敗:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 日ごとの聴取量を保存
+     * @param {Object} days - 日付 (YYYY-MM-DD) → { dose, seconds, warned }
+     * @returns {boolean} 成功したかどうか
+     */
+    static saveListeningDose(days) {
+        try {
+            localStorage.setItem(this.KEYS.LISTENING_DOSE, JSON.stringify(days));
+            return true;
+        } catch (error) {
+            console.error('聴取量の保存に失敗:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 日ごとの聴取量を取得
+     * @returns {Object} 日付 (YYYY-MM-DD) → { dose, seconds, warned }
+     */
+    static getListeningDose() {
+        try {
+            const data = localStorage.getItem(this.KEYS.LISTENING_DOSE);
+            if (data) {
+                return JSON.parse(data);
+            }
+        } catch (error) {
+            console.error('聴取量の読み込みに失敗:', error);
+        }
+        return {};
+    }
+
+    /**
+     * 校正データ全体を取得
+     * @returns {Object} { activeProfile, profiles }
+     */
+    static getCalibrationData() {
+        try {
+            const data = localStorage.getItem(this.KEYS.CALIBRATION);
+            if (data) {
+                return { activeProfile: null, profiles: {}, ...JSON.parse(data) };
+            }
+        } catch (error) {
+            console.error('校正データの読み込みに失敗:', error);
+        }
+        return { activeProfile: null, profiles: {} };
+    }
+
+    /**
+     * 出力デバイスのプロファイルごとに校正データを保存
+     * 保存したプロファイルを使用中にする
+     * @param {string} name - プロファイル名 (例: "スタジオモニター")
+     * @param {Object} calibration - 校正データ ({ offset, referenceLevel, method })
+     * @returns {boolean} 成功したかどうか
+     */
+    static saveCalibrationProfile(name, calibration) {
+        try {
+            const data = this.getCalibrationData();
+            data.profiles[name] = { ...calibration, timestamp: new Date().toISOString() };
+            data.activeProfile = name;
+            localStorage.setItem(this.KEYS.CALIBRATION, JSON.stringify(data));
+            return true;
+        } catch (error) {
+            console.error('校正データの保存に失敗:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 校正プロファイルを削除
+     * @param {string} name - プロファイル名
+     * @returns {boolean} 成功したかどうか
+     */
+    static deleteCalibrationProfile(name) {
+        try {
+            const data = this.getCalibrationData();
+            delete data.profiles[name];
+            if (data.activeProfile === name) {
+                data.activeProfile = null;
+            }
+            localStorage.setItem(this.KEYS.CALIBRATION, JSON.stringify(data));
+            return true;
+        } catch (error) {
+            console.error('校正データの削除に失敗:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 使用するプロファイルを切り替え
+     * @param {string|null} name - プロファイル名，nullで未校正
+     * @returns {boolean} 成功したかどうか
+     */
+    static setActiveCalibrationProfile(name) {
+        try {
+            const data = this.getCalibrationData();
+            data.activeProfile = name && data.profiles[name] ? name : null;
+            localStorage.setItem(this.KEYS.CALIBRATION, JSON.stringify(data));
+            return true;
+        } catch (error) {
+            console.error('校正データの保存に失敗:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 使用中のプロファイルの校正データを取得
+     * @returns {Object|null} { name, offset, ... }．未校正ならnull
+     */
+    static getActiveCalibration() {
+        const data = this.getCalibrationData();
+        const profile = data.activeProfile ? data.profiles[data.activeProfile] : null;
+        return profile ? { name: data.activeProfile, ...profile } : null;
+    }
+
+    /**
+     * 音色を保存 (同じIDがあれば上書き)
+     * @param {Object} timbre - 音色 ({ id, name, partials })
+     * @returns {boolean} 成功したかどうか
+     */
+    static saveTimbre(timbre) {
+        try {
+            const timbres = this.getTimbres().filter(t => t.id !== timbre.id);
+            timbres.push(timbre);
+            localStorage.setItem(this.KEYS.TIMBRES, JSON.stringify(timbres));
+            return true;
+        } catch (error) {
+            console.error('音色の保存に失敗:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 保存した音色の一覧を取得
+     * @returns {Array} 音色の配列
+     */
+    static getTimbres() {
+        try {
+            const data = localStorage.getItem(this.KEYS.TIMBRES);
+            if (data) {
+                return JSON.parse(data);
+            }
+        } catch (error) {
+            console.error('音色の読み込みに失敗:', error);
+        }
+        return [];
+    }
+
+    /**
+     * 音色を取得
+     * @param {string} id - 音色ID
+     * @returns {Object|null} 音色．見つからなければnull
+     */
+    static getTimbre(id) {
+        return this.getTimbres().find(t => t.id === id) || null;
+    }
+
+    /**
+     * 音色を削除
+     * @param {string} id - 音色ID
+     * @returns {boolean} 成功したかどうか
+     */
+    static deleteTimbre(id) {
+        try {
+            const timbres = this.getTimbres().filter(t => t.id !== id);
+            localStorage.setItem(this.KEYS.TIMBRES, JSON.stringify(timbres));
+            return true;
+        } catch (error) {
+            console.error('音色の削除に失敗:', error);
+            return false;
+        }
+    }
+
+    /**
+     * ミキサーのシーンを保存 (同じIDがあれば上書き)
+     * @param {Object} scene - シーン ({ id, name, channels })
+     * @returns {boolean} 成功したかどうか
+     */
+    static saveMixerScene(scene) {
+        try {
+            const scenes = this.getMixerScenes().filter(s => s.id !== scene.id);
+            scenes.push(scene);
+            localStorage.setItem(this.KEYS.MIXER_SCENES, JSON.stringify(scenes));
+            return true;
+        } catch (error) {
+            console.error('シーンの保存に失敗:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 保存したミキサーのシーンの一覧を取得
+     * @returns {Array} シーンの配列
+     */
+    static getMixerScenes() {
+        try {
+            const data = localStorage.getItem(this.KEYS.MIXER_SCENES);
+            if (data) {
+                return JSON.parse(data);
+            }
+        } catch (error) {
+            console.error('シーンの読み込みに失敗:', error);
+        }
+        return [];
+    }
+
+    /**
+     * ミキサーのシーンを取得
+     * @param {string} id - シーンID
+     * @returns {Object|null} シーン．見つからなければnull
+     */
+    static getMixerScene(id) {
+        return this.getMixerScenes().find(s => s.id === id) || null;
+    }
+
+    /**
+     * ミキサーのシーンを削除
+     * @param {string} id - シーンID
+     * @returns {boolean} 成功したかどうか
+     */
+    static deleteMixerScene(id) {
+        try {
+            const scenes = this.getMixerScenes().filter(s => s.id !== id);
+            localStorage.setItem(this.KEYS.MIXER_SCENES, JSON.stringify(scenes));
+            return true;
+        } catch (error) {
+            console.error('シーンの削除に失敗:', error);
+            return false;
+        }
+    }
+
+    /**
+     * カスタムクイズのプリセットを保存 (同じIDがあれば上書き)
+     * @param {Object} preset - プリセット ({ id, name, ...QuestionGenerator.CUSTOM_DEFAULTS の項目 })
+     * @returns {boolean} 成功したかどうか
+     */
+    static saveQuizPreset(preset) {
+        try {
+            const presets = this.getQuizPresets().filter(p => p.id !== preset.id);
+            presets.push(preset);
+            localStorage.setItem(this.KEYS.QUIZ_PRESETS, JSON.stringify(presets));
+            return true;
+        } catch (error) {
+            console.error('プリセットの保存に失敗:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 保存したカスタムクイズのプリセットの一覧を取得
+     * @returns {Array} プリセットの配列
+     */
+    static getQuizPresets() {
+        try {
+            const data = localStorage.getItem(this.KEYS.QUIZ_PRESETS);
+            if (data) {
+                return JSON.parse(data);
+            }
+        } catch (error) {
+            console.error('プリセットの読み込みに失敗:', error);
+        }
+        return [];
+    }
+
+    /**
+     * カスタムクイズのプリセットを取得
+     * @param {string} id - プリセットID
+     * @returns {Object|null} プリセット．見つからなければnull
+     */
+    static getQuizPreset(id) {
+        return this.getQuizPresets().find(p => p.id === id) || null;
+    }
+
+    /**
+     * カスタムクイズのプリセットを削除
+     * @param {string} id - プリセットID
+     * @returns {boolean} 成功したかどうか
+     */
+    static deleteQuizPreset(id) {
+        try {
+            const presets = this.getQuizPresets().filter(p => p.id !== id);
+            localStorage.setItem(this.KEYS.QUIZ_PRESETS, JSON.stringify(presets));
+            return true;
+        } catch (error) {
+            console.error('プリセットの削除に失敗:', error);
+            return false;
+        }
+    }
+
     /**
      * 履歴をクリア
      * @returns {boolean} 成功したかどうか
@@ -112,7 +539,7 @@ class StorageManager {
         }
 
         // CSVヘッダー
-        let csv = '日時,難易度,モード,総スコア,低域正解率,中域正解率,高域正解率,平均誤差率\n';
+        let csv = '日時,難易度,モード,総スコア,低域正解率,中域正解率,高域正解率,平均誤差率,チャレンジコード,名前\n';
 
         // データ行
         history.forEach(session => {
@@ -128,7 +555,10 @@ class StorageManager {
             const avgError = session.questions ?
                 (session.questions.reduce((sum, q) => sum + (q.error || 0), 0) / session.questions.length).toFixed(2) : 0;
 
-            csv += `${date},${difficulty},${mode},${totalScore},${lowAcc}%,${midAcc}%,${highAcc}%,${avgError}%\n`;
+            const challengeCode = session.challengeCode || '';
+            const player = (session.player || '').replace(/,/g, ' ');
+
+            csv += `${date},${difficulty},${mode},${totalScore},${lowAcc}%,${midAcc}%,${highAcc}%,${avgError}%,${challengeCode},${player}\n`;
         });
 
         return csv;
@@ -0,0 +1,109 @@
+/**
+ * WavEncoder - WAVファイル書き出しクラス
+ * AudioBufferをリニアPCM (16/24bit) のWAVファイルに変換
+ */
+class WavEncoder {
+    static SUPPORTED_BIT_DEPTHS = [16, 24];
+
+    /**
+     * AudioBufferをWAV形式にエンコード
+     * @param {AudioBuffer} audioBuffer - エンコードするバッファ
+     * @param {number} bitDepth - ビット深度 (16 または 24)
+     * @returns {ArrayBuffer} WAVファイルのバイナリ
+     */
+    static encode(audioBuffer, bitDepth = 16) {
+        if (!this.SUPPORTED_BIT_DEPTHS.includes(bitDepth)) {
+            throw new Error(`対応していないビット深度です: ${bitDepth}`);
+        }
+
+        const numChannels = audioBuffer.numberOfChannels;
+        const sampleRate = audioBuffer.sampleRate;
+        const numFrames = audioBuffer.length;
+        const bytesPerSample = bitDepth / 8;
+        const blockAlign = numChannels * bytesPerSample;
+        const dataSize = numFrames * blockAlign;
+
+        const arrayBuffer = new ArrayBuffer(44 + dataSize);
+        const view = new DataView(arrayBuffer);
+
+        // RIFFヘッダー
+        this.writeString(view, 0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        this.writeString(view, 8, 'WAVE');
+
+        // fmtチャンク
+        this.writeString(view, 12, 'fmt ');
+        view.setUint32(16, 16, true);              // チャンクサイズ
+        view.setUint16(20, 1, true);               // リニアPCM
+        view.setUint16(22, numChannels, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * blockAlign, true); // バイトレート
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, bitDepth, true);
+
+        // dataチャンク
+        this.writeString(view, 36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        // サンプルをインターリーブして書き込み
+        const channels = [];
+        for (let ch = 0; ch < numChannels; ch++) {
+            channels.push(audioBuffer.getChannelData(ch));
+        }
+
+        const maxValue = Math.pow(2, bitDepth - 1) - 1;
+        let offset = 44;
+
+        for (let i = 0; i < numFrames; i++) {
+            for (let ch = 0; ch < numChannels; ch++) {
+                const sample = MathUtils.clamp(channels[ch][i], -1, 1);
+                const value = Math.round(sample * maxValue);
+
+                if (bitDepth === 16) {
+                    view.setInt16(offset, value, true);
+                } else {
+                    // 24bitは下位バイトから3バイトで書き込み
+                    view.setUint8(offset, value & 0xFF);
+                    view.setUint8(offset + 1, (value >> 8) & 0xFF);
+                    view.setUint8(offset + 2, (value >> 16) & 0xFF);
+                }
+                offset += bytesPerSample;
+            }
+        }
+
+        return arrayBuffer;
+    }
+
+    /**
+     * 文字列をASCIIで書き込み
+     * @param {DataView} view - 書き込み先
+     * @param {number} offset - オフセット
+     * @param {string} str - 文字列
+     */
+    static writeString(view, offset, str) {
+        for (let i = 0; i < str.length; i++) {
+            view.setUint8(offset + i, str.charCodeAt(i));
+        }
+    }
+
+    /**
+     * AudioBufferをWAVファイルとしてダウンロード
+     * @param {AudioBuffer} audioBuffer - 書き出すバッファ
+     * @param {string} filename - ファイル名 (拡張子なし)
+     * @param {number} bitDepth - ビット深度 (16 または 24)
+     */
+    static download(audioBuffer, filename, bitDepth = 16) {
+        const wav = this.encode(audioBuffer, bitDepth);
+        const blob = new Blob([wav], { type: 'audio/wav' });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+
+        link.setAttribute('href', url);
+        link.setAttribute('download', `${filename}.wav`);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}